@@ -0,0 +1,126 @@
+// ==========================================================================
+// AGRIPlanum Backend - Plant Attribute Schemas
+// Description: Validates the attribute schemas of plant types and the
+//              custom_data of plants against them. Mirrored on the client by
+//              docs/js/attributes.js.
+// File: attributes.js
+// ==========================================================================
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'integer', 'boolean', 'date', 'select'];
+const MAX_ATTRIBUTES = 50;
+const MAX_TEXT_LENGTH = 500;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isBound = (value) => value === undefined || value === null || Number.isFinite(value);
+
+/**
+ * Validates the attributes of a plant type's schema.
+ * @param {Array<object>} attributes - The attribute definitions, in form order.
+ * @returns {string|null} An error message, or null when the schema is valid.
+ */
+function validateAttributeSchema(attributes) {
+    if (!Array.isArray(attributes)) return 'attributes must be an array.';
+    if (attributes.length > MAX_ATTRIBUTES) return `A plant type can have at most ${MAX_ATTRIBUTES} attributes.`;
+    const keys = new Set();
+    for (const [index, attribute] of attributes.entries()) {
+        const name = `Attribute ${index + 1}`;
+        if (!isPlainObject(attribute)) return `${name} must be an object.`;
+        const { key, label, type, unit, required, min, max, options } = attribute;
+        if (typeof key !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(key)) {
+            return `${name}: key must start with a letter and use only lowercase letters, digits and underscores (up to 50).`;
+        }
+        if (keys.has(key)) return `${name}: the key "${key}" is used twice.`;
+        keys.add(key);
+        if (typeof label !== 'string' || !label.trim() || label.length > 100) return `${name}: label is required (up to 100 characters).`;
+        if (!ATTRIBUTE_TYPES.includes(type)) return `${name}: type must be one of ${ATTRIBUTE_TYPES.join(', ')}.`;
+        if (unit !== undefined && unit !== null && (typeof unit !== 'string' || unit.length > 20)) return `${name}: unit must be text of up to 20 characters.`;
+        if (required !== undefined && typeof required !== 'boolean') return `${name}: required must be true or false.`;
+        if (!isBound(min) || !isBound(max)) return `${name}: min and max must be numbers.`;
+        if ((min ?? max ?? null) !== null && type !== 'number' && type !== 'integer') return `${name}: only numeric attributes have a min and max.`;
+        if (Number.isFinite(min) && Number.isFinite(max) && min > max) return `${name}: min cannot exceed max.`;
+        if (type === 'select') {
+            if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string' || !option.trim())) {
+                return `${name}: a select attribute needs a list of options.`;
+            }
+        } else if (options !== undefined && options !== null) {
+            return `${name}: only select attributes have options.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalizes a validated schema for storage: trims the text and drops the settings left empty.
+ * @param {Array<object>} attributes - Attributes that passed `validateAttributeSchema`.
+ * @returns {Array<object>} The attributes as stored.
+ */
+function toAttributeSchema(attributes) {
+    return attributes.map(({ key, label, type, unit, required, min, max, options }) => {
+        const attribute = { key, label: label.trim(), type };
+        if (unit && unit.trim()) attribute.unit = unit.trim();
+        if (required) attribute.required = true;
+        if (Number.isFinite(min)) attribute.min = min;
+        if (Number.isFinite(max)) attribute.max = max;
+        if (type === 'select') attribute.options = options.map(option => option.trim());
+        return attribute;
+    });
+}
+
+/**
+ * Checks one custom_data value against its attribute.
+ * @param {object} attribute - The attribute definition.
+ * @param {*} value - The value, not null.
+ * @returns {string|null} An error message, or null when the value is valid.
+ */
+function validateAttributeValue(attribute, value) {
+    const { label, type, min, max, options } = attribute;
+    switch (type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number.`;
+            if (type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number.`;
+            if (Number.isFinite(min) && value < min) return `${label} must be at least ${min}.`;
+            if (Number.isFinite(max) && value > max) return `${label} must be at most ${max}.`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${label} must be true or false.`;
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+                ? null : `${label} must be a date (YYYY-MM-DD).`;
+        case 'select':
+            return options.includes(value) ? null : `${label} must be one of: ${options.join(', ')}.`;
+        default:
+            return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH ? null : `${label} must be text of up to ${MAX_TEXT_LENGTH} characters.`;
+    }
+}
+
+/**
+ * Validates a plant's custom_data against the schema of its plant type. Keys the schema doesn't
+ * define are kept as they are (e.g. from imports); a null value clears an attribute.
+ * @param {object} customData - The custom_data.
+ * @param {Array<object>} attributes - The plant type's attributes; empty when it has no schema.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Whether only the values given are checked, as when attributes are
+ *        added to existing plants or plants are created in bulk; otherwise required attributes must be present.
+ * @returns {string|null} An error message, or null when the data is valid.
+ */
+function validateCustomData(customData, attributes, { partial = false } = {}) {
+    if (!isPlainObject(customData)) return 'custom_data must be an object.';
+    for (const attribute of attributes) {
+        const value = customData[attribute.key];
+        if (value === undefined || value === null || value === '') {
+            if (attribute.required && !partial) return `${attribute.label} is required.`;
+            continue;
+        }
+        const error = validateAttributeValue(attribute, value);
+        if (error) return error;
+    }
+    return null;
+}
+
+module.exports = {
+    ATTRIBUTE_TYPES,
+    validateAttributeSchema,
+    toAttributeSchema,
+    validateCustomData
+};
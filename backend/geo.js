@@ -0,0 +1,320 @@
+// ==========================================================================
+// AGRIPlanum Backend - Geo Formats
+// Description: Converts fields and plants to and from GeoJSON, KML and zipped
+//              Shapefiles, and validates imported features one at a time.
+// File: geo.js
+// ==========================================================================
+
+const turf = require('@turf/turf');
+const tokml = require('tokml');
+const shpwrite = require('@mapbox/shp-write');
+const shp = require('shpjs');
+const { DOMParser } = require('@xmldom/xmldom');
+const togeojson = require('@tmcw/togeojson');
+
+const FORMATS = ['geojson', 'kml', 'shp-zip'];
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+/**
+ * Builds a FeatureCollection holding every field (as polygons) and plant (as points).
+ * @param {Array<object>} fields - Field rows from the database.
+ * @param {Array<object>} plants - Plant rows from the database.
+ * @returns {object} A GeoJSON FeatureCollection.
+ */
+function toFeatureCollection(fields, plants) {
+    const fieldFeatures = fields.map(field => turf.feature(field.geometry, {
+        kind: 'field',
+        id: field.id,
+        name: field.name,
+        area_hectares: Number(field.area_hectares)
+    }));
+    const plantFeatures = plants.map(plant => turf.point([Number(plant.location.lng), Number(plant.location.lat)], {
+        kind: 'plant',
+        id: plant.id,
+        unique_tag: plant.unique_tag,
+        plant_type: plant.plant_type,
+        field_id: plant.field_id,
+        custom_data: plant.custom_data || {}
+    }));
+    return turf.featureCollection([...fieldFeatures, ...plantFeatures]);
+}
+
+/**
+ * Flattens feature properties for formats that only hold scalar attributes.
+ * Shapefile (DBF) column names are limited to 10 characters, so the long names are shortened.
+ * @param {object} collection - The FeatureCollection from `toFeatureCollection`.
+ * @param {boolean} shortNames - Whether to shorten property names for DBF columns.
+ * @returns {object} A new FeatureCollection with scalar properties only.
+ */
+function flattenProperties(collection, shortNames) {
+    const features = collection.features.map(feature => {
+        const { custom_data, area_hectares, unique_tag, plant_type, ...rest } = feature.properties;
+        const properties = { ...rest };
+        if (area_hectares !== undefined) properties[shortNames ? 'area_ha' : 'area_hectares'] = area_hectares;
+        if (unique_tag !== undefined) properties[shortNames ? 'tag' : 'unique_tag'] = unique_tag || '';
+        if (plant_type !== undefined) properties[shortNames ? 'type' : 'plant_type'] = plant_type;
+        if (custom_data !== undefined) properties[shortNames ? 'custom' : 'custom_data'] = JSON.stringify(custom_data);
+        if (properties.field_id === null) properties.field_id = '';
+        return { ...feature, properties };
+    });
+    return turf.featureCollection(features);
+}
+
+/**
+ * Serializes a FeatureCollection into one of the supported export formats.
+ * @param {object} collection - The FeatureCollection from `toFeatureCollection`.
+ * @param {string} format - One of `FORMATS`.
+ * @returns {Promise<{body: (string|Buffer), contentType: string, extension: string}>} The file to send.
+ */
+async function serialize(collection, format) {
+    switch (format) {
+        case 'geojson':
+            return { body: JSON.stringify(collection), contentType: 'application/geo+json', extension: 'geojson' };
+        case 'kml':
+            return {
+                body: tokml(flattenProperties(collection, false), { name: 'name', documentName: 'AgriPlanum Export' }),
+                contentType: 'application/vnd.google-earth.kml+xml',
+                extension: 'kml'
+            };
+        case 'shp-zip': {
+            const body = await shpwrite.zip(flattenProperties(collection, true), {
+                outputType: 'nodebuffer',
+                compression: 'DEFLATE',
+                types: { point: 'plants', polygon: 'fields' }
+            });
+            return { body, contentType: 'application/zip', extension: 'zip' };
+        }
+        default:
+            throw new Error(`Unsupported format: ${format}`);
+    }
+}
+
+// ==========================================================================
+// Import
+// ==========================================================================
+
+/**
+ * Parses an uploaded file into a single FeatureCollection.
+ * @param {string} format - One of `FORMATS`.
+ * @param {string} data - The file contents: text for GeoJSON/KML, base64 for zipped Shapefiles.
+ * @returns {Promise<object>} A GeoJSON FeatureCollection.
+ */
+async function parse(format, data) {
+    switch (format) {
+        case 'geojson': {
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            if (parsed.type === 'FeatureCollection') return parsed;
+            if (parsed.type === 'Feature') return turf.featureCollection([parsed]);
+            return turf.featureCollection([turf.feature(parsed)]);
+        }
+        case 'kml':
+            return togeojson.kml(new DOMParser().parseFromString(data, 'text/xml'));
+        case 'shp-zip': {
+            const layers = await shp(Buffer.from(data, 'base64'));
+            // A zip with several shapefiles yields one collection per layer.
+            const collections = Array.isArray(layers) ? layers : [layers];
+            return turf.featureCollection(collections.flatMap(c => c.features));
+        }
+        default:
+            throw new Error(`Unsupported format: ${format}`);
+    }
+}
+
+const isValidPosition = (position) =>
+    Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// Lists the problems with the rings as sent, before they are cleaned: structure, coordinates and vertex counts.
+function ringErrors(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    if (!Array.isArray(polygons) || polygons.length === 0 || polygons.some(rings => !Array.isArray(rings) || rings.length === 0)) {
+        return ['Polygon has no coordinates.'];
+    }
+
+    const errors = [];
+    polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+        const label = ringIndex === 0 ? 'Outer ring' : `Hole ${ringIndex}`;
+        if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+            errors.push(`${label} has invalid coordinates.`);
+            return;
+        }
+        // Counted again once repeated vertices are dropped; rings may still be open here.
+        const distinct = ring.length > 0 ? cleanRing(ring).length - 1 : 0;
+        if (distinct < 3) errors.push(`${label} needs at least 3 distinct vertices.`);
+    }));
+    return errors;
+}
+
+// Lists the holes that aren't inside the outer ring of their polygon, whose area would be subtracted anyway.
+function holeErrors(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const errors = [];
+    polygons.forEach(([shell, ...holes]) => holes.forEach((hole, holeIndex) => {
+        if (!turf.booleanWithin(turf.polygon([hole]), turf.polygon([shell]))) {
+            errors.push(`Hole ${holeIndex + 1} is not inside its outer ring.`);
+        }
+    }));
+    return errors;
+}
+
+const selfIntersectionError = (kinks) => `Polygon is self-intersecting (${kinks} crossing point${kinks > 1 ? 's' : ''}).`;
+
+// Drops vertices repeated one after the other and closes a ring left open, as drawing tools often do.
+// The ring must be a non-empty array of valid positions.
+function cleanRing(ring) {
+    const positions = ring.filter((position, i) => i === 0 || position[0] !== ring[i - 1][0] || position[1] !== ring[i - 1][1]);
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? positions : [...positions, first];
+}
+
+// Cleans every ring of a geometry that passed ringErrors.
+function cleanRings(geometry) {
+    const cleanPolygon = (rings) => rings.map(cleanRing);
+    return {
+        type: geometry.type,
+        coordinates: geometry.type === 'MultiPolygon' ? geometry.coordinates.map(cleanPolygon) : cleanPolygon(geometry.coordinates)
+    };
+}
+
+/**
+ * Prepares a field polygon for storage: drops repeated vertices, closes open rings and puts the
+ * rings in RFC 7946 winding order (outer rings counterclockwise, holes clockwise). A self-intersecting
+ * polygon is refused unless `repair` is set, in which case it is split at its crossings and merged
+ * back into a valid Polygon or MultiPolygon. Holes must lie inside their outer ring.
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon.
+ * @param {object} [options]
+ * @param {boolean} [options.repair=false] - Whether to repair self-intersections.
+ * @returns {{geometry: (object|null), errors: Array<string>, repairable: boolean}} The stored shape, or why it was refused
+ *          and whether `repair` would fix it.
+ */
+function normalizePolygon(geometry, { repair = false } = {}) {
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        return { geometry: null, errors: ['Geometry must be a GeoJSON Polygon or MultiPolygon.'], repairable: false };
+    }
+    const errors = ringErrors(geometry);
+    if (errors.length > 0) return { geometry: null, errors, repairable: false };
+    let cleaned = cleanRings(geometry);
+
+    const kinks = turf.kinks(turf.feature(cleaned)).features.length;
+    if (kinks > 0) {
+        if (!repair) return { geometry: null, errors: [selfIntersectionError(kinks)], repairable: true };
+        const pieces = turf.unkinkPolygon(turf.feature(cleaned)).features;
+        cleaned = (pieces.length === 1 ? pieces[0] : turf.union(turf.featureCollection(pieces))).geometry;
+    }
+    const misplacedHoles = holeErrors(cleaned);
+    if (misplacedHoles.length > 0) return { geometry: null, errors: misplacedHoles, repairable: false };
+    if (turf.area(cleaned) === 0) return { geometry: null, errors: ['Polygon has no area.'], repairable: false };
+    return { geometry: turf.rewind(cleaned), errors: [], repairable: false };
+}
+
+/**
+ * Measures where a field overlaps other fields.
+ * @param {object} geometry - The field's valid Polygon or MultiPolygon.
+ * @param {Array<{id: number, name: string, geometry: object}>} others - The fields to compare it with.
+ * @param {number} minPercent - Smallest overlap reported, as a percentage of the field's area.
+ * @returns {Array<{field_id: number, name: string, area_hectares: number, percent: number, geometry: object}>}
+ *          One entry per overlapped field, largest overlap first.
+ */
+function findOverlaps(geometry, others, minPercent) {
+    const area = turf.area(geometry);
+    if (area === 0) return [];
+    return others
+        .map(other => {
+            let shared = null;
+            try {
+                shared = turf.intersect(turf.featureCollection([turf.feature(geometry), turf.feature(other.geometry)]));
+            } catch (err) {
+                // Fields stored before shapes were validated may be invalid; they can't be compared.
+                return null;
+            }
+            if (!shared) return null;
+            const sharedArea = turf.area(shared);
+            return {
+                field_id: other.id,
+                name: other.name,
+                area_hectares: Number((sharedArea / 10000).toFixed(4)),
+                percent: Number(((sharedArea / area) * 100).toFixed(1)),
+                geometry: shared.geometry
+            };
+        })
+        .filter(overlap => overlap && overlap.percent > minPercent)
+        .sort((a, b) => b.percent - a.percent);
+}
+
+const firstProperty = (properties, names) => {
+    const name = names.find(n => properties[n] !== undefined && properties[n] !== null && properties[n] !== '');
+    return name ? properties[name] : undefined;
+};
+
+const parseCustomData = (value) => {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Turns each imported feature into a field or plant record, collecting errors per feature
+ * so one bad polygon does not reject the whole file.
+ * @param {object} collection - The parsed FeatureCollection.
+ * @param {object} [options]
+ * @param {string} [options.defaultPlantType] - Plant type for points that do not carry one.
+ * @returns {Array<object>} One entry per feature: { index, kind, name, geometry, errors, record }.
+ */
+function classifyFeatures(collection, { defaultPlantType } = {}) {
+    return (collection.features || []).map((feature, index) => {
+        const properties = feature.properties || {};
+        const geometry = feature.geometry;
+        const entry = { index, kind: null, name: null, geometry, errors: [], record: null };
+
+        if (!geometry) {
+            entry.errors.push('Feature has no geometry.');
+        } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+            entry.kind = 'field';
+            entry.name = String(firstProperty(properties, ['name', 'Name', 'NAME']) || `Imported Field ${index + 1}`);
+            const shape = normalizePolygon(geometry);
+            entry.errors = shape.errors;
+            if (entry.errors.length === 0) {
+                entry.record = { name: entry.name, geometry: shape.geometry, area_hectares: (turf.area(shape.geometry) / 10000).toFixed(4) };
+            }
+        } else if (geometry.type === 'Point') {
+            entry.kind = 'plant';
+            const uniqueTag = firstProperty(properties, ['unique_tag', 'tag', 'name', 'Name']);
+            const plantType = firstProperty(properties, ['plant_type', 'type']) || defaultPlantType;
+            entry.name = uniqueTag ? String(uniqueTag) : `Point ${index + 1}`;
+            if (!isValidPosition(geometry.coordinates)) entry.errors.push('Point has invalid coordinates.');
+            if (!plantType) entry.errors.push('Point has no plant type and no default was chosen.');
+            if (entry.errors.length === 0) {
+                const [lng, lat] = geometry.coordinates;
+                entry.record = {
+                    unique_tag: uniqueTag ? String(uniqueTag) : null,
+                    location: { lat, lng },
+                    plant_type: String(plantType),
+                    custom_data: parseCustomData(firstProperty(properties, ['custom_data', 'custom']))
+                };
+            }
+        } else {
+            entry.errors.push(`Unsupported geometry type: ${geometry.type}.`);
+        }
+        return entry;
+    });
+}
+
+module.exports = {
+    FORMATS,
+    toFeatureCollection,
+    serialize,
+    parse,
+    normalizePolygon,
+    findOverlaps,
+    classifyFeatures
+};
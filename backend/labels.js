@@ -0,0 +1,122 @@
+// ==========================================================================
+// AGRIPlanum Backend - Tag Labels
+// Description: Lays out printable PDF sheets of plant tag labels, each with
+//              the tag as a QR code or a Code 128 barcode and a few lines of
+//              text. Codes are drawn as vectors so they stay sharp when
+//              printed.
+// File: labels.js
+// ==========================================================================
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const bwipjs = require('bwip-js');
+
+const MM = 72 / 25.4;
+// A4 sheets of 3 x 8 labels of 70 x 37 mm, the common "24 per sheet" adhesive label layout.
+const SHEET = { size: 'A4', columns: 3, rows: 8, labelWidth: 70 * MM, labelHeight: 37 * MM, padding: 3 * MM };
+const LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+/**
+ * Draws a QR code as filled modules.
+ * @param {PDFDocument} doc - The document.
+ * @param {string} text - The encoded text.
+ * @param {number} x - Left edge, in points.
+ * @param {number} y - Top edge, in points.
+ * @param {number} size - Width and height, in points.
+ */
+function drawQrCode(doc, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const moduleSize = size / modules.size;
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) doc.rect(x + col * moduleSize, y + row * moduleSize, moduleSize, moduleSize);
+        }
+    }
+    doc.fill('black');
+}
+
+/**
+ * Draws a Code 128 barcode, stretched to the given width.
+ * @param {PDFDocument} doc - The document.
+ * @param {string} text - The encoded text.
+ * @param {number} x - Left edge, in points.
+ * @param {number} y - Top edge, in points.
+ * @param {number} width - Width, in points.
+ * @param {number} height - Height of the bars, in points.
+ */
+function drawCode128(doc, text, x, y, width, height) {
+    // sbs holds the widths of the bars and spaces, alternating and starting with a bar, in modules.
+    const [{ sbs }] = bwipjs.raw('code128', text);
+    const moduleWidth = width / sbs.reduce((total, modules) => total + modules, 0);
+    let offset = x;
+    sbs.forEach((modules, index) => {
+        if (index % 2 === 0) doc.rect(offset, y, modules * moduleWidth, height);
+        offset += modules * moduleWidth;
+    });
+    doc.fill('black');
+}
+
+/**
+ * Draws one label: the code and the tag, followed by its other lines of text.
+ * @param {PDFDocument} doc - The document.
+ * @param {{tag: string, lines: Array<string>}} label - The label.
+ * @param {string} code - 'qr' or 'code128'.
+ * @param {number} x - Left edge of the label, in points.
+ * @param {number} y - Top edge of the label, in points.
+ */
+function drawLabel(doc, label, code, x, y) {
+    const { labelWidth, labelHeight, padding } = SHEET;
+    const innerWidth = labelWidth - 2 * padding;
+    const innerHeight = labelHeight - 2 * padding;
+    let textX = x + padding;
+    let textY = y + padding;
+    let textWidth = innerWidth;
+    if (code === 'qr') {
+        drawQrCode(doc, label.tag, x + padding, y + padding, innerHeight);
+        textX += innerHeight + padding;
+        textWidth -= innerHeight + padding;
+    } else {
+        // Laser scanners need quiet zones beside the bars, left by the label's padding.
+        drawCode128(doc, label.tag, x + padding * 2, y + padding, innerWidth - padding * 2, innerHeight * 0.5);
+        textY += innerHeight * 0.5 + 4;
+    }
+    // Each line is cut to one line's height, so long names end in an ellipsis instead of wrapping.
+    const writeLine = (text, y) => doc.text(text, textX, y, { width: textWidth, height: doc.currentLineHeight(), ellipsis: true });
+    doc.font('Helvetica-Bold').fontSize(11);
+    writeLine(label.tag, textY);
+    doc.font('Helvetica').fontSize(8);
+    label.lines.filter(Boolean).forEach(line => writeLine(line, doc.y + 1));
+}
+
+/**
+ * Renders labels as a PDF, filling A4 sheets of 3 x 8 labels row by row.
+ * @param {Array<{tag: string, lines: Array<string>}>} labels - The labels, in print order.
+ * @param {string} code - 'qr' or 'code128'.
+ * @returns {Promise<Buffer>} The PDF.
+ */
+function renderLabelSheet(labels, code) {
+    const doc = new PDFDocument({ size: SHEET.size, margin: 0, autoFirstPage: false, info: { Title: 'AgriPlanum plant labels' } });
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+    labels.forEach((label, index) => {
+        const slot = index % LABELS_PER_SHEET;
+        if (slot === 0) doc.addPage();
+        // The grid is centred, so the sheet's margins are even on both sides.
+        const left = (doc.page.width - SHEET.columns * SHEET.labelWidth) / 2;
+        const top = (doc.page.height - SHEET.rows * SHEET.labelHeight) / 2;
+        const x = left + (slot % SHEET.columns) * SHEET.labelWidth;
+        const y = top + Math.floor(slot / SHEET.columns) * SHEET.labelHeight;
+        drawLabel(doc, label, code, x, y);
+    });
+    doc.end();
+    return done;
+}
+
+module.exports = {
+    LABELS_PER_SHEET,
+    renderLabelSheet
+};
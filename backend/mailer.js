@@ -0,0 +1,91 @@
+// ==========================================================================
+// AGRIPlanum Backend - Mailer
+// Description: Sends transactional email (verification, password reset)
+//              through a transport picked from the environment: SMTP in
+//              production, a directory of .eml files or the console locally.
+// File: mailer.js
+// ==========================================================================
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+// ==========================================================================
+// Transports
+// ==========================================================================
+// Every transport is an object with `send({ from, to, subject, text })` returning a promise.
+
+/**
+ * Delivers through an SMTP server.
+ * @param {object} env - Environment with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ * @returns {{send: Function}} The transport.
+ */
+function createSmtpTransport(env) {
+    if (!env.SMTP_HOST) throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp.');
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+    return { send: (message) => transporter.sendMail(message) };
+}
+
+/**
+ * Writes each message to its own .eml file, to open in a mail client while testing.
+ * @param {object} env - Environment with MAIL_DIR (defaults to ./mail).
+ * @returns {{send: Function}} The transport.
+ */
+function createFileTransport(env) {
+    const directory = path.resolve(env.MAIL_DIR || path.join(__dirname, 'mail'));
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+        async send(message) {
+            const { message: raw } = await transporter.sendMail(message);
+            await fs.promises.mkdir(directory, { recursive: true });
+            const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.eml`);
+            await fs.promises.writeFile(file, raw);
+            console.log(`✉️  Mail to ${message.to} written to ${file}`);
+        }
+    };
+}
+
+/**
+ * Prints each message to the console.
+ * @returns {{send: Function}} The transport.
+ */
+function createConsoleTransport() {
+    return {
+        async send(message) {
+            console.log(`✉️  Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+// ==========================================================================
+// Mailer
+// ==========================================================================
+
+/**
+ * Creates the mailer configured by MAIL_TRANSPORT ('smtp', 'file' or 'console', the default).
+ * @param {object} [env=process.env] - The environment to read the configuration from.
+ * @returns {{send: Function}} A mailer whose `send({ to, subject, text })` fills in MAIL_FROM.
+ */
+function createMailer(env = process.env) {
+    const name = env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS.includes(name)) throw new Error(`MAIL_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}.`);
+    const transport = name === 'smtp' ? createSmtpTransport(env)
+        : name === 'file' ? createFileTransport(env)
+        : createConsoleTransport();
+    const from = env.MAIL_FROM || 'AgriPlanum <no-reply@agriplanum.app>';
+    return {
+        send: ({ to, subject, text }) => transport.send({ from, to, subject, text })
+    };
+}
+
+module.exports = {
+    TRANSPORTS,
+    createMailer
+};
@@ -0,0 +1,56 @@
+// ==========================================================================
+// AGRIPlanum Backend - Migration Runner
+// Description: Applies the SQL files in ./migrations in filename order, once
+//              each, recording them in the schema_migrations table.
+// Usage: npm run migrate
+// File: migrate.js
+// ==========================================================================
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+        rejectUnauthorized: false
+    },
+    family: 4,
+});
+
+async function migrate() {
+    const client = await pool.connect();
+    try {
+        await client.query('CREATE TABLE IF NOT EXISTS schema_migrations (name VARCHAR(255) PRIMARY KEY, applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW())');
+        const { rows } = await client.query('SELECT name FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.name));
+        const pending = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql') && !applied.has(file)).sort();
+
+        for (const file of pending) {
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            // Each migration runs in its own transaction so a failure leaves the earlier ones applied.
+            await client.query('BEGIN');
+            try {
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+                await client.query('COMMIT');
+                console.log(`✅ Applied ${file}`);
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${file} failed: ${err.message}`);
+            }
+        }
+        if (pending.length === 0) console.log('Database is up to date.');
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+migrate().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
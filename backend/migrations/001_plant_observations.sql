@@ -0,0 +1,22 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 001 - Plant Observations
+-- Description: Dated, per-plant observation log (height, phenological stage,
+--              pest sightings, notes, photos and extra numeric measurements).
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS plant_observations (
+    id SERIAL PRIMARY KEY,
+    plant_id INTEGER NOT NULL REFERENCES plants(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    observed_at DATE NOT NULL DEFAULT CURRENT_DATE,
+    height_cm NUMERIC(8, 2),
+    phenological_stage VARCHAR(100),
+    pest_sightings JSONB NOT NULL DEFAULT '[]',
+    notes TEXT,
+    photos JSONB NOT NULL DEFAULT '[]',
+    measurements JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS plant_observations_plant_id_observed_at_idx
+    ON plant_observations (plant_id, observed_at);
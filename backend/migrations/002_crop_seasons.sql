@@ -0,0 +1,23 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 002 - Crop Seasons
+-- Description: Links a field to the variety planted in it, the zoning region
+--              and planting date used, and the expected and actual harvest.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS crop_seasons (
+    id SERIAL PRIMARY KEY,
+    field_id INTEGER NOT NULL REFERENCES fields(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    variety_id INTEGER NOT NULL REFERENCES varieties(id),
+    zoning_region VARCHAR(50),
+    planting_date DATE NOT NULL,
+    expected_harvest_date DATE,
+    actual_harvest_date DATE,
+    yield_amount NUMERIC(12, 2),
+    yield_unit VARCHAR(20) NOT NULL DEFAULT 'kg/ha',
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS crop_seasons_field_id_planting_date_idx
+    ON crop_seasons (field_id, planting_date DESC);
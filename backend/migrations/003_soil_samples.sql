@@ -0,0 +1,30 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 003 - Soil Samples
+-- Description: Lab soil analyses saved against a field, optionally at a GPS
+--              point inside it. Column names follow the keys used in
+--              varieties.ideal_soil_conditions.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS soil_samples (
+    id SERIAL PRIMARY KEY,
+    field_id INTEGER NOT NULL REFERENCES fields(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    sampled_at DATE NOT NULL,
+    lab_name VARCHAR(255),
+    location JSONB,
+    ph NUMERIC(4, 2) NOT NULL,
+    v_percent NUMERIC(5, 2) NOT NULL,
+    al_cmolc NUMERIC(8, 3) NOT NULL,
+    p_ppm NUMERIC(8, 2) NOT NULL,
+    k_ppm NUMERIC(8, 2) NOT NULL,
+    ca_cmolc NUMERIC(8, 3) NOT NULL,
+    mg_cmolc NUMERIC(8, 3) NOT NULL,
+    s_ppm NUMERIC(8, 2) NOT NULL,
+    b_ppm NUMERIC(8, 3) NOT NULL,
+    zn_ppm NUMERIC(8, 3) NOT NULL,
+    n_ppm NUMERIC(8, 2) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS soil_samples_field_id_sampled_at_idx
+    ON soil_samples (field_id, sampled_at);
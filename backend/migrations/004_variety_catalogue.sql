@@ -0,0 +1,27 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 004 - Variety Catalogue
+-- Description: Lets admins maintain the shared variety catalogue and users
+--              keep private varieties. Each variety gets a stable, server-
+--              issued slug that clients use as its key.
+-- ==========================================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- NULL owner: part of the shared catalogue, editable by admins only.
+ALTER TABLE varieties ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE varieties ADD COLUMN IF NOT EXISTS slug VARCHAR(120);
+ALTER TABLE varieties ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Backfill slugs for existing rows: strip accents, collapse anything else into
+-- single hyphens, and suffix the id where two names still collide.
+UPDATE varieties SET slug = trim(BOTH '-' FROM regexp_replace(
+    translate(lower(name), 'áàâãäéèêëíìîïóòôõöúùûüçñ', 'aaaaaeeeeiiiiooooouuuucn'),
+    '[^a-z0-9]+', '-', 'g'))
+WHERE slug IS NULL;
+
+UPDATE varieties v SET slug = CASE WHEN v.slug = '' THEN 'variety' ELSE v.slug END || '-' || v.id
+WHERE v.slug = '' OR EXISTS (SELECT 1 FROM varieties o WHERE o.slug = v.slug AND o.id < v.id);
+
+ALTER TABLE varieties ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS varieties_slug_key ON varieties (slug);
+CREATE INDEX IF NOT EXISTS varieties_owner_id_idx ON varieties (owner_id);
@@ -0,0 +1,59 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 005 - Agricultural Zoning
+-- Description: Planting windows per crop, region and season year, replacing
+--              the table hardcoded in the frontend. Regions may carry a
+--              polygon so a field's region can be suggested from its centroid.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS zoning_regions (
+    code VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    geometry JSONB
+);
+
+-- Windows are 'MM-DD' days and may cross the new year (e.g. 12-15 to 02-15).
+-- season_year is the crop year the window was published for: 2026 means the
+-- 2026/27 season, which starts on July 1st 2026.
+CREATE TABLE IF NOT EXISTS zoning_windows (
+    id SERIAL PRIMARY KEY,
+    crop VARCHAR(50) NOT NULL,
+    region_code VARCHAR(50) NOT NULL REFERENCES zoning_regions(code) ON UPDATE CASCADE,
+    season_year INTEGER NOT NULL,
+    preferential_start CHAR(5) NOT NULL,
+    preferential_end CHAR(5) NOT NULL,
+    tolerated_start CHAR(5) NOT NULL,
+    tolerated_end CHAR(5) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT zoning_windows_crop_region_year_key UNIQUE (crop, region_code, season_year)
+);
+
+-- Varieties belong to a crop so the matching zoning can be looked up.
+-- The catalogue shipped so far is all cotton.
+ALTER TABLE varieties ADD COLUMN IF NOT EXISTS crop VARCHAR(50) NOT NULL DEFAULT 'cotton';
+
+-- Seed data: the windows previously hardcoded in state.js.
+INSERT INTO zoning_regions (code, name) VALUES
+    ('mg-sp', 'MG/SP'),
+    ('go-ms', 'GO/MS'),
+    ('mt-south', 'MT - South'),
+    ('mt-mid-north', 'MT - Mid-North (BR 163)'),
+    ('mt-west', 'MT - West (Parecis)'),
+    ('mt-araguaia-valley', 'MT - Araguaia Valley'),
+    ('ba-rainfed', 'BA - Rainfed'),
+    ('ba-irrigated', 'BA - Irrigated'),
+    ('ma-pi-1st', 'MA/PI - 1st Season'),
+    ('ma-pi-2nd', 'MA/PI - 2nd Season')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO zoning_windows (crop, region_code, season_year, preferential_start, preferential_end, tolerated_start, tolerated_end) VALUES
+    ('cotton', 'mt-south', 2025, '01-01', '01-31', '12-15', '02-15'),
+    ('cotton', 'mt-mid-north', 2025, '01-01', '01-31', '12-15', '02-15'),
+    ('cotton', 'mt-west', 2025, '01-01', '01-31', '12-15', '01-31'),
+    ('cotton', 'mt-araguaia-valley', 2025, '01-01', '01-20', '12-15', '01-31'),
+    ('cotton', 'ba-rainfed', 2025, '12-15', '12-31', '12-01', '01-15'),
+    ('cotton', 'ba-irrigated', 2025, '01-01', '02-15', '12-15', '02-28'),
+    ('cotton', 'go-ms', 2025, '12-15', '01-15', '12-01', '01-31'),
+    ('cotton', 'mg-sp', 2025, '12-15', '01-15', '12-01', '01-31'),
+    ('cotton', 'ma-pi-1st', 2025, '12-15', '01-15', '12-01', '01-31'),
+    ('cotton', 'ma-pi-2nd', 2025, '01-15', '02-10', '01-01', '02-20')
+ON CONFLICT ON CONSTRAINT zoning_windows_crop_region_year_key DO NOTHING;
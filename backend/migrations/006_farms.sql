@@ -0,0 +1,60 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 006 - Farms and Roles
+-- Description: Fields and plants now belong to a farm that several users can
+--              work on, each with a role: owner, manager, technician or
+--              read-only. user_id on data rows is kept as "created by".
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS farms (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS farm_members (
+    farm_id INTEGER NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'technician', 'read-only')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (farm_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS farm_members_user_id_idx ON farm_members (user_id);
+
+-- Invitations are addressed to an email; the invited user accepts them once logged in.
+CREATE TABLE IF NOT EXISTS farm_invitations (
+    id SERIAL PRIMARY KEY,
+    farm_id INTEGER NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'technician', 'read-only')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    accepted_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS farm_invitations_pending_key
+    ON farm_invitations (farm_id, lower(email)) WHERE accepted_at IS NULL;
+
+ALTER TABLE fields ADD COLUMN IF NOT EXISTS farm_id INTEGER REFERENCES farms(id) ON DELETE CASCADE;
+ALTER TABLE plants ADD COLUMN IF NOT EXISTS farm_id INTEGER REFERENCES farms(id) ON DELETE CASCADE;
+
+-- Every existing user gets a farm of their own holding the data they already had.
+INSERT INTO farms (name, created_by)
+SELECT split_part(u.email, '@', 1) || '''s Farm', u.id
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM farms f WHERE f.created_by = u.id);
+
+INSERT INTO farm_members (farm_id, user_id, role)
+SELECT f.id, f.created_by, 'owner' FROM farms f
+WHERE f.created_by IS NOT NULL
+ON CONFLICT (farm_id, user_id) DO NOTHING;
+
+UPDATE fields SET farm_id = f.id FROM farms f WHERE f.created_by = fields.user_id AND fields.farm_id IS NULL;
+UPDATE plants SET farm_id = f.id FROM farms f WHERE f.created_by = plants.user_id AND plants.farm_id IS NULL;
+
+ALTER TABLE fields ALTER COLUMN farm_id SET NOT NULL;
+ALTER TABLE plants ALTER COLUMN farm_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS fields_farm_id_idx ON fields (farm_id);
+CREATE INDEX IF NOT EXISTS plants_farm_id_idx ON plants (farm_id);
@@ -0,0 +1,24 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 007 - Sessions and Refresh Tokens
+-- Description: One row per logged-in device. Access tokens stay short-lived
+--              JWTs; the session holds the hash of its current refresh token,
+--              which is replaced on every refresh and can be revoked.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- SHA-256 hex digests; the tokens themselves are never stored.
+    refresh_token_hash CHAR(64) NOT NULL,
+    -- The token this one replaced, kept to detect a stolen token being replayed.
+    previous_token_hash CHAR(64),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_sessions_refresh_token_hash_key ON user_sessions (refresh_token_hash);
+CREATE INDEX IF NOT EXISTS user_sessions_previous_token_hash_idx ON user_sessions (previous_token_hash);
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON user_sessions (user_id);
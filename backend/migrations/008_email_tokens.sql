@@ -0,0 +1,24 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 008 - Email Verification and Password Reset
+-- Description: Single-use, expiring tokens sent by email, either to prove a
+--              user owns their address or to let them choose a new password.
+-- ==========================================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Accounts created before verification existed are trusted as they are.
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS email_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify-email', 'password-reset')),
+    -- SHA-256 hex digest; the token itself only travels in the email.
+    token_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS email_tokens_token_hash_key ON email_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS email_tokens_user_id_idx ON email_tokens (user_id);
@@ -0,0 +1,26 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 009 - Offline Sync Support
+-- Description: updated_at stamps on fields and plants so changes queued
+--              offline can be checked against edits made meanwhile, and a
+--              store of idempotency keys so replayed POSTs create nothing twice.
+-- ==========================================================================
+
+-- Millisecond precision so the stamp survives the round trip through JSON unchanged.
+-- Set by user edits only; plants moved between fields by a reshape keep their stamp.
+ALTER TABLE fields ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW();
+ALTER TABLE plants ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW();
+
+-- The response of each POST sent with an Idempotency-Key. status_code is NULL
+-- while the first request is still being processed.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    response JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_at_idx ON idempotency_keys (created_at);
@@ -0,0 +1,25 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 010 - PostGIS Spatial Indexes
+-- Description: PostGIS shapes of field geometries and plant locations, with
+--              GiST indexes so maps can load a bounding box and plants can
+--              be looked up by distance without scanning the whole farm.
+-- ==========================================================================
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- The API keeps reading and writing GeoJSON geometries and {lat, lng} locations; these
+-- functions convert them, and indexing their results gives the spatial columns without a
+-- second copy of each shape to keep in step. Queries must use the same expressions
+-- (field_shape(geometry), plant_point(location)) for the indexes to apply.
+CREATE OR REPLACE FUNCTION field_shape(shape JSONB) RETURNS geometry
+    LANGUAGE SQL IMMUTABLE STRICT PARALLEL SAFE
+    AS $$ SELECT ST_SetSRID(ST_GeomFromGeoJSON(shape::text), 4326) $$;
+
+CREATE OR REPLACE FUNCTION plant_point(location JSONB) RETURNS geometry
+    LANGUAGE SQL IMMUTABLE STRICT PARALLEL SAFE
+    AS $$ SELECT ST_SetSRID(ST_MakePoint((location->>'lng')::float8, (location->>'lat')::float8), 4326) $$;
+
+CREATE INDEX IF NOT EXISTS fields_shape_idx ON fields USING GIST (field_shape(geometry));
+CREATE INDEX IF NOT EXISTS plants_point_idx ON plants USING GIST (plant_point(location));
+-- Distances in meters ("what's around me") are measured on the geography type.
+CREATE INDEX IF NOT EXISTS plants_point_geography_idx ON plants USING GIST ((plant_point(location)::geography));
@@ -0,0 +1,36 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 011 - Plant Attribute Schemas
+-- Description: Which custom attributes each plant type records (e.g. a
+--              coffee plant's cultivar, age and shade), with their types and
+--              units. The plant form is built from them and custom_data is
+--              validated against them.
+-- ==========================================================================
+
+-- NULL farm: the default schema of the plant type, used by farms without their own.
+-- attributes is an ordered array of
+--   { key, label, type: text|number|integer|boolean|date|select, unit?, required?, min?, max?, options? }.
+CREATE TABLE IF NOT EXISTS plant_attribute_schemas (
+    id SERIAL PRIMARY KEY,
+    farm_id INTEGER REFERENCES farms(id) ON DELETE CASCADE,
+    plant_type VARCHAR(100) NOT NULL,
+    attributes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS plant_attribute_schemas_farm_type_key
+    ON plant_attribute_schemas (farm_id, plant_type) WHERE farm_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS plant_attribute_schemas_default_type_key
+    ON plant_attribute_schemas (plant_type) WHERE farm_id IS NULL;
+
+INSERT INTO plant_attribute_schemas (farm_id, plant_type, attributes) VALUES
+    (NULL, 'Café', '[
+        {"key": "cultivar", "label": "Cultivar", "type": "text"},
+        {"key": "age_years", "label": "Age", "type": "integer", "unit": "years", "min": 0},
+        {"key": "shade_percent", "label": "Shade", "type": "number", "unit": "%", "min": 0, "max": 100}
+    ]'::jsonb),
+    (NULL, 'Banana', '[
+        {"key": "cluster_id", "label": "Cluster ID", "type": "text"},
+        {"key": "suckers", "label": "Suckers", "type": "integer", "min": 0}
+    ]'::jsonb)
+ON CONFLICT DO NOTHING;
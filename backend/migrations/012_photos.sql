@@ -0,0 +1,32 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 012 - Photos
+-- Description: Photos attached to plants and fields (pests, disease
+--              symptoms, fruit set...). The files themselves live in the
+--              configured storage (see backend/storage.js); rows hold their
+--              keys and what was read from them.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS photos (
+    id SERIAL PRIMARY KEY,
+    farm_id INTEGER NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+    -- Each photo belongs to exactly one plant or one field.
+    plant_id INTEGER REFERENCES plants(id) ON DELETE CASCADE,
+    field_id INTEGER REFERENCES fields(id) ON DELETE CASCADE,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    caption VARCHAR(500),
+    -- From the photo's EXIF data, when the camera recorded them: taken_at is the camera's clock
+    -- time stored as UTC (EXIF times carry no time zone), location is { lat, lng }.
+    taken_at TIMESTAMPTZ,
+    location JSONB,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT photos_one_owner CHECK ((plant_id IS NULL) <> (field_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS photos_plant_idx ON photos (plant_id) WHERE plant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS photos_field_idx ON photos (field_id) WHERE field_id IS NOT NULL;
@@ -0,0 +1,20 @@
+-- ==========================================================================
+-- AGRIPlanum Migration 013 - Plant Tags
+-- Description: Tag templates for numbering new plants (prefix, field code,
+--              zero-padded sequence), the short codes of fields used in
+--              them, and the counters the sequence numbers are taken from.
+-- ==========================================================================
+
+-- Short code of a field in plant tags, e.g. "C1"; tags use F<id> for fields without one.
+ALTER TABLE fields ADD COLUMN IF NOT EXISTS code VARCHAR(20);
+
+-- NULL: the default template (see backend/tags.js).
+-- tag_template is { prefix, field_code: boolean, digits, separator, label_code: qr|code128 }.
+ALTER TABLE farms ADD COLUMN IF NOT EXISTS tag_template JSONB;
+
+-- Last number handed out for each tag stem (the tag without its number, e.g. "P-C1-"). Tags are unique
+-- across farms, so stems are too.
+CREATE TABLE IF NOT EXISTS tag_sequences (
+    stem VARCHAR(100) PRIMARY KEY,
+    last_value BIGINT NOT NULL DEFAULT 0
+);
@@ -0,0 +1,87 @@
+// ==========================================================================
+// AGRIPlanum Backend - Photos
+// Description: Reads uploaded photos: checks they are images, makes the
+//              thumbnails shown in galleries, and extracts where and when
+//              they were taken from their EXIF data.
+// File: photos.js
+// ==========================================================================
+
+const sharp = require('sharp');
+const exifr = require('exifr');
+
+// Formats accepted, by the format sharp detects (the upload's declared type isn't trusted).
+const PHOTO_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+// Longest side of the thumbnails, in pixels.
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Reads where and when a photo was taken from its EXIF data.
+ * @param {Buffer} buffer - The photo.
+ * @returns {Promise<{takenAt: (Date|null), location: ({lat: number, lng: number}|null)}>} What the camera recorded.
+ *          EXIF times carry no time zone, so `takenAt` holds the camera's clock time as if it were UTC.
+ */
+async function readExif(buffer) {
+    let exif = null;
+    try {
+        exif = await exifr.parse(buffer, { gps: true, pick: ['DateTimeOriginal', 'CreateDate', 'GPSLatitude', 'GPSLongitude', 'GPSLatitudeRef', 'GPSLongitudeRef'] });
+    } catch (err) {
+        // Damaged or missing EXIF data only means there is nothing to extract.
+    }
+    const date = exif && [exif.DateTimeOriginal, exif.CreateDate].find(value => value instanceof Date && !Number.isNaN(value.getTime()));
+    // exifr reads the clock time in the server's time zone; the same fields are read back as UTC.
+    const takenAt = date && new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()));
+    const { latitude, longitude } = exif || {};
+    const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude)
+        && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 && !(latitude === 0 && longitude === 0);
+    return {
+        takenAt: takenAt || null,
+        location: hasLocation ? { lat: latitude, lng: longitude } : null
+    };
+}
+
+/**
+ * Checks that an upload is a photo in an accepted format and prepares what is stored with it.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<object>} `{ contentType, extension, width, height, thumbnail, takenAt, location }`: the
+ *          photo's type and file extension, its size as displayed (after EXIF rotation), a JPEG thumbnail,
+ *          and the EXIF time and GPS position (see `readExif`).
+ * @throws {Error} With `invalidPhoto` set when the file isn't a photo in an accepted format.
+ */
+async function processPhoto(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        metadata = null;
+    }
+    const format = metadata && PHOTO_FORMATS[metadata.format];
+    if (!format) {
+        const error = new Error('Photos must be JPEG, PNG or WebP images.');
+        error.invalidPhoto = true;
+        throw error;
+    }
+    // EXIF orientations 5 to 8 are rotated a quarter turn, so the stored width and height swap.
+    const rotated = metadata.orientation >= 5;
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+    return {
+        ...format,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height,
+        thumbnail,
+        ...(await readExif(buffer))
+    };
+}
+
+module.exports = {
+    PHOTO_FORMATS,
+    THUMBNAIL_SIZE,
+    processPhoto
+};
@@ -1,6 +1,6 @@
 // ==========================================================================
-// AGRIPlanum Backend - v2.8 (Detailed View)
-// Description: Adds endpoint to fetch details for a single field, including its plants.
+// AGRIPlanum Backend - v2.9 (In-place Editing)
+// Description: Adds PATCH endpoints to edit fields and plants without recreating them.
 // File: server.js
 // ==========================================================================
 
@@ -10,30 +10,50 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const multer = require('multer');
+const { Pool, types } = require('pg');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const turf = require('@turf/turf');
+const geo = require('./geo');
+const plantAttributes = require('./attributes');
+const { createMailer } = require('./mailer');
+const { createStorage } = require('./storage');
+const photos = require('./photos');
+const plantTags = require('./tags');
+const labels = require('./labels');
 
 // 2. App Initialization
 const app = express();
 
 // 3. Middleware Configuration
-app.use(cors());
+// The field and plant lists report their total in a header, which browsers only expose when allowed.
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
 app.use(
   helmet.contentSecurityPolicy({
     directives: {
       ...helmet.contentSecurityPolicy.getDefaultDirectives(),
       "script-src": ["'self'", "unpkg.com", "cdn.jsdelivr.net", "cdnjs.cloudflare.com"],
       "style-src": ["'self'", "unpkg.com", "cdnjs.cloudflare.com", "fonts.googleapis.com", "'unsafe-inline'"],
-      "img-src": ["'self'", "data:","cdnjs.cloudflare.com","*.tile.openstreetmap.org", "unpkg.com","raw.githubusercontent.com" ],
+      "img-src": ["'self'", "data:", "blob:","cdnjs.cloudflare.com","*.tile.openstreetmap.org", "unpkg.com","raw.githubusercontent.com", "server.arcgisonline.com", "*.tile.opentopomap.org" ],
       "font-src": ["'self'", "cdnjs.cloudflare.com", "fonts.gstatic.com"],
       "connect-src": ["'self'","https://agriplanum.onrender.com"],
     },
   })
 );
-app.use(express.json());
+// Raised from the 100kb default so GeoJSON/KML/Shapefile imports fit in a single request.
+app.use(express.json({ limit: '10mb' }));
+// Express 5 leaves req.body undefined when a request has no body; routes read it as an empty one,
+// so a missing body fails their validation with a 400 instead of throwing.
+app.use((req, res, next) => {
+    if (req.body === undefined) req.body = {};
+    next();
+});
 
 // 4. PostgreSQL Connection Setup
+// Return DATE columns as 'YYYY-MM-DD' strings instead of Date objects at local midnight, which shift across time zones.
+types.setTypeParser(1082, value => value);
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: {
@@ -46,6 +66,22 @@ const pool = new Pool({
 // 5. Constants
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET;
+// Access tokens are short-lived; clients renew them with the session's refresh token.
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+// Where links in emails point: the frontend, which reads the token from the query string.
+const APP_URL = process.env.APP_URL || 'https://arleujr.github.io/AgriPlanum/';
+const EMAIL_TOKEN_TTL_MINUTES = { 'verify-email': 48 * 60, 'password-reset': 60 };
+const MIN_PASSWORD_LENGTH = 8;
+// A field overlapping another of its farm by more than the threshold (a percentage of its own area)
+// is saved with a warning, or refused when FIELD_OVERLAP_MODE is 'refuse'.
+const FIELD_OVERLAP_MODE = process.env.FIELD_OVERLAP_MODE === 'refuse' ? 'refuse' : 'warn';
+const FIELD_OVERLAP_THRESHOLD_PERCENT = Number(process.env.FIELD_OVERLAP_THRESHOLD_PERCENT ?? 5);
+const mailer = createMailer();
+const storage = createStorage();
+// Largest photo accepted (PHOTO_MAX_MB, 15 by default), and how many one upload may carry.
+const PHOTO_MAX_BYTES = Number(process.env.PHOTO_MAX_MB || 15) * 1024 * 1024;
+const PHOTOS_PER_UPLOAD = 10;
 
 // ==========================================================================
 // Authentication Middleware
@@ -61,6 +97,866 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// ==========================================================================
+// Session Helpers
+// ==========================================================================
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newSecretToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Builds the token pair returned by login and refresh. The access token names its session
+ * so the session list can flag the current one.
+ * @param {number} userId - The user's ID.
+ * @param {number} sessionId - The session's ID.
+ * @param {string} refreshToken - The session's new refresh token.
+ * @returns {{token: string, refresh_token: string, expires_in: number}} The response body.
+ */
+const issueTokens = (userId, sessionId, refreshToken) => ({
+    token: jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL_SECONDS
+});
+
+/**
+ * Opens a session for a user who just proved their credentials.
+ * @param {number} userId - The user's ID.
+ * @param {string} [userAgent] - The client's User-Agent, shown in the session list.
+ * @returns {Promise<object>} The token pair, as from `issueTokens`.
+ */
+const createSession = async (userId, userAgent) => {
+    const refreshToken = newSecretToken();
+    const query = `
+        INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, expires_at)
+        VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id;`;
+    const { rows } = await pool.query(query, [userId, hashToken(refreshToken), userAgent ? userAgent.slice(0, 255) : null, REFRESH_TOKEN_TTL_DAYS]);
+    return issueTokens(userId, rows[0].id, refreshToken);
+};
+
+// ==========================================================================
+// Email Token Helpers
+// ==========================================================================
+const isValidEmail = (email) => typeof email === 'string' && email.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * Issues a single-use token for a user, replacing any unused one of the same purpose.
+ * @param {object} db - The pool or a transaction client.
+ * @param {number} userId - The user's ID.
+ * @param {string} purpose - 'verify-email' or 'password-reset'.
+ * @returns {Promise<string>} The token, to be sent by email only.
+ */
+const createEmailToken = async (db, userId, purpose) => {
+    const token = newSecretToken();
+    await db.query('UPDATE email_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+    const query = `
+        INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES ($1, $2, $3, NOW() + make_interval(mins => $4));`;
+    await db.query(query, [userId, purpose, hashToken(token), EMAIL_TOKEN_TTL_MINUTES[purpose]]);
+    return token;
+};
+
+/**
+ * Marks a token used if it is valid for the purpose and returns its user.
+ * @param {object} db - The pool or a transaction client.
+ * @param {string} token - The token from the email link.
+ * @param {string} purpose - 'verify-email' or 'password-reset'.
+ * @returns {Promise<number|null>} The user's ID, or null for unknown, used or expired tokens.
+ */
+const consumeEmailToken = async (db, token, purpose) => {
+    const query = `
+        UPDATE email_tokens SET used_at = NOW()
+        WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id;`;
+    const { rows } = await db.query(query, [hashToken(token), purpose]);
+    return rows.length > 0 ? rows[0].user_id : null;
+};
+
+const appLink = (param, token) => `${APP_URL}?${param}=${encodeURIComponent(token)}`;
+
+const sendVerificationEmail = (email, token) => mailer.send({
+    to: email,
+    subject: 'Confirm your AgriPlanum email address',
+    text: `Welcome to AgriPlanum!\n\nConfirm your email address by opening this link:\n${appLink('verify', token)}\n\n` +
+        `The link expires in ${EMAIL_TOKEN_TTL_MINUTES['verify-email'] / 60} hours. If you didn't create an account, ignore this email.`
+});
+
+const sendPasswordResetEmail = (email, token) => mailer.send({
+    to: email,
+    subject: 'Reset your AgriPlanum password',
+    text: `Someone asked to reset the password of your AgriPlanum account.\n\nChoose a new password here:\n${appLink('reset', token)}\n\n` +
+        `The link expires in ${EMAIL_TOKEN_TTL_MINUTES['password-reset']} minutes and works once. If it wasn't you, ignore this email; your password stays the same.`
+});
+
+// Farm roles from least to most privileged; each role can do everything the ones before it can.
+const FARM_ROLES = ['read-only', 'technician', 'manager', 'owner'];
+
+const hasFarmRole = (role, minimumRole) => FARM_ROLES.indexOf(role) >= FARM_ROLES.indexOf(minimumRole);
+
+/**
+ * Resolves the farm a request works on and checks the user's role in it. Use after `authenticateToken`.
+ * The farm comes from the `:farmId` route parameter or the `X-Farm-Id` header, falling back to the
+ * first farm the user joined. Sets `req.farm` to `{ id, role }`.
+ * @param {string} minimumRole - The least privileged role allowed, one of `FARM_ROLES`.
+ */
+const requireFarmRole = (minimumRole) => async (req, res, next) => {
+    const requestedFarmId = req.params.farmId ?? req.get('X-Farm-Id');
+    if (requestedFarmId !== undefined && !/^\d+$/.test(String(requestedFarmId))) {
+        return res.status(400).json({ message: 'Farm ID must be a number.' });
+    }
+    try {
+        const { rows } = requestedFarmId !== undefined
+            ? await pool.query('SELECT farm_id, role FROM farm_members WHERE user_id = $1 AND farm_id = $2', [req.user.userId, requestedFarmId])
+            : await pool.query('SELECT farm_id, role FROM farm_members WHERE user_id = $1 ORDER BY created_at LIMIT 1', [req.user.userId]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Farm not found or permission denied.' });
+        }
+        if (!hasFarmRole(rows[0].role, minimumRole)) {
+            // `required_role` lets the client tell a missing permission apart from an expired session.
+            return res.status(403).json({ message: `This action requires the ${minimumRole} role or higher.`, required_role: minimumRole });
+        }
+        req.farm = { id: rows[0].farm_id, role: rows[0].role };
+        next();
+    } catch (err) {
+        console.error('Error checking farm membership:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+// ==========================================================================
+// Offline Sync Helpers
+// ==========================================================================
+// Keys older than this can no longer be replayed; clients sync well within it.
+const IDEMPOTENCY_KEY_TTL_DAYS = 7;
+
+/**
+ * Makes a POST safe to retry. When the request carries an `Idempotency-Key` header, the first
+ * successful response is stored and sent back unchanged for every later request with the same key,
+ * without running the route again. Failed requests release the key. Use after `authenticateToken`.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > 255) { return res.status(400).json({ message: 'Idempotency-Key is too long.' }); }
+    const userId = req.user.userId;
+    try {
+        await pool.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND created_at < NOW() - make_interval(days => $2)', [userId, IDEMPOTENCY_KEY_TTL_DAYS]);
+        const reserveQuery = `
+            INSERT INTO idempotency_keys (user_id, key, method, path) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, key) DO NOTHING RETURNING key;`;
+        const reserved = await pool.query(reserveQuery, [userId, key, req.method, req.originalUrl]);
+        if (reserved.rowCount === 0) {
+            const { rows } = await pool.query('SELECT method, path, status_code, response FROM idempotency_keys WHERE user_id = $1 AND key = $2', [userId, key]);
+            const previous = rows[0];
+            if (!previous) { return res.status(409).json({ message: 'Please retry the request.', in_progress: true }); }
+            if (previous.method !== req.method || previous.path !== req.originalUrl) {
+                return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request.' });
+            }
+            if (previous.status_code === null) {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed.', in_progress: true });
+            }
+            return res.status(previous.status_code).json(previous.response);
+        }
+
+        let stored = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 300) return json(body);
+            stored = true;
+            // The response is only sent once it is stored, so a retry can never miss it.
+            pool.query('UPDATE idempotency_keys SET status_code = $3, response = $4 WHERE user_id = $1 AND key = $2', [userId, key, res.statusCode, JSON.stringify(body)])
+                .catch(err => console.error('Error storing idempotent response:', err.stack))
+                .finally(() => json(body));
+            return res;
+        };
+        res.on('close', () => {
+            if (stored) return;
+            pool.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2 AND status_code IS NULL', [userId, key])
+                .catch(err => console.error('Error releasing idempotency key:', err.stack));
+        });
+        next();
+    } catch (err) {
+        console.error('Error checking idempotency key:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Reads the `updated_at` a client based its change on, sent as `If-Match: "<updated_at>"` by the
+ * offline sync queue. Requests without the header apply unconditionally.
+ * @param {object} req - The request.
+ * @returns {string|null|undefined} The timestamp, null without the header, or undefined when it is malformed.
+ */
+const expectedUpdatedAt = (req) => {
+    const header = req.get('If-Match');
+    if (!header) return null;
+    const value = header.replace(/^W\//, '').replace(/"/g, '').trim();
+    return isValidDate(value) ? value : undefined;
+};
+
+/**
+ * Answers a conditional update or delete that matched no row: 404 when the record is gone,
+ * otherwise 409 with the record as it is now, so the client can show the conflict.
+ * @param {object} res - The response.
+ * @param {string} table - 'fields' or 'plants'.
+ * @param {string|number} id - The record's ID.
+ * @param {number} farmId - The farm the record must belong to.
+ * @param {string} label - 'Field' or 'Plant', for the messages.
+ * @returns {Promise<object>} The sent response.
+ */
+const respondMissingOrConflict = async (res, table, id, farmId, label) => {
+    const { rows } = await pool.query(`SELECT * FROM ${table} WHERE id = $1 AND farm_id = $2`, [id, farmId]);
+    if (rows.length === 0) {
+        return res.status(404).json({ message: `${label} not found or permission denied.` });
+    }
+    return res.status(409).json({ message: `This ${label.toLowerCase()} was changed by someone else in the meantime.`, current: rows[0] });
+};
+
+// ==========================================================================
+// Validation Helpers
+// ==========================================================================
+const isPolygonGeometry = (geometry) =>
+    !!geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') && Array.isArray(geometry.coordinates);
+
+const isValidLocation = (location) =>
+    !!location && Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng));
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Validates the body of a new plant observation.
+ * @param {object} body - The request body.
+ * @returns {string|null} An error message, or null when the observation is valid.
+ */
+const validateObservation = (body) => {
+    const { observed_at, height_cm, phenological_stage, pest_sightings, notes, photos, measurements } = body;
+    if ([height_cm, phenological_stage, pest_sightings, notes, photos, measurements].every(value => value === undefined || value === null || value === '')) {
+        return 'An observation needs at least one measurement, stage, pest sighting, note or photo.';
+    }
+    if (observed_at !== undefined && !isValidDate(observed_at)) return 'observed_at must be a valid date.';
+    if (height_cm !== undefined && height_cm !== null && !Number.isFinite(Number(height_cm))) return 'height_cm must be a number.';
+    if (pest_sightings !== undefined && !Array.isArray(pest_sightings)) return 'pest_sightings must be an array.';
+    if (photos !== undefined && (!Array.isArray(photos) || photos.some(photo => typeof photo !== 'string'))) return 'photos must be an array of URLs.';
+    if (measurements !== undefined && (typeof measurements !== 'object' || Array.isArray(measurements) ||
+        Object.values(measurements).some(value => !Number.isFinite(Number(value))))) {
+        return 'measurements must be an object of numeric values.';
+    }
+    return null;
+};
+
+/**
+ * Converts a validated observation body to the values of the observed_at to measurements columns.
+ * @param {object} body - The request body.
+ * @returns {Array} The column values, in insert order.
+ */
+const observationValues = ({ observed_at, height_cm, phenological_stage, pest_sightings, notes, photos, measurements }) => [
+    observed_at || null,
+    height_cm === undefined || height_cm === null || height_cm === '' ? null : Number(height_cm),
+    phenological_stage || null,
+    JSON.stringify(pest_sightings || []),
+    notes || null,
+    JSON.stringify(photos || []),
+    measurements || {}
+];
+
+// Paging of the field and plant lists: the largest page, and the zoom level below which a bbox
+// list of plants only reports their count (a zoomed-out map can't show them one by one).
+const MAX_PAGE_SIZE = 5000;
+const PLANT_LIST_MIN_ZOOM = 14;
+// Grid cells of GET /api/plants/density are about this many pixels wide at the requested zoom.
+const DENSITY_CELL_PIXELS = 40;
+// custom_data values the density map averages: plain decimals, which ::float8 always reads. "1,5" or "1x5" don't match.
+// Sent as a query parameter, so its backslash-free pattern reaches Postgres exactly as written here.
+const NUMERIC_TEXT_PATTERN = '^-?[0-9]+([.][0-9]+)?$';
+// Largest radius of GET /api/plants/near, in meters.
+const MAX_NEAR_RADIUS_METERS = 5000;
+
+const parseBbox = (value) => String(value).split(',').map(Number);
+
+/**
+ * Validates the bbox, zoom, limit and offset query parameters of the field and plant lists.
+ * @param {object} query - The request's query string.
+ * @returns {string|null} An error message, or null when the parameters are valid.
+ */
+const validateListQuery = ({ bbox, zoom, limit, offset }) => {
+    if (bbox !== undefined) {
+        const values = parseBbox(bbox);
+        const [west, south, east, north] = values;
+        if (values.length !== 4 || !values.every(Number.isFinite) || west > east || south > north || south < -90 || north > 90) {
+            return 'bbox must be west,south,east,north in degrees.';
+        }
+    }
+    if (zoom !== undefined && !(Number(zoom) >= 0 && Number(zoom) <= 30)) return 'zoom must be between 0 and 30.';
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) >= 1 && Number(limit) <= MAX_PAGE_SIZE)) {
+        return `limit must be between 1 and ${MAX_PAGE_SIZE}.`;
+    }
+    if (offset !== undefined && !(Number.isInteger(Number(offset)) && Number(offset) >= 0)) return 'offset must be zero or more.';
+    return null;
+};
+
+/**
+ * Lists a farm's fields or plants, filtered to a bounding box and paged when asked, and sets
+ * X-Total-Count to the number of matches before paging. Without a limit every match is listed.
+ * @param {object} req - The request, with validated list parameters in its query string.
+ * @param {object} res - The response, to set X-Total-Count on.
+ * @param {string} table - 'fields' or 'plants'.
+ * @param {string} shape - The indexed PostGIS expression of the table, e.g. 'plant_point(location)'.
+ * @param {object} [options]
+ * @param {boolean} [options.countOnly=false] - Only count the matches, listing none.
+ * @returns {Promise<Array<object>>} The page of rows.
+ */
+const listFarmRecords = async (req, res, table, shape, { countOnly = false } = {}) => {
+    const { bbox, limit, offset } = req.query;
+    const params = [req.farm.id];
+    let where = 'farm_id = $1';
+    if (bbox !== undefined) {
+        params.push(...parseBbox(bbox));
+        where += ` AND ST_Intersects(${shape}, ST_MakeEnvelope($2, $3, $4, $5, 4326))`;
+    }
+    if (limit !== undefined || countOnly) {
+        const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE ${where}`, params);
+        res.set('X-Total-Count', String(rows[0].count));
+        if (countOnly) return [];
+    }
+    const page = limit !== undefined ? ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}` : '';
+    const pageParams = limit !== undefined ? [Number(limit), Number(offset) || 0] : [];
+    const { rows } = await pool.query(`SELECT * FROM ${table} WHERE ${where} ORDER BY created_at DESC, id DESC${page}`, [...params, ...pageParams]);
+    if (limit === undefined) res.set('X-Total-Count', String(rows.length));
+    return rows;
+};
+
+// Largest batch accepted by POST /api/plants/bulk, e.g. a populated field.
+const MAX_BULK_PLANTS = 5000;
+
+/**
+ * Validates the body of a bulk plant creation: a non-empty list of plants, each with a unique tag,
+ * a location and a plant type, and no tag repeated within the batch.
+ * @param {object} body - The request body.
+ * @returns {string|null} An error message, or null when the batch is valid.
+ */
+const validateBulkPlants = (body) => {
+    const { plants } = body;
+    if (!Array.isArray(plants) || plants.length === 0) return 'plants must be a non-empty array.';
+    if (plants.length > MAX_BULK_PLANTS) return `At most ${MAX_BULK_PLANTS} plants can be created at once.`;
+    const invalidIndex = plants.findIndex(plant => !plant || typeof plant.unique_tag !== 'string' || !plant.unique_tag.trim() || !plant.plant_type || !isValidLocation(plant.location));
+    if (invalidIndex !== -1) return `Plant ${invalidIndex + 1} needs a unique tag, a plant type and a location with numeric lat and lng.`;
+    const tags = plants.map(plant => plant.unique_tag.trim());
+    const repeated = tags.find((tag, index) => tags.indexOf(tag) !== index);
+    if (repeated) return `The unique tag ${repeated} is repeated in the batch.`;
+    return null;
+};
+
+/**
+ * Validates the plant IDs a batch operation applies to.
+ * @param {*} plantIds - The `plant_ids` of the request body.
+ * @returns {string|null} An error message, or null when the IDs are valid.
+ */
+const validatePlantIds = (plantIds) => {
+    if (!Array.isArray(plantIds) || plantIds.length === 0) return 'plant_ids must be a non-empty array.';
+    if (plantIds.length > MAX_BULK_PLANTS) return `At most ${MAX_BULK_PLANTS} plants can be changed at once.`;
+    if (plantIds.some(id => !Number.isInteger(Number(id)))) return 'plant_ids must hold plant IDs.';
+    return null;
+};
+
+/**
+ * Reports the outcome of a batch operation per plant: those the statement touched succeeded,
+ * the others were not found on the farm (deleted meanwhile or never there).
+ * @param {Array<number|string>} plantIds - The IDs requested.
+ * @param {Array<number>} doneIds - The IDs the operation applied to.
+ * @param {string} status - The status of the successful ones, e.g. 'updated'.
+ * @returns {Array<object>} One `{ id, status, error? }` per requested ID.
+ */
+const batchResults = (plantIds, doneIds, status) => {
+    const done = new Set(doneIds.map(String));
+    return [...new Set(plantIds.map(String))].map(id => done.has(id)
+        ? { id: Number(id), status }
+        : { id: Number(id), status: 'failed', error: 'Plant not found or permission denied.' });
+};
+
+const SEASON_DATE_FIELDS = ['planting_date', 'expected_harvest_date', 'actual_harvest_date'];
+
+/**
+ * Validates the body of a crop season. On creation, variety and planting date are required.
+ * @param {object} body - The request body.
+ * @param {boolean} isUpdate - Whether missing required fields are allowed (PATCH).
+ * @returns {string|null} An error message, or null when the season is valid.
+ */
+const validateSeason = (body, isUpdate) => {
+    if (!isUpdate && (!body.variety_id || !body.planting_date)) return 'Variety and planting date are required.';
+    // Every season has a variety and a planting date, so an update can change them but not clear them.
+    const varietyId = body.variety_id;
+    if (varietyId !== undefined && !((typeof varietyId === 'number' || typeof varietyId === 'string') && Number.isInteger(Number(varietyId)) && Number(varietyId) > 0)) {
+        return varietyId === null ? 'A season needs a variety; variety_id cannot be null.' : 'variety_id must be a variety ID.';
+    }
+    if (body.planting_date === null) return 'A season needs a planting date; planting_date cannot be null.';
+    const invalidDate = SEASON_DATE_FIELDS.find(key => body[key] !== undefined && body[key] !== null && !isValidDate(body[key]));
+    if (invalidDate) return `${invalidDate} must be a valid date.`;
+    if (body.yield_amount !== undefined && body.yield_amount !== null && !(Number(body.yield_amount) >= 0)) return 'yield_amount must be a non-negative number.';
+    if (body.actual_harvest_date && body.planting_date && body.actual_harvest_date < body.planting_date) return 'The harvest cannot be before the planting date.';
+    return null;
+};
+
+/**
+ * Sums a variety's stage durations to get its total cycle length in days.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} varietyId - The variety ID.
+ * @param {number} userId - The user picking the variety; private varieties of other users are not visible.
+ * @returns {Promise<number|null>} Total days, or null if the variety does not exist.
+ */
+const getVarietyCycleDays = async (db, varietyId, userId) => {
+    const { rows } = await db.query(`SELECT stages FROM varieties WHERE id = $1 AND ${VARIETY_VISIBLE_TO}`, [varietyId, userId]);
+    if (rows.length === 0) return null;
+    return Object.values(rows[0].stages || {}).reduce((acc, days) => acc + Number(days), 0);
+};
+
+const SEASON_SELECT = `
+    SELECT s.*, v.name AS variety_name
+    FROM crop_seasons s JOIN varieties v ON v.id = s.variety_id`;
+
+const SOIL_NUTRIENT_COLUMNS = ['ph', 'v_percent', 'al_cmolc', 'p_ppm', 'k_ppm', 'ca_cmolc', 'mg_cmolc', 's_ppm', 'b_ppm', 'zn_ppm', 'n_ppm'];
+
+// Which bounds each ideal soil condition needs; every other nutrient only has a minimum.
+const SOIL_IDEAL_BOUNDS = { ph: ['min', 'max'], al_cmolc: ['max'] };
+
+// Varieties a user can see: the shared catalogue (no owner) plus their own. Expects the user ID as $2.
+const VARIETY_VISIBLE_TO = '(owner_id IS NULL OR owner_id = $2)';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates the body of a variety. Stages map stage names to whole days, in order, and the ideal
+ * soil conditions need the bounds of every nutrient used by the soil report.
+ * @param {object} body - The request body.
+ * @returns {string|null} An error message, or null when the variety is valid.
+ */
+const validateVariety = (body) => {
+    const { name, crop, description, stages, target_population, details, ideal_soil_conditions } = body;
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required.';
+    if (name.trim().length > 255) return 'Name must be at most 255 characters.';
+    if (!isZoningCode(crop)) return 'crop is required (e.g., "cotton"), using letters, digits and hyphens.';
+    if (description !== undefined && description !== null && typeof description !== 'string') return 'description must be a string.';
+    if (!isPlainObject(stages) || Object.keys(stages).length === 0) return 'stages must map at least one stage name to its duration in days.';
+    if (Object.values(stages).some(days => !Number.isInteger(Number(days)) || Number(days) <= 0)) return 'Every stage duration must be a positive whole number of days.';
+    if (!(Number(target_population) > 0)) return 'target_population must be a positive number.';
+    if (details !== undefined && details !== null && (!isPlainObject(details) || Object.values(details).some(value => isPlainObject(value) || Array.isArray(value)))) {
+        return 'details must be an object of text or numeric values.';
+    }
+    if (!isPlainObject(ideal_soil_conditions)) return 'ideal_soil_conditions is required.';
+    for (const key of SOIL_NUTRIENT_COLUMNS) {
+        const range = ideal_soil_conditions[key];
+        const bounds = SOIL_IDEAL_BOUNDS[key] || ['min'];
+        if (!isPlainObject(range) || bounds.some(bound => range[bound] === null || range[bound] === '' || !Number.isFinite(Number(range[bound])))) {
+            return `ideal_soil_conditions.${key} needs a numeric ${bounds.join(' and ')}.`;
+        }
+        if (bounds.length === 2 && Number(range.min) > Number(range.max)) return `ideal_soil_conditions.${key} min cannot exceed max.`;
+    }
+    return null;
+};
+
+/**
+ * Normalizes a validated variety body into the column values stored in the database.
+ * Numbers sent as strings are converted so clients always read numbers back.
+ * @param {object} body - A body that passed `validateVariety`.
+ * @returns {object} name, crop, description, stages, target_population, details and ideal_soil_conditions.
+ */
+const toVarietyRecord = (body) => ({
+    name: body.name.trim(),
+    crop: body.crop.trim().toLowerCase(),
+    description: body.description || null,
+    stages: Object.fromEntries(Object.entries(body.stages).map(([stage, days]) => [stage.trim(), Number(days)])),
+    target_population: Number(body.target_population),
+    details: body.details || {},
+    ideal_soil_conditions: Object.fromEntries(SOIL_NUTRIENT_COLUMNS.map(key => [key,
+        Object.fromEntries((SOIL_IDEAL_BOUNDS[key] || ['min']).map(bound => [bound, Number(body.ideal_soil_conditions[key][bound])]))]))
+});
+
+/**
+ * Turns a variety name into a URL-safe slug, e.g. "Soja  Intacta 2 Xtend®" -> "soja-intacta-2-xtend".
+ * @param {string} name - The variety name.
+ * @returns {string} The slug, never empty.
+ */
+const slugify = (name) => name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    .slice(0, 100) || 'variety';
+
+/**
+ * Finds a free slug for a new variety, suffixing a counter when the name's slug is taken.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {string} name - The variety name.
+ * @returns {Promise<string>} A slug no other variety uses.
+ */
+const uniqueVarietySlug = async (db, name) => {
+    const base = slugify(name);
+    const { rows } = await db.query("SELECT slug FROM varieties WHERE slug = $1 OR slug LIKE $1 || '-%'", [base]);
+    const taken = new Set(rows.map(row => row.slug));
+    let slug = base;
+    for (let counter = 2; taken.has(slug); counter++) slug = `${base}-${counter}`;
+    return slug;
+};
+
+/**
+ * Checks whether a user may manage shared data such as the variety catalogue and zoning.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<boolean>} True for admins.
+ */
+const isAdminUser = async (userId) => {
+    const { rows } = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
+    return rows.length > 0 && rows[0].is_admin;
+};
+
+/**
+ * Loads a variety the user may change: one of their own, or a shared one when they are an admin.
+ * @param {number|string} varietyId - The variety ID.
+ * @param {number} userId - The user making the change.
+ * @returns {Promise<object|null>} The variety row, or null when it does not exist or is not editable.
+ */
+const findEditableVariety = async (varietyId, userId) => {
+    const query = `
+        SELECT v.* FROM varieties v JOIN users u ON u.id = $2
+        WHERE v.id = $1 AND (v.owner_id = u.id OR (v.owner_id IS NULL AND u.is_admin))`;
+    const { rows } = await pool.query(query, [varietyId, userId]);
+    return rows[0] || null;
+};
+
+// Crops and zoning region codes are short lowercase slugs, e.g. 'cotton' or 'mt-south'.
+const isZoningCode = (value) => typeof value === 'string' && /^[a-z0-9][a-z0-9-]{0,49}$/i.test(value.trim());
+
+const isZoningDay = (value) => typeof value === 'string' && /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(value);
+
+const ZONING_WINDOW_FIELDS = ['preferential_start', 'preferential_end', 'tolerated_start', 'tolerated_end'];
+
+/**
+ * Validates the body of a zoning window.
+ * @param {object} body - The request body.
+ * @returns {string|null} An error message, or null when the window is valid.
+ */
+const validateZoningWindow = (body) => {
+    if (!isZoningCode(body.crop)) return 'crop is required, using letters, digits and hyphens.';
+    if (!isZoningCode(body.region_code)) return 'region_code is required, using letters, digits and hyphens.';
+    if (!Number.isInteger(Number(body.season_year)) || Number(body.season_year) < 1900) return 'season_year must be a year, e.g. 2026 for the 2026/27 season.';
+    const invalidDay = ZONING_WINDOW_FIELDS.find(key => !isZoningDay(body[key]));
+    if (invalidDay) return `${invalidDay} must be a day in 'MM-DD' format.`;
+    return null;
+};
+
+// ==========================================================================
+// Spatial Helpers (plant-to-field assignment)
+// ==========================================================================
+const toTurfPoint = (location) => turf.point([Number(location.lng), Number(location.lat)]);
+
+const isLocationInGeometry = (location, geometry) => turf.booleanPointInPolygon(toTurfPoint(location), geometry);
+
+/**
+ * Builds the SQL subquery giving the ID of the farm's field that covers a point, or NULL outside every field.
+ * The most recently drawn field wins where fields overlap. It filters on ST_Covers(field_shape(...)) so the
+ * fields_shape_idx spatial index narrows the candidates.
+ * @param {string} farmIdSql - SQL for the farm ID, e.g. '$2'.
+ * @param {string} pointSql - SQL for the point, e.g. 'plant_point($5::jsonb)'.
+ * @returns {string} The parenthesized subquery.
+ */
+const containingFieldSql = (farmIdSql, pointSql) => `(
+    SELECT f.id FROM fields f
+    WHERE f.farm_id = ${farmIdSql} AND ST_Covers(field_shape(f.geometry), ${pointSql})
+    ORDER BY f.created_at DESC, f.id DESC LIMIT 1)`;
+
+/**
+ * Tells whether a field belongs to a farm, for plants given an explicit field_id.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - The farm.
+ * @param {number|string} fieldId - The field.
+ * @returns {Promise<boolean>} True when the field is the farm's.
+ */
+const isFarmField = async (db, farmId, fieldId) => {
+    if (!Number.isInteger(Number(fieldId))) return false;
+    const { rowCount } = await db.query('SELECT 1 FROM fields WHERE id = $1 AND farm_id = $2', [fieldId, farmId]);
+    return rowCount > 0;
+};
+
+/**
+ * Loads the attribute schemas that apply to a farm: its own for a plant type, or else the default one.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - The farm.
+ * @returns {Promise<Map<string, Array<object>>>} The attributes by plant type.
+ */
+const loadAttributeSchemas = async (db, farmId) => {
+    const query = `
+        SELECT DISTINCT ON (plant_type) plant_type, attributes
+        FROM plant_attribute_schemas
+        WHERE farm_id IS NULL OR farm_id = $1
+        ORDER BY plant_type, farm_id NULLS LAST;`;
+    const { rows } = await db.query(query, [farmId]);
+    return new Map(rows.map(row => [row.plant_type, row.attributes]));
+};
+
+/**
+ * Validates custom_data against the schema of each plant type it applies to; types without a schema accept anything.
+ * @param {Map<string, Array<object>>} schemas - From `loadAttributeSchemas`.
+ * @param {Array<string>} plantTypes - The plant types of the plants receiving the data.
+ * @param {object} customData - The custom_data.
+ * @param {object} [options] - As for validateCustomData in attributes.js.
+ * @returns {string|null} An error message naming the plant type, or null when the data is valid.
+ */
+const checkCustomData = (schemas, plantTypes, customData, options) => {
+    for (const plantType of new Set(plantTypes)) {
+        const error = plantAttributes.validateCustomData(customData, schemas.get(plantType) || [], options);
+        if (error) return `${plantType}: ${error}`;
+    }
+    return null;
+};
+
+/**
+ * Re-runs assignment for every plant that is linked to the field or lies inside its geometry.
+ * Used whenever a field is created, reshaped or deleted.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - Farm of the field.
+ * @param {number|string} fieldId - The field whose plants should be re-evaluated.
+ * @param {object|null} geometry - The field's current (or, after deletion, former) geometry.
+ * @returns {Promise<number>} How many plants changed field.
+ */
+const reassignPlantsForField = async (db, farmId, fieldId, geometry) => {
+    // The spatial index narrows the candidates to the plants the new shape covers; each one's field is then
+    // looked up again among all of the farm's fields, and only the plants whose field changed are written.
+    const query = `
+        UPDATE plants p SET field_id = candidates.new_field_id
+        FROM (
+            SELECT c.id, ${containingFieldSql('$1', 'plant_point(c.location)')} AS new_field_id
+            FROM plants c
+            WHERE c.farm_id = $1 AND (c.field_id = $2 OR ($3::jsonb IS NOT NULL AND ST_Covers(field_shape($3::jsonb), plant_point(c.location))))
+        ) candidates
+        WHERE p.id = candidates.id AND p.field_id IS DISTINCT FROM candidates.new_field_id;`;
+    const { rowCount } = await db.query(query, [farmId, fieldId, geometry ? JSON.stringify(geometry) : null]);
+    return rowCount;
+};
+
+/**
+ * Lists where a field overlaps the farm's other fields by more than FIELD_OVERLAP_THRESHOLD_PERCENT.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - The field's farm.
+ * @param {object} geometry - The field's validated geometry.
+ * @param {string|number|null} fieldId - The field itself when it is being edited, to leave it out.
+ * @returns {Promise<Array<object>>} The overlaps, as from geo.findOverlaps.
+ */
+const findFieldOverlaps = async (db, farmId, geometry, fieldId = null) => {
+    const { rows } = await db.query('SELECT id, name, geometry FROM fields WHERE farm_id = $1', [farmId]);
+    const others = rows.filter(f => String(f.id) !== String(fieldId) && isPolygonGeometry(f.geometry));
+    return geo.findOverlaps(geometry, others, FIELD_OVERLAP_THRESHOLD_PERCENT);
+};
+
+const overlapMessage = (overlaps) =>
+    `This field overlaps ${overlaps.map(o => `"${o.name}" (${o.percent}%)`).join(', ')} by more than ${FIELD_OVERLAP_THRESHOLD_PERCENT}% of its area.`;
+
+/**
+ * Sends the 400 for a field geometry refused by geo.normalizePolygon.
+ * @param {object} res - The Express response.
+ * @param {{errors: Array<string>, repairable: boolean}} shape - The outcome of geo.normalizePolygon.
+ * @returns {object} The sent response.
+ */
+const respondInvalidGeometry = (res, shape) => res.status(400).json({
+    message: `Invalid geometry: ${shape.errors.join(' ')}${shape.repairable ? ' Send repair: true to fix it automatically.' : ''}`,
+    errors: shape.errors,
+    repairable: shape.repairable
+});
+
+/**
+ * Suggests the zoning region of a field: the first region whose polygon contains the field's centroid.
+ * @param {object} geometry - The field's Polygon or MultiPolygon.
+ * @returns {Promise<object|null>} The region's code and name, or null when no polygon contains it.
+ */
+const findZoningRegionForGeometry = async (geometry) => {
+    const [lng, lat] = turf.centroid(geometry).geometry.coordinates;
+    const { rows } = await pool.query('SELECT code, name, geometry FROM zoning_regions WHERE geometry IS NOT NULL ORDER BY code');
+    const region = rows.find(r => isPolygonGeometry(r.geometry) && isLocationInGeometry({ lat, lng }, r.geometry));
+    return region ? { code: region.code, name: region.name } : null;
+};
+
+/**
+ * Creates a farm with the given user as its owner.
+ * @param {PoolClient} client - A transaction client.
+ * @param {string} name - The farm name.
+ * @param {number} userId - The user who becomes the owner.
+ * @returns {Promise<object>} The new farm row.
+ */
+const createFarm = async (client, name, userId) => {
+    const result = await client.query('INSERT INTO farms (name, created_by) VALUES ($1, $2) RETURNING *', [name, userId]);
+    await client.query("INSERT INTO farm_members (farm_id, user_id, role) VALUES ($1, $2, 'owner')", [result.rows[0].id, userId]);
+    return result.rows[0];
+};
+
+/**
+ * Makes sure a farm still has an owner after a member's role changed or a member left.
+ * Throws an error with code 'LAST_OWNER' otherwise, so the surrounding transaction rolls back.
+ * @param {PoolClient} client - A transaction client.
+ * @param {number} farmId - The farm ID.
+ */
+const assertFarmHasOwner = async (client, farmId) => {
+    const { rows } = await client.query("SELECT COUNT(*)::int AS count FROM farm_members WHERE farm_id = $1 AND role = 'owner'", [farmId]);
+    if (rows[0].count === 0) {
+        const err = new Error('A farm needs at least one owner. Make someone else owner first.');
+        err.code = 'LAST_OWNER';
+        throw err;
+    }
+};
+
+/**
+ * Runs the callback inside a single transaction on a dedicated client, rolling back on any error.
+ * @param {Function} callback - Receives the PoolClient and returns the result of the transaction.
+ */
+const withTransaction = async (callback) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// ==========================================================================
+// Tag Helpers
+// ==========================================================================
+
+/**
+ * Reads a farm's tag template, or the default one when it has none.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - The farm.
+ * @returns {Promise<object>} The template, with `is_default` telling whether it is the default one.
+ */
+const loadTagTemplate = async (db, farmId) => {
+    const { rows } = await db.query('SELECT tag_template FROM farms WHERE id = $1', [farmId]);
+    const saved = rows[0] && rows[0].tag_template;
+    return { ...plantTags.DEFAULT_TAG_TEMPLATE, ...saved, is_default: !saved };
+};
+
+/**
+ * Takes the next sequence numbers of a tag stem. Numbers continue after the highest one already used by
+ * a tag with this stem (on any farm, as tags are unique across farms), so tags typed by hand or imported
+ * aren't handed out again; numbers taken but never used leave gaps.
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {string} stem - From `plantTags.tagStem`.
+ * @param {number} count - How many numbers to take.
+ * @returns {Promise<number>} The last number taken; the others are the `count - 1` before it.
+ */
+const reserveTagNumbers = async (db, stem, count) => {
+    const pattern = `^${stem.replace(/[^A-Za-z0-9]/g, '\\$&')}(\\d{1,15})$`;
+    const prefix = `${stem.replace(/[\\%_]/g, '\\$&')}%`;
+    const query = `
+        WITH used AS (
+            SELECT COALESCE(MAX(substring(unique_tag FROM $2)::bigint), 0) AS last_value
+            FROM plants WHERE unique_tag LIKE $3
+        )
+        INSERT INTO tag_sequences (stem, last_value) SELECT $1, used.last_value + $4 FROM used
+        ON CONFLICT (stem) DO UPDATE SET last_value = GREATEST(tag_sequences.last_value + $4, EXCLUDED.last_value)
+        RETURNING last_value;`;
+    const { rows } = await db.query(query, [stem, pattern, prefix, count]);
+    return Number(rows[0].last_value);
+};
+
+// ==========================================================================
+// Photo Helpers
+// ==========================================================================
+const PHOTO_COLUMNS = 'id, plant_id, field_id, content_type, size_bytes, width, height, caption, taken_at, location, uploaded_by, created_at';
+
+// Uploads are held in memory: they are small, and thumbnails and EXIF data are read from the bytes.
+const photoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: PHOTO_MAX_BYTES, files: PHOTOS_PER_UPLOAD } })
+    .array('photos', PHOTOS_PER_UPLOAD);
+
+/**
+ * Reads a multipart upload of photos (files in `photos`, plus an optional `caption`), answering 400 when
+ * they are too large or too many. Goes after the role check, so refused uploads aren't read.
+ */
+const receivePhotos = (req, res, next) => {
+    photoUpload(req, res, (err) => {
+        if (!err) return next();
+        // Anything else is a malformed multipart body.
+        if (!(err instanceof multer.MulterError)) { return res.status(400).json({ message: `The upload could not be read: ${err.message}` }); }
+        const message = err.code === 'LIMIT_FILE_SIZE' ? `Photos can be up to ${PHOTO_MAX_BYTES / 1024 / 1024} MB.`
+            : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE' ? `Send up to ${PHOTOS_PER_UPLOAD} photos in the "photos" field.`
+            : err.message;
+        res.status(400).json({ message });
+    });
+};
+
+/**
+ * Deletes stored files, e.g. those of deleted photos. Failures are only logged: the rows are gone, so a
+ * file left behind is never served again.
+ * @param {Array<string>} keys - Storage keys.
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = (keys) => Promise.all(keys.map(key =>
+    storage.remove(key).catch(err => console.error(`Error removing stored file ${key}:`, err.stack))
+)).then(() => undefined);
+
+/**
+ * Lists the storage keys of the photos of some plants or fields, to remove their files once they are deleted
+ * (their rows go with them).
+ * @param {Pool|PoolClient} db - The pool or a transaction client.
+ * @param {number} farmId - Farm of the plants or fields.
+ * @param {string} column - 'plant_id' or 'field_id'.
+ * @param {Array<number>} ids - The plants or fields.
+ * @returns {Promise<Array<string>>} The keys of the photos and their thumbnails.
+ */
+const findPhotoKeys = async (db, farmId, column, ids) => {
+    const query = `SELECT storage_key, thumbnail_key FROM photos WHERE farm_id = $1 AND ${column} = ANY($2::int[])`;
+    const { rows } = await db.query(query, [farmId, ids]);
+    return rows.flatMap(row => [row.storage_key, row.thumbnail_key]);
+};
+
+/**
+ * Stores the photos of an upload with their thumbnails and records them against a plant or a field. Every
+ * file is checked before any is stored, and if one can't be stored or recorded the others are removed again.
+ * @param {object} req - The request, after `receivePhotos`.
+ * @param {string} column - 'plant_id' or 'field_id'.
+ * @param {number} ownerId - The plant or field.
+ * @param {string|null} caption - Caption given to every photo of the upload.
+ * @returns {Promise<Array<object>>} The photos recorded.
+ * @throws {Error} With `invalidPhoto` set when a file isn't a photo in an accepted format.
+ */
+const savePhotos = async (req, column, ownerId, caption) => {
+    const processed = [];
+    for (const file of req.files) {
+        try {
+            processed.push(await photos.processPhoto(file.buffer));
+        } catch (err) {
+            if (err.invalidPhoto) err.message = `${file.originalname}: ${err.message}`;
+            throw err;
+        }
+    }
+    const stored = [];
+    try {
+        const records = [];
+        for (const [index, file] of req.files.entries()) {
+            const photo = processed[index];
+            const name = `photos/${req.farm.id}/${crypto.randomUUID()}`;
+            const storageKey = `${name}.${photo.extension}`;
+            const thumbnailKey = `${name}-thumb.jpg`;
+            await storage.put(storageKey, file.buffer, photo.contentType);
+            stored.push(storageKey);
+            await storage.put(thumbnailKey, photo.thumbnail, 'image/jpeg');
+            stored.push(thumbnailKey);
+            records.push([req.farm.id, ownerId, storageKey, thumbnailKey, photo.contentType, file.size, photo.width, photo.height,
+                caption, photo.takenAt, photo.location && JSON.stringify(photo.location), req.user.userId]);
+        }
+        return await withTransaction(async (client) => {
+            const insertQuery = `
+                INSERT INTO photos (farm_id, ${column}, storage_key, thumbnail_key, content_type, size_bytes, width, height, caption, taken_at, location, uploaded_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING ${PHOTO_COLUMNS};`;
+            const saved = [];
+            for (const values of records) {
+                saved.push((await client.query(insertQuery, values)).rows[0]);
+            }
+            return saved;
+        });
+    } catch (err) {
+        await removeStoredFiles(stored);
+        throw err;
+    }
+};
+
 // ==========================================================================
 // API Routes
 // ==========================================================================
@@ -70,11 +966,24 @@ app.post('/api/register', async (req, res) => {
     try {
         const { email, password } = req.body;
         if (!email || !password) { return res.status(400).send({ message: 'Email and password are required.' }); }
+        if (!isValidEmail(email)) { return res.status(400).send({ message: 'Enter a valid email address.' }); }
+        if (password.length < MIN_PASSWORD_LENGTH) { return res.status(400).send({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` }); }
         const saltRounds = 10;
         const passwordHash = await bcrypt.hash(password, saltRounds);
-        const newUserQuery = 'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at';
-        const newUser = await pool.query(newUserQuery, [email, passwordHash]);
-        res.status(201).json(newUser.rows[0]);
+        const { newUser, verificationToken } = await withTransaction(async (client) => {
+            const newUserQuery = 'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at';
+            const result = await client.query(newUserQuery, [email, passwordHash]);
+            // Every account starts with a farm of its own; others can be joined through invitations.
+            await createFarm(client, `${email.split('@')[0]}'s Farm`, result.rows[0].id);
+            return { newUser: result.rows[0], verificationToken: await createEmailToken(client, result.rows[0].id, 'verify-email') };
+        });
+        // The account exists either way; a failed email can be resent from the app.
+        try {
+            await sendVerificationEmail(newUser.email, verificationToken);
+        } catch (mailErr) {
+            console.error('Error sending verification email:', mailErr.stack);
+        }
+        res.status(201).json(newUser);
     } catch (err) {
         if (err.code === '23505') { return res.status(409).send({ message: 'Email already in use.' }); }
         console.error('Error during registration:', err.stack);
@@ -90,48 +999,227 @@ app.post('/api/login', async (req, res) => {
         const user = userQuery.rows[0];
         const isMatch = await bcrypt.compare(password, user.password_hash);
         if (!isMatch) { return res.status(401).send({ message: 'Invalid credentials.' });}
-        const payload = { userId: user.id };
-        const options = { expiresIn: '1h' };
-        const token = jwt.sign(payload, JWT_SECRET, options);
-        res.json({ token });
+        res.json(await createSession(user.id, req.get('User-Agent')));
     } catch (err) {
         console.error('Error during login:', err.stack);
         res.status(500).send({ message: 'Internal Server Error' });
     }
 });
+// Links in verification emails land on the frontend, which posts the token here.
+app.post('/api/email/verify', async (req, res) => {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !token) { return res.status(400).json({ message: 'token is required.' }); }
+    try {
+        const userId = await withTransaction(async (client) => {
+            const tokenUserId = await consumeEmailToken(client, token, 'verify-email');
+            if (tokenUserId) await client.query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1', [tokenUserId]);
+            return tokenUserId;
+        });
+        if (!userId) { return res.status(400).json({ message: 'This verification link is invalid or has expired.' }); }
+        res.json({ message: 'Email address verified.' });
+    } catch (err) {
+        console.error('Error verifying email:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/email/verify/resend', authenticateToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT id, email, email_verified_at FROM users WHERE id = $1', [req.user.userId]);
+        if (rows.length === 0) { return res.status(404).json({ message: 'User not found.' }); }
+        if (rows[0].email_verified_at) { return res.status(409).json({ message: 'Email address is already verified.' }); }
+        const token = await createEmailToken(pool, rows[0].id, 'verify-email');
+        await sendVerificationEmail(rows[0].email, token);
+        res.json({ message: 'Verification email sent.' });
+    } catch (err) {
+        console.error('Error resending verification email:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Always answers the same way so the form can't be used to find out which emails have accounts.
+app.post('/api/password/forgot', async (req, res) => {
+    const { email } = req.body;
+    if (!isValidEmail(email)) { return res.status(400).json({ message: 'Enter a valid email address.' }); }
+    try {
+        const { rows } = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+        if (rows.length > 0) {
+            const token = await createEmailToken(pool, rows[0].id, 'password-reset');
+            // A failed send gets the same answer as an unknown email, so the response never tells which accounts exist.
+            try {
+                await sendPasswordResetEmail(rows[0].email, token);
+            } catch (mailErr) {
+                console.error('Error sending password reset email:', mailErr.stack);
+            }
+        }
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (err) {
+        console.error('Error requesting password reset:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// A new password ends every session, and receiving the link also proves the email address.
+app.post('/api/password/reset', async (req, res) => {
+    const { token, password } = req.body;
+    if (typeof token !== 'string' || !token) { return res.status(400).json({ message: 'token is required.' }); }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    try {
+        const passwordHash = await bcrypt.hash(password, 10);
+        const userId = await withTransaction(async (client) => {
+            const tokenUserId = await consumeEmailToken(client, token, 'password-reset');
+            if (!tokenUserId) return null;
+            await client.query('UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $2', [passwordHash, tokenUserId]);
+            await client.query('UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [tokenUserId]);
+            return tokenUserId;
+        });
+        if (!userId) { return res.status(400).json({ message: 'This reset link is invalid or has expired.' }); }
+        res.json({ message: 'Password updated. Log in with your new password.' });
+    } catch (err) {
+        console.error('Error resetting password:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Refresh tokens are single-use: each refresh replaces the session's token. Presenting a token
+// that was already replaced means it leaked, so the whole session is revoked.
+app.post('/api/token/refresh', async (req, res) => {
+    const { refresh_token } = req.body;
+    if (typeof refresh_token !== 'string' || !refresh_token) { return res.status(400).json({ message: 'refresh_token is required.' }); }
+    const tokenHash = hashToken(refresh_token);
+    try {
+        const refreshToken = newSecretToken();
+        const rotateQuery = `
+            UPDATE user_sessions
+            SET refresh_token_hash = $2, previous_token_hash = refresh_token_hash, last_used_at = NOW(),
+                expires_at = NOW() + make_interval(days => $3)
+            WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            RETURNING id, user_id;`;
+        const result = await pool.query(rotateQuery, [tokenHash, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]);
+        if (result.rowCount === 0) {
+            // Two tabs refreshing at the same moment also present the old token once; a few seconds of grace covers that.
+            const reuseQuery = `
+                UPDATE user_sessions SET revoked_at = NOW()
+                WHERE previous_token_hash = $1 AND revoked_at IS NULL AND last_used_at < NOW() - INTERVAL '10 seconds'
+                RETURNING id;`;
+            const reused = await pool.query(reuseQuery, [tokenHash]);
+            if (reused.rowCount > 0) console.warn(`Refresh token reuse detected; revoked session ${reused.rows[0].id}.`);
+            return res.status(401).json({ message: 'Refresh token is invalid or has expired.' });
+        }
+        const { id, user_id } = result.rows[0];
+        res.json(issueTokens(user_id, id, refreshToken));
+    } catch (err) {
+        console.error('Error refreshing token:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Holding the refresh token is enough to end its session, so logout works after the access token expired.
+app.post('/api/logout', async (req, res) => {
+    const { refresh_token } = req.body;
+    if (typeof refresh_token !== 'string' || !refresh_token) { return res.status(400).json({ message: 'refresh_token is required.' }); }
+    try {
+        await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL', [hashToken(refresh_token)]);
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (err) {
+        console.error('Error during logout:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+    try {
+        const query = `
+            SELECT id, user_agent, created_at, last_used_at, expires_at, (id = $2) AS current
+            FROM user_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            ORDER BY last_used_at DESC`;
+        const { rows } = await pool.query(query, [req.user.userId, req.user.sessionId ?? null]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching sessions:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id', [id, req.user.userId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Session not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Session revoked.', revokedSession: result.rows[0] });
+    } catch (err) {
+        console.error(`Error revoking session ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
 
 // --- Data Retrieval Routes (GET) ---
+app.get('/api/me', authenticateToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT id, email, is_admin, (email_verified_at IS NOT NULL) AS email_verified, created_at FROM users WHERE id = $1', [req.user.userId]);
+        if (rows.length === 0) { return res.status(404).json({ message: 'User not found.' }); }
+        res.json(rows[0]);
+    } catch (err) {
+        console.error('Error fetching current user:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
 app.get('/api/varieties', authenticateToken, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM varieties ORDER BY name ASC');
+        // `editable` tells the client which varieties this user may change or delete.
+        const query = `
+            SELECT v.*, (v.owner_id IS NOT NULL) AS is_private,
+                (v.owner_id = u.id OR (v.owner_id IS NULL AND u.is_admin)) AS editable
+            FROM varieties v JOIN users u ON u.id = $1
+            WHERE v.owner_id IS NULL OR v.owner_id = $1
+            ORDER BY v.name ASC`;
+        const result = await pool.query(query, [req.user.userId]);
         res.json(result.rows);
     } catch (err) {
         console.error('Error executing query', err.stack);
         res.status(500).send('Internal Server Error');
     }
 });
-app.get('/api/fields', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
+app.get('/api/fields', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const validationError = validateListQuery(req.query);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
     try {
-        const query = 'SELECT * FROM fields WHERE user_id = $1 ORDER BY created_at DESC';
-        const { rows } = await pool.query(query, [userId]);
-        res.json(rows);
+        res.json(await listFarmRecords(req, res, 'fields', 'field_shape(geometry)'));
     } catch (err) {
         console.error('Error fetching fields:', err.stack);
         res.status(500).json({ message: 'Internal Server Error' });
     }
 });
-app.get('/api/fields/:id', authenticateToken, async (req, res) => {
+// Each field's season in progress and latest soil sample, for colouring the map. Registered before
+// /api/fields/:id so "status" isn't taken for an ID.
+app.get('/api/fields/status', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    try {
+        const query = `
+            SELECT f.id AS field_id,
+                   (SELECT row_to_json(cs) FROM (${SEASON_SELECT} WHERE s.field_id = f.id AND s.actual_harvest_date IS NULL
+                        ORDER BY s.planting_date DESC LIMIT 1) cs) AS current_season,
+                   (SELECT row_to_json(ss) FROM (SELECT * FROM soil_samples WHERE field_id = f.id
+                        ORDER BY sampled_at DESC, created_at DESC LIMIT 1) ss) AS latest_soil_sample
+            FROM fields f
+            WHERE f.farm_id = $1
+            ORDER BY f.id;`;
+        const { rows } = await pool.query(query, [req.farm.id]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching field status:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+app.get('/api/fields/:id', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const farmId = req.farm.id;
     try {
-        const fieldQuery = 'SELECT * FROM fields WHERE id = $1 AND user_id = $2';
-        const fieldResult = await pool.query(fieldQuery, [id, userId]);
+        const fieldQuery = 'SELECT * FROM fields WHERE id = $1 AND farm_id = $2';
+        const fieldResult = await pool.query(fieldQuery, [id, farmId]);
         if (fieldResult.rowCount === 0) {
             return res.status(404).json({ message: 'Field not found or permission denied.' });
         }
-        const plantsQuery = 'SELECT * FROM plants WHERE field_id = $1 AND user_id = $2 ORDER BY created_at';
-        const plantsResult = await pool.query(plantsQuery, [id, userId]);
+        const plantsQuery = 'SELECT * FROM plants WHERE field_id = $1 AND farm_id = $2 ORDER BY created_at';
+        const plantsResult = await pool.query(plantsQuery, [id, farmId]);
         const fieldData = fieldResult.rows[0];
         fieldData.plants = plantsResult.rows;
         res.json(fieldData);
@@ -140,14 +1228,75 @@ app.get('/api/fields/:id', authenticateToken, async (req, res) => {
         res.status(500).json({ message: 'Internal Server Error' });
     }
 });
+// Plant counts per grid cell of a map extent, for maps zoomed out too far to list the plants. Cells can be split by
+// crop type (by=plant_type) and carry the average of a numeric custom_data attribute (attribute=<key>).
+app.get('/api/plants/density', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { bbox, zoom, by, attribute } = req.query;
+    if (bbox === undefined || zoom === undefined) { return res.status(400).json({ message: 'bbox and zoom are required.' }); }
+    const validationError = validateListQuery({ bbox, zoom });
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    if (by !== undefined && by !== 'plant_type') { return res.status(400).json({ message: 'by must be plant_type.' }); }
+    if (attribute !== undefined && (typeof attribute !== 'string' || !attribute.trim() || attribute.length > 100)) {
+        return res.status(400).json({ message: 'attribute must be a custom_data key.' });
+    }
+    const cellDegrees = (360 / 256 / 2 ** Number(zoom)) * DENSITY_CELL_PIXELS;
+    const params = [req.farm.id, ...parseBbox(bbox), cellDegrees];
+    let columns = 'COUNT(*)::int AS count';
+    if (by) columns += ', plant_type';
+    if (attribute) {
+        // Values that aren't numbers are left out of the average rather than failing the cast.
+        params.push(attribute, NUMERIC_TEXT_PATTERN);
+        columns += ', AVG(CASE WHEN custom_data->>$7 ~ $8 THEN (custom_data->>$7)::float8 END) AS value';
+    }
+    try {
+        const query = `
+            SELECT ST_Y(ST_Centroid(ST_Collect(plant_point(location)))) AS lat,
+                   ST_X(ST_Centroid(ST_Collect(plant_point(location)))) AS lng,
+                   ${columns}
+            FROM plants
+            WHERE farm_id = $1 AND ST_Intersects(plant_point(location), ST_MakeEnvelope($2, $3, $4, $5, 4326))
+            GROUP BY ST_SnapToGrid(plant_point(location), $6)${by ? ', plant_type' : ''};`;
+        const { rows } = await pool.query(query, params);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching plant density:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Plants within a radius of a point, nearest first. Registered before /api/plants/:id so "near" isn't taken for an ID.
+app.get('/api/plants/near', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { lat, lng, radius = 50, limit = 100 } = req.query;
+    if (!isValidLocation({ lat, lng }) || Math.abs(Number(lat)) > 90 || Math.abs(Number(lng)) > 180) {
+        return res.status(400).json({ message: 'lat and lng are required and must be valid coordinates.' });
+    }
+    if (!(Number(radius) > 0 && Number(radius) <= MAX_NEAR_RADIUS_METERS)) {
+        return res.status(400).json({ message: `radius must be between 0 and ${MAX_NEAR_RADIUS_METERS} meters.` });
+    }
+    if (!(Number.isInteger(Number(limit)) && Number(limit) >= 1 && Number(limit) <= MAX_PAGE_SIZE)) {
+        return res.status(400).json({ message: `limit must be between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+    try {
+        const query = `
+            SELECT *, ST_Distance(plant_point(location)::geography, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography) AS distance_m
+            FROM plants
+            WHERE farm_id = $1 AND ST_DWithin(plant_point(location)::geography, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography, $4)
+            ORDER BY distance_m
+            LIMIT $5;`;
+        const { rows } = await pool.query(query, [req.farm.id, Number(lng), Number(lat), Number(radius), Number(limit)]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching nearby plants:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
 // NEW: GET A SINGLE PLANT'S DETAILS
-app.get('/api/plants/:id', authenticateToken, async (req, res) => {
+app.get('/api/plants/:id', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const farmId = req.farm.id;
 
     try {
-        const query = 'SELECT * FROM plants WHERE id = $1 AND user_id = $2';
-        const result = await pool.query(query, [id, userId]);
+        const query = 'SELECT * FROM plants WHERE id = $1 AND farm_id = $2';
+        const result = await pool.query(query, [id, farmId]);
 
         if (result.rowCount === 0) {
             return res.status(404).json({ message: 'Plant not found or permission denied.' });
@@ -161,41 +1310,117 @@ app.get('/api/plants/:id', authenticateToken, async (req, res) => {
 });
 
 
-app.get('/api/plants', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
+app.get('/api/plants/:id/observations', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
     try {
-        const query = 'SELECT * FROM plants WHERE user_id = $1 ORDER BY created_at DESC';
-        const { rows } = await pool.query(query, [userId]);
+        const plantResult = await pool.query('SELECT id FROM plants WHERE id = $1 AND farm_id = $2', [id, farmId]);
+        if (plantResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Plant not found or permission denied.' });
+        }
+        const query = 'SELECT * FROM plant_observations WHERE plant_id = $1 ORDER BY observed_at ASC, created_at ASC';
+        const { rows } = await pool.query(query, [id]);
         res.json(rows);
     } catch (err) {
-        console.error('Error fetching plants:', err.stack);
+        console.error(`Error fetching observations for plant ${id}:`, err.stack);
         res.status(500).json({ message: 'Internal Server Error' });
     }
-    
 });
 
-// --- Data Creation Routes (POST) ---
-app.post('/api/fields', authenticateToken, async (req, res) => {
-    const { name, geometry, area_hectares } = req.body;
-    const userId = req.user.userId;
-    if (!name || !geometry || !area_hectares) { return res.status(400).json({ message: 'Name, geometry, and area are required.' }); }
+app.get('/api/fields/:id/seasons', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
     try {
-        const newFieldQuery = 'INSERT INTO fields (user_id, name, geometry, area_hectares) VALUES ($1, $2, $3, $4) RETURNING *;';
-        const values = [userId, name, geometry, area_hectares];
-        const result = await pool.query(newFieldQuery, values);
-        res.status(201).json(result.rows[0]);
+        const fieldResult = await pool.query('SELECT id FROM fields WHERE id = $1 AND farm_id = $2', [id, farmId]);
+        if (fieldResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Field not found or permission denied.' });
+        }
+        const { rows } = await pool.query(`${SEASON_SELECT} WHERE s.field_id = $1 ORDER BY s.planting_date DESC`, [id]);
+        res.json(rows);
+    } catch (err) {
+        console.error(`Error fetching seasons for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+app.get('/api/fields/:id/soil-samples', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
+    try {
+        const fieldResult = await pool.query('SELECT id FROM fields WHERE id = $1 AND farm_id = $2', [id, farmId]);
+        if (fieldResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Field not found or permission denied.' });
+        }
+        const query = 'SELECT * FROM soil_samples WHERE field_id = $1 ORDER BY sampled_at ASC, created_at ASC';
+        const { rows } = await pool.query(query, [id]);
+        res.json(rows);
+    } catch (err) {
+        console.error(`Error fetching soil samples for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+app.get('/api/plants', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const validationError = validateListQuery(req.query);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    // A bbox seen from below PLANT_LIST_MIN_ZOOM is only counted.
+    const countOnly = req.query.bbox !== undefined && req.query.zoom !== undefined && Number(req.query.zoom) < PLANT_LIST_MIN_ZOOM;
+    try {
+        res.json(await listFarmRecords(req, res, 'plants', 'plant_point(location)', { countOnly }));
+    } catch (err) {
+        console.error('Error fetching plants:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+    
+});
+
+// --- Data Creation Routes (POST) ---
+app.post('/api/fields', authenticateToken, requireFarmRole('manager'), idempotent, async (req, res) => {
+    const { name, geometry, repair, code } = req.body;
+    const userId = req.user.userId;
+    const farmId = req.farm.id;
+    if (!name || !geometry) { return res.status(400).json({ message: 'Name and geometry are required.' }); }
+    const codeError = code !== undefined ? plantTags.validateFieldCode(code) : null;
+    if (codeError) { return res.status(400).json({ message: codeError }); }
+    try {
+        // The shape is validated and the area derived from it; a client-sent area_hectares is ignored.
+        const shape = geo.normalizePolygon(geometry, { repair: repair === true });
+        if (shape.errors.length > 0) { return respondInvalidGeometry(res, shape); }
+        const areaHectares = (turf.area(shape.geometry) / 10000).toFixed(4);
+        const overlaps = await findFieldOverlaps(pool, farmId, shape.geometry);
+        if (overlaps.length > 0 && FIELD_OVERLAP_MODE === 'refuse') {
+            return res.status(409).json({ message: overlapMessage(overlaps), overlaps });
+        }
+        const field = await withTransaction(async (client) => {
+            const newFieldQuery = 'INSERT INTO fields (user_id, farm_id, name, geometry, area_hectares, code) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;';
+            const values = [userId, farmId, name, shape.geometry, areaHectares, code || null];
+            const result = await client.query(newFieldQuery, values);
+            await reassignPlantsForField(client, farmId, result.rows[0].id, shape.geometry);
+            return result.rows[0];
+        });
+        res.status(201).json({ ...field, overlaps, warning: overlaps.length > 0 ? overlapMessage(overlaps) : undefined });
     } catch (err) {
         console.error('Error creating field:', err.stack);
         res.status(500).json({ message: 'Internal Server Error' });
     }
 });
-app.post('/api/plants', authenticateToken, async (req, res) => {
+app.post('/api/plants', authenticateToken, requireFarmRole('technician'), idempotent, async (req, res) => {
     const { field_id, unique_tag, location, plant_type, custom_data } = req.body;
     const userId = req.user.userId;
+    const farmId = req.farm.id;
     if (!location || !plant_type) { return res.status(400).json({ message: 'Location and plant type are required.' }); }
+    if (!isValidLocation(location)) { return res.status(400).json({ message: 'Location must have numeric lat and lng.' }); }
     try {
-        const newPlantQuery = 'INSERT INTO plants (user_id, field_id, unique_tag, location, plant_type, custom_data) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;';
-        const values = [userId, field_id || null, unique_tag, location, plant_type, custom_data || {}];
+        const customDataError = checkCustomData(await loadAttributeSchemas(pool, farmId), [plant_type], custom_data || {});
+        if (customDataError) { return res.status(400).json({ message: customDataError }); }
+        // An explicit field_id must belong to the farm; otherwise the containing field is looked up.
+        if (field_id && !(await isFarmField(pool, farmId, field_id))) {
+            return res.status(400).json({ message: 'Field not found or permission denied.' });
+        }
+        const newPlantQuery = `
+            INSERT INTO plants (user_id, farm_id, field_id, unique_tag, location, plant_type, custom_data)
+            VALUES ($1, $2, COALESCE($3::int, ${containingFieldSql('$2', 'plant_point($5::jsonb)')}), $4, $5, $6, $7) RETURNING *;`;
+        const values = [userId, farmId, field_id || null, unique_tag, location, plant_type, custom_data || {}];
         const result = await pool.query(newPlantQuery, values);
         res.status(201).json(result.rows[0]);
     } catch (err) {
@@ -205,31 +1430,1119 @@ app.post('/api/plants', authenticateToken, async (req, res) => {
     }
 });
 
-// --- Data Deletion Routes (DELETE) ---
-app.delete('/api/fields/:id', authenticateToken, async (req, res) => {
+// Creates many plants at once, all or none, e.g. the rows generated by the "populate field" tool.
+app.post('/api/plants/bulk', authenticateToken, requireFarmRole('technician'), idempotent, async (req, res) => {
+    const { field_id } = req.body;
+    const userId = req.user.userId;
+    const farmId = req.farm.id;
+    const validationError = validateBulkPlants(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    const plants = req.body.plants.map(plant => ({
+        unique_tag: plant.unique_tag.trim(),
+        location: { lat: Number(plant.location.lat), lng: Number(plant.location.lng) },
+        plant_type: plant.plant_type,
+        custom_data: plant.custom_data || {}
+    }));
+    try {
+        // Generated plants get their attributes later, so required ones aren't enforced here.
+        const schemas = await loadAttributeSchemas(pool, farmId);
+        for (const [index, plant] of plants.entries()) {
+            const customDataError = checkCustomData(schemas, [plant.plant_type], plant.custom_data, { partial: true });
+            if (customDataError) { return res.status(400).json({ message: `Plant ${index + 1}: ${customDataError}` }); }
+        }
+        // As for a single plant: an explicit field_id must belong to the farm, otherwise each plant goes to its containing field.
+        if (field_id && !(await isFarmField(pool, farmId, field_id))) {
+            return res.status(400).json({ message: 'Field not found or permission denied.' });
+        }
+        const { rows: taken } = await pool.query('SELECT unique_tag FROM plants WHERE unique_tag = ANY($1)', [plants.map(p => p.unique_tag)]);
+        if (taken.length > 0) {
+            return res.status(409).json({
+                message: `${taken.length} of these unique tags are already in use, e.g. ${taken[0].unique_tag}.`,
+                tags: taken.map(row => row.unique_tag)
+            });
+        }
+        const created = await withTransaction(async (client) => {
+            const insertQuery = `
+                INSERT INTO plants (user_id, farm_id, field_id, unique_tag, location, plant_type, custom_data)
+                SELECT $1, $2, COALESCE($4::int, ${containingFieldSql('$2', 'plant_point(p.location)')}), p.unique_tag, p.location, p.plant_type, p.custom_data
+                FROM jsonb_to_recordset($3::jsonb) AS p(unique_tag TEXT, location JSONB, plant_type TEXT, custom_data JSONB)
+                RETURNING *;`;
+            const result = await client.query(insertQuery, [userId, farmId, JSON.stringify(plants), field_id || null]);
+            return result.rows;
+        });
+        res.status(201).json({ message: `Created ${created.length} plants.`, plants: created });
+    } catch (err) {
+        // A tag taken between the check above and the insert rolls back the whole batch.
+        if (err.code === '23505' && err.constraint === 'plants_unique_tag_key') { return res.status(409).json({ message: 'One of these unique tags is already in use.' }); }
+        console.error('Error creating plants in bulk:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Batch Routes (map selections) ---
+// Registered before the /api/plants/:id routes so "batch" isn't read as an ID. Each runs in one
+// transaction and answers with a result per plant; IDs not found on the farm are reported as failed.
+app.patch('/api/plants/batch', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { plant_ids, field_id, plant_type, custom_data } = req.body;
+    const farmId = req.farm.id;
+    const idsError = validatePlantIds(plant_ids);
+    if (idsError) { return res.status(400).json({ message: idsError }); }
+    if ([field_id, plant_type, custom_data].every(value => value === undefined)) {
+        return res.status(400).json({ message: 'At least one of field_id, plant_type or custom_data is required.' });
+    }
+    if (plant_type !== undefined && !plant_type) { return res.status(400).json({ message: 'Plant type cannot be empty.' }); }
+    if (custom_data !== undefined && (!custom_data || typeof custom_data !== 'object' || Array.isArray(custom_data))) {
+        return res.status(400).json({ message: 'custom_data must be an object; its keys are added to each plant\'s custom data.' });
+    }
+    try {
+        // field_id null detaches the plants from any field.
+        if (field_id !== undefined && field_id !== null) {
+            const fieldResult = await pool.query('SELECT id FROM fields WHERE id = $1 AND farm_id = $2', [field_id, farmId]);
+            if (fieldResult.rowCount === 0) { return res.status(400).json({ message: 'Field not found or permission denied.' }); }
+        }
+        // The keys are added to the plants' data, so each value is checked against the schema of every type selected.
+        if (custom_data !== undefined) {
+            const { rows } = await pool.query('SELECT DISTINCT plant_type FROM plants WHERE id = ANY($1::int[]) AND farm_id = $2', [plant_ids, farmId]);
+            const plantTypes = plant_type !== undefined ? [plant_type] : rows.map(row => row.plant_type);
+            const customDataError = checkCustomData(await loadAttributeSchemas(pool, farmId), plantTypes, custom_data, { partial: true });
+            if (customDataError) { return res.status(400).json({ message: customDataError }); }
+        }
+        const updated = await withTransaction(async (client) => {
+            const updateQuery = `
+                UPDATE plants SET
+                    field_id = CASE WHEN $3 THEN $4 ELSE field_id END,
+                    plant_type = COALESCE($5, plant_type),
+                    custom_data = COALESCE(custom_data, '{}'::jsonb) || COALESCE($6, '{}'::jsonb),
+                    updated_at = NOW()
+                WHERE id = ANY($1::int[]) AND farm_id = $2 RETURNING id;`;
+            const values = [plant_ids, farmId, field_id !== undefined, field_id ?? null, plant_type ?? null, custom_data ?? null];
+            const result = await client.query(updateQuery, values);
+            return result.rows.map(row => row.id);
+        });
+        const results = batchResults(plant_ids, updated, 'updated');
+        res.json({ message: `Updated ${updated.length} of ${results.length} plants.`, results });
+    } catch (err) {
+        console.error('Error updating plants in batch:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/plants/batch/delete', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { plant_ids } = req.body;
+    const idsError = validatePlantIds(plant_ids);
+    if (idsError) { return res.status(400).json({ message: idsError }); }
+    try {
+        const { deleted, photoKeys } = await withTransaction(async (client) => {
+            // The photos' rows go with the plants; their files are removed once that is committed.
+            const keys = await findPhotoKeys(client, req.farm.id, 'plant_id', plant_ids);
+            const result = await client.query('DELETE FROM plants WHERE id = ANY($1::int[]) AND farm_id = $2 RETURNING id', [plant_ids, req.farm.id]);
+            return { deleted: result.rows.map(row => row.id), photoKeys: keys };
+        });
+        await removeStoredFiles(photoKeys);
+        const results = batchResults(plant_ids, deleted, 'deleted');
+        res.json({ message: `Deleted ${deleted.length} of ${results.length} plants.`, results });
+    } catch (err) {
+        console.error('Error deleting plants in batch:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/plants/batch/observations', authenticateToken, requireFarmRole('technician'), idempotent, async (req, res) => {
+    const { plant_ids } = req.body;
+    const userId = req.user.userId;
+    const idsError = validatePlantIds(plant_ids);
+    if (idsError) { return res.status(400).json({ message: idsError }); }
+    const validationError = validateObservation(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    try {
+        const logged = await withTransaction(async (client) => {
+            const insertQuery = `
+                INSERT INTO plant_observations (plant_id, user_id, observed_at, height_cm, phenological_stage, pest_sightings, notes, photos, measurements)
+                SELECT p.id, $3, COALESCE($4, CURRENT_DATE), $5, $6, $7, $8, $9, $10
+                FROM plants p WHERE p.id = ANY($1::int[]) AND p.farm_id = $2
+                RETURNING plant_id;`;
+            const result = await client.query(insertQuery, [[...new Set(plant_ids.map(Number))], req.farm.id, userId, ...observationValues(req.body)]);
+            return result.rows.map(row => row.plant_id);
+        });
+        const results = batchResults(plant_ids, logged, 'created');
+        res.status(201).json({ message: `Logged the observation for ${logged.length} of ${results.length} plants.`, results });
+    } catch (err) {
+        console.error('Error logging observations in batch:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+app.post('/api/plants/:id/observations', authenticateToken, requireFarmRole('technician'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const validationError = validateObservation(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    try {
+        const plantResult = await pool.query('SELECT id FROM plants WHERE id = $1 AND farm_id = $2', [id, req.farm.id]);
+        if (plantResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Plant not found or permission denied.' });
+        }
+        const newObservationQuery = `
+            INSERT INTO plant_observations (plant_id, user_id, observed_at, height_cm, phenological_stage, pest_sightings, notes, photos, measurements)
+            VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $8, $9) RETURNING *;`;
+        const values = [id, userId, ...observationValues(req.body)];
+        const result = await pool.query(newObservationQuery, values);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error creating observation for plant ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/fields/:id/seasons', authenticateToken, requireFarmRole('manager'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const validationError = validateSeason(req.body, false);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    const { variety_id, zoning_region, planting_date, expected_harvest_date, actual_harvest_date, yield_amount, yield_unit, notes } = req.body;
+    try {
+        const fieldResult = await pool.query('SELECT id FROM fields WHERE id = $1 AND farm_id = $2', [id, req.farm.id]);
+        if (fieldResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Field not found or permission denied.' });
+        }
+        const cycleDays = await getVarietyCycleDays(pool, variety_id, userId);
+        if (cycleDays === null) { return res.status(400).json({ message: 'Variety not found.' }); }
+        // Without an explicit date, the harvest is expected at the end of the variety's cycle.
+        const newSeasonQuery = `
+            INSERT INTO crop_seasons (field_id, user_id, variety_id, zoning_region, planting_date, expected_harvest_date, actual_harvest_date, yield_amount, yield_unit, notes)
+            VALUES ($1, $2, $3, $4, $5::date, COALESCE($6::date, $5::date + $7::int), $8, $9, COALESCE($10, 'kg/ha'), $11) RETURNING id;`;
+        const values = [id, userId, variety_id, zoning_region || null, planting_date, expected_harvest_date || null, cycleDays,
+            actual_harvest_date || null, yield_amount ?? null, yield_unit || null, notes || null];
+        const result = await pool.query(newSeasonQuery, values);
+        const { rows } = await pool.query(`${SEASON_SELECT} WHERE s.id = $1`, [result.rows[0].id]);
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        console.error(`Error creating season for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/fields/:id/soil-samples', authenticateToken, requireFarmRole('technician'), idempotent, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { sampled_at, lab_name, location } = req.body;
+    if (!isValidDate(sampled_at)) { return res.status(400).json({ message: 'A valid sample date is required.' }); }
+    const missing = SOIL_NUTRIENT_COLUMNS.filter(key => req.body[key] === undefined || req.body[key] === null || !Number.isFinite(Number(req.body[key])));
+    if (missing.length > 0) { return res.status(400).json({ message: `Numeric values are required for: ${missing.join(', ')}.` }); }
+    if (location && !isValidLocation(location)) { return res.status(400).json({ message: 'Location must have numeric lat and lng.' }); }
+    try {
+        const fieldResult = await pool.query('SELECT id, geometry FROM fields WHERE id = $1 AND farm_id = $2', [id, req.farm.id]);
+        if (fieldResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Field not found or permission denied.' });
+        }
+        if (location && !isLocationInGeometry(location, fieldResult.rows[0].geometry)) {
+            return res.status(400).json({ message: 'The sample location must be inside the field.' });
+        }
+        const columns = ['field_id', 'user_id', 'sampled_at', 'lab_name', 'location', ...SOIL_NUTRIENT_COLUMNS];
+        const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+        const newSampleQuery = `INSERT INTO soil_samples (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *;`;
+        const values = [id, userId, sampled_at, lab_name || null, location || null, ...SOIL_NUTRIENT_COLUMNS.map(key => Number(req.body[key]))];
+        const result = await pool.query(newSampleQuery, values);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error creating soil sample for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/fields/:id/reassign-plants', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
+    try {
+        const result = await withTransaction(async (client) => {
+            const fieldResult = await client.query('SELECT id, geometry FROM fields WHERE id = $1 AND farm_id = $2', [id, farmId]);
+            if (fieldResult.rowCount === 0) return null;
+            const changed = await reassignPlantsForField(client, farmId, id, fieldResult.rows[0].geometry);
+            const countResult = await client.query('SELECT COUNT(*)::int AS count FROM plants WHERE field_id = $1 AND farm_id = $2', [id, farmId]);
+            return { changed, plantCount: countResult.rows[0].count };
+        });
+        if (!result) {
+            return res.status(404).json({ message: 'Field not found or permission denied.' });
+        }
+        res.json({ message: 'Plants reassigned successfully.', changedPlants: result.changed, plantCount: result.plantCount });
+    } catch (err) {
+        console.error(`Error reassigning plants for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Farm & Membership Routes ---
+// Fields and plants belong to farms. Farm-scoped routes pick the farm from the X-Farm-Id header.
+app.get('/api/farms', authenticateToken, async (req, res) => {
+    try {
+        const query = `
+            SELECT f.id, f.name, f.created_at, m.role,
+                (SELECT COUNT(*)::int FROM farm_members c WHERE c.farm_id = f.id) AS member_count
+            FROM farms f JOIN farm_members m ON m.farm_id = f.id
+            WHERE m.user_id = $1
+            ORDER BY m.created_at`;
+        const { rows } = await pool.query(query, [req.user.userId]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching farms:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/farms', authenticateToken, idempotent, async (req, res) => {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim()) { return res.status(400).json({ message: 'Farm name is required.' }); }
+    try {
+        const farm = await withTransaction(client => createFarm(client, name.trim(), req.user.userId));
+        res.status(201).json({ ...farm, role: 'owner', member_count: 1 });
+    } catch (err) {
+        console.error('Error creating farm:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.patch('/api/farms/:farmId', authenticateToken, requireFarmRole('owner'), async (req, res) => {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim()) { return res.status(400).json({ message: 'Farm name is required.' }); }
+    try {
+        const result = await pool.query('UPDATE farms SET name = $1 WHERE id = $2 RETURNING *', [name.trim(), req.farm.id]);
+        res.json({ ...result.rows[0], role: req.farm.role });
+    } catch (err) {
+        console.error(`Error updating farm ${req.farm.id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.get('/api/farms/:farmId/members', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const farmId = req.farm.id;
+    try {
+        const membersQuery = `
+            SELECT u.id AS user_id, u.email, m.role, m.created_at
+            FROM farm_members m JOIN users u ON u.id = m.user_id
+            WHERE m.farm_id = $1
+            ORDER BY m.created_at`;
+        const members = await pool.query(membersQuery, [farmId]);
+        // Pending invitations are only shown to those who can manage them.
+        let invitations = [];
+        if (hasFarmRole(req.farm.role, 'manager')) {
+            const invitationsQuery = 'SELECT id, email, role, created_at FROM farm_invitations WHERE farm_id = $1 AND accepted_at IS NULL ORDER BY created_at';
+            invitations = (await pool.query(invitationsQuery, [farmId])).rows;
+        }
+        res.json({ members: members.rows, invitations });
+    } catch (err) {
+        console.error(`Error fetching members of farm ${farmId}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/farms/:farmId/invitations', authenticateToken, requireFarmRole('manager'), idempotent, async (req, res) => {
+    const farmId = req.farm.id;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { role } = req.body;
+    if (!email || !email.includes('@')) { return res.status(400).json({ message: 'A valid email is required.' }); }
+    if (!FARM_ROLES.includes(role)) { return res.status(400).json({ message: `Role must be one of: ${FARM_ROLES.join(', ')}.` }); }
+    // Nobody can hand out a role above their own.
+    if (!hasFarmRole(req.farm.role, role)) {
+        return res.status(403).json({ message: `Only owners can invite ${role}s.`, required_role: role });
+    }
+    try {
+        const memberQuery = 'SELECT 1 FROM farm_members m JOIN users u ON u.id = m.user_id WHERE m.farm_id = $1 AND lower(u.email) = $2';
+        if ((await pool.query(memberQuery, [farmId, email])).rowCount > 0) {
+            return res.status(409).json({ message: 'This user is already a member of the farm.' });
+        }
+        const newInvitationQuery = `
+            INSERT INTO farm_invitations (farm_id, email, role, invited_by) VALUES ($1, $2, $3, $4)
+            RETURNING id, email, role, created_at;`;
+        const result = await pool.query(newInvitationQuery, [farmId, email, role, req.user.userId]);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).json({ message: 'This email already has a pending invitation.' }); }
+        console.error(`Error inviting to farm ${farmId}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/farms/:farmId/invitations/:id', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleteQuery = 'DELETE FROM farm_invitations WHERE id = $1 AND farm_id = $2 AND accepted_at IS NULL RETURNING *';
+        const result = await pool.query(deleteQuery, [id, req.farm.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Invitation not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Invitation cancelled successfully.', deletedInvitation: result.rows[0] });
+    } catch (err) {
+        console.error('Error cancelling invitation:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.patch('/api/farms/:farmId/members/:userId', authenticateToken, requireFarmRole('owner'), async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    if (!FARM_ROLES.includes(role)) { return res.status(400).json({ message: `Role must be one of: ${FARM_ROLES.join(', ')}.` }); }
+    try {
+        const member = await withTransaction(async (client) => {
+            const result = await client.query('UPDATE farm_members SET role = $1 WHERE farm_id = $2 AND user_id = $3 RETURNING *', [role, req.farm.id, userId]);
+            if (result.rowCount > 0) await assertFarmHasOwner(client, req.farm.id);
+            return result.rows[0];
+        });
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found or permission denied.' });
+        }
+        res.json(member);
+    } catch (err) {
+        if (err.code === 'LAST_OWNER') { return res.status(409).json({ message: err.message }); }
+        console.error('Error changing member role:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/farms/:farmId/members/:userId', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { userId } = req.params;
+    // Owners can remove anyone; everyone else can only leave.
+    if (String(userId) !== String(req.user.userId) && req.farm.role !== 'owner') {
+        return res.status(403).json({ message: 'Only owners can remove other members.', required_role: 'owner' });
+    }
+    try {
+        const member = await withTransaction(async (client) => {
+            const result = await client.query('DELETE FROM farm_members WHERE farm_id = $1 AND user_id = $2 RETURNING *', [req.farm.id, userId]);
+            if (result.rowCount > 0) await assertFarmHasOwner(client, req.farm.id);
+            return result.rows[0];
+        });
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Member removed successfully.', removedMember: member });
+    } catch (err) {
+        if (err.code === 'LAST_OWNER') { return res.status(409).json({ message: err.message }); }
+        console.error('Error removing member:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Invitations are matched by email, so they only reach users who verified theirs.
+app.get('/api/invitations', authenticateToken, async (req, res) => {
+    try {
+        const query = `
+            SELECT i.id, i.role, i.created_at, f.id AS farm_id, f.name AS farm_name, inviter.email AS invited_by_email
+            FROM farm_invitations i
+            JOIN users u ON u.id = $1 AND lower(u.email) = i.email AND u.email_verified_at IS NOT NULL
+            JOIN farms f ON f.id = i.farm_id
+            LEFT JOIN users inviter ON inviter.id = i.invited_by
+            WHERE i.accepted_at IS NULL
+            ORDER BY i.created_at`;
+        const { rows } = await pool.query(query, [req.user.userId]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching invitations:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/invitations/:id/accept', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    try {
+        const membership = await withTransaction(async (client) => {
+            const invitationQuery = `
+                UPDATE farm_invitations i SET accepted_at = NOW()
+                FROM users u
+                WHERE i.id = $1 AND u.id = $2 AND lower(u.email) = i.email AND u.email_verified_at IS NOT NULL AND i.accepted_at IS NULL
+                RETURNING i.farm_id, i.role;`;
+            const result = await client.query(invitationQuery, [id, userId]);
+            if (result.rowCount === 0) return null;
+            const { farm_id, role } = result.rows[0];
+            const memberQuery = `
+                INSERT INTO farm_members (farm_id, user_id, role) VALUES ($1, $2, $3)
+                ON CONFLICT (farm_id, user_id) DO NOTHING RETURNING *;`;
+            await client.query(memberQuery, [farm_id, userId, role]);
+            return { farm_id, role };
+        });
+        if (!membership) {
+            return res.status(404).json({ message: 'Invitation not found or permission denied.' });
+        }
+        res.json({ message: 'Invitation accepted.', ...membership });
+    } catch (err) {
+        console.error(`Error accepting invitation ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/invitations/:id', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleteQuery = `
+            DELETE FROM farm_invitations i USING users u
+            WHERE i.id = $1 AND u.id = $2 AND lower(u.email) = i.email AND i.accepted_at IS NULL RETURNING i.*`;
+        const result = await pool.query(deleteQuery, [id, req.user.userId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Invitation not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Invitation declined.', deletedInvitation: result.rows[0] });
+    } catch (err) {
+        console.error(`Error declining invitation ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Variety Catalogue Routes ---
+// Admins manage the shared catalogue; any user can keep private varieties of their own.
+app.post('/api/varieties', authenticateToken, idempotent, async (req, res) => {
+    const userId = req.user.userId;
+    const validationError = validateVariety(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    const variety = toVarietyRecord(req.body);
+    try {
+        // Varieties are private unless an admin explicitly adds them to the shared catalogue.
+        const isPrivate = req.body.is_private !== false;
+        if (!isPrivate && !await isAdminUser(userId)) {
+            return res.status(403).json({ message: 'Only admins can add varieties to the shared catalogue.', required_role: 'admin' });
+        }
+        const slug = await uniqueVarietySlug(pool, variety.name);
+        const newVarietyQuery = `
+            INSERT INTO varieties (name, slug, owner_id, crop, description, stages, target_population, details, ideal_soil_conditions)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *, (owner_id IS NOT NULL) AS is_private, TRUE AS editable;`;
+        const values = [variety.name, slug, isPrivate ? userId : null, variety.crop, variety.description, variety.stages,
+            variety.target_population, variety.details, variety.ideal_soil_conditions];
+        const result = await pool.query(newVarietyQuery, values);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).json({ message: 'Another variety was just saved with this name. Please try again.' }); }
+        console.error('Error creating variety:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.put('/api/varieties/:id', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const validationError = validateVariety(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    const variety = toVarietyRecord(req.body);
+    try {
+        if (!await findEditableVariety(id, userId)) {
+            return res.status(404).json({ message: 'Variety not found or permission denied.' });
+        }
+        // The slug is kept on rename so keys held by clients stay valid.
+        const updateQuery = `
+            UPDATE varieties SET name = $1, crop = $2, description = $3, stages = $4, target_population = $5,
+                details = $6, ideal_soil_conditions = $7, updated_at = NOW()
+            WHERE id = $8 RETURNING *, (owner_id IS NOT NULL) AS is_private, TRUE AS editable;`;
+        const values = [variety.name, variety.crop, variety.description, variety.stages, variety.target_population,
+            variety.details, variety.ideal_soil_conditions, id];
+        const result = await pool.query(updateQuery, values);
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error updating variety ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/varieties/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
     try {
-        const deleteQuery = 'DELETE FROM fields WHERE id = $1 AND user_id = $2 RETURNING *';
-        const result = await pool.query(deleteQuery, [id, userId]);
+        if (!await findEditableVariety(id, userId)) {
+            return res.status(404).json({ message: 'Variety not found or permission denied.' });
+        }
+        const result = await pool.query('DELETE FROM varieties WHERE id = $1 RETURNING *', [id]);
+        res.status(200).json({ message: 'Variety deleted successfully.', deletedVariety: result.rows[0] });
+    } catch (err) {
+        // Crop seasons keep a reference to the variety they were planted with.
+        if (err.code === '23503') { return res.status(409).json({ message: 'This variety is used by crop seasons and cannot be deleted.' }); }
+        console.error(`Error deleting variety ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Plant Attribute Schema Routes ---
+// The custom attributes recorded for each plant type. A farm's managers can replace the default schema
+// of a plant type with their own, and go back to the default by deleting theirs.
+app.get('/api/plant-schemas', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    try {
+        const query = `
+            SELECT DISTINCT ON (plant_type) plant_type, attributes, (farm_id IS NULL) AS is_default, updated_at
+            FROM plant_attribute_schemas
+            WHERE farm_id IS NULL OR farm_id = $1
+            ORDER BY plant_type, farm_id NULLS LAST;`;
+        const { rows } = await pool.query(query, [req.farm.id]);
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching plant attribute schemas:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.put('/api/plant-schemas/:plantType', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { plantType } = req.params;
+    const { attributes } = req.body;
+    if (!plantType.trim() || plantType.length > 100) { return res.status(400).json({ message: 'The plant type must have 1 to 100 characters.' }); }
+    const validationError = plantAttributes.validateAttributeSchema(attributes);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    try {
+        // Existing plants keep their data; values that no longer fit are reported when they are next edited.
+        const upsertQuery = `
+            INSERT INTO plant_attribute_schemas (farm_id, plant_type, attributes, updated_by) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (farm_id, plant_type) WHERE farm_id IS NOT NULL
+            DO UPDATE SET attributes = EXCLUDED.attributes, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+            RETURNING plant_type, attributes, FALSE AS is_default, updated_at;`;
+        const values = [req.farm.id, plantType, JSON.stringify(plantAttributes.toAttributeSchema(attributes)), req.user.userId];
+        const result = await pool.query(upsertQuery, values);
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error saving the attribute schema of ${plantType}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/plant-schemas/:plantType', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { plantType } = req.params;
+    try {
+        const result = await pool.query('DELETE FROM plant_attribute_schemas WHERE farm_id = $1 AND plant_type = $2', [req.farm.id, plantType]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'This farm has no attribute schema of its own for this plant type.' });
+        }
+        res.json({ message: 'The farm\'s schema was removed; the default one applies again, if any.' });
+    } catch (err) {
+        console.error(`Error deleting the attribute schema of ${plantType}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Plant Tag & Label Routes ---
+// New plants are tagged from the farm's template: a prefix, the field's code and a zero-padded sequence number.
+// Tags are printed as QR or Code 128 labels, and a scanned tag leads back to its plant.
+app.get('/api/tag-template', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    try {
+        res.json(await loadTagTemplate(pool, req.farm.id));
+    } catch (err) {
+        console.error('Error fetching the tag template:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.put('/api/tag-template', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { prefix, field_code, digits, separator, label_code } = req.body;
+    const template = { prefix, field_code, digits, separator, label_code };
+    const validationError = plantTags.validateTagTemplate(template);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    try {
+        await pool.query('UPDATE farms SET tag_template = $1 WHERE id = $2', [JSON.stringify(template), req.farm.id]);
+        res.json({ ...template, is_default: false });
+    } catch (err) {
+        console.error('Error saving the tag template:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// Hands out the next tags of a field (or of plants outside any field, with field_id null); each is handed out once.
+app.post('/api/tags/reserve', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { field_id = null, count = 1 } = req.body;
+    const farmId = req.farm.id;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BULK_PLANTS) {
+        return res.status(400).json({ message: `count must be a whole number from 1 to ${MAX_BULK_PLANTS}.` });
+    }
+    try {
+        let field = null;
+        if (field_id !== null) {
+            const fieldResult = await pool.query('SELECT id, code FROM fields WHERE id = $1 AND farm_id = $2', [field_id, farmId]);
+            if (fieldResult.rowCount === 0) { return res.status(400).json({ message: 'Field not found or permission denied.' }); }
+            field = fieldResult.rows[0];
+        }
+        const template = await loadTagTemplate(pool, farmId);
+        const stem = plantTags.tagStem(template, field);
+        const last = await reserveTagNumbers(pool, stem, count);
+        res.json({ tags: Array.from({ length: count }, (_, index) => plantTags.formatTag(stem, last - count + 1 + index, template.digits)) });
+    } catch (err) {
+        console.error('Error reserving plant tags:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// The plant a scanned label belongs to, on the current farm.
+app.get('/api/tags/:tag', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { tag } = req.params;
+    try {
+        const result = await pool.query('SELECT * FROM plants WHERE unique_tag = $1 AND farm_id = $2', [tag.trim(), req.farm.id]);
         if (result.rowCount === 0) {
+            return res.status(404).json({ message: `No plant of this farm is tagged ${tag}.` });
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error looking up the plant tagged ${tag}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+// A PDF sheet of labels for some plants (plant_ids) or every plant of a field (field_id), sorted by tag. code picks
+// QR codes or Code 128 barcodes, defaulting to the farm template's choice.
+app.post('/api/labels', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { plant_ids, field_id, code } = req.body;
+    const farmId = req.farm.id;
+    if ((plant_ids === undefined) === (field_id === undefined)) { return res.status(400).json({ message: 'Send either plant_ids or field_id.' }); }
+    const idsError = plant_ids !== undefined ? validatePlantIds(plant_ids) : null;
+    if (idsError) { return res.status(400).json({ message: idsError }); }
+    if (code !== undefined && !plantTags.LABEL_CODES.includes(code)) { return res.status(400).json({ message: `code must be one of: ${plantTags.LABEL_CODES.join(', ')}.` }); }
+    try {
+        if (field_id !== undefined) {
+            const fieldResult = await pool.query('SELECT id FROM fields WHERE id = $1 AND farm_id = $2', [field_id, farmId]);
+            if (fieldResult.rowCount === 0) { return res.status(404).json({ message: 'Field not found or permission denied.' }); }
+        }
+        const plantsQuery = `
+            SELECT p.unique_tag, p.plant_type, f.name AS field_name
+            FROM plants p LEFT JOIN fields f ON f.id = p.field_id
+            WHERE p.farm_id = $1 AND ${field_id !== undefined ? 'p.field_id = $2' : 'p.id = ANY($2::int[])'}
+            ORDER BY p.unique_tag
+            LIMIT ${MAX_BULK_PLANTS + 1};`;
+        const { rows } = await pool.query(plantsQuery, [farmId, field_id !== undefined ? field_id : plant_ids]);
+        if (rows.length === 0) { return res.status(404).json({ message: 'There are no plants to print labels for.' }); }
+        if (rows.length > MAX_BULK_PLANTS) { return res.status(400).json({ message: `At most ${MAX_BULK_PLANTS} labels can be printed at once.` }); }
+        const labelCode = code || (await loadTagTemplate(pool, farmId)).label_code;
+        const pdf = await labels.renderLabelSheet(rows.map(plant => ({ tag: plant.unique_tag, lines: [plant.plant_type, plant.field_name] })), labelCode);
+        res.attachment('agriplanum-labels.pdf');
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (err) {
+        console.error('Error printing plant labels:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Photo Routes ---
+// Photos of plants and fields, uploaded as multipart/form-data. Files are served through the API (not the
+// storage directly) so every download is checked against the farm; they never change, so clients may cache them.
+
+/**
+ * Builds the handler that uploads photos to a plant or a field.
+ * @param {string} table - 'plants' or 'fields'.
+ * @param {string} column - The photo column naming the record: 'plant_id' or 'field_id'.
+ * @param {string} label - 'Plant' or 'Field', for messages.
+ * @returns {Function} The route handler, to go after `receivePhotos`.
+ */
+const uploadPhotosHandler = (table, column, label) => async (req, res) => {
+    const { id } = req.params;
+    const caption = typeof req.body?.caption === 'string' ? req.body.caption.trim() : '';
+    if (!req.files || req.files.length === 0) { return res.status(400).json({ message: 'Attach at least one photo in the "photos" field.' }); }
+    if (caption.length > 500) { return res.status(400).json({ message: 'The caption can be up to 500 characters.' }); }
+    try {
+        const owner = await pool.query(`SELECT id FROM ${table} WHERE id = $1 AND farm_id = $2`, [id, req.farm.id]);
+        if (owner.rowCount === 0) {
+            return res.status(404).json({ message: `${label} not found or permission denied.` });
+        }
+        res.status(201).json(await savePhotos(req, column, owner.rows[0].id, caption || null));
+    } catch (err) {
+        if (err.invalidPhoto) { return res.status(400).json({ message: err.message }); }
+        console.error(`Error uploading photos of ${label.toLowerCase()} ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Builds the handler listing the photos of a plant or a field, most recently taken first.
+ * @param {string} column - 'plant_id' or 'field_id'.
+ * @param {string} label - 'Plant' or 'Field', for messages.
+ * @returns {Function} The route handler.
+ */
+const listPhotosHandler = (column, label) => async (req, res) => {
+    const { id } = req.params;
+    try {
+        const query = `SELECT ${PHOTO_COLUMNS} FROM photos WHERE ${column} = $1 AND farm_id = $2 ORDER BY COALESCE(taken_at, created_at) DESC, id DESC`;
+        const { rows } = await pool.query(query, [id, req.farm.id]);
+        res.json(rows);
+    } catch (err) {
+        console.error(`Error fetching photos of ${label.toLowerCase()} ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+app.get('/api/plants/:id/photos', authenticateToken, requireFarmRole('read-only'), listPhotosHandler('plant_id', 'Plant'));
+app.get('/api/fields/:id/photos', authenticateToken, requireFarmRole('read-only'), listPhotosHandler('field_id', 'Field'));
+app.post('/api/plants/:id/photos', authenticateToken, requireFarmRole('technician'), receivePhotos, uploadPhotosHandler('plants', 'plant_id', 'Plant'));
+app.post('/api/fields/:id/photos', authenticateToken, requireFarmRole('technician'), receivePhotos, uploadPhotosHandler('fields', 'field_id', 'Field'));
+
+// ?size=thumbnail serves the gallery thumbnail (a JPEG) instead of the photo as uploaded.
+app.get('/api/photos/:id/file', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { id } = req.params;
+    const thumbnail = req.query.size === 'thumbnail';
+    try {
+        const { rows } = await pool.query('SELECT storage_key, thumbnail_key, content_type FROM photos WHERE id = $1 AND farm_id = $2', [id, req.farm.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Photo not found or permission denied.' });
+        }
+        const stream = await storage.read(thumbnail ? rows[0].thumbnail_key : rows[0].storage_key);
+        if (!stream) {
+            console.error(`The file of photo ${id} is missing from storage.`);
+            return res.status(404).json({ message: 'The photo\'s file is missing.' });
+        }
+        res.set({
+            'Content-Type': thumbnail ? 'image/jpeg' : rows[0].content_type,
+            'Cache-Control': 'private, max-age=31536000, immutable'
+        });
+        stream.on('error', (err) => {
+            console.error(`Error streaming photo ${id}:`, err.stack);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error(`Error fetching photo ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/photos/:id', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query('DELETE FROM photos WHERE id = $1 AND farm_id = $2 RETURNING storage_key, thumbnail_key', [id, req.farm.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Photo not found or permission denied.' });
+        }
+        await removeStoredFiles([result.rows[0].storage_key, result.rows[0].thumbnail_key]);
+        res.status(200).json({ message: 'Photo deleted successfully.' });
+    } catch (err) {
+        console.error(`Error deleting photo ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Zoning Routes ---
+// Planting windows per crop, region and season year. Reading is open to every user; changes are for admins.
+app.get('/api/zoning', authenticateToken, async (req, res) => {
+    const { crop, season_year } = req.query;
+    try {
+        const conditions = [];
+        const values = [];
+        if (crop) { values.push(String(crop).toLowerCase()); conditions.push(`w.crop = $${values.length}`); }
+        if (season_year) { values.push(Number(season_year)); conditions.push(`w.season_year = $${values.length}`); }
+        const windowsQuery = `
+            SELECT w.crop, w.region_code, w.season_year, ${ZONING_WINDOW_FIELDS.map(key => `w.${key}`).join(', ')}
+            FROM zoning_windows w
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY w.crop, w.region_code, w.season_year`;
+        const windows = await pool.query(windowsQuery, values);
+        const regions = await pool.query('SELECT code, name, (geometry IS NOT NULL) AS has_geometry FROM zoning_regions ORDER BY name');
+        res.json({ regions: regions.rows, windows: windows.rows });
+    } catch (err) {
+        console.error('Error fetching zoning:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.get('/api/fields/:id/zoning-region', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const fieldResult = await pool.query('SELECT geometry FROM fields WHERE id = $1 AND farm_id = $2', [id, req.farm.id]);
+        if (fieldResult.rowCount === 0) {
             return res.status(404).json({ message: 'Field not found or permission denied.' });
         }
-        res.status(200).json({ message: 'Field deleted successfully.', deletedField: result.rows[0] });
+        const region = await findZoningRegionForGeometry(fieldResult.rows[0].geometry);
+        res.json({ region });
     } catch (err) {
-        console.error('Error deleting field:', err.stack);
+        console.error(`Error suggesting zoning region for field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.put('/api/zoning/regions/:code', authenticateToken, async (req, res) => {
+    const { code } = req.params;
+    const { name, geometry } = req.body;
+    if (!isZoningCode(code)) { return res.status(400).json({ message: 'Region codes use letters, digits and hyphens.' }); }
+    if (typeof name !== 'string' || !name.trim()) { return res.status(400).json({ message: 'Name is required.' }); }
+    if (geometry !== undefined && geometry !== null && !isPolygonGeometry(geometry)) {
+        return res.status(400).json({ message: 'geometry must be a GeoJSON Polygon or MultiPolygon.' });
+    }
+    try {
+        if (!await isAdminUser(req.user.userId)) {
+            return res.status(403).json({ message: 'Only admins can change zoning.', required_role: 'admin' });
+        }
+        const upsertQuery = `
+            INSERT INTO zoning_regions (code, name, geometry) VALUES ($1, $2, $3)
+            ON CONFLICT (code) DO UPDATE SET name = EXCLUDED.name, geometry = EXCLUDED.geometry
+            RETURNING code, name, (geometry IS NOT NULL) AS has_geometry;`;
+        const result = await pool.query(upsertQuery, [code.toLowerCase(), name.trim(), geometry || null]);
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`Error saving zoning region ${code}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.put('/api/zoning/windows', authenticateToken, async (req, res) => {
+    const validationError = validateZoningWindow(req.body);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
+    const { crop, region_code, season_year } = req.body;
+    try {
+        if (!await isAdminUser(req.user.userId)) {
+            return res.status(403).json({ message: 'Only admins can change zoning.', required_role: 'admin' });
+        }
+        // One window per crop, region and season year: publishing it again replaces the days.
+        const upsertQuery = `
+            INSERT INTO zoning_windows (crop, region_code, season_year, ${ZONING_WINDOW_FIELDS.join(', ')})
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT ON CONSTRAINT zoning_windows_crop_region_year_key DO UPDATE SET
+                ${ZONING_WINDOW_FIELDS.map(key => `${key} = EXCLUDED.${key}`).join(', ')}
+            RETURNING crop, region_code, season_year, ${ZONING_WINDOW_FIELDS.join(', ')};`;
+        const values = [crop.trim().toLowerCase(), region_code.trim().toLowerCase(), Number(season_year), ...ZONING_WINDOW_FIELDS.map(key => req.body[key])];
+        const result = await pool.query(upsertQuery, values);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (err.code === '23503') { return res.status(400).json({ message: 'Unknown zoning region. Create the region first.' }); }
+        console.error('Error saving zoning window:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Import & Export Routes ---
+app.get('/api/export', authenticateToken, requireFarmRole('read-only'), async (req, res) => {
+    const format = req.query.format || 'geojson';
+    const farmId = req.farm.id;
+    if (!geo.FORMATS.includes(format)) { return res.status(400).json({ message: `Format must be one of: ${geo.FORMATS.join(', ')}.` }); }
+    try {
+        const fieldsResult = await pool.query('SELECT * FROM fields WHERE farm_id = $1 ORDER BY created_at', [farmId]);
+        const plantsResult = await pool.query('SELECT * FROM plants WHERE farm_id = $1 ORDER BY created_at', [farmId]);
+        const file = await geo.serialize(geo.toFeatureCollection(fieldsResult.rows, plantsResult.rows), format);
+        res.attachment(`agriplanum-export.${file.extension}`);
+        res.type(file.contentType);
+        res.send(file.body);
+    } catch (err) {
+        console.error('Error exporting data:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.post('/api/import', authenticateToken, requireFarmRole('manager'), idempotent, async (req, res) => {
+    const { format, data, dry_run, default_plant_type } = req.body;
+    const userId = req.user.userId;
+    const farmId = req.farm.id;
+    if (!geo.FORMATS.includes(format) || !data) { return res.status(400).json({ message: `File data and a format (${geo.FORMATS.join(', ')}) are required.` }); }
+
+    let entries;
+    try {
+        entries = geo.classifyFeatures(await geo.parse(format, data), { defaultPlantType: default_plant_type });
+    } catch (err) {
+        return res.status(400).json({ message: `Could not read the ${format} file: ${err.message}` });
+    }
+    if (entries.length === 0) { return res.status(400).json({ message: 'The file contains no features.' }); }
+
+    // A dry run only reports what would be imported, so the client can preview it on the map.
+    if (dry_run) {
+        return res.json({ features: entries.map(({ record, ...entry }) => ({ ...entry, status: entry.errors.length ? 'invalid' : 'valid' })) });
+    }
+
+    try {
+        const report = await withTransaction(async (client) => {
+            const results = [];
+            // Fields go first so the imported plants can be assigned to them.
+            for (const entry of entries.filter(e => e.kind === 'field' && e.record)) {
+                const { name, geometry, area_hectares } = entry.record;
+                // Fields imported earlier in the file count as existing ones.
+                const overlaps = await findFieldOverlaps(client, farmId, geometry);
+                if (overlaps.length > 0 && FIELD_OVERLAP_MODE === 'refuse') {
+                    results.push({ index: entry.index, kind: entry.kind, name: entry.name, status: 'failed', errors: [overlapMessage(overlaps)] });
+                    continue;
+                }
+                const result = await client.query(
+                    'INSERT INTO fields (user_id, farm_id, name, geometry, area_hectares) VALUES ($1, $2, $3, $4, $5) RETURNING id;',
+                    [userId, farmId, name, geometry, area_hectares]
+                );
+                await reassignPlantsForField(client, farmId, result.rows[0].id, geometry);
+                results.push({
+                    index: entry.index, kind: entry.kind, name: entry.name, status: 'created', id: result.rows[0].id, errors: [],
+                    warnings: overlaps.length > 0 ? [overlapMessage(overlaps)] : []
+                });
+            }
+            const schemas = await loadAttributeSchemas(client, farmId);
+            for (const entry of entries.filter(e => e.kind === 'plant' && e.record)) {
+                const { unique_tag, location, plant_type, custom_data } = entry.record;
+                const customDataError = checkCustomData(schemas, [plant_type], custom_data, { partial: true });
+                if (customDataError) {
+                    results.push({ index: entry.index, kind: entry.kind, name: entry.name, status: 'failed', errors: [customDataError] });
+                    continue;
+                }
+                // A savepoint per plant lets a duplicate tag fail that feature alone.
+                await client.query('SAVEPOINT import_plant');
+                try {
+                    // The fields imported above are already in place to be found.
+                    const result = await client.query(`
+                        INSERT INTO plants (user_id, farm_id, field_id, unique_tag, location, plant_type, custom_data)
+                        VALUES ($1, $2, ${containingFieldSql('$2', 'plant_point($4::jsonb)')}, $3, $4, $5, $6) RETURNING id;`,
+                        [userId, farmId, unique_tag, location, plant_type, custom_data]
+                    );
+                    await client.query('RELEASE SAVEPOINT import_plant');
+                    results.push({ index: entry.index, kind: entry.kind, name: entry.name, status: 'created', id: result.rows[0].id, errors: [] });
+                } catch (err) {
+                    await client.query('ROLLBACK TO SAVEPOINT import_plant');
+                    if (!(err.code === '23505' && err.constraint === 'plants_unique_tag_key')) throw err;
+                    results.push({ index: entry.index, kind: entry.kind, name: entry.name, status: 'failed', errors: ['This unique tag is already in use.'] });
+                }
+            }
+            entries.filter(e => !e.record).forEach(entry => {
+                results.push({ index: entry.index, kind: entry.kind, name: entry.name, status: 'invalid', errors: entry.errors });
+            });
+            return results.sort((a, b) => a.index - b.index);
+        });
+        const created = report.filter(r => r.status === 'created');
+        res.status(201).json({
+            message: `Imported ${created.filter(r => r.kind === 'field').length} fields and ${created.filter(r => r.kind === 'plant').length} plants.`,
+            features: report
+        });
+    } catch (err) {
+        console.error('Error importing data:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Data Update Routes (PATCH) ---
+app.patch('/api/fields/:id', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { id } = req.params;
+    const { name, geometry, repair, code } = req.body;
+    const farmId = req.farm.id;
+    if (name === undefined && geometry === undefined && code === undefined) { return res.status(400).json({ message: 'Name, geometry or code is required.' }); }
+    if (name !== undefined && String(name).trim() === '') { return res.status(400).json({ message: 'Name cannot be empty.' }); }
+    // An empty code removes it; plant tags then use F<id>.
+    const codeError = code !== undefined ? plantTags.validateFieldCode(code) : null;
+    if (codeError) { return res.status(400).json({ message: codeError }); }
+    const expected = expectedUpdatedAt(req);
+    if (expected === undefined) { return res.status(400).json({ message: 'If-Match must hold the updated_at of the field.' }); }
+    try {
+        const shape = geometry !== undefined ? geo.normalizePolygon(geometry, { repair: repair === true }) : null;
+        if (shape && shape.errors.length > 0) { return respondInvalidGeometry(res, shape); }
+        // The area is always derived from the stored shape, so it is recomputed whenever the geometry changes.
+        const newGeometry = shape ? shape.geometry : null;
+        const areaHectares = newGeometry ? (turf.area(newGeometry) / 10000).toFixed(4) : null;
+        const overlaps = newGeometry ? await findFieldOverlaps(pool, farmId, newGeometry, id) : [];
+        if (overlaps.length > 0 && FIELD_OVERLAP_MODE === 'refuse') {
+            return res.status(409).json({ message: overlapMessage(overlaps), overlaps });
+        }
+        const field = await withTransaction(async (client) => {
+            const updateQuery = `
+                UPDATE fields SET
+                    name = COALESCE($1, name),
+                    geometry = COALESCE($2, geometry),
+                    area_hectares = COALESCE($3, area_hectares),
+                    code = CASE WHEN $7 THEN $8 ELSE code END,
+                    updated_at = NOW()
+                WHERE id = $4 AND farm_id = $5 AND ($6::timestamptz IS NULL OR updated_at = $6) RETURNING *;`;
+            const values = [name !== undefined ? String(name).trim() : null, newGeometry, areaHectares, id, farmId, expected, code !== undefined, code || null];
+            const result = await client.query(updateQuery, values);
+            if (result.rowCount > 0 && newGeometry) {
+                await reassignPlantsForField(client, farmId, id, newGeometry);
+            }
+            return result.rows[0];
+        });
+        if (!field) {
+            return respondMissingOrConflict(res, 'fields', id, farmId, 'Field');
+        }
+        res.json({ ...field, overlaps, warning: overlaps.length > 0 ? overlapMessage(overlaps) : undefined });
+    } catch (err) {
+        console.error(`Error updating field ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.patch('/api/plants/:id', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { id } = req.params;
+    const { unique_tag, location, plant_type, custom_data } = req.body;
+    const farmId = req.farm.id;
+    if ([unique_tag, location, plant_type, custom_data].every(value => value === undefined)) {
+        return res.status(400).json({ message: 'At least one of unique_tag, location, plant_type or custom_data is required.' });
+    }
+    if (location !== undefined && !isValidLocation(location)) { return res.status(400).json({ message: 'Location must have numeric lat and lng.' }); }
+    if (plant_type !== undefined && !plant_type) { return res.status(400).json({ message: 'Plant type cannot be empty.' }); }
+    const expected = expectedUpdatedAt(req);
+    if (expected === undefined) { return res.status(400).json({ message: 'If-Match must hold the updated_at of the plant.' }); }
+    try {
+        // Replaced custom data is checked against the schema of the plant's type, new or current.
+        if (custom_data !== undefined && custom_data !== null) {
+            let plantType = plant_type;
+            if (plantType === undefined) {
+                const { rows } = await pool.query('SELECT plant_type FROM plants WHERE id = $1 AND farm_id = $2', [id, farmId]);
+                if (rows.length === 0) { return res.status(404).json({ message: 'Plant not found or permission denied.' }); }
+                plantType = rows[0].plant_type;
+            }
+            const customDataError = checkCustomData(await loadAttributeSchemas(pool, farmId), [plantType], custom_data);
+            if (customDataError) { return res.status(400).json({ message: customDataError }); }
+        }
+        // Moving a plant re-evaluates which field contains it.
+        const updateQuery = `
+            UPDATE plants SET
+                unique_tag = COALESCE($1, unique_tag),
+                location = COALESCE($2::jsonb, location),
+                plant_type = COALESCE($3, plant_type),
+                custom_data = COALESCE($4, custom_data),
+                field_id = CASE WHEN $2::jsonb IS NOT NULL THEN ${containingFieldSql('$6', 'plant_point($2::jsonb)')} ELSE field_id END,
+                updated_at = NOW()
+            WHERE id = $5 AND farm_id = $6 AND ($7::timestamptz IS NULL OR updated_at = $7) RETURNING *;`;
+        const values = [unique_tag ?? null, location ?? null, plant_type ?? null, custom_data ?? null, id, farmId, expected];
+        const result = await pool.query(updateQuery, values);
+        if (result.rowCount === 0) {
+            return respondMissingOrConflict(res, 'plants', id, farmId, 'Plant');
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (err.code === '23505' && err.constraint === 'plants_unique_tag_key') { return res.status(409).json({ message: 'This unique tag is already in use.' }); }
+        console.error(`Error updating plant ${id}:`, err.stack);
         res.status(500).json({ message: 'Internal Server Error' });
     }
 });
-app.delete('/api/plants/:id', authenticateToken, async (req, res) => {
+
+// Technicians may update seasons so they can record harvests in the field.
+app.patch('/api/seasons/:id', authenticateToken, requireFarmRole('technician'), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
+    const validationError = validateSeason(req.body, true);
+    if (validationError) { return res.status(400).json({ message: validationError }); }
     try {
-        const deleteQuery = 'DELETE FROM plants WHERE id = $1 AND user_id = $2 RETURNING *';
-        const result = await pool.query(deleteQuery, [id, userId]);
+        const existingQuery = 'SELECT s.* FROM crop_seasons s JOIN fields f ON f.id = s.field_id WHERE s.id = $1 AND f.farm_id = $2';
+        const existingResult = await pool.query(existingQuery, [id, req.farm.id]);
+        if (existingResult.rowCount === 0) {
+            return res.status(404).json({ message: 'Season not found or permission denied.' });
+        }
+        const editable = ['variety_id', 'zoning_region', 'planting_date', 'expected_harvest_date', 'actual_harvest_date', 'yield_amount', 'yield_unit', 'notes'];
+        const season = { ...existingResult.rows[0] };
+        editable.filter(key => req.body[key] !== undefined).forEach(key => { season[key] = req.body[key]; });
+        if (season.actual_harvest_date && season.actual_harvest_date < season.planting_date) {
+            return res.status(400).json({ message: 'The harvest cannot be before the planting date.' });
+        }
+
+        // A new variety or planting date moves the expected harvest unless one was given explicitly.
+        let cycleDays = null;
+        if ((req.body.variety_id !== undefined || req.body.planting_date !== undefined) && req.body.expected_harvest_date === undefined) {
+            cycleDays = await getVarietyCycleDays(pool, season.variety_id, userId);
+            if (cycleDays === null) { return res.status(400).json({ message: 'Variety not found.' }); }
+        }
+        const updateQuery = `
+            UPDATE crop_seasons SET
+                variety_id = $1, zoning_region = $2, planting_date = $3::date,
+                expected_harvest_date = CASE WHEN $9::int IS NULL THEN $4::date ELSE $3::date + $9::int END,
+                actual_harvest_date = $5, yield_amount = $6, yield_unit = COALESCE($7, 'kg/ha'), notes = $8
+            WHERE id = $10;`;
+        const values = [season.variety_id, season.zoning_region, season.planting_date, season.expected_harvest_date,
+            season.actual_harvest_date, season.yield_amount, season.yield_unit, season.notes, cycleDays, id];
+        await pool.query(updateQuery, values);
+        const { rows } = await pool.query(`${SEASON_SELECT} WHERE s.id = $1`, [id]);
+        res.json(rows[0]);
+    } catch (err) {
+        console.error(`Error updating season ${id}:`, err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+// --- Data Deletion Routes (DELETE) ---
+app.delete('/api/fields/:id', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
+    const expected = expectedUpdatedAt(req);
+    if (expected === undefined) { return res.status(400).json({ message: 'If-Match must hold the updated_at of the field.' }); }
+    try {
+        const { deletedField, photoKeys } = await withTransaction(async (client) => {
+            const keys = await findPhotoKeys(client, farmId, 'field_id', [id]);
+            const deleteQuery = 'DELETE FROM fields WHERE id = $1 AND farm_id = $2 AND ($3::timestamptz IS NULL OR updated_at = $3) RETURNING *';
+            const result = await client.query(deleteQuery, [id, farmId, expected]);
+            if (result.rowCount > 0) {
+                // Plants left without a field may still sit inside an overlapping one.
+                await reassignPlantsForField(client, farmId, id, result.rows[0].geometry);
+            }
+            return { deletedField: result.rows[0], photoKeys: keys };
+        });
+        if (!deletedField) {
+            return respondMissingOrConflict(res, 'fields', id, farmId, 'Field');
+        }
+        // The field's photos went with it; their files are removed now that it is committed.
+        await removeStoredFiles(photoKeys);
+        res.status(200).json({ message: 'Field deleted successfully.', deletedField });
+    } catch (err) {
+        console.error('Error deleting field:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+app.delete('/api/plants/:id', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { id } = req.params;
+    const farmId = req.farm.id;
+    const expected = expectedUpdatedAt(req);
+    if (expected === undefined) { return res.status(400).json({ message: 'If-Match must hold the updated_at of the plant.' }); }
+    try {
+        const { result, photoKeys } = await withTransaction(async (client) => {
+            const keys = await findPhotoKeys(client, farmId, 'plant_id', [id]);
+            const deleteQuery = 'DELETE FROM plants WHERE id = $1 AND farm_id = $2 AND ($3::timestamptz IS NULL OR updated_at = $3) RETURNING *';
+            return { result: await client.query(deleteQuery, [id, farmId, expected]), photoKeys: keys };
+        });
         if (result.rowCount === 0) {
-            return res.status(404).json({ message: 'Plant not found or permission denied.' });
+            return respondMissingOrConflict(res, 'plants', id, farmId, 'Plant');
         }
+        // The plant's photos went with it; their files are removed now that it is committed.
+        await removeStoredFiles(photoKeys);
         res.status(200).json({ message: 'Plant deleted successfully.', deletedPlant: result.rows[0] });
     } catch (err) {
         console.error('Error deleting plant:', err.stack);
@@ -237,6 +2550,38 @@ app.delete('/api/plants/:id', authenticateToken, async (req, res) => {
     }
 });
 
+app.delete('/api/seasons/:id', authenticateToken, requireFarmRole('manager'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleteQuery = 'DELETE FROM crop_seasons s USING fields f WHERE s.id = $1 AND f.id = s.field_id AND f.farm_id = $2 RETURNING s.*';
+        const result = await pool.query(deleteQuery, [id, req.farm.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Season not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Season deleted successfully.', deletedSeason: result.rows[0] });
+    } catch (err) {
+        console.error('Error deleting season:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
+app.delete('/api/fields/:fieldId/soil-samples/:id', authenticateToken, requireFarmRole('technician'), async (req, res) => {
+    const { fieldId, id } = req.params;
+    try {
+        const deleteQuery = `
+            DELETE FROM soil_samples s USING fields f
+            WHERE s.id = $1 AND s.field_id = $2 AND f.id = s.field_id AND f.farm_id = $3 RETURNING s.*`;
+        const result = await pool.query(deleteQuery, [id, fieldId, req.farm.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Soil sample not found or permission denied.' });
+        }
+        res.status(200).json({ message: 'Soil sample deleted successfully.', deletedSample: result.rows[0] });
+    } catch (err) {
+        console.error('Error deleting soil sample:', err.stack);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+});
+
 // ==========================================================================
 // 7. Frontend Serving & 8. Server Startup
 // ==========================================================================
@@ -0,0 +1,120 @@
+// ==========================================================================
+// AGRIPlanum Backend - File Storage
+// Description: Stores uploaded files (plant and field photos) in a backend
+//              picked from the environment: a local directory by default, or
+//              an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...).
+// File: storage.js
+// ==========================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const DRIVERS = ['local', 's3'];
+
+// ==========================================================================
+// Drivers
+// ==========================================================================
+// Every driver is an object with:
+//   put(key, buffer, contentType) - stores a file, replacing any with the same key;
+//   read(key)                     - resolves to a readable stream, or null when there is no such file;
+//   remove(key)                   - deletes a file, doing nothing when it is already gone.
+// Keys are relative paths made of [A-Za-z0-9._-] segments separated by '/'.
+
+const KEY_PATTERN = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+function checkKey(key) {
+    if (!KEY_PATTERN.test(key) || key.split('/').some(segment => segment === '.' || segment === '..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+}
+
+/**
+ * Keeps files in a directory of the server. Files are lost when the server's disk is, e.g. on
+ * hosts with ephemeral storage, where the S3 driver should be used instead.
+ * @param {object} env - Environment with STORAGE_DIR (defaults to ./uploads).
+ * @returns {{put: Function, read: Function, remove: Function}} The driver.
+ */
+function createLocalStorage(env) {
+    const directory = path.resolve(env.STORAGE_DIR || path.join(__dirname, 'uploads'));
+    const fileOf = (key) => path.join(directory, ...checkKey(key).split('/'));
+    return {
+        async put(key, buffer) {
+            const file = fileOf(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+        async read(key) {
+            const file = fileOf(key);
+            try {
+                await fs.promises.access(file);
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+            return fs.createReadStream(file);
+        },
+        async remove(key) {
+            await fs.promises.rm(fileOf(key), { force: true });
+        }
+    };
+}
+
+/**
+ * Keeps files in an S3-compatible bucket.
+ * @param {object} env - Environment with S3_BUCKET, and optionally S3_REGION, S3_ENDPOINT (for services other
+ *        than AWS), S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (otherwise the usual AWS
+ *        credential chain applies) and S3_PREFIX, prepended to every key.
+ * @returns {{put: Function, read: Function, remove: Function}} The driver.
+ */
+function createS3Storage(env) {
+    if (!env.S3_BUCKET) throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3.');
+    // Loaded here so local setups don't pay for the SDK.
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const client = new S3Client({
+        region: env.S3_REGION || 'us-east-1',
+        endpoint: env.S3_ENDPOINT || undefined,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: env.S3_ACCESS_KEY_ID ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY } : undefined
+    });
+    const Bucket = env.S3_BUCKET;
+    const prefix = env.S3_PREFIX ? `${env.S3_PREFIX.replace(/\/+$/, '')}/` : '';
+    const objectKey = (key) => `${prefix}${checkKey(key)}`;
+    return {
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({ Bucket, Key: objectKey(key), Body: buffer, ContentType: contentType }));
+        },
+        async read(key) {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket, Key: objectKey(key) }));
+                return Body;
+            } catch (err) {
+                if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+                throw err;
+            }
+        },
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket, Key: objectKey(key) }));
+        }
+    };
+}
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+/**
+ * Creates the storage configured by STORAGE_DRIVER ('local', the default, or 's3').
+ * @param {object} [env=process.env] - The environment to read the configuration from.
+ * @returns {{put: Function, read: Function, remove: Function}} The storage driver.
+ */
+function createStorage(env = process.env) {
+    const name = env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS.includes(name)) throw new Error(`STORAGE_DRIVER must be one of: ${DRIVERS.join(', ')}.`);
+    return name === 's3' ? createS3Storage(env) : createLocalStorage(env);
+}
+
+module.exports = {
+    DRIVERS,
+    createStorage
+};
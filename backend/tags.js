@@ -0,0 +1,90 @@
+// ==========================================================================
+// AGRIPlanum Backend - Plant Tags
+// Description: Validates the farms' tag templates and builds plant tags from
+//              them: a prefix, the field's code and a zero-padded sequence
+//              number, e.g. "P-C1-0042". Mirrored on the client by
+//              docs/js/tags.js.
+// File: tags.js
+// ==========================================================================
+
+// Codes printed on labels: QR codes, or Code 128 barcodes for handheld laser scanners.
+const LABEL_CODES = ['qr', 'code128'];
+const SEPARATORS = ['-', '_', '.', ''];
+// Used by farms that haven't saved a template of their own.
+const DEFAULT_TAG_TEMPLATE = { prefix: 'P', field_code: true, digits: 4, separator: '-', label_code: 'qr' };
+// Prefixes and field codes only use characters that read unambiguously in tags and URLs.
+const CODE_PATTERN = /^[A-Za-z0-9]{1,20}$/;
+const MAX_DIGITS = 8;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a tag template.
+ * @param {object} template - `{ prefix, field_code, digits, separator, label_code }`.
+ * @returns {string|null} An error message, or null when the template is valid.
+ */
+function validateTagTemplate(template) {
+    if (!isPlainObject(template)) return 'The tag template must be an object.';
+    const { prefix, field_code, digits, separator, label_code } = template;
+    if (prefix !== '' && (typeof prefix !== 'string' || !CODE_PATTERN.test(prefix))) {
+        return 'prefix must have up to 20 letters and digits, or be empty.';
+    }
+    if (typeof field_code !== 'boolean') return 'field_code must be true or false.';
+    if (!Number.isInteger(digits) || digits < 1 || digits > MAX_DIGITS) return `digits must be a whole number from 1 to ${MAX_DIGITS}.`;
+    if (!SEPARATORS.includes(separator)) return `separator must be one of: ${SEPARATORS.map(s => `"${s}"`).join(', ')}.`;
+    if (!LABEL_CODES.includes(label_code)) return `label_code must be one of: ${LABEL_CODES.join(', ')}.`;
+    return null;
+}
+
+/**
+ * Validates the code of a field.
+ * @param {*} code - The code, or null/'' to remove it.
+ * @returns {string|null} An error message, or null when the code is valid.
+ */
+function validateFieldCode(code) {
+    if (code === null || code === '') return null;
+    return typeof code === 'string' && CODE_PATTERN.test(code) ? null : 'The field code must have up to 20 letters and digits.';
+}
+
+/**
+ * The code of a field in tags: its own, or F<id> when it has none.
+ * @param {{id: number, code: (string|null)}} field - The field.
+ * @returns {string} The code.
+ */
+function fieldCodeOf(field) {
+    return field.code || `F${field.id}`;
+}
+
+/**
+ * Builds the part of a tag before its sequence number.
+ * @param {object} template - A valid tag template.
+ * @param {object|null} field - The plant's field, or null for plants outside any field.
+ * @returns {string} The stem, e.g. "P-C1-"; empty for a template with neither prefix nor field code.
+ */
+function tagStem(template, field) {
+    const parts = [template.prefix, template.field_code && field ? fieldCodeOf(field) : ''].filter(Boolean);
+    return parts.length > 0 ? `${parts.join(template.separator)}${template.separator}` : '';
+}
+
+/**
+ * Builds a tag from its stem and sequence number, padding the number to the template's digits
+ * (longer numbers are kept whole).
+ * @param {string} stem - From `tagStem`.
+ * @param {number} sequence - The sequence number.
+ * @param {number} digits - The template's digits.
+ * @returns {string} The tag.
+ */
+function formatTag(stem, sequence, digits) {
+    return `${stem}${String(sequence).padStart(digits, '0')}`;
+}
+
+module.exports = {
+    DEFAULT_TAG_TEMPLATE,
+    LABEL_CODES,
+    SEPARATORS,
+    validateTagTemplate,
+    validateFieldCode,
+    fieldCodeOf,
+    tagStem,
+    formatTag
+};
@@ -6,19 +6,100 @@
 
 const API_BASE_URL = 'https://agriplanum.onrender.com';
 
+// ID of the farm the user is working on, sent with every request so the backend scopes data to it.
+let currentFarmId = null;
+
+export function setCurrentFarm(farmId) {
+    currentFarmId = farmId;
+}
+
+// Renews the access token when the server rejects it; set by main.js (see setRefreshHandler).
+let refreshHandler = null;
+// The refresh in flight, shared by every request that failed meanwhile so the refresh token is used once.
+let pendingRefresh = null;
+
+/**
+ * Registers the function that renews the session.
+ * @param {Function} handler - Async function resolving to a new access token, or null when the session is over.
+ */
+export function setRefreshHandler(handler) {
+    refreshHandler = handler;
+}
+
+/**
+ * Tells whether a response rejects the session itself. A 403 carrying `required_role` is a missing
+ * permission, not an expired session.
+ * @param {Response} response - The fetch response.
+ * @returns {Promise<boolean>} True for a 401, or a 403 without `required_role`.
+ */
+async function isSessionError(response) {
+    if (response.status === 401) return true;
+    if (response.status !== 403) return false;
+    const data = await response.clone().json().catch(() => ({}));
+    return !data.required_role;
+}
+
+function refreshAccessToken() {
+    if (!pendingRefresh) {
+        pendingRefresh = refreshHandler()
+            .catch(() => null)
+            .finally(() => { pendingRefresh = null; });
+    }
+    return pendingRefresh;
+}
+
+/**
+ * Wraps fetch to add the X-Farm-Id header once a farm has been chosen. An authenticated request
+ * rejected for its session is retried once with a refreshed access token.
+ * @param {string} url - The request URL.
+ * @param {object} [options] - Fetch options.
+ * @returns {Promise<Response>} The fetch response.
+ */
+async function request(url, options = {}) {
+    // An explicit X-Farm-Id (as on replayed offline changes) wins over the current farm.
+    const send = (opts) => fetch(url, { ...opts, headers: currentFarmId ? { 'X-Farm-Id': String(currentFarmId), ...opts.headers } : opts.headers });
+    const response = await send(options);
+    const isAuthenticated = !!(options.headers && options.headers.Authorization);
+    if (!isAuthenticated || !refreshHandler || !(await isSessionError(response))) return response;
+    const token = await refreshAccessToken();
+    if (!token) return response;
+    return send({ ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } });
+}
+
 async function handleResponse(response) {
-    if (response.status === 401 || response.status === 403) {
+    const data = await response.json();
+    // `request` has already tried refreshing the session, so a session error here means it is over.
+    if (response.status === 401 || (response.status === 403 && !data.required_role)) {
         window.dispatchEvent(new CustomEvent('auth-error'));
     }
-    const data = await response.json();
     if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+        // Kept for callers that tell failures apart, such as the offline sync queue.
+        error.status = response.status;
+        error.data = data;
+        throw error;
     }
     return data;
 }
 
+/**
+ * Builds the headers the offline sync queue adds to field and plant changes.
+ * @param {object} [requestOptions]
+ * @param {string} [requestOptions.idempotencyKey] - Makes a create safe to send again.
+ * @param {string} [requestOptions.ifMatch] - The record's `updated_at` the change was based on; the server answers 409 if it moved on.
+ * @param {number} [requestOptions.farmId] - The farm the change was made in, when it may no longer be the current one.
+ * @returns {object} The extra headers.
+ */
+function syncHeaders({ idempotencyKey, ifMatch, farmId } = {}) {
+    const headers = {};
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+    if (ifMatch) headers['If-Match'] = `"${ifMatch}"`;
+    if (farmId) headers['X-Farm-Id'] = String(farmId);
+    return headers;
+}
+
 export async function registerUser(email, password) {
-    const response = await fetch(`${API_BASE_URL}/api/register`, {
+    const response = await request(`${API_BASE_URL}/api/register`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email, password }),
@@ -27,7 +108,7 @@ export async function registerUser(email, password) {
 }
 
 export async function loginUser(email, password) {
-    const response = await fetch(`${API_BASE_URL}/api/login`, {
+    const response = await request(`${API_BASE_URL}/api/login`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email, password }),
@@ -35,67 +116,446 @@ export async function loginUser(email, password) {
     return handleResponse(response);
 }
 
+export async function verifyEmail(token) {
+    const response = await request(`${API_BASE_URL}/api/email/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+    });
+    return handleResponse(response);
+}
+
+export async function resendVerificationEmail(token) {
+    const response = await request(`${API_BASE_URL}/api/email/verify/resend`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function requestPasswordReset(email) {
+    const response = await request(`${API_BASE_URL}/api/password/forgot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+    });
+    return handleResponse(response);
+}
+
+export async function resetPassword(token, password) {
+    const response = await request(`${API_BASE_URL}/api/password/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+    });
+    return handleResponse(response);
+}
+
+export async function refreshToken(refreshToken) {
+    const response = await fetch(`${API_BASE_URL}/api/token/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+    // Not passed through handleResponse: a rejected refresh is reported by the request that needed it.
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+export async function logoutUser(refreshToken) {
+    const response = await fetch(`${API_BASE_URL}/api/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+    return handleResponse(response);
+}
+
+export async function fetchSessions(token) {
+    const response = await request(`${API_BASE_URL}/api/sessions`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function revokeSession(sessionId, token) {
+    const response = await request(`${API_BASE_URL}/api/sessions/${sessionId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function fetchCurrentUser(token) {
+    const response = await request(`${API_BASE_URL}/api/me`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
 export async function fetchVarieties(token) {
-    const response = await fetch(`${API_BASE_URL}/api/varieties`, {
+    const response = await request(`${API_BASE_URL}/api/varieties`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function fetchZoning(token) {
+    const response = await request(`${API_BASE_URL}/api/zoning`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     return handleResponse(response);
 }
 
-export async function saveField(fieldData, token) {
-    const response = await fetch(`${API_BASE_URL}/api/fields`, {
+export async function fetchFieldZoningRegion(fieldId, token) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}/zoning-region`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function createVariety(varietyData, token) {
+    const response = await request(`${API_BASE_URL}/api/varieties`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(varietyData),
+    });
+    return handleResponse(response);
+}
+
+export async function updateVariety(varietyId, varietyData, token) {
+    const response = await request(`${API_BASE_URL}/api/varieties/${varietyId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(varietyData),
+    });
+    return handleResponse(response);
+}
+
+export async function deleteVariety(varietyId, token) {
+    const response = await request(`${API_BASE_URL}/api/varieties/${varietyId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function saveField(fieldData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/fields`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
         body: JSON.stringify(fieldData),
     });
     return handleResponse(response);
 }
 
-export async function savePlant(plantData, token) {
-    const response = await fetch(`${API_BASE_URL}/api/plants`, {
+export async function savePlant(plantData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/plants`, {
         method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
+        body: JSON.stringify(plantData),
+    });
+    return handleResponse(response);
+}
+
+export async function savePlantsBulk(bulkData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/plants/bulk`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
+        body: JSON.stringify(bulkData),
+    });
+    return handleResponse(response);
+}
+
+export async function updatePlantsBatch(batchData, token) {
+    const response = await request(`${API_BASE_URL}/api/plants/batch`, {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(batchData),
+    });
+    return handleResponse(response);
+}
+
+export async function deletePlantsBatch(plantIds, token) {
+    const response = await request(`${API_BASE_URL}/api/plants/batch/delete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ plant_ids: plantIds }),
+    });
+    return handleResponse(response);
+}
+
+export async function savePlantsBatchObservation(batchData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/plants/batch/observations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
+        body: JSON.stringify(batchData),
+    });
+    return handleResponse(response);
+}
+
+export async function updateField(fieldId, fieldData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
+        body: JSON.stringify(fieldData),
+    });
+    return handleResponse(response);
+}
+
+export async function updatePlant(plantId, plantData, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/plants/${plantId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...syncHeaders(requestOptions) },
         body: JSON.stringify(plantData),
     });
     return handleResponse(response);
 }
 
 export async function fetchFields(token) {
-    const response = await fetch(`${API_BASE_URL}/api/fields`, {
+    const response = await request(`${API_BASE_URL}/api/fields`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Fetches each field's season in progress (with its variety's name) and latest soil sample.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Array<{field_id: number, current_season: (object|null), latest_soil_sample: (object|null)}>>} One entry per field.
+ */
+export async function fetchFieldStatus(token) {
+    const response = await request(`${API_BASE_URL}/api/fields/status`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     return handleResponse(response);
 }
 
 export async function fetchPlants(token) {
-    const response = await fetch(`${API_BASE_URL}/api/plants`, {
+    const response = await request(`${API_BASE_URL}/api/plants`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Fetches the plants inside a map extent, one page at a time.
+ * @param {object} params
+ * @param {Array<number>} params.bbox - [west, south, east, north] in degrees.
+ * @param {number} params.zoom - The map's zoom; zoomed out too far, the plants are only counted.
+ * @param {number} [params.limit] - The page size (the API allows up to 5000).
+ * @param {number} [params.offset] - How many plants to skip.
+ * @param {string} token - The JWT.
+ * @returns {Promise<{plants: Array<object>, total: number}>} The page and the number of plants in the extent.
+ */
+export async function fetchPlantsInView({ bbox, zoom, limit, offset }, token) {
+    const query = new URLSearchParams({ bbox: bbox.join(','), zoom: String(zoom) });
+    if (limit !== undefined) query.set('limit', String(limit));
+    if (offset !== undefined) query.set('offset', String(offset));
+    const response = await request(`${API_BASE_URL}/api/plants?${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const plants = await handleResponse(response);
+    return { plants, total: Number(response.headers.get('X-Total-Count') ?? plants.length) };
+}
+
+/**
+ * Fetches plant counts per grid cell of a map extent, for maps zoomed out too far to list the plants.
+ * @param {object} params
+ * @param {Array<number>} params.bbox - [west, south, east, north] in degrees.
+ * @param {number} params.zoom - The map's zoom, which sets the cell size.
+ * @param {string} [params.by] - 'plant_type' to count each crop type apart.
+ * @param {string} [params.attribute] - A custom_data key whose average each cell reports as `value`.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Array<{lat: number, lng: number, count: number}>>} The cells.
+ */
+export async function fetchPlantDensity({ bbox, zoom, by, attribute }, token) {
+    const query = new URLSearchParams({ bbox: bbox.join(','), zoom: String(zoom) });
+    if (by) query.set('by', by);
+    if (attribute) query.set('attribute', attribute);
+    const response = await request(`${API_BASE_URL}/api/plants/density?${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Fetches the attribute schema of each plant type: the farm's own, or the default one.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Array<{plant_type: string, attributes: Array<object>, is_default: boolean}>>} The schemas.
+ */
+export async function fetchPlantSchemas(token) {
+    const response = await request(`${API_BASE_URL}/api/plant-schemas`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function savePlantSchema(plantType, attributes, token) {
+    const response = await request(`${API_BASE_URL}/api/plant-schemas/${encodeURIComponent(plantType)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ attributes }),
+    });
+    return handleResponse(response);
+}
+
+export async function deletePlantSchema(plantType, token) {
+    const response = await request(`${API_BASE_URL}/api/plant-schemas/${encodeURIComponent(plantType)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Fetches the photos of a plant or a field, most recently taken first.
+ * @param {string} owner - 'plants' or 'fields'.
+ * @param {number} ownerId - The plant or field.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Array<object>>} The photos' details; their files come from `fetchPhotoFile`.
+ */
+export async function fetchPhotos(owner, ownerId, token) {
+    const response = await request(`${API_BASE_URL}/api/${owner}/${ownerId}/photos`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Uploads photos of a plant or a field as multipart/form-data.
+ * @param {string} owner - 'plants' or 'fields'.
+ * @param {number} ownerId - The plant or field.
+ * @param {FileList|Array<File>} files - The photos.
+ * @param {string} caption - Caption given to every photo, or '' for none.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Array<object>>} The photos saved.
+ */
+export async function uploadPhotos(owner, ownerId, files, caption, token) {
+    const body = new FormData();
+    [...files].forEach(file => body.append('photos', file));
+    if (caption) body.append('caption', caption);
+    // No Content-Type: the browser sets it with the multipart boundary.
+    const response = await request(`${API_BASE_URL}/api/${owner}/${ownerId}/photos`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body,
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Downloads a photo's file. Photos are served to the farm's members only, so they are fetched with
+ * the token rather than linked from an <img>.
+ * @param {number} photoId - The photo.
+ * @param {string} size - 'thumbnail', or 'full' for the photo as uploaded.
+ * @param {string} token - The JWT.
+ * @returns {Promise<Blob>} The image.
+ */
+export async function fetchPhotoFile(photoId, size, token) {
+    const query = size === 'thumbnail' ? '?size=thumbnail' : '';
+    const response = await request(`${API_BASE_URL}/api/photos/${photoId}/file${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) return handleResponse(response);
+    return response.blob();
+}
+
+export async function deletePhoto(photoId, token) {
+    const response = await request(`${API_BASE_URL}/api/photos/${photoId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Fetches the farm's tag template.
+ * @param {string} token - The JWT.
+ * @returns {Promise<object>} `{ prefix, field_code, digits, separator, label_code, is_default }`.
+ */
+export async function fetchTagTemplate(token) {
+    const response = await request(`${API_BASE_URL}/api/tag-template`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function saveTagTemplate(template, token) {
+    const response = await request(`${API_BASE_URL}/api/tag-template`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(template),
+    });
+    return handleResponse(response);
+}
+
+/**
+ * Takes the next tags of the farm's template, numbered by the server so no two plants get the same one.
+ * @param {number|null} fieldId - The field the plants are in, or null for plants outside any field.
+ * @param {number} count - How many tags to take.
+ * @param {string} token - The JWT.
+ * @returns {Promise<{tags: Array<string>}>} The tags.
+ */
+export async function reserveTags(fieldId, count, token) {
+    const response = await request(`${API_BASE_URL}/api/tags/reserve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ field_id: fieldId, count }),
+    });
+    return handleResponse(response);
+}
+
+export async function fetchPlantByTag(tag, token) {
+    const response = await request(`${API_BASE_URL}/api/tags/${encodeURIComponent(tag)}`, {
         headers: { 'Authorization': `Bearer ${token}` }
     });
     return handleResponse(response);
 }
 
-export async function deleteField(fieldId, token) {
-    const response = await fetch(`${API_BASE_URL}/api/fields/${fieldId}`, {
+/**
+ * Downloads a PDF sheet of plant labels.
+ * @param {object} labelRequest - `{ plant_ids }` or `{ field_id }`, and optionally `code` ('qr' or 'code128').
+ * @param {string} token - The JWT.
+ * @returns {Promise<Blob>} The PDF.
+ */
+export async function fetchLabels(labelRequest, token) {
+    const response = await request(`${API_BASE_URL}/api/labels`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(labelRequest),
+    });
+    if (!response.ok) return handleResponse(response);
+    return response.blob();
+}
+
+export async function deleteField(fieldId, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}`, {
         method: 'DELETE',
         headers: {
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            ...syncHeaders(requestOptions)
         }
     });
     return handleResponse(response);
 }
 
-export async function deletePlant(plantId, token) {
-    const response = await fetch(`${API_BASE_URL}/api/plants/${plantId}`, {
+export async function deletePlant(plantId, token, requestOptions) {
+    const response = await request(`${API_BASE_URL}/api/plants/${plantId}`, {
         method: 'DELETE',
         headers: {
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            ...syncHeaders(requestOptions)
         }
     });
     return handleResponse(response);
 }
 
 export async function fetchFieldDetails(fieldId, token) {
-    const response = await fetch(`${API_BASE_URL}/api/fields/${fieldId}`, {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}`, {
         headers: {
             'Authorization': `Bearer ${token}`
         }
@@ -104,10 +564,172 @@ export async function fetchFieldDetails(fieldId, token) {
     return handleResponse(response);
 }
 export async function fetchPlantDetails(plantId, token) {
-    const response = await fetch(`${API_BASE_URL}/api/plants/${plantId}`, {
+    const response = await request(`${API_BASE_URL}/api/plants/${plantId}`, {
         headers: {
             'Authorization': `Bearer ${token}`
         }
     });
     return handleResponse(response);
-}
\ No newline at end of file
+}
+
+export async function exportData(format, token) {
+    const response = await request(`${API_BASE_URL}/api/export?format=${encodeURIComponent(format)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    // Errors still come back as JSON; successful exports are files.
+    if (!response.ok) return handleResponse(response);
+    return response.blob();
+}
+
+export async function importData(importRequest, token) {
+    const response = await request(`${API_BASE_URL}/api/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(importRequest),
+    });
+    return handleResponse(response);
+}
+
+export async function fetchPlantObservations(plantId, token) {
+    const response = await request(`${API_BASE_URL}/api/plants/${plantId}/observations`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function savePlantObservation(plantId, observationData, token) {
+    const response = await request(`${API_BASE_URL}/api/plants/${plantId}/observations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(observationData),
+    });
+    return handleResponse(response);
+}
+
+export async function fetchFieldSeasons(fieldId, token) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}/seasons`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function saveSeason(fieldId, seasonData, token) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}/seasons`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(seasonData),
+    });
+    return handleResponse(response);
+}
+
+export async function updateSeason(seasonId, seasonData, token) {
+    const response = await request(`${API_BASE_URL}/api/seasons/${seasonId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(seasonData),
+    });
+    return handleResponse(response);
+}
+
+export async function deleteSeason(seasonId, token) {
+    const response = await request(`${API_BASE_URL}/api/seasons/${seasonId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function fetchSoilSamples(fieldId, token) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}/soil-samples`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function saveSoilSample(fieldId, sampleData, token) {
+    const response = await request(`${API_BASE_URL}/api/fields/${fieldId}/soil-samples`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(sampleData),
+    });
+    return handleResponse(response);
+}
+export async function fetchFarms(token) {
+    const response = await request(`${API_BASE_URL}/api/farms`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function createFarm(name, token) {
+    const response = await request(`${API_BASE_URL}/api/farms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ name }),
+    });
+    return handleResponse(response);
+}
+
+export async function fetchFarmMembers(farmId, token) {
+    const response = await request(`${API_BASE_URL}/api/farms/${farmId}/members`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function inviteFarmMember(farmId, email, role, token) {
+    const response = await request(`${API_BASE_URL}/api/farms/${farmId}/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ email, role }),
+    });
+    return handleResponse(response);
+}
+
+export async function cancelFarmInvitation(farmId, invitationId, token) {
+    const response = await request(`${API_BASE_URL}/api/farms/${farmId}/invitations/${invitationId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function updateFarmMemberRole(farmId, userId, role, token) {
+    const response = await request(`${API_BASE_URL}/api/farms/${farmId}/members/${userId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ role }),
+    });
+    return handleResponse(response);
+}
+
+export async function removeFarmMember(farmId, userId, token) {
+    const response = await request(`${API_BASE_URL}/api/farms/${farmId}/members/${userId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function fetchInvitations(token) {
+    const response = await request(`${API_BASE_URL}/api/invitations`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function acceptInvitation(invitationId, token) {
+    const response = await request(`${API_BASE_URL}/api/invitations/${invitationId}/accept`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
+
+export async function declineInvitation(invitationId, token) {
+    const response = await request(`${API_BASE_URL}/api/invitations/${invitationId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return handleResponse(response);
+}
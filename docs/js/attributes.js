@@ -0,0 +1,166 @@
+// ==========================================================================
+// AgriPlanum - Plant Attributes
+// Description: Builds the custom attribute inputs of the plant forms from
+//              the schema of the plant's type, reads and validates them (as
+//              backend/attributes.js does), and formats the stored values
+//              with their units for the details view.
+// File: attributes.js
+// ==========================================================================
+
+import { formatDate, parseISODate } from './utils.js';
+
+export const ATTRIBUTE_TYPES = { text: 'Text', number: 'Number', integer: 'Whole number', boolean: 'Yes / No', date: 'Date', select: 'List of options' };
+
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Labels an attribute with its unit, e.g. "Shade (%)".
+ * @param {object} attribute - The attribute definition.
+ * @returns {string} The label.
+ */
+export function attributeLabel(attribute) {
+    return attribute.unit ? `${attribute.label} (${attribute.unit})` : attribute.label;
+}
+
+/**
+ * Creates the input of one attribute: a number, date or text box, or a select for yes/no and option lists.
+ * @param {object} attribute - The attribute definition.
+ * @param {*} value - The current value, if any.
+ * @returns {HTMLElement} The input.
+ */
+function createAttributeInput(attribute, value) {
+    const { type, min, max, options, required } = attribute;
+    let input;
+    if (type === 'boolean' || type === 'select') {
+        input = document.createElement('select');
+        input.appendChild(new Option('-- Select --', ''));
+        if (type === 'boolean') {
+            input.appendChild(new Option('Yes', 'true'));
+            input.appendChild(new Option('No', 'false'));
+        } else {
+            options.forEach(option => input.appendChild(new Option(option, option)));
+        }
+    } else {
+        input = document.createElement('input');
+        input.type = type === 'number' || type === 'integer' ? 'number' : type === 'date' ? 'date' : 'text';
+        if (input.type === 'number') {
+            input.step = type === 'integer' ? '1' : 'any';
+            if (Number.isFinite(min)) input.min = min;
+            if (Number.isFinite(max)) input.max = max;
+        }
+        if (type === 'text') input.maxLength = MAX_TEXT_LENGTH;
+    }
+    input.required = Boolean(required);
+    input.dataset.attributeKey = attribute.key;
+    if (value !== undefined && value !== null) input.value = String(value);
+    return input;
+}
+
+/**
+ * Fills a container with the inputs of a plant type's attributes.
+ * @param {HTMLElement} container - The container, e.g. #plant-custom-fields.
+ * @param {Array<object>} attributes - The plant type's attributes; the container is emptied when there are none.
+ * @param {object} [values={}] - The plant's custom_data, to pre-fill the inputs.
+ * @param {string} idPrefix - Prefix of the input IDs, so several forms can hold the same attribute.
+ */
+export function renderAttributeInputs(container, attributes, values = {}, idPrefix) {
+    container.innerHTML = '';
+    if (attributes.length === 0) return;
+    const grid = document.createElement('div');
+    grid.className = 'form-grid';
+    attributes.forEach(attribute => {
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        const input = createAttributeInput(attribute, values[attribute.key]);
+        input.id = `${idPrefix}-${attribute.key}`;
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = `${attributeLabel(attribute)}${attribute.required ? ' *' : ''}:`;
+        group.append(label, input);
+        grid.appendChild(group);
+    });
+    container.appendChild(grid);
+}
+
+/**
+ * Reads the attribute inputs of a container.
+ * @param {HTMLElement} container - The container filled by `renderAttributeInputs`.
+ * @param {Array<object>} attributes - The same attributes.
+ * @returns {object} The values keyed by attribute, typed as stored; attributes left empty are absent.
+ */
+export function readAttributeInputs(container, attributes) {
+    const values = {};
+    attributes.forEach(attribute => {
+        const input = container.querySelector(`[data-attribute-key="${attribute.key}"]`);
+        const raw = input ? input.value.trim() : '';
+        if (raw === '') return;
+        if (attribute.type === 'number' || attribute.type === 'integer') values[attribute.key] = Number(raw);
+        else if (attribute.type === 'boolean') values[attribute.key] = raw === 'true';
+        else values[attribute.key] = raw;
+    });
+    return values;
+}
+
+/**
+ * Checks one value against its attribute.
+ * @param {object} attribute - The attribute definition.
+ * @param {*} value - The value, not empty.
+ * @returns {string|null} An error message, or null when the value is valid.
+ */
+function validateAttributeValue(attribute, value) {
+    const { label, type, min, max, options } = attribute;
+    switch (type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number.`;
+            if (type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number.`;
+            if (Number.isFinite(min) && value < min) return `${label} must be at least ${min}.`;
+            if (Number.isFinite(max) && value > max) return `${label} must be at most ${max}.`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${label} must be yes or no.`;
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+                ? null : `${label} must be a date.`;
+        case 'select':
+            return options.includes(value) ? null : `${label} must be one of: ${options.join(', ')}.`;
+        default:
+            return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH ? null : `${label} must be text of up to ${MAX_TEXT_LENGTH} characters.`;
+    }
+}
+
+/**
+ * Validates custom_data against a plant type's attributes, as the API does. Keys the schema doesn't define are accepted.
+ * @param {object} customData - The custom_data.
+ * @param {Array<object>} attributes - The plant type's attributes.
+ * @returns {string|null} An error message, or null when the data is valid.
+ */
+export function validateCustomData(customData, attributes) {
+    for (const attribute of attributes) {
+        const value = customData[attribute.key];
+        if (value === undefined || value === null || value === '') {
+            if (attribute.required) return `${attribute.label} is required.`;
+            continue;
+        }
+        const error = validateAttributeValue(attribute, value);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Formats a stored value for display, with its unit.
+ * @param {object} attribute - The attribute definition.
+ * @param {*} value - The value.
+ * @returns {string} The text, e.g. "35 %", "Yes" or "30/09/2025".
+ */
+export function formatAttributeValue(attribute, value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if ((attribute.type === 'number' || attribute.type === 'integer') && typeof value === 'number') {
+        const number = value.toLocaleString('pt-BR', { maximumFractionDigits: 4 });
+        return attribute.unit ? `${number} ${attribute.unit}` : number;
+    }
+    if (attribute.type === 'boolean' && typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (attribute.type === 'date' && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return formatDate(parseISODate(value));
+    return attribute.unit ? `${value} ${attribute.unit}` : String(value);
+}
@@ -7,13 +7,16 @@ import * as api from './api.js';
 import * as ui from './ui.js';
 
 const TOKEN_KEY = 'agriplanum_token';
+const REFRESH_TOKEN_KEY = 'agriplanum_refresh_token';
 
 /**
- * Stores the JWT in localStorage for session persistence.
+ * Stores the JWT, and the refresh token that renews it, in localStorage for session persistence.
  * @param {string} token - The authentication token to store.
+ * @param {string} [refreshToken] - The session's refresh token.
  */
-export function saveToken(token) {
+export function saveToken(token, refreshToken) {
     localStorage.setItem(TOKEN_KEY, token);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
 }
 
 /**
@@ -25,10 +28,48 @@ export function getToken() {
 }
 
 /**
- * Clears the JWT from localStorage, effectively logging the user out.
+ * Retrieves the stored refresh token from localStorage.
+ * @returns {string|null} The refresh token if available, otherwise null.
  */
-export function logout() {
+export function getRefreshToken() {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * Exchanges the stored refresh token for a new token pair. The refresh token is single-use,
+ * so the new one replaces it in storage.
+ * @returns {Promise<string|null>} The new access token, or null when the session can't be renewed.
+ */
+export async function refreshSession() {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return null;
+    try {
+        const data = await api.refreshToken(refreshToken);
+        saveToken(data.token, data.refresh_token);
+        return data.token;
+    } catch (error) {
+        // Another tab may have used the same refresh token first; its new tokens are already stored.
+        if (getRefreshToken() !== refreshToken) return getToken();
+        console.warn("Session refresh failed:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Revokes the session on the server and clears both tokens from localStorage, logging the user out.
+ * Local tokens are cleared even when the server can't be reached.
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+    const refreshToken = getRefreshToken();
     localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) return;
+    try {
+        await api.logoutUser(refreshToken);
+    } catch (error) {
+        console.warn("Failed to revoke the session on the server:", error.message);
+    }
 }
 
 /**
@@ -48,11 +89,12 @@ export async function handleRegisterSubmit(event) {
     try {
         await api.registerUser(email, password);
         ui.toggleAuthForms('login');
-        ui.showMessage(ui.elements.loginErrorMessage, 'Registration successful. Please log in.');
+        ui.showMessage(ui.elements.loginErrorMessage, 'Registration successful. We sent you a link to confirm your email. Please log in.');
     } catch (error) {
         // Provide user-friendly feedback based on the likely API error.
         const errorMessage = error.message.includes('in use')
             ? 'This email is already in use.'
+            : /email|password/i.test(error.message) ? error.message // Validation messages from the API.
             : 'An error occurred. Please try again.';
         ui.showMessage(ui.elements.registerErrorMessage, errorMessage);
     } finally {
@@ -77,11 +119,98 @@ export async function handleLoginSubmit(event, onLoginSuccess) {
 
     try {
         const data = await api.loginUser(email, password);
-        saveToken(data.token);
+        saveToken(data.token, data.refresh_token);
         onLoginSuccess(data.token); // Proceed with application startup.
     } catch (error) {
         ui.showMessage(ui.elements.loginErrorMessage, 'Invalid email or password.');
     } finally {
         ui.setButtonLoading(button, false);
     }
-}
\ No newline at end of file
+}
+
+// Single-use token from a password reset link, held until the new password is submitted.
+let resetToken = null;
+
+/**
+ * Handles the links sent by email, which open the app with `?verify=<token>` or `?reset=<token>`.
+ * Verification happens right away; a reset token opens the new password form. The token is then
+ * removed from the address bar so it isn't bookmarked or shared.
+ * @returns {Promise<boolean>} True when a password reset form was opened and the auth screen should stay.
+ */
+export async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    resetToken = params.get('reset');
+    if (!verifyToken && !resetToken) return false;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (resetToken) {
+        ui.showScreen('auth');
+        ui.toggleAuthForms('reset');
+        return true;
+    }
+    try {
+        await api.verifyEmail(verifyToken);
+        ui.showMessage(ui.elements.loginErrorMessage, 'Email address verified.');
+    } catch (error) {
+        ui.showMessage(ui.elements.loginErrorMessage, error.message);
+    }
+    return false;
+}
+
+/**
+ * Handles the forgot password form: asks the API to email a reset link.
+ * @param {Event} event - The form submission event.
+ */
+export async function handleForgotPasswordSubmit(event) {
+    event.preventDefault();
+    const email = ui.elements.forgotEmailInput.value;
+    const button = ui.elements.forgotPasswordForm.querySelector('button');
+
+    ui.showMessage(ui.elements.forgotMessage, '');
+    ui.setButtonLoading(button, true, 'Sending...');
+
+    try {
+        const data = await api.requestPasswordReset(email);
+        ui.showMessage(ui.elements.forgotMessage, data.message);
+    } catch (error) {
+        ui.showMessage(ui.elements.forgotMessage, error.message || 'An error occurred. Please try again.');
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Handles the new password form opened from a reset link. On success the user logs in again,
+ * since a reset ends every session.
+ * @param {Event} event - The form submission event.
+ */
+export async function handleResetPasswordSubmit(event) {
+    event.preventDefault();
+    const password = ui.elements.resetPasswordInput.value;
+    const button = ui.elements.resetPasswordForm.querySelector('button');
+
+    if (password !== ui.elements.resetPasswordConfirmInput.value) {
+        ui.showMessage(ui.elements.resetMessage, 'The passwords do not match.');
+        return;
+    }
+    if (!resetToken) {
+        ui.showMessage(ui.elements.resetMessage, 'Open the link from the reset email again.');
+        return;
+    }
+    ui.showMessage(ui.elements.resetMessage, '');
+    ui.setButtonLoading(button, true, 'Saving...');
+
+    try {
+        const data = await api.resetPassword(resetToken, password);
+        resetToken = null;
+        await logout();
+        ui.elements.resetPasswordForm.reset();
+        ui.toggleAuthForms('login');
+        ui.showMessage(ui.elements.loginErrorMessage, data.message);
+    } catch (error) {
+        ui.showMessage(ui.elements.resetMessage, error.message);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
@@ -0,0 +1,87 @@
+// ==========================================================================
+// AgriPlanum - Chart Helpers
+// Description: Minimal SVG charts for time-series data, drawn without any
+//              external charting library.
+// File: charts.js
+// ==========================================================================
+
+import { formatDate } from './utils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 400;
+const HEIGHT = 180;
+const PADDING = { top: 15, right: 15, bottom: 30, left: 45 };
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - The SVG tag name.
+ * @param {object} attributes - Attribute names and values.
+ * @returns {SVGElement} The new element.
+ */
+function svgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Renders a line chart of dated numeric values into a container, replacing its content.
+ * Each point gets a tooltip with its date and value.
+ * @param {HTMLElement} container - The element that will hold the chart.
+ * @param {Array<{date: Date, value: number}>} points - The series to plot, in any order.
+ * @param {object} [options]
+ * @param {string} [options.unit=''] - Unit appended to values in labels and tooltips.
+ * @param {string} [options.color='#2E7D32'] - Line and point color.
+ */
+export function renderLineChart(container, points, { unit = '', color = '#2E7D32' } = {}) {
+    container.innerHTML = '';
+    const series = points.filter(p => Number.isFinite(p.value)).sort((a, b) => a.date - b.date);
+    if (series.length === 0) {
+        container.innerHTML = '<p class="chart-empty">No numeric data to chart yet.</p>';
+        return;
+    }
+
+    const minTime = series[0].date.getTime();
+    const maxTime = series[series.length - 1].date.getTime();
+    const values = series.map(p => p.value);
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    // Give flat series some vertical room so the line is not drawn on the axis.
+    if (minValue === maxValue) { minValue -= 1; maxValue += 1; }
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = (date) => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((date.getTime() - minTime) / (maxTime - minTime)) * plotWidth);
+    const y = (value) => PADDING.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'line-chart', role: 'img' });
+    svg.appendChild(svgElement('line', { x1: PADDING.left, y1: PADDING.top, x2: PADDING.left, y2: PADDING.top + plotHeight, class: 'chart-axis' }));
+    svg.appendChild(svgElement('line', { x1: PADDING.left, y1: PADDING.top + plotHeight, x2: WIDTH - PADDING.right, y2: PADDING.top + plotHeight, class: 'chart-axis' }));
+
+    // Axis labels: value range on the left, first and last date along the bottom.
+    const labels = [
+        { x: PADDING.left - 5, y: PADDING.top + 4, anchor: 'end', text: `${+maxValue.toFixed(2)}${unit}` },
+        { x: PADDING.left - 5, y: PADDING.top + plotHeight, anchor: 'end', text: `${+minValue.toFixed(2)}${unit}` },
+        { x: PADDING.left, y: HEIGHT - 8, anchor: 'start', text: formatDate(series[0].date) },
+        { x: WIDTH - PADDING.right, y: HEIGHT - 8, anchor: 'end', text: formatDate(series[series.length - 1].date) }
+    ];
+    labels.forEach(label => {
+        const text = svgElement('text', { x: label.x, y: label.y, 'text-anchor': label.anchor, class: 'chart-label' });
+        text.textContent = label.text;
+        svg.appendChild(text);
+    });
+
+    svg.appendChild(svgElement('polyline', {
+        points: series.map(p => `${x(p.date)},${y(p.value)}`).join(' '),
+        fill: 'none', stroke: color, 'stroke-width': 2
+    }));
+    series.forEach(p => {
+        const circle = svgElement('circle', { cx: x(p.date), cy: y(p.value), r: 4, fill: color });
+        const title = svgElement('title', {});
+        title.textContent = `${formatDate(p.date)}: ${p.value}${unit}`;
+        circle.appendChild(title);
+        svg.appendChild(circle);
+    });
+
+    container.appendChild(svg);
+}
@@ -0,0 +1,145 @@
+// ==========================================================================
+// AgriPlanum - Plant Density
+// Description: Aggregates plants into grid cells for zoomed-out maps (the
+//              offline counterpart of GET /api/plants/density) and turns
+//              plants or cells into heatmap layers, coloured by crop type or
+//              weighted by a numeric custom_data attribute.
+// File: density.js
+// ==========================================================================
+
+// Grid cells are about this many pixels wide on screen; matches the API.
+const DENSITY_CELL_PIXELS = 40;
+
+// Colours given to categories (e.g. crop types), assigned in sorted order.
+export const CATEGORY_PALETTE = ['#1E88E5', '#E53935', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1', '#FDD835', '#6D4C41', '#D81B60', '#546E7A'];
+
+/**
+ * Width of a grid cell at a zoom level, in degrees.
+ * @param {number} zoom - The map's zoom level.
+ * @returns {number} The cell size.
+ */
+export function densityCellDegrees(zoom) {
+    return (360 / 256 / 2 ** zoom) * DENSITY_CELL_PIXELS;
+}
+
+/**
+ * Splits the density colouring chosen in the map controls into what the API expects.
+ * @param {string} colorBy - '' for plant counts, 'plant_type', or 'attribute:<custom_data key>'.
+ * @returns {{by: (string|undefined), attribute: (string|undefined)}} The grouping and the attribute.
+ */
+export function parseColorBy(colorBy) {
+    if (colorBy === 'plant_type') return { by: 'plant_type', attribute: undefined };
+    if (colorBy && colorBy.startsWith('attribute:')) return { by: undefined, attribute: colorBy.slice('attribute:'.length) };
+    return { by: undefined, attribute: undefined };
+}
+
+/**
+ * Reads a custom_data value as a number, accepting numeric strings.
+ * @param {*} value - The stored value.
+ * @returns {number|null} The number, or null when the value isn't numeric.
+ */
+export function numericValue(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Lists the custom_data keys holding a number in at least one plant, to offer as density weights.
+ * @param {Array<object>} plants - The plants.
+ * @returns {Array<string>} The keys, sorted.
+ */
+export function numericAttributeKeys(plants) {
+    const keys = new Set();
+    plants.forEach(plant => Object.entries(plant.custom_data || {}).forEach(([key, value]) => {
+        if (numericValue(value) !== null) keys.add(key);
+    }));
+    return [...keys].sort();
+}
+
+/**
+ * Groups plants into grid cells, as GET /api/plants/density does, for maps shown offline.
+ * @param {Array<object>} plants - The plants in the extent.
+ * @param {number} zoom - The map's zoom level.
+ * @param {string} colorBy - As for `parseColorBy`.
+ * @returns {Array<{lat: number, lng: number, count: number, plant_type?: string, value?: (number|null)}>} The cells,
+ *          at the mean position of their plants; one per crop type and cell when grouped by 'plant_type'.
+ */
+export function aggregatePlants(plants, zoom, colorBy) {
+    const { by, attribute } = parseColorBy(colorBy);
+    const size = densityCellDegrees(zoom);
+    const cells = new Map();
+    plants.forEach(plant => {
+        const { lat, lng } = plant.location;
+        const key = `${Math.round(lng / size)}:${Math.round(lat / size)}${by ? `:${plant.plant_type}` : ''}`;
+        if (!cells.has(key)) cells.set(key, { lat: 0, lng: 0, count: 0, plant_type: by ? plant.plant_type : undefined, sum: 0, valued: 0 });
+        const cell = cells.get(key);
+        cell.lat += Number(lat);
+        cell.lng += Number(lng);
+        cell.count++;
+        const value = attribute ? numericValue((plant.custom_data || {})[attribute]) : null;
+        if (value !== null) {
+            cell.sum += value;
+            cell.valued++;
+        }
+    });
+    return [...cells.values()].map(({ lat, lng, count, plant_type, sum, valued }) => ({
+        lat: lat / count,
+        lng: lng / count,
+        count,
+        plant_type,
+        value: attribute ? (valued > 0 ? sum / valued : null) : undefined
+    }));
+}
+
+/**
+ * Builds the heatmap layers for plants or grid cells, with the legend that explains them:
+ * one layer per crop type in its own colour, or one layer weighted by plant count or by an attribute.
+ * @param {Array<object>} items - Plants, or cells from the API or `aggregatePlants`.
+ * @param {string} colorBy - As for `parseColorBy`.
+ * @returns {{layers: Array<{color: (string|null), points: Array<Array<number>>}>, legend: object}} The layers, as
+ *          [lat, lng, intensity from 0 to 1] points, and the legend: `{type: 'categories', items: [{label, color}]}`
+ *          or `{type: 'range', label, min, max}` (numbers for an attribute, words for density).
+ */
+export function buildHeatLayers(items, colorBy) {
+    const { by, attribute } = parseColorBy(colorBy);
+    const isCell = (item) => item.count !== undefined;
+    const position = (item) => (isCell(item) ? [item.lat, item.lng] : [Number(item.location.lat), Number(item.location.lng)]);
+    const count = (item) => (isCell(item) ? item.count : 1);
+
+    if (by === 'plant_type') {
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.plant_type)) groups.set(item.plant_type, []);
+            groups.get(item.plant_type).push(item);
+        });
+        const max = Math.max(1, ...items.map(count));
+        const types = [...groups.keys()].sort();
+        const colorOf = (type) => CATEGORY_PALETTE[types.indexOf(type) % CATEGORY_PALETTE.length];
+        return {
+            layers: types.map(type => ({ color: colorOf(type), points: groups.get(type).map(item => [...position(item), count(item) / max]) })),
+            legend: { type: 'categories', items: types.map(type => ({ label: type, color: colorOf(type) })) }
+        };
+    }
+
+    if (attribute) {
+        const valued = items
+            .map(item => ({ item, value: isCell(item) ? item.value : numericValue((item.custom_data || {})[attribute]) }))
+            .filter(({ value }) => value !== null && value !== undefined);
+        const values = valued.map(({ value }) => value);
+        const min = values.length > 0 ? Math.min(...values) : 0;
+        const max = values.length > 0 ? Math.max(...values) : 0;
+        // Weighted from the smallest value to the largest, so negative and all-equal values still show.
+        const weight = (value) => (max > min ? 0.1 + (0.9 * (value - min)) / (max - min) : 1);
+        return {
+            layers: [{ color: null, points: valued.map(({ item, value }) => [...position(item), weight(value)]) }],
+            legend: { type: 'range', label: `Average ${attribute}`, min, max }
+        };
+    }
+
+    const max = Math.max(1, ...items.map(count));
+    return {
+        layers: [{ color: null, points: items.map(item => [...position(item), count(item) / max]) }],
+        legend: { type: 'range', label: 'Plant density', min: 'Sparse', max: 'Dense' }
+    };
+}
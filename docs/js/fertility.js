@@ -0,0 +1,155 @@
+// ==========================================================================
+// AgriPlanum - Soil Correction Calculations
+// Description: Pure functions for liming, gypsum and P/K corrective doses from
+//              a soil analysis. No DOM or state access, so the backend can
+//              import this module as well.
+// File: fertility.js
+// ==========================================================================
+
+/**
+ * Conversion factors and agronomic assumptions used by the calculations.
+ * Doses refer to the 0-20 cm layer, where 1 mg/dm³ (ppm) of a nutrient weighs 2 kg/ha.
+ */
+export const FERTILITY_DEFAULTS = {
+    kgPerHaPerPpm: 2,           // 2,000 t/ha of soil in the 0-20 cm layer.
+    p2o5PerP: 2.291,            // P -> P2O5 oxide conversion.
+    k2oPerK: 1.205,             // K -> K2O oxide conversion.
+    phosphorusEfficiency: 0.3,  // Share of applied P that stays available (the rest is fixed by the soil).
+    potassiumEfficiency: 0.7,   // Share of applied K that stays available (leaching losses).
+    kPpmPerCmolc: 391,          // 1 cmolc/dm³ of K = 391 mg/dm³.
+    gypsumKgPerClayPercent: 50, // Gypsum dose per percentage point of clay.
+    maxAluminumSaturation: 20,  // Al saturation (m%) above which gypsum is recommended.
+    defaultPrnt: 80,            // Limestone PRNT (%) assumed when none is given.
+    limingDepthCm: 20           // Incorporation depth the liming dose refers to.
+};
+
+/**
+ * Estimates the cation exchange capacity at pH 7 (T) from the sum of bases and the base saturation,
+ * since V% = SB / T × 100. Used when the lab report does not give T directly.
+ * @param {object} soil - Soil values with `ca_cmolc`, `mg_cmolc`, `k_ppm` and `v_percent`.
+ * @param {object} [factors=FERTILITY_DEFAULTS] - Conversion factors.
+ * @returns {number|null} T in cmolc/dm³, or null when V% is not positive or a base is missing.
+ */
+export function estimateCEC(soil, factors = FERTILITY_DEFAULTS) {
+    const bases = sumOfBases(soil, factors);
+    if (!(soil.v_percent > 0) || !Number.isFinite(bases)) return null;
+    return (bases * 100) / soil.v_percent;
+}
+
+/**
+ * Sum of exchangeable bases (Ca + Mg + K) in cmolc/dm³.
+ * @param {object} soil - Soil values with `ca_cmolc`, `mg_cmolc` and `k_ppm`.
+ * @param {object} [factors=FERTILITY_DEFAULTS] - Conversion factors.
+ * @returns {number} SB in cmolc/dm³.
+ */
+export function sumOfBases(soil, factors = FERTILITY_DEFAULTS) {
+    return soil.ca_cmolc + soil.mg_cmolc + soil.k_ppm / factors.kPpmPerCmolc;
+}
+
+/**
+ * Aluminum saturation of the effective CEC: m% = Al / (SB + Al) × 100.
+ * @param {object} soil - Soil values with `al_cmolc`, `ca_cmolc`, `mg_cmolc` and `k_ppm`.
+ * @param {object} [factors=FERTILITY_DEFAULTS] - Conversion factors.
+ * @returns {number} m% (0-100).
+ */
+export function aluminumSaturation(soil, factors = FERTILITY_DEFAULTS) {
+    const effectiveCEC = sumOfBases(soil, factors) + soil.al_cmolc;
+    return effectiveCEC > 0 ? (soil.al_cmolc / effectiveCEC) * 100 : 0;
+}
+
+/**
+ * Liming requirement by the base saturation method: NC = (V2 − V1) × T / PRNT, scaled to the incorporation depth.
+ * @param {object} params
+ * @param {number} params.currentV - Current base saturation, V1 (%).
+ * @param {number} params.targetV - Target base saturation, V2 (%).
+ * @param {number} params.cec - Cation exchange capacity at pH 7, T (cmolc/dm³).
+ * @param {number} params.prnt - Limestone PRNT (%), its effective neutralizing power.
+ * @param {number} [params.depthCm=20] - Incorporation depth in cm.
+ * @returns {number} Limestone in t/ha (0 when V1 already meets V2, or when an input is missing or not positive).
+ */
+export function limingRequirement({ currentV, targetV, cec, prnt, depthCm = FERTILITY_DEFAULTS.limingDepthCm }) {
+    if (!(prnt > 0) || !(cec > 0) || !(targetV > currentV)) return 0;
+    return ((targetV - currentV) * cec / prnt) * (depthCm / 20);
+}
+
+/**
+ * Gypsum recommendation: needed when calcium is below the ideal or aluminum saturation is too high,
+ * with the dose set from the clay content.
+ * @param {object} params
+ * @param {number} params.caCmolc - Exchangeable calcium (cmolc/dm³).
+ * @param {number} params.minCa - Ideal minimum calcium (cmolc/dm³).
+ * @param {number} params.alSaturation - Aluminum saturation, m%.
+ * @param {number} [params.clayPercent] - Clay content (%). Without it the need is reported but no dose is given.
+ * @param {object} [factors=FERTILITY_DEFAULTS] - Agronomic assumptions.
+ * @returns {{needed: boolean, kgPerHa: (number|null), reasons: Array<string>}} The recommendation.
+ */
+export function gypsumRequirement({ caCmolc, minCa, alSaturation, clayPercent }, factors = FERTILITY_DEFAULTS) {
+    const reasons = [];
+    if (caCmolc < minCa) reasons.push(`Ca below ${minCa} cmolc`);
+    if (alSaturation > factors.maxAluminumSaturation) reasons.push(`Al saturation above ${factors.maxAluminumSaturation}%`);
+    const needed = reasons.length > 0;
+    const kgPerHa = needed && clayPercent > 0 ? clayPercent * factors.gypsumKgPerClayPercent : needed ? null : 0;
+    return { needed, kgPerHa, reasons };
+}
+
+/**
+ * Corrective nutrient dose to raise a soil level to its ideal: the missing ppm are converted to kg/ha of the
+ * element in the 0-20 cm layer, then to the oxide, then divided by the share that stays available.
+ * @param {number} current - Current level (ppm).
+ * @param {number} ideal - Ideal minimum level (ppm).
+ * @param {number} oxideFactor - Element to oxide conversion (e.g., P -> P2O5).
+ * @param {number} efficiency - Share of the applied nutrient that stays available (0-1].
+ * @param {object} [factors=FERTILITY_DEFAULTS] - Conversion factors.
+ * @returns {number} Oxide dose in kg/ha (0 when the level already meets the ideal, or when a level is missing).
+ */
+export function nutrientBuildUp(current, ideal, oxideFactor, efficiency, factors = FERTILITY_DEFAULTS) {
+    if (!(ideal > current) || !(efficiency > 0)) return 0;
+    return ((ideal - current) * factors.kgPerHaPerPpm * oxideFactor) / efficiency;
+}
+
+/**
+ * Computes every corrective dose for a soil analysis against a variety's ideal conditions.
+ * @param {object} soil - Soil values keyed as in `SOIL_PARAMETERS` (utils.js).
+ * @param {object} ideal - The variety's `ideal_soil_conditions`.
+ * @param {object} [options]
+ * @param {number} [options.cec] - T from the lab report; estimated from V% and the bases when omitted.
+ * @param {number} [options.prnt] - Limestone PRNT (%); `factors.defaultPrnt` when omitted or invalid.
+ * @param {number} [options.clayPercent] - Clay content (%), for the gypsum dose.
+ * @param {object} [options.factors=FERTILITY_DEFAULTS] - Conversion factors and assumptions.
+ * @returns {{cec: (number|null), cecEstimated: boolean, targetV: number, alSaturation: number,
+ *            limestoneTPerHa: number, gypsum: object, p2o5KgPerHa: number, k2oKgPerHa: number}}
+ */
+export function recommendCorrections(soil, ideal, { cec, prnt, clayPercent, factors = FERTILITY_DEFAULTS } = {}) {
+    const cecEstimated = !(cec > 0);
+    const usedCEC = cecEstimated ? estimateCEC(soil, factors) : cec;
+    const targetV = ideal.v_percent.min;
+    const alSaturation = aluminumSaturation(soil, factors);
+    const usedPrnt = prnt > 0 ? prnt : factors.defaultPrnt;
+    return {
+        cec: usedCEC,
+        cecEstimated,
+        targetV,
+        alSaturation,
+        limestoneTPerHa: limingRequirement({ currentV: soil.v_percent, targetV, cec: usedCEC, prnt: usedPrnt, depthCm: factors.limingDepthCm }),
+        gypsum: gypsumRequirement({ caCmolc: soil.ca_cmolc, minCa: ideal.ca_cmolc.min, alSaturation, clayPercent }, factors),
+        p2o5KgPerHa: nutrientBuildUp(soil.p_ppm, ideal.p_ppm.min, factors.p2o5PerP, factors.phosphorusEfficiency, factors),
+        k2oKgPerHa: nutrientBuildUp(soil.k_ppm, ideal.k_ppm.min, factors.k2oPerK, factors.potassiumEfficiency, factors)
+    };
+}
+
+/**
+ * Scales per-hectare doses to the total quantities for an area.
+ * @param {object} recommendation - The result of `recommendCorrections`.
+ * @param {number} areaHectares - The area to treat; a missing or non-positive area gives zero totals.
+ * @returns {{limestoneT: number, gypsumT: (number|null), p2o5Kg: number, k2oKg: number}} Totals for the area.
+ */
+export function scaleToArea(recommendation, areaHectares) {
+    const hectares = areaHectares > 0 ? areaHectares : 0;
+    const gypsumKg = recommendation.gypsum.kgPerHa;
+    return {
+        limestoneT: recommendation.limestoneTPerHa * hectares,
+        gypsumT: gypsumKg === null ? null : (gypsumKg * hectares) / 1000,
+        p2o5Kg: recommendation.p2o5KgPerHa * hectares,
+        k2oKg: recommendation.k2oKgPerHa * hectares
+    };
+}
@@ -0,0 +1,73 @@
+// ==========================================================================
+// AgriPlanum - Photo Gallery
+// Description: Draws the photo galleries of the plant and field details:
+//              thumbnails fetched through the API, described with when and
+//              where each photo was taken (from its EXIF data).
+// File: gallery.js
+// ==========================================================================
+
+// Object URLs of the thumbnails shown in each gallery, released when it is redrawn.
+const galleryUrls = new WeakMap();
+
+/**
+ * Describes when and where a photo was taken, as recorded by the camera, or when it was uploaded.
+ * @param {object} photo - A photo from the API.
+ * @returns {string} e.g. "Taken 30/09/2025 10:15 at -15.60000, -56.10000".
+ */
+export function describePhoto(photo) {
+    // taken_at is the camera's clock time stored as UTC, so it is shown in UTC to read as the camera did.
+    const when = photo.taken_at
+        ? `Taken ${new Date(photo.taken_at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone: 'UTC' })}`
+        : `Uploaded ${new Date(photo.created_at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}`;
+    const where = photo.location ? ` at ${Number(photo.location.lat).toFixed(5)}, ${Number(photo.location.lng).toFixed(5)}` : '';
+    return `${when}${where}`;
+}
+
+/**
+ * Empties a gallery, releasing its thumbnails.
+ * @param {HTMLElement} container - The gallery.
+ */
+export function clearPhotoGallery(container) {
+    (galleryUrls.get(container) || []).forEach(url => URL.revokeObjectURL(url));
+    galleryUrls.delete(container);
+    container.innerHTML = '';
+}
+
+/**
+ * Fills a gallery with the thumbnails of some photos. Each is a button opening the photo (`data-action="view"`),
+ * next to a delete button (`data-action="delete"`); both carry the photo's ID in `data-photo-id`.
+ * @param {HTMLElement} container - The gallery.
+ * @param {Array<object>} photos - The photos, in display order.
+ * @param {Function} loadThumbnail - Resolves a photo ID to its thumbnail as a Blob.
+ */
+export function renderPhotoGallery(container, photos, loadThumbnail) {
+    clearPhotoGallery(container);
+    const urls = [];
+    galleryUrls.set(container, urls);
+    if (photos.length === 0) container.innerHTML = '<p class="module-description">No photos yet.</p>';
+    photos.forEach(photo => {
+        const figure = document.createElement('figure');
+        figure.className = 'photo-item';
+        figure.innerHTML = `
+            <button type="button" class="photo-thumbnail" data-action="view" data-photo-id="${photo.id}"><img alt=""></button>
+            <figcaption></figcaption>
+            <button type="button" class="btn-delete requires-technician" data-action="delete" data-photo-id="${photo.id}" title="Delete photo">&times;</button>`;
+        const img = figure.querySelector('img');
+        // Set as properties, so captions are never parsed as HTML.
+        img.alt = photo.caption || 'Photo';
+        figure.querySelector('figcaption').textContent = photo.caption ? `${photo.caption} · ${describePhoto(photo)}` : describePhoto(photo);
+        container.appendChild(figure);
+        loadThumbnail(photo.id)
+            .then(blob => {
+                // The gallery may have been redrawn while the thumbnail loaded.
+                if (galleryUrls.get(container) !== urls) return;
+                const url = URL.createObjectURL(blob);
+                urls.push(url);
+                img.src = url;
+            })
+            .catch(error => {
+                console.error(`Error loading the thumbnail of photo ${photo.id}:`, error);
+                img.alt = 'Photo unavailable';
+            });
+    });
+}
@@ -10,44 +10,317 @@ import * as ui from './ui.js';
 import * as auth from './auth.js';
 import * as api from './api.js';
 import * as map from './map.js';
-import { formatDate, getPlantingSeason } from './utils.js';
+import * as offline from './offline.js';
+import * as tiles from './tiles.js';
+import { generatePlantingGrid, tagPlantingGrid } from './planting.js';
+import { outlinePlants } from './outline.js';
+import { aggregatePlants, buildHeatLayers, numericAttributeKeys, parseColorBy } from './density.js';
+import { buildFieldTheme, buildPlantTheme, customDataKeys } from './styling.js';
+import { ATTRIBUTE_TYPES, formatAttributeValue, readAttributeInputs, renderAttributeInputs, validateCustomData } from './attributes.js';
+import { clearPhotoGallery, describePhoto, renderPhotoGallery } from './gallery.js';
+import { DEFAULT_TAG_TEMPLATE, fieldCodeOf, formatTag, tagStem } from './tags.js';
+import * as scanner from './scanner.js';
+import { renderLineChart } from './charts.js';
+import { recommendCorrections, scaleToArea } from './fertility.js';
+import { findZoningWindow, formatBytes, formatDate, getPlantingSeason, getSeasonProgress, getSeasonYear, getSoilStatus, getStageTimeline, parseISODate, SOIL_PARAMETERS, todayISODate } from './utils.js';
 
-// Module-level variable to store currently selected plants.
+// Module-level variables to store currently selected plants, and whether a selection is active (it may be empty).
 let currentSelectedPlants = [];
+let selectionActive = false;
+// Module-level variables holding the records currently shown in the details views.
+let currentDetailsField = null;
+let currentDetailsPlant = null;
+// Module-level variable holding the observations of the plant shown in the details view.
+let currentObservations = [];
+// Module-level variables holding the photos in the galleries of the details views, by record type ('plants' or
+// 'fields'), and the object URL of the photo open in the viewer, released when it closes.
+let currentPhotos = { plants: [], fields: [] };
+let photoViewerUrl = null;
+// Module-level variable holding the crop seasons of the field shown in the details view, newest first.
+let currentSeasons = [];
+// Module-level variables for soil samples: those of the field in the details view (oldest first),
+// and the GPS point attached to the sample being entered in the Soil Analysis module.
+let currentSoilSamples = [];
+let soilSampleLocation = null;
+// Module-level variable holding the file read for the import currently being previewed.
+let pendingImport = null;
+// Module-level variable holding the ID of the variety open in the catalogue form (null when adding one).
+let editingVarietyId = null;
+// Module-level variable holding the members of the current farm shown in the Farm & Team view.
+let currentFarmMembers = [];
+// Module-level variable holding the plants generated by the "populate field" tool, awaiting creation.
+let pendingGrid = null;
+// Module-level variable holding the outline previewed for a field created from the selection, awaiting saving.
+let pendingOutline = null;
+// Module-level variable holding the AbortController of the map download in progress, if any.
+let tileDownloadController = null;
+
+// Module-level variables tracking the plants on the map: the extent loaded (its bbox, and whether every plant
+// in it was listed), and a count of loads started, so a slow load for an earlier extent can't overwrite a newer one.
+let loadedExtent = null;
+let plantLoadCount = 0;
+// Module-level variable collecting the numeric custom_data keys of the farm's plants seen so far, offered as density colourings.
+let densityAttributeKeys = new Set();
+// Module-level variable collecting the custom_data keys of the farm's plants seen so far, offered as plant themes.
+let plantStyleKeys = new Set();
+// Module-level variable holding the grid cells drawn in place of the plants when zoomed out, to redraw them in another style.
+let renderedCells = [];
+// Module-level variable holding each field's season in progress and latest soil sample by field ID, loaded
+// for the fields' theme (null until then), and the legends of the themes shown.
+let fieldStatuses = null;
+let mapLegends = { fields: null, plants: null };
+
+// Most plants drawn for one extent (the API's page limit), and the zoom below which they are only
+// counted, as in GET /api/plants.
+const MAX_PLANTS_IN_VIEW = 5000;
+const PLANT_LIST_MIN_ZOOM = 14;
+
+// The farm last chosen in the switcher, restored on the next login.
+const FARM_KEY = 'agriplanum_farm';
 
 /**
- * Handles the custom event dispatched when a user finishes drawing a selection rectangle on the map.
- * Filters plants within the selection bounds and updates the UI to selection mode.
- * @param {CustomEvent} event - The event object containing the selection bounds in `event.detail.bounds`.
+ * Tests which plants lie inside a selection shape, exactly rather than by its bounding box.
+ * @param {object} geometry - The GeoJSON Polygon drawn on the map.
+ * @returns {Array<object>} The plants inside it.
  */
-export function handleSelectionDrawn(event) {
-    const bounds = event.detail.bounds;
-    currentSelectedPlants = [];
+function plantsInside(geometry) {
+    return state.plants.filter(plant => turf.booleanPointInPolygon([plant.location.lng, plant.location.lat], geometry));
+}
 
-    // Filter plants that are within the drawn rectangle
-    state.plants.forEach(plant => {
-        const plantLatLng = L.latLng(plant.location.lat, plant.location.lng);
-        if (bounds.contains(plantLatLng)) {
-            currentSelectedPlants.push(plant);
-        }
-    });
+/**
+ * Combines plants with the current selection: replacing it, adding to it or removing from it.
+ * @param {Array<object>} plants - The plants picked by the new shape or field.
+ * @param {string|null} modifier - 'add' or 'subtract' from the keys held, or null to use the mode select.
+ * @returns {Array<object>} The resulting selection.
+ */
+function combineSelection(plants, modifier) {
+    const mode = selectionActive ? (modifier || ui.elements.selectionModeSelect.value) : 'replace';
+    if (mode === 'replace') return plants;
+    const picked = new Set(plants.map(plant => plant.id));
+    if (mode === 'subtract') return currentSelectedPlants.filter(plant => !picked.has(plant.id));
+    const selected = new Set(currentSelectedPlants.map(plant => plant.id));
+    return [...currentSelectedPlants, ...plants.filter(plant => !selected.has(plant.id))];
+}
+
+// Shows how many plants are selected and whether there are enough to create a field.
+function renderSelectionStatus() {
+    ui.elements.selectionStatus.textContent = `${currentSelectedPlants.length} plants selected`;
+    if (currentSelectedPlants.length < 3) {
+        ui.elements.selectionStatus.textContent += '. (Minimum of 3 required to create a field)';
+    }
+}
 
+/**
+ * Switches the UI to selection mode with the given plants combined into the current selection.
+ * @param {Array<object>} plants - The plants picked.
+ * @param {string|null} modifier - As for `combineSelection`.
+ * @returns {void}
+ */
+function applySelection(plants, modifier) {
+    currentSelectedPlants = combineSelection(plants, modifier);
+    if (!selectionActive) ui.elements.selectionModeSelect.value = 'replace';
+    selectionActive = true;
     console.log(`${currentSelectedPlants.length} plants selected.`, currentSelectedPlants);
 
     // Switch UI from view controls to selection controls
     ui.elements.viewControls.classList.add('hidden');
     ui.elements.selectionControls.classList.remove('hidden');
-    ui.elements.selectionStatus.textContent = `${currentSelectedPlants.length} plants selected`;
+    renderSelectionStatus();
+
+    // Enable field creation only if enough plants are selected and its options aren't open already
+    ui.elements.createFieldFromSelectionBtn.disabled = currentSelectedPlants.length < 3 || !ui.elements.outlineControls.classList.contains('hidden');
 
-    // Enable field creation only if enough plants are selected
-    if (currentSelectedPlants.length >= 3) {
-        ui.elements.createFieldFromSelectionBtn.disabled = false;
-    } else {
-        ui.elements.createFieldFromSelectionBtn.disabled = true;
-        ui.elements.selectionStatus.textContent += '. (Minimum of 3 required to create a field)';
-    }
-    
     map.highlightSelectedPlants(currentSelectedPlants);
+    showBatchControls();
+    if (!ui.elements.outlineControls.classList.contains('hidden')) handleOutlineOptionsChange();
+}
+
+/**
+ * Handles the custom event dispatched when a user finishes drawing a selection rectangle, polygon or lasso on the map.
+ * Selects the plants inside the shape, adding to or removing from the current selection when Shift or Alt was held.
+ * @param {CustomEvent} event - The event with the shape's GeoJSON in `event.detail.geometry` and the `modifier` held.
+ */
+export function handleSelectionDrawn(event) {
+    const { geometry, modifier } = event.detail;
+    applySelection(plantsInside(geometry), modifier);
+}
+
+/**
+ * Updates the selection count while a shape is being drawn, before it is finished.
+ * @param {CustomEvent} event - The event with the shape so far in `event.detail`, or a null detail once drawing stops.
+ */
+export function handleSelectionDrawing(event) {
+    if (!event.detail) {
+        // Drawing stopped: show the selection again, or the view controls if there is none.
+        if (selectionActive) {
+            renderSelectionStatus();
+        } else {
+            ui.elements.selectionControls.classList.add('hidden');
+            ui.elements.viewControls.classList.remove('hidden');
+        }
+        return;
+    }
+    const { geometry, modifier } = event.detail;
+    const count = combineSelection(plantsInside(geometry), modifier).length;
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.selectionControls.classList.remove('hidden');
+    ui.elements.selectionStatus.textContent = `${count} plants in selection…`;
+}
+
+/**
+ * Selects the plants of a field, from the "Select Plants" button of its popup.
+ * Plants created offline have no field yet, so those inside its boundary are included.
+ * @param {CustomEvent} event - The event with the field ID in `event.detail.id` and the `modifier` held.
+ */
+export function handleSelectFieldPlants(event) {
+    const { id, modifier } = event.detail;
+    const field = state.fields.find(f => f.id === id);
+    if (!field) return;
+    const plants = state.plants.filter(plant => plant.field_id === id
+        || (offline.isTempId(plant.id) && field.geometry && turf.booleanPointInPolygon([plant.location.lng, plant.location.lat], field.geometry)));
+    map.clearSelectionDrawing();
+    applySelection(plants, modifier);
+}
+
+/**
+ * Shows the batch actions for the selected plants, with the farm's fields to assign them to.
+ * @returns {void}
+ */
+function showBatchControls() {
+    resetBatchControls();
+    ui.elements.batchControls.classList.toggle('hidden', currentSelectedPlants.length === 0);
+    const select = ui.elements.batchFieldSelect;
+    select.innerHTML = '';
+    select.appendChild(new Option('-- No field --', ''));
+    state.fields.filter(field => !offline.isTempId(field.id)).forEach(field => select.appendChild(new Option(field.name, field.id)));
+    ui.elements.batchObservationDateInput.value = todayISODate();
+}
+
+// Clears the batch action, its inputs and its last report.
+function resetBatchControls() {
+    ui.elements.batchActionSelect.value = '';
+    ui.elements.batchActionInputs.forEach(inputs => {
+        inputs.classList.add('hidden');
+        inputs.querySelectorAll('input, select').forEach(input => { input.value = ''; });
+    });
+    ui.elements.applyBatchBtn.disabled = true;
+    ui.elements.batchReportList.innerHTML = '';
+    ui.showMessage(ui.elements.batchMessage, '');
+}
+
+/**
+ * Shows the inputs of the chosen batch action.
+ * @returns {void}
+ */
+export function handleBatchActionChange() {
+    const action = ui.elements.batchActionSelect.value;
+    ui.elements.batchActionInputs.forEach(inputs => inputs.classList.toggle('hidden', inputs.dataset.batchAction !== action));
+    ui.elements.applyBatchBtn.disabled = !action;
+    ui.elements.applyBatchBtn.textContent = action === 'delete' ? `Delete ${currentSelectedPlants.length} Plants` : 'Apply';
+    ui.showMessage(ui.elements.batchMessage, '');
+}
+
+/**
+ * Builds the request of the chosen batch action from its inputs.
+ * @param {string} action - The value of the batch action select.
+ * @param {Array<number>} plantIds - The selected plants.
+ * @returns {{call: Function, label: string}|{error: string}} The API call to make, or why it can't be made.
+ */
+function buildBatchRequest(action, plantIds) {
+    switch (action) {
+        case 'assign-field': {
+            const fieldId = ui.elements.batchFieldSelect.value;
+            const field = state.fields.find(f => String(f.id) === fieldId);
+            return {
+                call: () => api.updatePlantsBatch({ plant_ids: plantIds, field_id: fieldId ? Number(fieldId) : null }, state.token),
+                label: field ? `assign them to "${field.name}"` : 'detach them from their field'
+            };
+        }
+        case 'set-type': {
+            const plantType = ui.elements.batchPlantTypeSelect.value;
+            if (!plantType) return { error: 'Choose the crop type.' };
+            return { call: () => api.updatePlantsBatch({ plant_ids: plantIds, plant_type: plantType }, state.token), label: 'set their crop type' };
+        }
+        case 'add-custom-data': {
+            const key = ui.elements.batchCustomKeyInput.value.trim().toLowerCase().replace(/\s+/g, '_');
+            if (!key) return { error: 'Give the custom data a name.' };
+            const value = ui.elements.batchCustomValueInput.value.trim();
+            return { call: () => api.updatePlantsBatch({ plant_ids: plantIds, custom_data: { [key]: value } }, state.token), label: `set "${key}"` };
+        }
+        case 'log-observation': {
+            const observationData = {
+                plant_ids: plantIds,
+                observed_at: ui.elements.batchObservationDateInput.value || undefined,
+                phenological_stage: ui.elements.batchObservationStageInput.value.trim() || null,
+                pest_sightings: splitList(ui.elements.batchObservationPestsInput.value),
+                notes: ui.elements.batchObservationNotesInput.value.trim() || null
+            };
+            if (!observationData.phenological_stage && !observationData.notes && observationData.pest_sightings.length === 0) {
+                return { error: 'Enter a stage, pests or notes to log.' };
+            }
+            return {
+                call: () => api.savePlantsBatchObservation(observationData, state.token, { idempotencyKey: crypto.randomUUID() }),
+                label: 'log the observation'
+            };
+        }
+        case 'delete':
+            return { call: () => api.deletePlantsBatch(plantIds, state.token), label: 'delete them' };
+        default:
+            return { error: 'Choose an action.' };
+    }
+}
+
+/**
+ * Applies the chosen batch action to the selected plants in one request and reports the plants
+ * it failed for. Plants created offline and not synced yet are left out.
+ * @returns {Promise<void>}
+ */
+export async function handleApplyBatch() {
+    const action = ui.elements.batchActionSelect.value;
+    const plantIds = currentSelectedPlants.map(plant => plant.id).filter(id => !offline.isTempId(id));
+    const skipped = currentSelectedPlants.length - plantIds.length;
+    if (currentSelectedPlants.length === 0) {
+        ui.showMessage(ui.elements.batchMessage, 'No plants are selected.');
+        return;
+    }
+    if (plantIds.length === 0) {
+        ui.showMessage(ui.elements.batchMessage, 'The selected plants were created offline; sync them first.');
+        return;
+    }
+    if (!navigator.onLine) {
+        ui.showMessage(ui.elements.batchMessage, 'You are offline. Batch changes need a connection.');
+        return;
+    }
+    const batch = buildBatchRequest(action, plantIds);
+    if (batch.error) {
+        ui.showMessage(ui.elements.batchMessage, batch.error);
+        return;
+    }
+    if (!confirm(`${plantIds.length} plants selected: ${batch.label}?${action === 'delete' ? ' This action cannot be undone.' : ''}`)) return;
+
+    const button = ui.elements.applyBatchBtn;
+    ui.setButtonLoading(button, true, 'Applying...');
+    try {
+        const result = await batch.call();
+        const tags = new Map(currentSelectedPlants.map(plant => [plant.id, plant.unique_tag]));
+        const failures = result.results.filter(item => item.status === 'failed');
+        const skippedNote = skipped > 0 ? ` ${skipped} plants created offline were left out.` : '';
+        ui.showMessage(ui.elements.batchMessage, `${result.message}${skippedNote}`);
+        ui.elements.batchReportList.innerHTML = failures
+            .map(item => `<li class="failed"><span>${tags.get(item.id) || `#${item.id}`}</span><small>${item.error}</small></li>`)
+            .join('');
+        if (action === 'delete') {
+            currentSelectedPlants = [];
+            ui.elements.selectionStatus.textContent = '0 plants selected';
+            map.clearHighlight();
+        }
+        await loadMapData();
+    } catch (error) {
+        console.error('Error applying batch action:', error);
+        ui.showMessage(ui.elements.batchMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
 }
 
 /**
@@ -55,7 +328,11 @@ export function handleSelectionDrawn(event) {
  */
 export function clearSelectionState() {
     currentSelectedPlants = [];
+    selectionActive = false;
     ui.elements.selectionControls.classList.add('hidden');
+    ui.elements.batchControls.classList.add('hidden');
+    resetBatchControls();
+    closeOutlineControls();
     ui.elements.viewControls.classList.remove('hidden');
     map.clearHighlight();
     map.clearSelectionDrawing();
@@ -63,54 +340,105 @@ export function clearSelectionState() {
 }
 
 /**
- * Handles the creation of a new field from the currently selected plants.
- * It calculates the convex hull of the plant locations to define the field's geometry.
- * @returns {Promise<void>}
+ * Opens the outline options for a new field around the selected plants and previews the default outline.
+ * @returns {void}
  */
-export async function handleCreateFieldFromSelection() {
+export function handleCreateFieldFromSelection() {
     if (currentSelectedPlants.length < 3) {
         alert("At least 3 plants are required to create a field.");
         return;
     }
+    ui.elements.outlineControls.classList.remove('hidden');
+    ui.elements.createFieldFromSelectionBtn.disabled = true;
+    handleOutlineOptionsChange();
+    ui.elements.outlineFieldNameInput.focus();
+}
 
-    const fieldName = prompt("Enter the name for the new field:");
-    if (!fieldName || fieldName.trim() === '') {
-        alert("Creation cancelled. Field name is required.");
+/**
+ * Redraws the outline preview whenever an option or the selection changes.
+ * @returns {void}
+ */
+export function handleOutlineOptionsChange() {
+    const method = ui.elements.outlineMethodSelect.value;
+    ui.elements.outlineMethodInputs.forEach(input => input.classList.toggle('hidden', input.dataset.outlineMethod !== method));
+    ui.showMessage(ui.elements.outlineMessage, '');
+    pendingOutline = null;
+    ui.elements.saveOutlineBtn.disabled = true;
+    if (currentSelectedPlants.length < 3) {
+        map.clearImportPreview();
+        ui.showMessage(ui.elements.outlineSummary, 'At least 3 plants are required to create a field.');
+        return;
+    }
+    try {
+        pendingOutline = outlinePlants(currentSelectedPlants, {
+            method,
+            maxEdge: parseFloat(ui.elements.outlineMaxEdgeInput.value),
+            alpha: parseFloat(ui.elements.outlineAlphaInput.value),
+            buffer: parseFloat(ui.elements.outlineBufferInput.value) || 0
+        });
+    } catch (error) {
+        map.clearImportPreview();
+        ui.showMessage(ui.elements.outlineSummary, '');
+        ui.showMessage(ui.elements.outlineMessage, error.message);
         return;
     }
+    const area = `${pendingOutline.areaHectares.toFixed(4)} ha`;
+    const outside = pendingOutline.outside > 0 ? ` ${pendingOutline.outside} selected plants fall outside it.` : '';
+    map.showOutlinePreview(pendingOutline.geometry, area);
+    ui.showMessage(ui.elements.outlineSummary, `Outline of ${currentSelectedPlants.length} plants: ${area}.${outside}`);
+    ui.elements.saveOutlineBtn.disabled = false;
+}
 
-    // Create a convex hull polygon from the selected plant locations using Turf.js
-    const points = currentSelectedPlants.map(p => turf.point([p.location.lng, p.location.lat]));
-    const featureCollection = turf.featureCollection(points);
-    const hull = turf.convex(featureCollection);
+/**
+ * Closes the outline options and their preview, keeping the selection.
+ * @returns {void}
+ */
+export function closeOutlineControls() {
+    pendingOutline = null;
+    ui.elements.outlineControls.classList.add('hidden');
+    ui.elements.outlineForm.reset();
+    ui.elements.outlineMethodInputs.forEach(input => input.classList.add('hidden'));
+    ui.showMessage(ui.elements.outlineSummary, '');
+    ui.showMessage(ui.elements.outlineMessage, '');
+    ui.elements.createFieldFromSelectionBtn.disabled = currentSelectedPlants.length < 3;
+    map.clearImportPreview();
+}
 
-    if (!hull) {
-        alert("Could not create a field. The selected plants may be in a straight line.");
+/**
+ * Saves the previewed outline as a new field.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveOutlineField() {
+    const fieldName = ui.elements.outlineFieldNameInput.value.trim();
+    if (!fieldName) {
+        ui.showMessage(ui.elements.outlineMessage, 'Field name is required.');
         return;
     }
-
-    const areaInSqMeters = turf.area(hull);
-    const areaInHectares = areaInSqMeters / 10000;
+    if (!pendingOutline) return;
 
     const fieldData = {
-        name: fieldName.trim(),
-        geometry: hull.geometry,
-        area_hectares: areaInHectares.toFixed(4)
+        name: fieldName,
+        geometry: pendingOutline.geometry,
+        area_hectares: pendingOutline.areaHectares.toFixed(4)
     };
 
-    const button = ui.elements.createFieldFromSelectionBtn;
+    const button = ui.elements.saveOutlineBtn;
     ui.setButtonLoading(button, true, 'Saving...');
 
     try {
-        await api.saveField(fieldData, state.token);
-        alert('Field created successfully!');
+        const { queued, data } = await submitFieldShape({ action: 'saveField', args: [fieldData], tempId: offline.newTempId(), label: `New field "${fieldData.name}"` });
         clearSelectionState();
         loadMapData(); // Refresh map data
+        if (data && data.overlaps.length > 0) {
+            reportOverlaps(data);
+        } else {
+            alert(queued ? 'You are offline. The field was saved on this device and will sync when you are back online.' : 'Field created successfully!');
+        }
     } catch (error) {
         console.error('Error creating field from selection:', error);
-        alert(`Error saving field: ${error.message}`);
+        ui.showMessage(ui.elements.outlineMessage, `Error saving field: ${error.message}`);
     } finally {
-        ui.setButtonLoading(button, false);
+        ui.setButtonLoading(button, false, 'Save Field');
     }
 }
 
@@ -126,34 +454,195 @@ export async function onLoginSuccess(token) {
     ui.showScreen('setup');
     console.log("✅ Login successful.");
     try {
-        const varietiesData = await api.fetchVarieties(state.token);
-        // Normalize varieties data into a key-value object for easy lookup
+        state.currentUser = await api.fetchCurrentUser(state.token);
+    } catch (error) {
+        console.error("Failed to fetch the current user:", error);
+    }
+    await Promise.all([loadFarms().then(loadPlantSchemas), loadVarieties(), loadZoning()]);
+    renderSyncStatus();
+    syncPendingChanges();
+}
+
+/**
+ * Fetches the user's farms and selects the one last used, falling back to the first.
+ * Every field and plant request is then scoped to that farm.
+ * @returns {Promise<void>}
+ */
+export async function loadFarms() {
+    try {
+        state.farms = await api.fetchFarms(state.token);
+    } catch (error) {
+        console.error("Failed to fetch farms:", error);
+        return;
+    }
+    const savedId = Number(localStorage.getItem(FARM_KEY));
+    const farm = state.farms.find(f => f.id === (state.currentFarm ? state.currentFarm.id : savedId)) || state.farms[0] || null;
+    setCurrentFarm(farm);
+}
+
+/**
+ * Makes a farm the current one: scopes API requests to it, remembers the choice and updates the switcher.
+ * @param {object|null} farm - One of `state.farms`.
+ */
+function setCurrentFarm(farm) {
+    state.currentFarm = farm;
+    api.setCurrentFarm(farm ? farm.id : null);
+    if (farm) localStorage.setItem(FARM_KEY, farm.id);
+    ui.populateFarmSwitcher(state.farms, farm);
+}
+
+/**
+ * Handles picking another farm in the header: drops the previous farm's data and reloads the open view.
+ * @returns {Promise<void>}
+ */
+export async function handleFarmSwitch() {
+    const farm = state.farms.find(f => f.id === Number(ui.elements.farmSwitcher.value));
+    if (!farm || farm === state.currentFarm) return;
+    setCurrentFarm(farm);
+    state.fields = [];
+    state.plants = [];
+    loadedExtent = null;
+    densityAttributeKeys = new Set();
+    plantStyleKeys = new Set();
+    fieldStatuses = null;
+    await loadPlantSchemas();
+    const currentView = document.querySelector('.view.active');
+    if (!currentView) return;
+    if (currentView.id === 'farm-view') {
+        await Promise.all([loadFarmMembers(), loadTagTemplateEditor()]);
+        renderPlantSchemaEditor();
+    } else if (currentView.id === 'map-view') {
+        exitCreationMode();
+        await loadMapData();
+    } else if (currentView.id === 'field-details-view' || currentView.id === 'plant-details-view') {
+        // The record shown belongs to the previous farm.
+        ui.showView('dashboard-view');
+    } else if (currentView.id === 'soil-analysis-view') {
+        await populateSoilFieldSelect();
+    }
+}
+
+/**
+ * Fetches the zoning regions and planting windows and fills the cultivation zone selects.
+ * @returns {Promise<void>}
+ */
+async function loadZoning() {
+    try {
+        state.zoning = await api.fetchZoning(state.token);
+        ui.populateZoningRegions(state.zoning);
+    } catch (error) {
+        console.error("Failed to fetch zoning:", error);
+    }
+}
+
+/**
+ * Looks up the display name of a zoning region.
+ * @param {string} code - The region code stored on seasons.
+ * @returns {string} The region's name, or the code itself for unknown regions.
+ */
+function getZoningRegionName(code) {
+    const region = state.zoning.regions.find(r => r.code === code);
+    return region ? region.name : code;
+}
+
+/**
+ * Fetches the varieties visible to the user and refreshes every variety select and the catalogue.
+ * @returns {Promise<void>}
+ */
+export async function loadVarieties() {
+    try {
+        let varietiesData;
+        try {
+            varietiesData = await api.fetchVarieties(state.token);
+            offline.saveSnapshot('varieties', varietiesData);
+        } catch (error) {
+            const snapshot = offline.isNetworkError(error) ? await offline.loadSnapshot('varieties') : null;
+            if (!snapshot) throw error;
+            varietiesData = snapshot.value;
+        }
+        // Normalize varieties data into a key-value object for easy lookup, keyed by the server-issued slug.
         state.varieties = varietiesData.reduce((acc, variety) => {
-            const key = variety.name.toLowerCase().replace(/ /g, '-').replace('---', '-');
-            acc[key] = variety;
+            acc[variety.slug] = variety;
             return acc;
         }, {});
         ui.populateVarieties(state.varieties);
+        renderVarietyCatalogue();
     } catch (error) {
         console.error("Failed to fetch varieties:", error);
     }
 }
 
 /**
- * Fetches and renders all map data (fields and plants) from the API.
+ * Fetches the custom attributes of each plant type on the current farm, which the plant forms and details are built from.
+ * @returns {Promise<void>}
+ */
+export async function loadPlantSchemas() {
+    if (!state.currentFarm) {
+        state.plantSchemas = {};
+        return;
+    }
+    const snapshotKey = `plant-schemas:${state.currentFarm.id}`;
+    try {
+        let schemas;
+        try {
+            schemas = await api.fetchPlantSchemas(state.token);
+            offline.saveSnapshot(snapshotKey, schemas);
+        } catch (error) {
+            const snapshot = offline.isNetworkError(error) ? await offline.loadSnapshot(snapshotKey) : null;
+            if (!snapshot) throw error;
+            schemas = snapshot.value;
+        }
+        state.plantSchemas = Object.fromEntries(schemas.map(({ plant_type, attributes, is_default }) => [plant_type, { attributes, is_default }]));
+    } catch (error) {
+        console.error("Failed to fetch plant attribute schemas:", error);
+    }
+}
+
+// The custom attributes of a plant type, in form order; empty when it has none.
+function plantTypeAttributes(plantType) {
+    return state.plantSchemas[plantType]?.attributes || [];
+}
+
+/**
+ * Reads the attribute inputs of a plant form and checks them against the plant type's attributes.
+ * @param {HTMLElement} container - The container of the inputs.
+ * @param {string} plantType - The plant type chosen in the form.
+ * @param {object} [existing={}] - The plant's current custom_data; keys the plant type doesn't define (e.g. imported ones) are kept.
+ * @returns {{customData: object, error: (string|null)}} The custom_data to save, and why it is invalid, if it is.
+ */
+function readPlantAttributes(container, plantType, existing = {}) {
+    const attributes = plantTypeAttributes(plantType);
+    const values = readAttributeInputs(container, attributes);
+    const kept = Object.fromEntries(Object.entries(existing).filter(([key]) => !attributes.some(attribute => attribute.key === key)));
+    return { customData: { ...kept, ...values }, error: validateCustomData(values, attributes) };
+}
+
+/**
+ * Fetches and renders the map data: every field of the farm, and the plants in the visible extent.
+ * The first time a farm's map is loaded, it is zoomed to the farm's fields.
  * @returns {Promise<void>}
  */
 export async function loadMapData() {
     if (!state.token) return;
     ui.showMessage(ui.elements.mapViewStatus, 'Loading map data...');
     try {
-        const [fields, plants] = await Promise.all([api.fetchFields(state.token), api.fetchPlants(state.token)]);
-        state.fields = fields;
-        state.plants = plants;
-        map.clearAllDataLayers();
-        map.drawFields(state.fields, handleDeleteField);
-        map.drawPlants(state.plants, handleDeletePlant);
-        ui.showMessage(ui.elements.mapViewStatus, `Displaying ${fields.length} fields and ${plants.length} plants.`);
+        // Queued changes go first; while any are left the local copy, which includes them, is shown.
+        if (navigator.onLine) await syncPendingChanges();
+        let useLocal = !navigator.onLine || (await offline.countPending()) > 0;
+        if (!useLocal) {
+            try {
+                // Fields are few and every field picker needs them all, so only plants are loaded by extent.
+                state.fields = await api.fetchFields(state.token);
+            } catch (error) {
+                if (!offline.isNetworkError(error)) throw error;
+                useLocal = true;
+            }
+        }
+        if (useLocal) await loadLocalFields();
+        if (state.mapStyle.fields) await loadFieldStatus(useLocal);
+        renderFieldLayer();
+        if (!loadedExtent) map.fitToFields();
+        await loadPlantsInView(useLocal);
     } catch (error) {
         console.error("Error loading map data:", error);
         ui.showMessage(ui.elements.mapViewStatus, `Error loading data: ${error.message}`);
@@ -161,271 +650,2475 @@ export async function loadMapData() {
 }
 
 /**
- * Handles the deletion of a field after user confirmation.
- * @param {number} fieldId - The ID of the field to delete.
- * @param {string} fieldName - The name of the field for the confirmation dialog.
+ * Loads and draws the plants in the visible extent, from the API or the offline copy. Zoomed out
+ * below PLANT_LIST_MIN_ZOOM the plants are only counted per grid cell, as drawing them one by one would be too slow.
+ * @param {boolean} useLocal - Whether to read the offline copy, e.g. while offline or with changes queued.
  * @returns {Promise<void>}
  */
-export async function handleDeleteField(fieldId, fieldName) {
-    if (confirm(`Are you sure you want to delete the field "${fieldName}"? This action cannot be undone.`)) {
+async function loadPlantsInView(useLocal) {
+    const load = ++plantLoadCount;
+    const extent = map.getViewExtent();
+    const zoomedOut = extent.zoom < PLANT_LIST_MIN_ZOOM;
+    // Cells only need splitting by crop type or an attribute for the density map; markers just show counts.
+    const colorBy = state.plantDisplay.mode === 'density' ? state.plantDisplay.colorBy : '';
+    let result = null;
+    let savedAt = null;
+    if (!useLocal) {
         try {
-            await api.deleteField(fieldId, state.token);
-            loadMapData(); // Refresh map data
+            const page = await api.fetchPlantsInView({ ...extent, limit: MAX_PLANTS_IN_VIEW }, state.token);
+            const cells = zoomedOut && page.total > 0
+                ? await api.fetchPlantDensity({ ...extent, ...parseColorBy(colorBy) }, state.token)
+                : [];
+            result = { ...page, cells };
         } catch (error) {
-            console.error('Error deleting field:', error);
-            alert(`Error deleting field: ${error.message}`);
+            if (!offline.isNetworkError(error)) throw error;
         }
     }
+    if (!result) {
+        const snapshot = await offline.loadSnapshot(mapSnapshotKeys()[1]);
+        if (!snapshot) throw new Error("You are offline and this farm's map hasn't been loaded on this device yet.");
+        const plants = snapshot.value.filter(plant => isInBbox(plant.location, extent.bbox));
+        result = zoomedOut
+            ? { plants: [], total: plants.length, cells: aggregatePlants(plants, extent.zoom, colorBy) }
+            : { plants: plants.slice(0, MAX_PLANTS_IN_VIEW), total: plants.length, cells: [] };
+        numericAttributeKeys(plants).forEach(key => densityAttributeKeys.add(key));
+        customDataKeys(plants).forEach(key => plantStyleKeys.add(key));
+        savedAt = snapshot.savedAt;
+    }
+    if (load !== plantLoadCount) return; // The map moved again and a newer load took over.
+
+    state.plants = result.plants;
+    loadedExtent = { bbox: extent.bbox, complete: result.plants.length === result.total };
+    if (!savedAt) saveLocalMapData();
+    numericAttributeKeys(state.plants).forEach(key => densityAttributeKeys.add(key));
+    customDataKeys(state.plants).forEach(key => plantStyleKeys.add(key));
+    renderPlantLayer(result.cells);
+
+    let summary = `Displaying ${state.fields.length} fields and ${state.plants.length} plants`;
+    if (result.total > result.plants.length) summary += ` of the ${result.total} in view (zoom in to see them all)`;
+    ui.showMessage(ui.elements.mapViewStatus, savedAt
+        ? `${summary} saved on this device (${new Date(savedAt).toLocaleString('pt-BR')}). Changes will sync when you are back online.`
+        : `${summary}.`);
 }
 
 /**
- * Handles the deletion of a single plant after user confirmation.
- * @param {number} plantId - The ID of the plant to delete.
- * @param {string} plantTag - The unique tag of the plant for the confirmation dialog.
+ * Loads each field's season in progress and latest soil sample for the fields' theme, from the API or the offline copy.
+ * @param {boolean} useLocal - Whether to read the offline copy, e.g. while offline or with changes queued.
  * @returns {Promise<void>}
  */
-export async function handleDeletePlant(plantId, plantTag) {
-    if (confirm(`Are you sure you want to delete the plant "${plantTag}"?`)) {
+async function loadFieldStatus(useLocal) {
+    const snapshotKey = `field-status:${state.currentFarm?.id}`;
+    let entries = null;
+    if (!useLocal) {
         try {
-            await api.deletePlant(plantId, state.token);
-            loadMapData(); // Refresh map data
+            entries = await api.fetchFieldStatus(state.token);
+            offline.saveSnapshot(snapshotKey, entries);
         } catch (error) {
-            console.error('Error deleting plant:', error);
-            alert(`Error deleting plant: ${error.message}`);
+            if (!offline.isNetworkError(error)) throw error;
         }
     }
+    if (!entries) entries = (await offline.loadSnapshot(snapshotKey))?.value || [];
+    fieldStatuses = new Map(entries.map(entry => [entry.field_id, entry]));
+}
+
+/** Draws the fields, coloured by the theme chosen in the style panel. */
+function renderFieldLayer() {
+    const theme = state.mapStyle.fields && fieldStatuses
+        ? buildFieldTheme(state.mapStyle.fields, state.fields, fieldStatuses, Object.values(state.varieties), parseISODate(todayISODate()))
+        : null;
+    map.drawFields(state.fields, handleDeleteField, theme?.colorOf);
+    mapLegends.fields = theme ? theme.legend : null;
+    renderMapLegend();
 }
 
 /**
- * Fetches and displays detailed information for a selected field.
- * @param {CustomEvent} event - The event containing the field ID in `event.detail.id`.
- * @returns {Promise<void>}
+ * Draws the loaded plants in the chosen display mode: clusters or points, coloured by the style panel's
+ * theme, or a heatmap in density mode. Zoomed out, the grid cells stand in for the plants.
+ * @param {Array<object>} cells - The cells of the extent, empty when its plants were listed.
  */
-export async function handleViewFieldDetails(event) {
-    const fieldId = event.detail.id;
-    ui.showView('field-details-view');
-    // Set loading placeholders
-    ui.elements.detailsFieldName.textContent = 'Loading...';
-    ui.elements.detailsFieldInfoList.innerHTML = '';
-    ui.elements.detailsPlantTableBody.innerHTML = `<tr><td colspan="3">Loading plants...</td></tr>`;
+function renderPlantLayer(cells) {
+    const { mode, colorBy } = state.plantDisplay;
+    renderedCells = cells;
+    renderDensityColorOptions();
+    renderPlantStyleOptions();
+    mapLegends.plants = null;
+    if (mode === 'density') {
+        const { layers, legend } = buildHeatLayers(cells.length > 0 ? cells : state.plants, colorBy);
+        map.drawPlantHeat(layers);
+        renderDensityLegend(legend);
+    } else if (cells.length > 0) {
+        renderDensityLegend(null);
+        map.drawPlantCells(cells);
+    } else {
+        renderDensityLegend(null);
+        const theme = state.mapStyle.plants ? buildPlantTheme(state.mapStyle.plants, state.mapStyle.classification, state.plants) : null;
+        map.drawPlants(state.plants, handleDeletePlant, mode, theme?.colorOf);
+        mapLegends.plants = theme ? theme.legend : null;
+    }
+    renderMapLegend();
+}
 
-    try {
-        const fieldData = await api.fetchFieldDetails(fieldId, state.token);
-        
-        ui.elements.detailsFieldName.textContent = fieldData.name;
-        const createdAt = new Date(fieldData.created_at);
-        ui.elements.detailsFieldInfoList.innerHTML = `
-            <li><span>Field ID:</span> <span>${fieldData.id}</span></li>
-            <li><span>Area:</span> <span>${fieldData.area_hectares} ha</span></li>
-            <li><span>Created On:</span> <span>${formatDate(createdAt)}</span></li>
-        `;
+/** Fills the density colourings with the numeric attributes seen so far, keeping the one chosen. */
+function renderDensityColorOptions() {
+    const select = ui.elements.densityColorBySelect;
+    select.classList.toggle('hidden', state.plantDisplay.mode !== 'density');
+    const keys = new Set(densityAttributeKeys);
+    const { attribute } = parseColorBy(state.plantDisplay.colorBy);
+    if (attribute) keys.add(attribute);
+    select.innerHTML = '<option value="">All plants</option><option value="plant_type">By plant type</option>';
+    [...keys].sort().forEach(key => select.appendChild(new Option(`Average ${key}`, `attribute:${key}`)));
+    select.value = state.plantDisplay.colorBy;
+}
 
-        // Populate the plants table within the field details
-        ui.elements.detailsPlantCount.textContent = fieldData.plants.length;
-        if (fieldData.plants.length > 0) {
-            ui.elements.detailsPlantTableBody.innerHTML = fieldData.plants.map(plant => `
-                <tr>
-                    <td>${plant.unique_tag}</td>
-                    <td>${plant.plant_type}</td>
-                    <td>${formatDate(new Date(plant.created_at))}</td>
-                </tr>
-            `).join('');
-        } else {
-            ui.elements.detailsPlantTableBody.innerHTML = `<tr><td colspan="3">No plants registered in this field.</td></tr>`;
-        }
+/** Fills the plant themes of the style panel with the custom_data keys seen so far, keeping the one chosen. */
+function renderPlantStyleOptions() {
+    const select = ui.elements.plantStyleSelect;
+    const keys = new Set(plantStyleKeys);
+    const { attribute } = parseColorBy(state.mapStyle.plants);
+    if (attribute) keys.add(attribute);
+    select.innerHTML = '<option value="">Uniform</option><option value="plant_type">By plant type</option>';
+    [...keys].sort().forEach(key => select.appendChild(new Option(`By ${key}`, `attribute:${key}`)));
+    select.value = state.mapStyle.plants;
+    // Only custom_data values can be graduated; plant types are always categories.
+    ui.elements.plantStyleClassificationSelect.classList.toggle('hidden', !attribute);
+}
 
-    } catch (error) {
-        console.error("Error fetching field details:", error);
-        ui.elements.detailsFieldName.textContent = "Error Loading Details";
+// Builds a legend line: a colour swatch and what it stands for. Labels are custom_data values and
+// variety names typed by users, so they are set as text.
+function createLegendItem(item) {
+    const line = document.createElement('div');
+    line.className = 'legend-item';
+    line.innerHTML = '<span class="legend-swatch"></span>';
+    line.firstElementChild.style.backgroundColor = item.color;
+    line.append(item.label);
+    return line;
+}
+
+// A small line of text in a legend.
+function createLegendNote(text) {
+    const note = document.createElement('small');
+    note.textContent = text;
+    return note;
+}
+
+/**
+ * Shows what the colours of the density map mean.
+ * @param {object|null} legend - From buildHeatLayers in density.js, or null to hide the legend.
+ */
+function renderDensityLegend(legend) {
+    const container = ui.elements.densityLegend;
+    container.classList.toggle('hidden', !legend);
+    container.innerHTML = '';
+    if (!legend) return;
+    if (legend.type === 'categories') {
+        if (legend.items.length === 0) container.appendChild(createLegendNote('No plants in view.'));
+        else container.append(...legend.items.map(createLegendItem));
+        return;
     }
+    const format = (value) => (typeof value === 'number' ? value.toLocaleString('pt-BR', { maximumFractionDigits: 2 }) : String(value));
+    const gradient = document.createElement('div');
+    gradient.className = 'legend-gradient';
+    const range = document.createElement('div');
+    range.className = 'legend-range';
+    range.append(createLegendNote(format(legend.min)), createLegendNote(format(legend.max)));
+    container.append(createLegendNote(legend.label), gradient, range);
+}
+
+/** Shows what the colours of the fields and plants mean, for the themes chosen in the style panel. */
+function renderMapLegend() {
+    const legends = [mapLegends.fields, mapLegends.plants].filter(Boolean);
+    ui.elements.mapLegend.classList.toggle('hidden', legends.length === 0);
+    ui.elements.mapLegend.innerHTML = '';
+    legends.forEach(legend => {
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = legend.title;
+        ui.elements.mapLegend.appendChild(title);
+        if (legend.items.length === 0) ui.elements.mapLegend.appendChild(createLegendNote('Nothing in view.'));
+        else ui.elements.mapLegend.append(...legend.items.map(createLegendItem));
+    });
 }
 
 /**
- * Fetches and displays detailed information for a selected plant.
- * @param {CustomEvent} event - The event containing the plant ID in `event.detail.id`.
+ * Applies the themes chosen in the style panel: redraws the fields and plants in their colours.
  * @returns {Promise<void>}
  */
-export async function handleViewPlantDetails(event) {
-    const plantId = event.detail.id;
-    ui.showView('plant-details-view');
-    // Set loading placeholders
-    ui.elements.detailsPlantTag.textContent = 'Loading...';
-    ui.elements.detailsPlantInfoList.innerHTML = '';
-    ui.elements.detailsPlantCustomDataList.innerHTML = '';
-
+export async function handleMapStyleChange() {
+    const previousFieldTheme = state.mapStyle.fields;
+    state.mapStyle = {
+        fields: ui.elements.fieldStyleSelect.value,
+        plants: ui.elements.plantStyleSelect.value,
+        classification: ui.elements.plantStyleClassificationSelect.value
+    };
+    ui.elements.plantStyleClassificationSelect.classList.toggle('hidden', !parseColorBy(state.mapStyle.plants).attribute);
+    // Outside the view mode the new style is used the next time the map is loaded.
+    if (!state.token || state.currentMapMode !== 'view' || !loadedExtent) return;
     try {
-        const plantData = await api.fetchPlantDetails(plantId, state.token);
-        
-        ui.elements.detailsPlantTag.textContent = `Details for: ${plantData.unique_tag}`;
-        const createdAt = new Date(plantData.created_at);
-        ui.elements.detailsPlantInfoList.innerHTML = `
-            <li><span>Plant ID:</span> <span>${plantData.id}</span></li>
-            <li><span>Type:</span> <span>${plantData.plant_type}</span></li>
-            <li><span>Created On:</span> <span>${formatDate(createdAt)}</span></li>
-            ${plantData.field_id ? `<li><span>Belongs to Field:</span> <span>ID ${plantData.field_id}</span></li>` : ''}
-        `;
-
-        // Display any custom data associated with the plant
-        const customData = plantData.custom_data || {};
-        if (Object.keys(customData).length > 0) {
-            ui.elements.detailsPlantCustomDataList.innerHTML = Object.entries(customData).map(([key, value]) => `
-                <li><span>${key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())}:</span> <span>${value}</span></li>
-            `).join('');
-        } else {
-            ui.elements.detailsPlantCustomDataList.innerHTML = `<li><span>No custom data available.</span></li>`;
+        if (state.mapStyle.fields !== previousFieldTheme) {
+            if (state.mapStyle.fields && !fieldStatuses) await loadFieldStatus(!navigator.onLine || (await offline.countPending()) > 0);
+            renderFieldLayer();
         }
+        // Also after the fields, which share the canvas of the plants drawn as points and would cover them.
+        renderPlantLayer(renderedCells);
     } catch (error) {
-        console.error("Error fetching plant details:", error);
-        ui.elements.detailsPlantTag.textContent = "Error Loading Details";
+        console.error("Error loading field status:", error);
+        ui.showMessage(ui.elements.mapViewStatus, `Error loading data: ${error.message}`);
     }
 }
 
 /**
- * Calculates and displays the estimated harvest date and development timeline for a selected variety.
+ * Switches how the plants are drawn, or what the density map is coloured by, and redraws them.
+ * @returns {Promise<void>}
+ */
+export async function handlePlantDisplayChange() {
+    state.plantDisplay = {
+        mode: ui.elements.plantDisplayModeSelect.value,
+        colorBy: ui.elements.densityColorBySelect.value
+    };
+    // Outside the view mode the new display is used the next time the plants are loaded.
+    if (!state.token || state.currentMapMode !== 'view' || !loadedExtent) return;
+    try {
+        await loadPlantsInView(!navigator.onLine || (await offline.countPending()) > 0);
+    } catch (error) {
+        console.error("Error loading plants in view:", error);
+        ui.showMessage(ui.elements.mapViewStatus, `Error loading data: ${error.message}`);
+    }
+}
+
+/**
+ * Reloads the plants for the new extent once the map has been panned or zoomed, while it is only being viewed.
+ * @returns {Promise<void>}
+ */
+export async function handleMapMoveEnd() {
+    if (!state.token || state.currentMapMode !== 'view' || !loadedExtent) return;
+    try {
+        await loadPlantsInView(!navigator.onLine || (await offline.countPending()) > 0);
+    } catch (error) {
+        console.error("Error loading plants in view:", error);
+        ui.showMessage(ui.elements.mapViewStatus, `Error loading data: ${error.message}`);
+    }
+}
+
+const isInBbox = ({ lat, lng }, [west, south, east, north]) => lng >= west && lng <= east && lat >= south && lat <= north;
+
+// Snapshot names of the current farm's fields and plants in the offline store.
+const mapSnapshotKeys = () => [`fields:${state.currentFarm?.id}`, `plants:${state.currentFarm?.id}`];
+
+/**
+ * Saves the current farm's fields and the plants loaded, including changes not synced yet, to the offline store.
+ * The offline copy keeps the plants of every extent viewed: the loaded ones replace their saved versions, and
+ * when every plant of the extent was loaded, saved plants in it that are gone (deleted since) are dropped.
+ * @returns {Promise<void>}
+ */
+async function saveLocalMapData() {
+    const [fieldsKey, plantsKey] = mapSnapshotKeys();
+    try {
+        const saved = await offline.loadSnapshot(plantsKey);
+        const loadedIds = new Set(state.plants.map(plant => plant.id));
+        const isStale = (plant) => loadedExtent && loadedExtent.complete && isInBbox(plant.location, loadedExtent.bbox);
+        const plants = [...(saved ? saved.value : []).filter(plant => !loadedIds.has(plant.id) && !isStale(plant)), ...state.plants];
+        await Promise.all([offline.saveSnapshot(fieldsKey, state.fields), offline.saveSnapshot(plantsKey, plants)]);
+    } catch (error) {
+        console.error("Error saving map data offline:", error);
+    }
+}
+
+/**
+ * Loads the current farm's fields from the offline store into the state.
+ * @returns {Promise<void>}
+ * @throws {Error} When this farm was never loaded on this device.
+ */
+async function loadLocalFields() {
+    const fields = await offline.loadSnapshot(mapSnapshotKeys()[0]);
+    if (!fields) throw new Error("You are offline and this farm's map hasn't been loaded on this device yet.");
+    state.fields = fields.value;
+}
+
+/**
+ * Sends a field or plant change through the offline queue, and when it gets queued applies it to the
+ * local copy so the map shows it until it syncs.
+ * @param {object} operation - As for `offline.submit`, without the farm.
+ * @param {Function} [applyLocally] - Updates `state.fields`/`state.plants` to reflect a queued change.
+ * @returns {Promise<{queued: boolean, data: (object|null)}>} As from `offline.submit`.
+ */
+async function submitFieldChange(operation, applyLocally) {
+    const result = await offline.submit({ ...operation, farmId: state.currentFarm?.id }, state.token);
+    if (result.queued) {
+        if (applyLocally) {
+            applyLocally();
+        } else if (operation.action === 'saveField') {
+            state.fields.unshift({ ...operation.args[0], id: operation.tempId, pending: true });
+        }
+        await saveLocalMapData();
+    }
+    return result;
+}
+
+/**
+ * Sends a field's new or edited shape. When the server refuses a shape it can repair, such as a
+ * self-intersecting outline, offers to save the repaired one instead; refused overlaps are highlighted.
+ * @param {object} operation - As for `submitFieldChange`, with the field data as the last argument.
+ * @param {Function} [applyLocally] - As for `submitFieldChange`.
+ * @returns {Promise<{queued: boolean, data: (object|null)}>} As from `offline.submit`.
+ */
+async function submitFieldShape(operation, applyLocally) {
+    try {
+        return await submitFieldChange(operation, applyLocally);
+    } catch (error) {
+        if (error.status === 400 && error.data && error.data.repairable &&
+            confirm(`${error.data.errors.join(' ')}\n\nSave the field with its outline repaired automatically?`)) {
+            const args = [...operation.args];
+            args[args.length - 1] = { ...args[args.length - 1], repair: true };
+            return submitFieldChange({ ...operation, args }, applyLocally);
+        }
+        if (error.status === 409 && error.data && error.data.overlaps) map.showOverlaps(error.data.overlaps);
+        throw error;
+    }
+}
+
+/**
+ * Shows the overlaps with other fields the API reported for a saved field, if any.
+ * Call after leaving the editing mode, which clears the map preview.
+ * @param {object|null} savedField - The API response, null when the change was queued offline.
+ */
+function reportOverlaps(savedField) {
+    if (!savedField || !savedField.overlaps || savedField.overlaps.length === 0) return;
+    map.showOverlaps(savedField.overlaps);
+    alert(`Field saved. ${savedField.warning} The overlap is highlighted in red.`);
+}
+
+/**
+ * Replays the changes queued offline, then refreshes the sync status.
+ * @returns {Promise<void>}
+ */
+export async function syncPendingChanges() {
+    if (!state.token || !navigator.onLine) return;
+    try {
+        const { synced } = await offline.syncQueue(state.token);
+        if (synced > 0) console.log(`✅ Synced ${synced} offline change(s).`);
+    } catch (error) {
+        console.error("Error syncing offline changes:", error);
+    }
+}
+
+/**
+ * Handles the browser going online or offline: back online, queued changes are sent and the map refreshed.
+ * @returns {Promise<void>}
+ */
+export async function handleConnectivityChange() {
+    renderSyncStatus();
+    if (!navigator.onLine) return;
+    await syncPendingChanges();
+    if (document.querySelector('.view.active')?.id === 'map-view' && state.currentMapMode === 'view') loadMapData();
+}
+
+/**
+ * Shows the offline, pending and conflict counts on the header's sync button, hidden when all is synced.
+ * @returns {Promise<void>}
+ */
+export async function renderSyncStatus() {
+    let pending = 0;
+    let conflicts = 0;
+    try {
+        [pending, conflicts] = await Promise.all([offline.countPending(), offline.getConflicts().then(list => list.length)]);
+    } catch (error) {
+        console.error("Error reading the offline queue:", error);
+    }
+    const parts = [];
+    if (!navigator.onLine) parts.push('Offline');
+    if (pending > 0) parts.push(`${pending} pending`);
+    if (conflicts > 0) parts.push(`${conflicts} conflict${conflicts === 1 ? '' : 's'}`);
+    ui.elements.syncStatusBtn.textContent = parts.join(' · ');
+    ui.elements.syncStatusBtn.classList.toggle('hidden', parts.length === 0);
+    ui.elements.syncStatusBtn.classList.toggle('has-conflicts', conflicts > 0);
+    if (document.querySelector('.view.active')?.id === 'sync-view') renderSyncView();
+}
+
+/**
+ * Lists the changes waiting to sync and the conflicts to resolve in the sync view.
+ * @returns {Promise<void>}
+ */
+export async function renderSyncView() {
+    const [queue, conflicts] = await Promise.all([offline.getQueue(), offline.getConflicts()]);
+    // Labels, server messages and record names are set as text, so names typed by users are never parsed as HTML.
+    ui.elements.syncQueueList.innerHTML = queue.length === 0 ? '<li>Everything is synced.</li>' : '';
+    queue.forEach(op => {
+        const item = document.createElement('li');
+        item.innerHTML = '<span></span><span></span>';
+        item.children[0].textContent = op.label;
+        item.children[1].textContent = new Date(op.queuedAt).toLocaleString('pt-BR');
+        ui.elements.syncQueueList.appendChild(item);
+    });
+    ui.elements.syncConflictsContainer.classList.toggle('hidden', conflicts.length === 0);
+    ui.elements.syncConflictsList.innerHTML = '';
+    conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.className = 'sync-conflict';
+        item.innerHTML = `
+            <div><strong></strong><p></p></div>
+            <div>
+                <button class="btn-edit" data-action="retry" data-conflict-id="${conflict.id}">${conflict.current ? 'Apply Mine' : 'Retry'}</button>
+                <button class="btn-delete" data-action="discard" data-conflict-id="${conflict.id}" title="Discard my change">&times;</button>
+            </div>`;
+        const details = item.firstElementChild;
+        details.querySelector('strong').textContent = conflict.operation.label;
+        details.querySelector('p').textContent = conflict.message;
+        const addNote = (text) => {
+            const note = document.createElement('p');
+            note.textContent = text;
+            details.appendChild(note);
+        };
+        if (conflict.current) {
+            const current = conflict.current.name || conflict.current.unique_tag || `#${conflict.current.id}`;
+            addNote(`Now on the server: ${current}, changed ${new Date(conflict.current.updated_at).toLocaleString('pt-BR')}.`);
+        }
+        // Changes made offline to a record whose create was refused wait with it.
+        const dependents = conflict.dependents || [];
+        if (dependents.length > 0) addNote(`Also waiting on it: ${dependents.map(op => op.label).join('; ')}.`);
+        ui.elements.syncConflictsList.appendChild(item);
+    });
+}
+
+/**
+ * Handles the sync view's conflict buttons: sending the local change again over the server's
+ * version, or discarding it.
+ * @param {Event} event - The click event, delegated from the conflict list.
+ * @returns {Promise<void>}
+ */
+export async function handleConflictClick(event) {
+    const button = event.target.closest('[data-conflict-id]');
+    if (!button) return;
+    const conflict = (await offline.getConflicts()).find(c => c.id === Number(button.dataset.conflictId));
+    if (!conflict) return;
+    try {
+        if (button.dataset.action === 'retry') {
+            await offline.retryConflict(conflict, state.token);
+        } else if (confirm(conflict.dependents?.length
+            ? `Discard "${conflict.operation.label}" and the ${conflict.dependents.length} changes waiting on it?`
+            : `Discard "${conflict.operation.label}"? The server's version is kept.`)) {
+            await offline.discardConflict(conflict.id);
+        }
+    } catch (error) {
+        console.error('Error resolving conflict:', error);
+        alert(`Error: ${error.message}`);
+    }
+    renderSyncView();
+}
+
+/**
+ * Deletes a field or plant through the offline queue. A record created offline and never synced
+ * is simply dropped together with its queued changes.
+ * @param {string} collection - 'fields' or 'plants'.
+ * @param {number} id - The record's ID.
+ * @param {object} operation - The delete operation's `action` and `label`.
+ * @returns {Promise<void>}
+ */
+async function deleteRecord(collection, id, operation) {
+    const removeLocally = () => { state[collection] = state[collection].filter(record => record.id !== id); };
+    if (offline.isTempId(id)) {
+        await offline.discardOperationsFor(id);
+        removeLocally();
+        await saveLocalMapData();
+        return;
+    }
+    const record = state[collection].find(r => r.id === id);
+    await submitFieldChange({ ...operation, args: [id], ifMatch: record?.updated_at }, removeLocally);
+}
+
+/**
+ * Handles the deletion of a field after user confirmation.
+ * @param {number} fieldId - The ID of the field to delete.
+ * @param {string} fieldName - The name of the field for the confirmation dialog.
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteField(fieldId, fieldName) {
+    if (confirm(`Are you sure you want to delete the field "${fieldName}"? This action cannot be undone.`)) {
+        try {
+            await deleteRecord('fields', fieldId, { action: 'deleteField', label: `Delete field "${fieldName}"` });
+            loadMapData(); // Refresh map data
+        } catch (error) {
+            console.error('Error deleting field:', error);
+            alert(`Error deleting field: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Handles the deletion of a single plant after user confirmation.
+ * @param {number} plantId - The ID of the plant to delete.
+ * @param {string} plantTag - The unique tag of the plant for the confirmation dialog.
+ * @returns {Promise<void>}
+ */
+export async function handleDeletePlant(plantId, plantTag) {
+    if (confirm(`Are you sure you want to delete the plant "${plantTag}"?`)) {
+        try {
+            await deleteRecord('plants', plantId, { action: 'deletePlant', label: `Delete plant "${plantTag}"` });
+            loadMapData(); // Refresh map data
+        } catch (error) {
+            console.error('Error deleting plant:', error);
+            alert(`Error deleting plant: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Fetches and displays detailed information for a selected field.
+ * @param {CustomEvent} event - The event containing the field ID in `event.detail.id`.
+ * @returns {Promise<void>}
+ */
+export async function handleViewFieldDetails(event) {
+    const fieldId = event.detail.id;
+    if (offline.isTempId(fieldId)) {
+        alert('This field was created offline. Its details will be available once it syncs.');
+        return;
+    }
+    ui.showView('field-details-view');
+    // Set loading placeholders
+    ui.elements.detailsFieldName.textContent = 'Loading...';
+    ui.elements.detailsFieldInfoList.innerHTML = '';
+    ui.elements.detailsPlantTableBody.innerHTML = `<tr><td colspan="3">Loading plants...</td></tr>`;
+    ui.elements.fieldEditForm.classList.add('hidden');
+    ui.elements.seasonForm.classList.add('hidden');
+    ui.elements.harvestForm.classList.add('hidden');
+    ui.elements.currentSeasonContainer.innerHTML = '';
+    ui.elements.pastSeasonsTableBody.innerHTML = '';
+    ui.elements.latestSoilReport.innerHTML = '';
+    ui.elements.soilTrendChart.innerHTML = '';
+    resetPhotoGallery('fields');
+    currentDetailsField = null;
+
+    try {
+        const fieldData = await api.fetchFieldDetails(fieldId, state.token);
+        currentDetailsField = fieldData;
+        
+        ui.elements.detailsFieldName.textContent = fieldData.name;
+        const createdAt = new Date(fieldData.created_at);
+        renderDetailsList(ui.elements.detailsFieldInfoList, [
+            ['Field ID', fieldData.id],
+            ['Code', fieldData.code || `${fieldCodeOf(fieldData)} (default)`],
+            ['Area', `${fieldData.area_hectares} ha`],
+            ['Created On', formatDate(createdAt)]
+        ]);
+
+        // Populate the plants table within the field details
+        ui.elements.detailsPlantCount.textContent = fieldData.plants.length;
+        if (fieldData.plants.length > 0) {
+            ui.elements.detailsPlantTableBody.innerHTML = '';
+            fieldData.plants.forEach(plant => ui.elements.detailsPlantTableBody.appendChild(
+                createTextRow([plant.unique_tag, plant.plant_type, formatDate(new Date(plant.created_at))])
+            ));
+        } else {
+            ui.elements.detailsPlantTableBody.innerHTML = `<tr><td colspan="3">No plants registered in this field.</td></tr>`;
+        }
+
+        await loadFieldSeasons(fieldData.id);
+        await loadFieldSoilSamples(fieldData.id);
+        await loadPhotos('fields', fieldData.id);
+
+    } catch (error) {
+        console.error("Error fetching field details:", error);
+        ui.elements.detailsFieldName.textContent = "Error Loading Details";
+    }
+}
+
+/**
+ * Fills a details list with label and value lines. Values are plant and field data typed or imported by
+ * users, so both are set as text rather than parsed as HTML.
+ * @param {HTMLElement} list - The list.
+ * @param {Array<Array>} entries - `[label, value]` pairs, in display order.
+ */
+function renderDetailsList(list, entries) {
+    list.innerHTML = '';
+    entries.forEach(([label, value]) => {
+        const item = document.createElement('li');
+        item.innerHTML = '<span></span> <span></span>';
+        item.children[0].textContent = `${label}:`;
+        item.children[1].textContent = String(value);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Builds a table row with one text cell per value.
+ * @param {Array} values - The cells' values.
+ * @returns {HTMLTableRowElement} The row.
+ */
+function createTextRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = String(value);
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+/**
+ * Describes the field a plant was assigned to by the backend, using the loaded field names when available.
+ * @param {number|null} fieldId - The plant's field ID.
+ * @returns {string} The field name (or ID), or a note that the plant lies outside every field.
+ */
+function describePlantField(fieldId) {
+    if (!fieldId) return 'None (outside all fields)';
+    const field = state.fields.find(f => f.id === fieldId);
+    return field ? field.name : `ID ${fieldId}`;
+}
+
+/**
+ * Fetches and displays detailed information for a selected plant.
+ * @param {CustomEvent} event - The event containing the plant ID in `event.detail.id`.
+ * @returns {Promise<void>}
+ */
+export async function handleViewPlantDetails(event) {
+    const plantId = event.detail.id;
+    if (offline.isTempId(plantId)) {
+        alert('This plant was created offline. Its details will be available once it syncs.');
+        return;
+    }
+    ui.showView('plant-details-view');
+    // Set loading placeholders
+    ui.elements.detailsPlantTag.textContent = 'Loading...';
+    ui.elements.detailsPlantInfoList.innerHTML = '';
+    ui.elements.detailsPlantCustomDataList.innerHTML = '';
+    ui.elements.plantEditForm.classList.add('hidden');
+    resetPhotoGallery('plants');
+    currentDetailsPlant = null;
+
+    try {
+        const plantData = await api.fetchPlantDetails(plantId, state.token);
+        currentDetailsPlant = plantData;
+        
+        ui.elements.detailsPlantTag.textContent = `Details for: ${plantData.unique_tag}`;
+        const createdAt = new Date(plantData.created_at);
+        renderDetailsList(ui.elements.detailsPlantInfoList, [
+            ['Plant ID', plantData.id],
+            ['Type', plantData.plant_type],
+            ['Created On', formatDate(createdAt)],
+            ['Belongs to Field', describePlantField(plantData.field_id)]
+        ]);
+
+        // Display the plant type's attributes with their units, then any other custom data (e.g. imported)
+        const customData = plantData.custom_data || {};
+        const attributes = plantTypeAttributes(plantData.plant_type);
+        const otherEntries = Object.entries(customData).filter(([key]) => !attributes.some(attribute => attribute.key === key));
+        if (attributes.length > 0 || otherEntries.length > 0) {
+            renderDetailsList(ui.elements.detailsPlantCustomDataList, [
+                ...attributes.map(attribute => [attribute.label, formatAttributeValue(attribute, customData[attribute.key])]),
+                ...otherEntries.map(([key, value]) => [key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()), value])
+            ]);
+        } else {
+            ui.elements.detailsPlantCustomDataList.innerHTML = `<li><span>No custom data available.</span></li>`;
+        }
+
+        ui.elements.observationForm.reset();
+        ui.elements.observationDateInput.value = todayISODate();
+        ui.showMessage(ui.elements.observationMessage, '');
+        await loadPlantObservations(plantData.id);
+        await loadPhotos('plants', plantData.id);
+    } catch (error) {
+        console.error("Error fetching plant details:", error);
+        ui.elements.detailsPlantTag.textContent = "Error Loading Details";
+    }
+}
+
+/**
+ * The photo gallery elements of the plant or field details view.
+ * @param {string} owner - 'plants' or 'fields'.
+ * @returns {object} The count, gallery, status, upload form and its inputs, button and message.
+ */
+function photoElements(owner) {
+    const { elements } = ui;
+    return owner === 'plants'
+        ? { count: elements.plantPhotoCount, gallery: elements.plantPhotoGallery, status: elements.plantPhotoStatus, form: elements.plantPhotoForm,
+            files: elements.plantPhotoFilesInput, caption: elements.plantPhotoCaptionInput, button: elements.uploadPlantPhotosBtn, message: elements.plantPhotoMessage }
+        : { count: elements.fieldPhotoCount, gallery: elements.fieldPhotoGallery, status: elements.fieldPhotoStatus, form: elements.fieldPhotoForm,
+            files: elements.fieldPhotoFilesInput, caption: elements.fieldPhotoCaptionInput, button: elements.uploadFieldPhotosBtn, message: elements.fieldPhotoMessage };
+}
+
+// Empties a details view's gallery and upload form while another record loads.
+function resetPhotoGallery(owner) {
+    const elements = photoElements(owner);
+    currentPhotos[owner] = [];
+    elements.count.textContent = '0';
+    elements.status.textContent = 'Loading photos...';
+    clearPhotoGallery(elements.gallery);
+    elements.form.reset();
+    ui.showMessage(elements.message, '');
+}
+
+/**
+ * Fetches and shows the photos of the plant or field open in its details view. Photos aren't kept for
+ * offline use, so without a connection the gallery only says so.
+ * @param {string} owner - 'plants' or 'fields'.
+ * @param {number} ownerId - The plant or field.
+ * @returns {Promise<void>}
+ */
+async function loadPhotos(owner, ownerId) {
+    const elements = photoElements(owner);
+    elements.status.textContent = '';
+    try {
+        currentPhotos[owner] = await api.fetchPhotos(owner, ownerId, state.token);
+    } catch (error) {
+        console.error('Error loading photos:', error);
+        currentPhotos[owner] = [];
+        elements.status.textContent = offline.isNetworkError(error) ? 'Photos are only available online.' : `Error loading photos: ${error.message}`;
+    }
+    elements.count.textContent = currentPhotos[owner].length;
+    renderPhotoGallery(elements.gallery, currentPhotos[owner], (photoId) => api.fetchPhotoFile(photoId, 'thumbnail', state.token));
+}
+
+/**
+ * Uploads the photos chosen in a details view's form and refreshes its gallery.
+ * @param {string} owner - 'plants' or 'fields'.
+ * @param {object|null} record - The plant or field open in the view.
+ * @returns {Promise<void>}
+ */
+async function uploadDetailsPhotos(owner, record) {
+    const elements = photoElements(owner);
+    if (!record || elements.files.files.length === 0) return;
+    ui.showMessage(elements.message, '');
+    ui.setButtonLoading(elements.button, true, 'Uploading...');
+    try {
+        await api.uploadPhotos(owner, record.id, elements.files.files, elements.caption.value.trim(), state.token);
+        elements.form.reset();
+        await loadPhotos(owner, record.id);
+    } catch (error) {
+        console.error('Error uploading photos:', error);
+        ui.showMessage(elements.message, offline.isNetworkError(error) ? 'Photos can only be uploaded online.' : `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(elements.button, false);
+    }
+}
+
+/**
+ * Handles the submission of the photo form in the plant details view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleUploadPlantPhotos(event) {
+    event.preventDefault();
+    await uploadDetailsPhotos('plants', currentDetailsPlant);
+}
+
+/**
+ * Handles the submission of the photo form in the field details view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleUploadFieldPhotos(event) {
+    event.preventDefault();
+    await uploadDetailsPhotos('fields', currentDetailsField);
+}
+
+/**
+ * Handles the thumbnails (opening the photo) and delete buttons of both galleries.
+ * @param {Event} event - The click event, delegated from a gallery, whose `data-owner` names its record type.
+ * @returns {Promise<void>}
+ */
+export async function handlePhotoGalleryClick(event) {
+    const button = event.target.closest('button[data-photo-id]');
+    if (!button) return;
+    const owner = event.currentTarget.dataset.owner;
+    const photo = currentPhotos[owner].find(p => p.id === Number(button.dataset.photoId));
+    if (!photo) return;
+    if (button.dataset.action === 'view') {
+        await openPhotoViewer(photo);
+        return;
+    }
+    if (!confirm('Delete this photo?')) return;
+    try {
+        await api.deletePhoto(photo.id, state.token);
+        await loadPhotos(owner, owner === 'plants' ? photo.plant_id : photo.field_id);
+    } catch (error) {
+        console.error('Error deleting photo:', error);
+        alert(`Error deleting photo: ${error.message}`);
+    }
+}
+
+/**
+ * Opens a photo at full size in the viewer.
+ * @param {object} photo - A photo from the API.
+ * @returns {Promise<void>}
+ */
+async function openPhotoViewer(photo) {
+    const { photoViewer, photoViewerImage, photoViewerCaption } = ui.elements;
+    const description = photo.caption ? `${photo.caption} · ${describePhoto(photo)}` : describePhoto(photo);
+    photoViewer.dataset.photoId = photo.id;
+    photoViewerImage.removeAttribute('src');
+    photoViewerImage.alt = photo.caption || 'Photo';
+    photoViewerCaption.textContent = 'Loading...';
+    if (!photoViewer.open) photoViewer.showModal();
+    try {
+        const blob = await api.fetchPhotoFile(photo.id, 'full', state.token);
+        // Closed, or showing another photo, by the time this one arrived.
+        if (!photoViewer.open || photoViewer.dataset.photoId !== String(photo.id)) return;
+        if (photoViewerUrl) URL.revokeObjectURL(photoViewerUrl);
+        photoViewerUrl = URL.createObjectURL(blob);
+        photoViewerImage.src = photoViewerUrl;
+        photoViewerCaption.textContent = description;
+    } catch (error) {
+        console.error('Error loading photo:', error);
+        photoViewerCaption.textContent = `Error loading photo: ${error.message}`;
+    }
+}
+
+/** Releases the photo shown in the viewer once it is closed. */
+export function handlePhotoViewerClose() {
+    if (photoViewerUrl) URL.revokeObjectURL(photoViewerUrl);
+    photoViewerUrl = null;
+    ui.elements.photoViewerImage.removeAttribute('src');
+    delete ui.elements.photoViewer.dataset.photoId;
+}
+
+/**
+ * Downloads a PDF sheet of tag labels, in the code chosen in the farm's tag template.
+ * @param {object} labelRequest - `{ field_id }` or `{ plant_ids }`, as for `api.fetchLabels`.
+ * @param {HTMLButtonElement} button - The button that asked for them.
+ * @returns {Promise<void>}
+ */
+async function downloadLabels(labelRequest, button) {
+    ui.setButtonLoading(button, true, 'Preparing...');
+    try {
+        const blob = await api.fetchLabels(labelRequest, state.token);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'agriplanum-labels.pdf';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error printing labels:', error);
+        alert(offline.isNetworkError(error) ? 'You are offline. Printing labels needs a connection.' : `Error printing labels: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Prints the tag labels of every plant of the field shown in the details view.
+ * @returns {Promise<void>}
+ */
+export async function handlePrintFieldLabels() {
+    if (!currentDetailsField) return;
+    await downloadLabels({ field_id: currentDetailsField.id }, ui.elements.printFieldLabelsBtn);
+}
+
+/**
+ * Prints the tag labels of the selected plants. Plants created offline aren't on the server yet and are left out.
+ * @returns {Promise<void>}
+ */
+export async function handlePrintSelectionLabels() {
+    const plantIds = currentSelectedPlants.map(plant => plant.id).filter(id => !offline.isTempId(id));
+    if (plantIds.length === 0) {
+        alert(currentSelectedPlants.length === 0 ? 'No plants are selected.' : 'The selected plants were created offline; sync them first.');
+        return;
+    }
+    await downloadLabels({ plant_ids: plantIds }, ui.elements.printSelectionLabelsBtn);
+}
+
+/**
+ * Opens the camera in the scan view to read a plant's label.
+ * @returns {Promise<void>}
+ */
+export async function startTagScan() {
+    ui.elements.scanTagForm.reset();
+    ui.showMessage(ui.elements.scanTagMessage, '');
+    if (!scanner.canScan()) {
+        ui.showMessage(ui.elements.scannerStatus, "This browser can't use the camera. Type the tag below instead.");
+        return;
+    }
+    ui.showMessage(ui.elements.scannerStatus, 'Starting the camera...');
+    try {
+        await scanner.startScanner(ui.elements.scannerVideo, openTaggedPlant);
+        ui.showMessage(ui.elements.scannerStatus, 'Point the camera at a label.');
+    } catch (error) {
+        console.error('Error starting the tag scanner:', error);
+        ui.showMessage(ui.elements.scannerStatus, error.name === 'NotAllowedError'
+            ? 'Camera access was denied. Allow it in the browser settings, or type the tag below.'
+            : `The camera could not be started (${error.message}). Type the tag below instead.`);
+    }
+}
+
+/**
+ * Releases the camera when the scan view is left.
+ * @param {CustomEvent} event - The `viewchange` event, with the view shown in `event.detail.viewId`.
+ */
+export function handleViewChange(event) {
+    if (event.detail.viewId !== 'scan-view') scanner.stopScanner();
+}
+
+/**
+ * Opens the plant with the tag typed in the scan view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleScanTagSubmit(event) {
+    event.preventDefault();
+    const tag = ui.elements.scanTagInput.value.trim();
+    if (!tag) return;
+    scanner.stopScanner();
+    await openTaggedPlant(tag);
+}
+
+/**
+ * Opens the details of the plant with a tag read from its label (or typed), scrolled to the observation form.
+ * @param {string} tag - The tag.
+ * @returns {Promise<void>}
+ */
+async function openTaggedPlant(tag) {
+    ui.elements.scanTagInput.value = tag;
+    ui.showMessage(ui.elements.scanTagMessage, '');
+    ui.showMessage(ui.elements.scannerStatus, `Looking up ${tag}...`);
+    ui.setButtonLoading(ui.elements.openTagBtn, true, 'Opening...');
+    let plant;
+    try {
+        plant = await api.fetchPlantByTag(tag, state.token);
+    } catch (error) {
+        console.error('Error looking up a plant tag:', error);
+        ui.showMessage(ui.elements.scannerStatus, '');
+        ui.showMessage(ui.elements.scanTagMessage, offline.isNetworkError(error) ? 'You are offline. Opening a plant needs a connection.' : error.message);
+        return;
+    } finally {
+        ui.setButtonLoading(ui.elements.openTagBtn, false);
+    }
+    await handleViewPlantDetails({ detail: { id: plant.id } });
+    // Labels are scanned in the field to record what is seen on the plant.
+    if (currentDetailsPlant) ui.elements.observationForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Human-readable labels for the numeric values that can be charted from observations.
+ * Extra measurements are labelled from their keys.
+ * @param {string} key - `height_cm` or a key of an observation's `measurements`.
+ * @returns {string} The label.
+ */
+function observationMetricLabel(key) {
+    if (key === 'height_cm') return 'Height (cm)';
+    return key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Reads a numeric value from an observation for the chart metric.
+ * @param {object} observation - The observation record.
+ * @param {string} key - `height_cm` or a key of `measurements`.
+ * @returns {number} The value, or NaN when the observation did not record it.
+ */
+function observationValue(observation, key) {
+    const raw = key === 'height_cm' ? observation.height_cm : observation.measurements?.[key];
+    return raw === null || raw === undefined ? NaN : Number(raw);
+}
+
+/**
+ * Fetches a plant's observations and renders the timeline and the measurement chart.
+ * @param {number} plantId - The plant whose observations should be shown.
+ * @returns {Promise<void>}
+ */
+async function loadPlantObservations(plantId) {
+    ui.elements.observationTimeline.innerHTML = '<li>Loading observations...</li>';
+    ui.elements.observationChart.innerHTML = '';
+    try {
+        currentObservations = await api.fetchPlantObservations(plantId, state.token);
+    } catch (error) {
+        console.error('Error fetching observations:', error);
+        currentObservations = [];
+        ui.elements.observationTimeline.innerHTML = `<li>Error loading observations: ${error.message}</li>`;
+        return;
+    }
+
+    // Offer every numeric series recorded so far, keeping the current choice when possible.
+    const metricKeys = new Set(['height_cm']);
+    currentObservations.forEach(o => Object.keys(o.measurements || {}).forEach(key => metricKeys.add(key)));
+    const selectedMetric = ui.elements.observationMetricSelect.value;
+    ui.elements.observationMetricSelect.innerHTML = [...metricKeys]
+        .map(key => `<option value="${key}">${observationMetricLabel(key)}</option>`).join('');
+    if (metricKeys.has(selectedMetric)) ui.elements.observationMetricSelect.value = selectedMetric;
+
+    renderObservationChart();
+    renderObservationTimeline();
+}
+
+/**
+ * Charts the selected measurement across the current plant's observations.
+ */
+export function renderObservationChart() {
+    const key = ui.elements.observationMetricSelect.value || 'height_cm';
+    const points = currentObservations.map(o => ({ date: parseISODate(o.observed_at), value: observationValue(o, key) }));
+    renderLineChart(ui.elements.observationChart, points, { unit: key === 'height_cm' ? ' cm' : '' });
+}
+
+/**
+ * Lists the current plant's observations, newest first.
+ */
+function renderObservationTimeline() {
+    if (currentObservations.length === 0) {
+        ui.elements.observationTimeline.innerHTML = '<li>No observations logged yet.</li>';
+        return;
+    }
+    ui.elements.observationTimeline.innerHTML = [...currentObservations].reverse().map(o => {
+        const details = [];
+        if (o.height_cm !== null) details.push(`Height: ${Number(o.height_cm)} cm`);
+        if (o.phenological_stage) details.push(`Stage: ${o.phenological_stage}`);
+        Object.entries(o.measurements || {}).forEach(([key, value]) => details.push(`${observationMetricLabel(key)}: ${value}`));
+        const pests = (o.pest_sightings || []).map(p => (typeof p === 'string' ? p : p.name)).filter(Boolean);
+        return `
+            <li>
+                <strong>${formatDate(parseISODate(o.observed_at))}</strong> ${details.join(' · ')}
+                ${pests.length > 0 ? `<p>Pests: ${pests.join(', ')}</p>` : ''}
+                ${o.notes ? `<p>${o.notes}</p>` : ''}
+                ${(o.photos || []).length > 0 ? `<p>${o.photos.map((url, i) => `<a href="${url}" target="_blank" rel="noopener">Photo ${i + 1}</a>`).join('')}</p>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Splits a comma-separated input value into trimmed, non-empty items.
+ * @param {string} value - The raw input value.
+ * @returns {Array<string>} The items.
+ */
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Saves a new observation for the plant shown in the details view and refreshes its timeline.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveObservation(event) {
+    event.preventDefault();
+    if (!currentDetailsPlant) return;
+
+    const measureName = ui.elements.observationMeasureNameInput.value.trim().toLowerCase().replace(/\s+/g, '_');
+    const measureValue = ui.elements.observationMeasureValueInput.value;
+    if ((measureName && measureValue === '') || (!measureName && measureValue !== '')) {
+        ui.showMessage(ui.elements.observationMessage, 'Give the other measurement both a name and a value.');
+        return;
+    }
+
+    const observationData = {
+        observed_at: ui.elements.observationDateInput.value,
+        height_cm: ui.elements.observationHeightInput.value === '' ? null : parseFloat(ui.elements.observationHeightInput.value),
+        phenological_stage: ui.elements.observationStageInput.value.trim() || null,
+        pest_sightings: splitList(ui.elements.observationPestsInput.value),
+        notes: ui.elements.observationNotesInput.value.trim() || null,
+        photos: splitList(ui.elements.observationPhotosInput.value),
+        measurements: measureName ? { [measureName]: parseFloat(measureValue) } : {}
+    };
+
+    const button = ui.elements.saveObservationBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        await api.savePlantObservation(currentDetailsPlant.id, observationData, state.token);
+        ui.elements.observationForm.reset();
+        ui.elements.observationDateInput.value = todayISODate();
+        ui.showMessage(ui.elements.observationMessage, 'Observation saved.');
+        await loadPlantObservations(currentDetailsPlant.id);
+    } catch (error) {
+        console.error('Error saving observation:', error);
+        ui.showMessage(ui.elements.observationMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Finds a loaded variety by its database ID.
+ * @param {number} varietyId - The variety ID.
+ * @returns {object|undefined} The variety, if loaded.
+ */
+function findVarietyById(varietyId) {
+    return Object.values(state.varieties).find(variety => variety.id === varietyId);
+}
+
+/**
+ * Returns the season still in progress (not yet harvested), if any.
+ * @returns {object|undefined} The current season.
+ */
+function getCurrentSeason() {
+    return currentSeasons.find(season => !season.actual_harvest_date);
+}
+
+/**
+ * Fetches the crop seasons of a field and renders the current season and the season history.
+ * @param {number} fieldId - The field whose seasons should be shown.
+ * @returns {Promise<void>}
+ */
+async function loadFieldSeasons(fieldId) {
+    try {
+        currentSeasons = await api.fetchFieldSeasons(fieldId, state.token);
+    } catch (error) {
+        console.error('Error fetching seasons:', error);
+        currentSeasons = [];
+        ui.elements.currentSeasonContainer.textContent = `Error loading seasons: ${error.message}`;
+        return;
+    }
+    renderCurrentSeason();
+    renderPastSeasons();
+}
+
+/**
+ * Renders the current season's live stage progress, computed from the variety's stage durations.
+ */
+function renderCurrentSeason() {
+    const container = ui.elements.currentSeasonContainer;
+    const season = getCurrentSeason();
+    ui.elements.recordHarvestBtn.disabled = !season;
+    container.classList.toggle('empty', !season);
+    if (!season) {
+        container.innerHTML = 'No season in progress. Start one to follow its development.';
+        return;
+    }
+
+    const plantingDate = parseISODate(season.planting_date);
+    const expectedHarvest = season.expected_harvest_date ? formatDate(parseISODate(season.expected_harvest_date)) : 'N/A';
+    const variety = findVarietyById(season.variety_id);
+    let progressHTML = '';
+    if (variety) {
+        const progress = getSeasonProgress(variety.stages, plantingDate, parseISODate(todayISODate()));
+        let stageText;
+        if (progress.elapsedDays < 0) {
+            stageText = `Planting in ${-progress.elapsedDays} days.`;
+        } else if (progress.currentStage) {
+            stageText = `Stage: <strong>${progress.currentStage.name}</strong> (day ${progress.daysIntoStage + 1} of ${progress.currentStage.days})`;
+        } else {
+            stageText = '<strong>Cycle complete</strong> — ready for harvest.';
+        }
+        progressHTML = `
+            <div class="progress-bar"><span style="width: ${progress.percent.toFixed(1)}%"></span></div>
+            ${stageText}<br>
+            Day ${Math.max(0, progress.elapsedDays)} of ${progress.totalDays} (${progress.percent.toFixed(0)}%)
+        `;
+    }
+    container.innerHTML = `
+        <strong>${season.variety_name}</strong>${season.zoning_region ? ` · ${getZoningRegionName(season.zoning_region)}` : ''}<br>
+        Planted on ${formatDate(plantingDate)} · Expected harvest: ${expectedHarvest}
+        ${progressHTML}
+    `;
+}
+
+/**
+ * Renders the table of harvested seasons.
+ */
+function renderPastSeasons() {
+    const pastSeasons = currentSeasons.filter(season => season.actual_harvest_date);
+    if (pastSeasons.length === 0) {
+        ui.elements.pastSeasonsTableBody.innerHTML = `<tr><td colspan="5">No past seasons recorded.</td></tr>`;
+        return;
+    }
+    ui.elements.pastSeasonsTableBody.innerHTML = pastSeasons.map(season => `
+        <tr>
+            <td>${season.variety_name}</td>
+            <td>${formatDate(parseISODate(season.planting_date))}</td>
+            <td>${formatDate(parseISODate(season.actual_harvest_date))}</td>
+            <td>${season.yield_amount !== null ? `${Number(season.yield_amount)} ${season.yield_unit}` : '-'}</td>
+            <td><button class="btn-delete requires-manager" data-season-id="${season.id}" title="Delete season">&times;</button></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Shows or hides the form for starting a new season on the current field.
+ * @param {boolean} show - Whether the form should be visible.
+ */
+export function toggleSeasonForm(show) {
+    if (!currentDetailsField) return;
+    ui.elements.seasonForm.classList.toggle('hidden', !show);
+    ui.elements.harvestForm.classList.add('hidden');
+    ui.showMessage(ui.elements.seasonMessage, '');
+    if (show) {
+        ui.elements.seasonRegionSelect.value = '';
+        ui.elements.seasonPlantingDateInput.value = todayISODate();
+        suggestSeasonRegion(currentDetailsField.id);
+    }
+}
+
+/**
+ * Preselects the cultivation zone of the season form from the field's centroid, when a zoning
+ * region polygon contains it. Leaves the select alone if the user already picked a zone.
+ * @param {number} fieldId - The field the season is being started on.
+ * @returns {Promise<void>}
+ */
+async function suggestSeasonRegion(fieldId) {
+    try {
+        const { region } = await api.fetchFieldZoningRegion(fieldId, state.token);
+        if (region && !ui.elements.seasonRegionSelect.value && currentDetailsField?.id === fieldId) {
+            ui.elements.seasonRegionSelect.value = region.code;
+        }
+    } catch (error) {
+        console.error('Error suggesting zoning region:', error);
+    }
+}
+
+/**
+ * Shows or hides the form for recording the harvest of the current season.
+ * @param {boolean} show - Whether the form should be visible.
+ */
+export function toggleHarvestForm(show) {
+    if (!getCurrentSeason()) return;
+    ui.elements.harvestForm.classList.toggle('hidden', !show);
+    ui.elements.seasonForm.classList.add('hidden');
+    ui.showMessage(ui.elements.harvestMessage, '');
+    if (show) ui.elements.harvestDateInput.value = todayISODate();
+}
+
+/**
+ * Starts a new crop season on the field shown in the details view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveSeason(event) {
+    event.preventDefault();
+    const variety = state.varieties[ui.elements.seasonVarietySelect.value];
+    const plantingDate = ui.elements.seasonPlantingDateInput.value;
+    if (!variety || !plantingDate) {
+        ui.showMessage(ui.elements.seasonMessage, 'Variety and planting date are required.');
+        return;
+    }
+    if (getCurrentSeason() && !confirm('This field already has a season in progress. Start another one anyway?')) return;
+
+    const button = ui.elements.saveSeasonBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        await api.saveSeason(currentDetailsField.id, {
+            variety_id: variety.id,
+            zoning_region: ui.elements.seasonRegionSelect.value || null,
+            planting_date: plantingDate
+        }, state.token);
+        ui.elements.seasonForm.classList.add('hidden');
+        await loadFieldSeasons(currentDetailsField.id);
+    } catch (error) {
+        console.error('Error creating season:', error);
+        ui.showMessage(ui.elements.seasonMessage, `Error saving: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Records the harvest date and yield of the current season, moving it to the season history.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleRecordHarvest(event) {
+    event.preventDefault();
+    const season = getCurrentSeason();
+    if (!season) return;
+
+    const yieldValue = ui.elements.harvestYieldInput.value;
+    const button = ui.elements.saveHarvestBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        await api.updateSeason(season.id, {
+            actual_harvest_date: ui.elements.harvestDateInput.value,
+            yield_amount: yieldValue === '' ? null : parseFloat(yieldValue),
+            yield_unit: ui.elements.harvestYieldUnitSelect.value
+        }, state.token);
+        ui.elements.harvestForm.classList.add('hidden');
+        await loadFieldSeasons(currentDetailsField.id);
+    } catch (error) {
+        console.error('Error recording harvest:', error);
+        ui.showMessage(ui.elements.harvestMessage, `Error saving: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Deletes a past season after confirmation. Bound to the season history table through event delegation.
+ * @param {MouseEvent} event - The click event inside the table body.
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteSeason(event) {
+    const button = event.target.closest('[data-season-id]');
+    if (!button) return;
+    if (!confirm('Are you sure you want to delete this season? This action cannot be undone.')) return;
+    try {
+        await api.deleteSeason(button.dataset.seasonId, state.token);
+        await loadFieldSeasons(currentDetailsField.id);
+    } catch (error) {
+        console.error('Error deleting season:', error);
+        alert(`Error deleting season: ${error.message}`);
+    }
+}
+
+/**
+ * Fetches a field's soil samples and renders the latest report and the nutrient trend.
+ * The reference variety defaults to the one of the season in progress.
+ * @param {number} fieldId - The field whose samples should be shown.
+ * @returns {Promise<void>}
+ */
+async function loadFieldSoilSamples(fieldId) {
+    try {
+        currentSoilSamples = await api.fetchSoilSamples(fieldId, state.token);
+    } catch (error) {
+        console.error('Error fetching soil samples:', error);
+        currentSoilSamples = [];
+        ui.elements.latestSoilSampleInfo.textContent = `Error loading soil samples: ${error.message}`;
+        return;
+    }
+
+    const season = getCurrentSeason();
+    const seasonVarietyKey = season && findVarietyById(season.variety_id)?.slug;
+    if (seasonVarietyKey) ui.elements.soilReferenceVarietySelect.value = seasonVarietyKey;
+    if (!ui.elements.soilTrendNutrientSelect.options.length) {
+        ui.elements.soilTrendNutrientSelect.innerHTML = SOIL_PARAMETERS
+            .map(parameter => `<option value="${parameter.key}">${parameter.label}</option>`).join('');
+    }
+    renderFieldSoilSamples();
+}
+
+/**
+ * Renders the latest soil sample of the field against the chosen reference variety, with trend arrows
+ * relative to the previous sample, and charts the chosen nutrient across all samples.
+ */
+export function renderFieldSoilSamples() {
+    ui.elements.detailsSoilCount.textContent = currentSoilSamples.length;
+    if (currentSoilSamples.length === 0) {
+        ui.elements.latestSoilSampleInfo.textContent = 'No soil samples saved for this field. Use the Soil Analysis module to add one.';
+        ui.elements.latestSoilReport.innerHTML = '';
+        ui.elements.soilTrendChart.innerHTML = '';
+        return;
+    }
+
+    const latest = currentSoilSamples[currentSoilSamples.length - 1];
+    const previous = currentSoilSamples[currentSoilSamples.length - 2];
+    ui.elements.latestSoilSampleInfo.textContent = `Latest sample: ${formatDate(parseISODate(latest.sampled_at))}${latest.lab_name ? ` (${latest.lab_name})` : ''}`;
+    const variety = state.varieties[ui.elements.soilReferenceVarietySelect.value];
+    ui.elements.latestSoilReport.innerHTML = variety
+        ? createSoilReportHTML(latest, variety.ideal_soil_conditions, previous)
+        : '<li>Select a variety to compare against its ideal conditions.</li>';
+
+    const parameter = SOIL_PARAMETERS.find(p => p.key === ui.elements.soilTrendNutrientSelect.value) || SOIL_PARAMETERS[0];
+    const points = currentSoilSamples.map(sample => ({ date: parseISODate(sample.sampled_at), value: Number(sample[parameter.key]) }));
+    renderLineChart(ui.elements.soilTrendChart, points, { unit: parameter.unit ? ` ${parameter.unit}` : '' });
+}
+
+/**
+ * Fills the field selector of the Soil Analysis module, fetching the fields if the map has not loaded them yet.
+ * @returns {Promise<void>}
+ */
+export async function populateSoilFieldSelect() {
+    if (!ui.elements.soilSampleDateInput.value) ui.elements.soilSampleDateInput.value = todayISODate();
+    try {
+        if (state.fields.length === 0) state.fields = await api.fetchFields(state.token);
+    } catch (error) {
+        console.error('Error fetching fields:', error);
+    }
+    const selected = ui.elements.soilFieldSelect.value;
+    ui.elements.soilFieldSelect.innerHTML = `<option value="">-- Don't save --</option>`;
+    state.fields.forEach(field => ui.elements.soilFieldSelect.add(new Option(field.name, field.id)));
+    ui.elements.soilFieldSelect.value = selected;
+    handleSoilFieldChange();
+}
+
+/**
+ * Enables saving only when a field is chosen, and drops a GPS point that belonged to another field.
+ */
+export function handleSoilFieldChange() {
+    ui.elements.saveSoilSampleBtn.disabled = !ui.elements.soilFieldSelect.value;
+    ui.showMessage(ui.elements.soilSaveMessage, '');
+    if (!ui.elements.soilFieldSelect.value) {
+        soilSampleLocation = null;
+        ui.elements.soilLocationStatus.textContent = '';
+    }
+}
+
+/**
+ * Attaches the device's current GPS position to the soil sample being entered.
+ */
+export function handleSoilGps() {
+    if (!navigator.geolocation) {
+        alert("Geolocation is not supported by your browser.");
+        return;
+    }
+    const button = ui.elements.soilGpsBtn;
+    ui.setButtonLoading(button, true, 'Getting GPS...');
+    navigator.geolocation.getCurrentPosition((position) => {
+        soilSampleLocation = { lat: position.coords.latitude, lng: position.coords.longitude };
+        ui.elements.soilLocationStatus.textContent = `Point: ${soilSampleLocation.lat.toFixed(6)}, ${soilSampleLocation.lng.toFixed(6)}`;
+        ui.setButtonLoading(button, false);
+    }, (err) => {
+        alert(`Error getting location: ${err.message}`);
+        ui.setButtonLoading(button, false);
+    }, { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 });
+}
+
+/**
+ * Saves the values entered in the Soil Analysis module as a sample of the chosen field.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveSoilSample() {
+    const fieldId = ui.elements.soilFieldSelect.value;
+    const values = readSoilInputs();
+    if (!fieldId) return;
+    if (!values) {
+        ui.showMessage(ui.elements.soilSaveMessage, 'Please fill all fields with valid numbers.');
+        return;
+    }
+    if (!ui.elements.soilSampleDateInput.value) {
+        ui.showMessage(ui.elements.soilSaveMessage, 'Please enter the sample date.');
+        return;
+    }
+
+    const button = ui.elements.saveSoilSampleBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        await api.saveSoilSample(fieldId, {
+            ...values,
+            sampled_at: ui.elements.soilSampleDateInput.value,
+            lab_name: ui.elements.soilLabNameInput.value.trim() || null,
+            location: soilSampleLocation
+        }, state.token);
+        const field = state.fields.find(f => String(f.id) === fieldId);
+        ui.showMessage(ui.elements.soilSaveMessage, `Sample saved to ${field ? field.name : 'the field'}.`);
+    } catch (error) {
+        console.error('Error saving soil sample:', error);
+        ui.showMessage(ui.elements.soilSaveMessage, `Error saving: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Shows or hides the inline edit form in the field details view, pre-filled with the current values.
+ * @param {boolean} show - Whether the form should be visible.
+ */
+export function toggleFieldEditForm(show) {
+    if (!currentDetailsField) return;
+    ui.elements.fieldEditForm.classList.toggle('hidden', !show);
+    ui.showMessage(ui.elements.fieldEditMessage, '');
+    if (show) {
+        ui.elements.editFieldNameInput.value = currentDetailsField.name;
+        ui.elements.editFieldCodeInput.value = currentDetailsField.code || '';
+    }
+}
+
+/**
+ * Saves the name and code entered in the field details edit form and refreshes the view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleUpdateFieldDetails(event) {
+    event.preventDefault();
+    const name = ui.elements.editFieldNameInput.value.trim();
+    const code = ui.elements.editFieldCodeInput.value.trim();
+    if (!name) {
+        ui.showMessage(ui.elements.fieldEditMessage, 'Field name is required.');
+        return;
+    }
+    if (!/^[A-Za-z0-9]{0,20}$/.test(code)) {
+        ui.showMessage(ui.elements.fieldEditMessage, 'The field code must have up to 20 letters and digits.');
+        return;
+    }
+
+    const button = ui.elements.saveFieldEditBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        const field = state.fields.find(f => f.id === currentDetailsField.id);
+        const { queued } = await submitFieldChange(
+            { action: 'updateField', args: [currentDetailsField.id, { name, code }], ifMatch: currentDetailsField.updated_at, label: `Edit field "${name}"` },
+            () => { if (field) Object.assign(field, { name, code: code || null, pending: true }); }
+        );
+        if (queued) {
+            ui.showMessage(ui.elements.fieldEditMessage, 'Saved on this device. It will sync when you are back online.');
+            return;
+        }
+        await handleViewFieldDetails({ detail: { id: currentDetailsField.id } });
+        loadMapData();
+    } catch (error) {
+        console.error('Error updating field:', error);
+        ui.showMessage(ui.elements.fieldEditMessage, `Error saving: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Shows or hides the inline edit form in the plant details view, pre-filled with the current values.
+ * @param {boolean} show - Whether the form should be visible.
+ */
+export function togglePlantEditForm(show) {
+    if (!currentDetailsPlant) return;
+    ui.elements.plantEditForm.classList.toggle('hidden', !show);
+    ui.showMessage(ui.elements.plantEditMessage, '');
+    if (show) {
+        // Reuse the crop options from the creation form so both stay in sync.
+        ui.elements.editPlantTypeSelect.innerHTML = ui.elements.plantTypeSelect.innerHTML;
+        ui.elements.editPlantTypeSelect.value = currentDetailsPlant.plant_type;
+        ui.elements.editPlantTagInput.value = currentDetailsPlant.unique_tag || '';
+        handleEditPlantTypeChange();
+    }
+}
+
+/** Shows the attribute inputs of the crop type chosen in the plant details edit form, filled with the plant's values. */
+export function handleEditPlantTypeChange() {
+    if (!currentDetailsPlant) return;
+    renderAttributeInputs(ui.elements.editPlantCustomFieldsContainer, plantTypeAttributes(ui.elements.editPlantTypeSelect.value),
+        currentDetailsPlant.custom_data || {}, 'edit-plant-attribute');
+}
+
+/**
+ * Saves the tag and type entered in the plant details edit form and refreshes the view.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleUpdatePlantDetails(event) {
+    event.preventDefault();
+    const plantData = {
+        plant_type: ui.elements.editPlantTypeSelect.value,
+        unique_tag: ui.elements.editPlantTagInput.value.trim()
+    };
+    if (!plantData.plant_type || !plantData.unique_tag) {
+        ui.showMessage(ui.elements.plantEditMessage, 'Culture Type and Unique Tag are required.');
+        return;
+    }
+    const { customData, error: attributeError } = readPlantAttributes(ui.elements.editPlantCustomFieldsContainer, plantData.plant_type, currentDetailsPlant.custom_data || {});
+    if (attributeError) {
+        ui.showMessage(ui.elements.plantEditMessage, attributeError);
+        return;
+    }
+    plantData.custom_data = customData;
+
+    const button = ui.elements.savePlantEditBtn;
+    ui.setButtonLoading(button, true, 'Saving...');
+    try {
+        const plant = state.plants.find(p => p.id === currentDetailsPlant.id);
+        const { queued } = await submitFieldChange(
+            { action: 'updatePlant', args: [currentDetailsPlant.id, plantData], ifMatch: currentDetailsPlant.updated_at, label: `Edit plant "${plantData.unique_tag}"` },
+            () => { if (plant) Object.assign(plant, plantData, { pending: true }); }
+        );
+        if (queued) {
+            ui.showMessage(ui.elements.plantEditMessage, 'Saved on this device. It will sync when you are back online.');
+            return;
+        }
+        await handleViewPlantDetails({ detail: { id: currentDetailsPlant.id } });
+        loadMapData();
+    } catch (error) {
+        console.error('Error updating plant:', error);
+        ui.showMessage(ui.elements.plantEditMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Tells whether a field can be reshaped in the vertex editor, and explains why not when it has
+ * several parts or holes: the editor saves a single ring, which would silently drop them.
+ * @param {object} field - The field.
+ * @returns {boolean} True when its shape can be edited.
+ */
+function canReshapeField(field) {
+    if (map.hasSingleRing(field.geometry)) return true;
+    alert(`The shape of "${field.name}" has several parts or holes, which the vertex editor can't keep. To change it, delete the field and import or draw its new shape.`);
+    return false;
+}
+
+/**
+ * Opens the map in 'edit-field' mode for the field currently shown in the details view.
+ */
+export function handleEditFieldShape() {
+    if (!currentDetailsField || !canReshapeField(currentDetailsField)) return;
+    ui.showView('map-view');
+    state.mapInstance?.invalidateSize();
+    enterEditFieldMode({ detail: { id: currentDetailsField.id } });
+}
+
+/**
+ * Opens the map in 'edit-plant' mode for the plant currently shown in the details view.
+ */
+export function handleEditPlantLocation() {
+    if (!currentDetailsPlant) return;
+    ui.showView('map-view');
+    state.mapInstance?.invalidateSize();
+    enterEditPlantMode({ detail: { id: currentDetailsPlant.id } });
+}
+
+/**
+ * Calculates and displays the estimated harvest date and development timeline for a selected variety.
  */
 export function handleCycleCalculation() {
     ui.elements.resultsContainer.classList.add('hidden');
     const varietyKey = ui.elements.varietySelect.value;
     const plantingDateStr = ui.elements.plantingDateInput.value;
-    const regionKey = document.getElementById('region-select').value;
+    const regionKey = ui.elements.regionSelect.value;
+
+    if (!varietyKey || !plantingDateStr || !regionKey) {
+        alert("Please select a variety, region, and planting date.");
+        return;
+    }
+
+    const cultivar = state.varieties[varietyKey];
+    const userDate = new Date(plantingDateStr + 'T00:00:00');
+    
+    // Determine the planting season based on date and the zoning window of the variety's crop in that region
+    const regionData = findZoningWindow(state.zoning.windows, cultivar.crop, regionKey, getSeasonYear(userDate));
+    const userMonth = userDate.getUTCMonth() + 1;
+    const userDay = userDate.getUTCDate();
+    const plantingSeason = regionData
+        ? getPlantingSeason(userMonth, userDay, regionData)
+        : `<span class="badge not-recommended">No ${cultivar.crop} zoning for this region</span>`;
+    
+    // Calculate the total cycle duration and create a timeline
+    const timeline = getStageTimeline(cultivar.stages, userDate);
+    const totalCycleDays = timeline.reduce((acc, stage) => acc + stage.days, 0);
+    let timelineHTML = `<h4>Development Timeline:</h4><ul>`;
+    timeline.forEach(stage => {
+        timelineHTML += `<li><strong>${stage.name}:</strong><br>${formatDate(stage.start)} to ${formatDate(stage.end)} (${stage.days} days)</li>`;
+    });
+    timelineHTML += '</ul>';
+    
+    const harvestDate = formatDate(timeline.length > 0 ? timeline[timeline.length - 1].end : userDate);
+    const resultHtml = `Your planting date is in the ${plantingSeason}.<br><br>For <strong>${cultivar.name}</strong> (total cycle of <strong>${totalCycleDays}</strong> days), the estimated harvest date is: <strong>${harvestDate}</strong>.<hr>${timelineHTML}`;
+    
+    ui.showMessage(ui.elements.resultTextElement, resultHtml, true);
+    ui.elements.resultsContainer.classList.remove('hidden');
+}
+
+/**
+ * Calculates the recommended number of seeds to purchase based on area, variety, and conditions.
+ */
+export function handleSowingCalculation() {
+    ui.elements.sowingResultsContainer.classList.add('hidden');
+    const area = parseFloat(document.getElementById('sowing-area').value);
+    const varietyKey = ui.elements.sowingVarietySelect.value;
+    const germinationRate = parseFloat(document.getElementById('germination-rate').value);
+
+    if (!area || !varietyKey || !germinationRate) {
+        alert("Please fill in all fields correctly.");
+        return;
+    }
+    
+    const cultivar = state.varieties[varietyKey];
+    const conditions = document.getElementById('field-conditions').value;
+    
+    // Adjust for field conditions
+    let conditionFactor = 1.0;
+    if (conditions === 'average') conditionFactor = 1.05;
+    else if (conditions === 'poor') conditionFactor = 1.10;
+    
+    // Adjust for germination rate
+    const germinationFactor = 100 / germinationRate;
+    
+    const seedsToBuy = (area * cultivar.target_population) * germinationFactor * conditionFactor;
+    const resultHtml = `You will need approximately <strong>${Math.ceil(seedsToBuy).toLocaleString('pt-BR')} seeds</strong> to achieve the target population.`;
+    
+    ui.showMessage(ui.elements.sowingResultText, resultHtml, true);
+    ui.elements.sowingResultsContainer.classList.remove('hidden');
+}
 
-    if (!varietyKey || !plantingDateStr || !regionKey) {
-        alert("Please select a variety, region, and planting date.");
+/**
+ * Reads the eleven soil inputs of the Soil Analysis module.
+ * @returns {object|null} Values keyed as in `SOIL_PARAMETERS`, or null if any input is not a valid number.
+ */
+function readSoilInputs() {
+    const values = {};
+    SOIL_PARAMETERS.forEach(parameter => {
+        values[parameter.key] = parseFloat(document.getElementById(parameter.inputId).value);
+    });
+    return Object.values(values).some(v => isNaN(v)) ? null : values;
+}
+
+/**
+ * Builds the soil report list, one line per property, comparing the values with a variety's ideal conditions.
+ * When a previous sample is given, each line also shows whether the value went up or down since then.
+ * @param {object} values - Soil values keyed as in `SOIL_PARAMETERS`.
+ * @param {object} ideal - The variety's `ideal_soil_conditions`.
+ * @param {object} [previous] - An earlier sample of the same field, for the trend arrows.
+ * @returns {string} HTML list items.
+ */
+function createSoilReportHTML(values, ideal, previous) {
+    return SOIL_PARAMETERS.map(parameter => {
+        const value = Number(values[parameter.key]);
+        const { status, idealText } = getSoilStatus(parameter, value, ideal[parameter.key]);
+        let trend = '';
+        if (previous) {
+            const delta = value - Number(previous[parameter.key]);
+            trend = delta > 0 ? ` <span class="trend up" title="Up ${+delta.toFixed(3)} since the previous sample">&#9650;</span>`
+                : delta < 0 ? ` <span class="trend down" title="Down ${+(-delta).toFixed(3)} since the previous sample">&#9660;</span>` : '';
+        }
+        return `<li class="${status}"><span>${parameter.label}: <strong>${value} ${parameter.unit}</strong>${trend}</span> <span>(Ideal: ${idealText})</span></li>`;
+    }).join('');
+}
+
+/**
+ * Builds the list of corrective doses for a soil analysis. When a field is given, each line also shows
+ * the total quantity for the field's area.
+ * @param {object} recommendation - The result of `recommendCorrections`.
+ * @param {object} [field] - The field the sample belongs to.
+ * @returns {string} HTML list items.
+ */
+function createRecommendationHTML(recommendation, field) {
+    const hectares = field ? Number(field.area_hectares) : 0;
+    const totals = hectares > 0 ? scaleToArea(recommendation, hectares) : null;
+    const format = (value, digits) => value.toLocaleString('pt-BR', { maximumFractionDigits: digits });
+    const totalText = (value, unit, digits) => totals && value > 0 ? ` <span>(${format(value, digits)} ${unit} for ${format(hectares, 2)} ha)</span>` : '';
+    const line = (needed, label, doseText, total = '') => `<li class="${needed ? 'low' : 'ok'}"><span>${label}: <strong>${doseText}</strong></span>${total}</li>`;
+
+    const { cec, cecEstimated, targetV, gypsum } = recommendation;
+    const items = [];
+    items.push(line(false, `CEC (T)${cecEstimated ? ', estimated' : ''}`, cec === null ? 'unknown' : `${format(cec, 2)} cmolc`));
+    items.push(line(recommendation.limestoneTPerHa > 0, `Limestone (V% to ${targetV}%)`,
+        recommendation.limestoneTPerHa > 0 ? `${format(recommendation.limestoneTPerHa, 2)} t/ha` : 'Not needed',
+        totalText(totals?.limestoneT, 't', 2)));
+    items.push(line(gypsum.needed, `Gypsum (m% = ${format(recommendation.alSaturation, 1)}%)`,
+        !gypsum.needed ? 'Not needed' : gypsum.kgPerHa === null ? `Needed (${gypsum.reasons.join(', ')}); enter clay % for the dose` : `${format(gypsum.kgPerHa, 0)} kg/ha`,
+        gypsum.kgPerHa ? totalText(totals?.gypsumT, 't', 2) : ''));
+    items.push(line(recommendation.p2o5KgPerHa > 0, 'Phosphate (P₂O₅)',
+        recommendation.p2o5KgPerHa > 0 ? `${format(recommendation.p2o5KgPerHa, 0)} kg/ha` : 'Not needed',
+        totalText(totals && totals.p2o5Kg / 1000, 't', 2)));
+    items.push(line(recommendation.k2oKgPerHa > 0, 'Potash (K₂O)',
+        recommendation.k2oKgPerHa > 0 ? `${format(recommendation.k2oKgPerHa, 0)} kg/ha` : 'Not needed',
+        totalText(totals && totals.k2oKg / 1000, 't', 2)));
+    return items.join('');
+}
+
+/**
+ * Analyzes user-provided soil data against the ideal conditions for a selected variety,
+ * then lists the corrective doses, scaled to the selected field's area when there is one.
+ */
+export function handleSoilAnalysis() {
+    ui.elements.soilResultsContainer.classList.add('hidden');
+    ui.showMessage(ui.elements.soilRecommendationList, '');
+    const varietyKey = ui.elements.soilVarietySelect.value;
+    if (!varietyKey) {
+        alert("Please select a reference variety.");
         return;
     }
+    // Gather all soil input values
+    const inputs = readSoilInputs();
 
-    const cultivar = state.varieties[varietyKey];
-    const regionData = state.zoningData[regionKey];
-    const userDate = new Date(plantingDateStr + 'T00:00:00');
-    
-    // Determine the planting season based on date and region
-    const userMonth = userDate.getUTCMonth() + 1;
-    const userDay = userDate.getUTCDate();
-    const plantingSeason = getPlantingSeason(userMonth, userDay, regionData);
-    
-    // Calculate the total cycle duration and create a timeline
-    let totalCycleDays = Object.values(cultivar.stages).reduce((acc, days) => acc + days, 0);
-    let timelineHTML = `<h4>Development Timeline:</h4><ul>`;
-    let currentDate = new Date(userDate);
-    for (const stageName in cultivar.stages) {
-        const stageDuration = cultivar.stages[stageName];
-        currentDate.setDate(currentDate.getDate() + stageDuration);
-        timelineHTML += `<li><strong>${stageName}:</strong><br>${formatDate(new Date(currentDate.getTime() - stageDuration * 86400000))} to ${formatDate(currentDate)} (${stageDuration} days)</li>`;
+    if (!inputs) {
+        ui.showMessage(ui.elements.soilResultList, `<li class="high">Please fill all fields with valid numbers.</li>`, true);
+        ui.elements.soilResultsContainer.classList.remove('hidden');
+        return;
     }
-    timelineHTML += '</ul>';
-    
-    const harvestDate = formatDate(currentDate);
-    const resultHtml = `Your planting date is in the ${plantingSeason}.<br><br>For <strong>${cultivar.name}</strong> (total cycle of <strong>${totalCycleDays}</strong> days), the estimated harvest date is: <strong>${harvestDate}</strong>.<hr>${timelineHTML}`;
     
-    ui.showMessage(ui.elements.resultTextElement, resultHtml, true);
-    ui.elements.resultsContainer.classList.remove('hidden');
+    const ideal = state.varieties[varietyKey].ideal_soil_conditions;
+    ui.showMessage(ui.elements.soilResultList, createSoilReportHTML(inputs, ideal), true);
+
+    const recommendation = recommendCorrections(inputs, ideal, {
+        cec: parseFloat(ui.elements.soilCecInput.value),
+        prnt: parseFloat(ui.elements.soilPrntInput.value),
+        clayPercent: parseFloat(ui.elements.soilClayInput.value)
+    });
+    const field = state.fields.find(f => String(f.id) === ui.elements.soilFieldSelect.value);
+    ui.showMessage(ui.elements.soilRecommendationList, createRecommendationHTML(recommendation, field), true);
+    ui.elements.soilResultsContainer.classList.remove('hidden');
+}
+
+/**
+ * Renders the variety catalogue table, with edit and delete buttons on the varieties the user may change.
+ */
+function renderVarietyCatalogue() {
+    const varieties = Object.values(state.varieties);
+    if (varieties.length === 0) {
+        ui.elements.varietyTableBody.innerHTML = `<tr><td colspan="4">No varieties in the catalogue.</td></tr>`;
+        return;
+    }
+    ui.elements.varietyTableBody.innerHTML = varieties.map(variety => {
+        const cycleDays = Object.values(variety.stages || {}).reduce((acc, days) => acc + Number(days), 0);
+        const actions = variety.editable ? `
+                <button class="btn-edit" data-action="edit" data-variety-id="${variety.id}" title="Edit variety">&#9998;</button>
+                <button class="btn-delete" data-action="delete" data-variety-id="${variety.id}" title="Delete variety">&times;</button>` : '';
+        return `
+        <tr>
+            <td>${variety.name}</td>
+            <td>${cycleDays} days</td>
+            <td>${variety.is_private ? 'Private' : 'Shared'}</td>
+            <td>${actions}</td>
+        </tr>`;
+    }).join('');
+}
+
+/**
+ * Builds the ideal soil condition inputs of the variety form from `SOIL_PARAMETERS`,
+ * with a minimum and/or maximum input depending on each property's range.
+ */
+function renderVarietySoilInputs() {
+    if (ui.elements.varietyFormSoil.childElementCount > 0) return;
+    ui.elements.varietyFormSoil.innerHTML = SOIL_PARAMETERS.flatMap(parameter => {
+        const bounds = parameter.range === 'between' ? ['min', 'max'] : [parameter.range];
+        return bounds.map(bound => `
+            <div class="input-group">
+                <label for="variety-soil-${parameter.key}-${bound}">${parameter.label} ${bound}${parameter.unit ? ` (${parameter.unit})` : ''}:</label>
+                <input type="number" id="variety-soil-${parameter.key}-${bound}" step="any" required>
+            </div>`);
+    }).join('');
+}
+
+/**
+ * Formats an object as "Key: value" lines for the variety form textareas.
+ * @param {object} entries - The stages or details of a variety.
+ * @returns {string} One line per entry.
+ */
+const toLines = (entries) => Object.entries(entries || {}).map(([key, value]) => `${key}: ${value}`).join('\n');
+
+/**
+ * Parses "Key: value" lines from the variety form textareas into an object, keeping their order.
+ * @param {string} text - The textarea content.
+ * @param {boolean} numeric - Whether values must be numbers (stage durations).
+ * @returns {object|null} The parsed entries, or null if a line is malformed.
+ */
+function parseLines(text, numeric) {
+    const entries = {};
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const separator = numeric ? line.lastIndexOf(':') : line.indexOf(':');
+        if (separator <= 0) return null;
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (numeric && !/^\d+$/.test(value)) return null;
+        entries[key] = numeric ? Number(value) : value;
+    }
+    return entries;
+}
+
+/**
+ * Shows or hides the variety form, filling it with a variety to edit or clearing it for a new one.
+ * @param {boolean} show - Whether the form should be visible.
+ * @param {object} [variety] - The variety to edit; omitted when adding one.
+ */
+export function toggleVarietyForm(show, variety) {
+    ui.elements.varietyForm.classList.toggle('hidden', !show);
+    ui.showMessage(ui.elements.varietyMessage, '');
+    if (!show) return;
+
+    renderVarietySoilInputs();
+    editingVarietyId = variety ? variety.id : null;
+    ui.elements.varietyFormName.value = variety ? variety.name : '';
+    ui.elements.varietyFormCrop.value = variety ? variety.crop : '';
+    ui.elements.varietyFormDescription.value = variety?.description || '';
+    ui.elements.varietyFormPopulation.value = variety ? variety.target_population : '';
+    ui.elements.varietyFormStages.value = toLines(variety?.stages);
+    ui.elements.varietyFormDetails.value = toLines(variety?.details);
+    SOIL_PARAMETERS.forEach(parameter => {
+        const ideal = variety?.ideal_soil_conditions?.[parameter.key] || {};
+        ['min', 'max'].forEach(bound => {
+            const input = document.getElementById(`variety-soil-${parameter.key}-${bound}`);
+            if (input) input.value = ideal[bound] ?? '';
+        });
+    });
+    // Only admins can add to the shared catalogue, and a variety keeps its catalogue once created.
+    ui.elements.varietyFormShared.checked = false;
+    ui.elements.varietyFormSharedLabel.classList.toggle('hidden', !state.currentUser?.is_admin || !!variety);
+    ui.elements.varietyFormName.focus();
+}
+
+/**
+ * Handles clicks on the catalogue table's edit and delete buttons.
+ * @param {Event} event - The click event, delegated from the table body.
+ * @returns {Promise<void>}
+ */
+export async function handleVarietyTableClick(event) {
+    const button = event.target.closest('[data-variety-id]');
+    if (!button) return;
+    const variety = findVarietyById(Number(button.dataset.varietyId));
+    if (!variety) return;
+
+    if (button.dataset.action === 'edit') {
+        toggleVarietyForm(true, variety);
+        return;
+    }
+    if (!confirm(`Are you sure you want to delete "${variety.name}"? This action cannot be undone.`)) return;
+    try {
+        await api.deleteVariety(variety.id, state.token);
+        if (editingVarietyId === variety.id) toggleVarietyForm(false);
+        await loadVarieties();
+    } catch (error) {
+        console.error('Error deleting variety:', error);
+        alert(`Error deleting variety: ${error.message}`);
+    }
+}
+
+/**
+ * Handles the submission of the variety form, creating a variety or replacing the one being edited.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveVariety(event) {
+    event.preventDefault();
+    const stages = parseLines(ui.elements.varietyFormStages.value, true);
+    const details = parseLines(ui.elements.varietyFormDetails.value, false);
+    if (!stages || Object.keys(stages).length === 0) {
+        ui.showMessage(ui.elements.varietyMessage, 'Enter at least one stage, one per line, as "Stage: days".');
+        return;
+    }
+    if (!details) {
+        ui.showMessage(ui.elements.varietyMessage, 'Enter details one per line, as "Key: value".');
+        return;
+    }
+    const idealSoilConditions = {};
+    SOIL_PARAMETERS.forEach(parameter => {
+        idealSoilConditions[parameter.key] = {};
+        ['min', 'max'].forEach(bound => {
+            const input = document.getElementById(`variety-soil-${parameter.key}-${bound}`);
+            if (input) idealSoilConditions[parameter.key][bound] = parseFloat(input.value);
+        });
+    });
+    const varietyData = {
+        name: ui.elements.varietyFormName.value.trim(),
+        crop: ui.elements.varietyFormCrop.value.trim().toLowerCase(),
+        description: ui.elements.varietyFormDescription.value.trim() || null,
+        target_population: parseFloat(ui.elements.varietyFormPopulation.value),
+        stages,
+        details,
+        ideal_soil_conditions: idealSoilConditions
+    };
+
+    ui.showMessage(ui.elements.varietyMessage, '');
+    ui.setButtonLoading(ui.elements.saveVarietyBtn, true, 'Saving...');
+    try {
+        if (editingVarietyId) {
+            await api.updateVariety(editingVarietyId, varietyData, state.token);
+        } else {
+            await api.createVariety({ ...varietyData, is_private: !ui.elements.varietyFormShared.checked }, state.token);
+        }
+        toggleVarietyForm(false);
+        await loadVarieties();
+    } catch (error) {
+        console.error('Error saving variety:', error);
+        ui.showMessage(ui.elements.varietyMessage, `Error saving: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.saveVarietyBtn, false);
+    }
+}
+
+/**
+ * Fetches the members of the current farm, plus the invitations addressed to the user, and renders the Farm & Team view.
+ * @returns {Promise<void>}
+ */
+export async function loadFarmMembers() {
+    if (!state.currentFarm) {
+        ui.elements.farmViewName.textContent = '';
+        ui.elements.farmMembersTableBody.innerHTML = '<tr><td colspan="3">You are not a member of any farm. Create one below.</td></tr>';
+        return;
+    }
+    ui.elements.farmViewName.textContent = state.currentFarm.name;
+    ui.elements.farmVerifyHint.classList.toggle('hidden', !state.currentUser || state.currentUser.email_verified);
+    try {
+        const [{ members, invitations }, myInvitations] = await Promise.all([
+            api.fetchFarmMembers(state.currentFarm.id, state.token),
+            api.fetchInvitations(state.token)
+        ]);
+        currentFarmMembers = members;
+        renderFarmMembers();
+        renderFarmInvitations(invitations);
+        renderMyInvitations(myInvitations);
+    } catch (error) {
+        console.error('Error loading farm members:', error);
+        ui.elements.farmMembersTableBody.innerHTML = `<tr><td colspan="3">Error loading members: ${error.message}</td></tr>`;
+    }
+}
+
+/**
+ * Renders the members table. Owners get a role select and a remove button on the other members;
+ * everyone else only gets a button to leave the farm.
+ */
+function renderFarmMembers() {
+    const isOwner = state.currentFarm.role === 'owner';
+    const roles = ['owner', 'manager', 'technician', 'read-only'];
+    ui.elements.farmMembersTableBody.innerHTML = '';
+    currentFarmMembers.forEach(member => {
+        const isSelf = state.currentUser && member.user_id === state.currentUser.id;
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td></td><td></td>';
+        const [emailCell, roleCell, actionCell] = row.children;
+        // Emails and roles come from other accounts, so they are set as text rather than parsed as HTML.
+        emailCell.textContent = `${member.email}${isSelf ? ' (you)' : ''}`;
+        if (isOwner && !isSelf) {
+            const select = document.createElement('select');
+            select.dataset.action = 'role';
+            select.dataset.userId = member.user_id;
+            roles.forEach(r => select.add(new Option(r, r, false, r === member.role)));
+            roleCell.appendChild(select);
+        } else {
+            roleCell.textContent = member.role;
+        }
+        if (isSelf) actionCell.innerHTML = `<button class="btn-delete" data-action="remove" data-user-id="${member.user_id}" title="Leave farm">Leave</button>`;
+        else if (isOwner) actionCell.innerHTML = `<button class="btn-delete" data-action="remove" data-user-id="${member.user_id}" title="Remove member">&times;</button>`;
+        ui.elements.farmMembersTableBody.appendChild(row);
+    });
+}
+
+/**
+ * Builds an invitation list item: its description, set as text, followed by its buttons.
+ * @param {string} text - Describes the invitation.
+ * @param {string} buttonsHTML - The item's buttons.
+ * @returns {HTMLLIElement} The item.
+ */
+function createInvitationItem(text, buttonsHTML) {
+    const item = document.createElement('li');
+    item.innerHTML = `<span></span>${buttonsHTML}`;
+    item.firstElementChild.textContent = text;
+    return item;
+}
+
+/**
+ * Renders the current farm's pending invitations, each with a cancel button.
+ * @param {Array<object>} invitations - Pending invitations (empty for members below manager).
+ */
+function renderFarmInvitations(invitations) {
+    ui.elements.farmInvitationsList.innerHTML = invitations.length === 0 ? '<li>No pending invitations.</li>' : '';
+    invitations.forEach(invitation => ui.elements.farmInvitationsList.appendChild(createInvitationItem(
+        `${invitation.email} (${invitation.role})`,
+        `<button class="btn-delete" data-action="cancel" data-invitation-id="${invitation.id}" title="Cancel invitation">&times;</button>`
+    )));
+}
+
+/**
+ * Renders the invitations addressed to the user, with accept and decline buttons. Hidden when there are none.
+ * Farm names are chosen by other accounts, so they are set as text.
+ * @param {Array<object>} invitations - The user's pending invitations.
+ */
+function renderMyInvitations(invitations) {
+    ui.elements.myInvitations.classList.toggle('hidden', invitations.length === 0);
+    ui.elements.myInvitationsList.innerHTML = '';
+    invitations.forEach(invitation => ui.elements.myInvitationsList.appendChild(createInvitationItem(
+        `${invitation.farm_name} as ${invitation.role}${invitation.invited_by_email ? ` (from ${invitation.invited_by_email})` : ''}`,
+        `<span><button class="btn btn-primary" data-action="accept" data-invitation-id="${invitation.id}">Accept</button>
+            <button class="btn-delete" data-action="decline" data-invitation-id="${invitation.id}" title="Decline invitation">&times;</button></span>`
+    )));
+}
+
+/**
+ * Handles role changes in the members table.
+ * @param {Event} event - The change event, delegated from the table body.
+ * @returns {Promise<void>}
+ */
+export async function handleMemberRoleChange(event) {
+    const select = event.target.closest('select[data-action="role"]');
+    if (!select) return;
+    try {
+        await api.updateFarmMemberRole(state.currentFarm.id, Number(select.dataset.userId), select.value, state.token);
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        alert(`Error updating role: ${error.message}`);
+    }
+    await loadFarmMembers();
+}
+
+/**
+ * Handles the remove and leave buttons of the members table.
+ * @param {Event} event - The click event, delegated from the table body.
+ * @returns {Promise<void>}
+ */
+export async function handleMemberTableClick(event) {
+    const button = event.target.closest('button[data-action="remove"]');
+    if (!button) return;
+    const member = currentFarmMembers.find(m => m.user_id === Number(button.dataset.userId));
+    if (!member) return;
+    const isSelf = state.currentUser && member.user_id === state.currentUser.id;
+    const question = isSelf
+        ? `Leave "${state.currentFarm.name}"? You will lose access to its fields and plants.`
+        : `Remove ${member.email} from "${state.currentFarm.name}"?`;
+    if (!confirm(question)) return;
+    try {
+        await api.removeFarmMember(state.currentFarm.id, member.user_id, state.token);
+    } catch (error) {
+        console.error('Error removing member:', error);
+        alert(`Error removing member: ${error.message}`);
+        return;
+    }
+    if (isSelf) {
+        state.currentFarm = null;
+        state.fields = [];
+        state.plants = [];
+        await loadFarms();
+    }
+    await loadFarmMembers();
+}
+
+/**
+ * Handles the accept, decline and cancel buttons of both invitation lists.
+ * @param {Event} event - The click event, delegated from the list.
+ * @returns {Promise<void>}
+ */
+export async function handleInvitationListClick(event) {
+    const button = event.target.closest('[data-invitation-id]');
+    if (!button) return;
+    const invitationId = Number(button.dataset.invitationId);
+    try {
+        if (button.dataset.action === 'accept') {
+            await api.acceptInvitation(invitationId, state.token);
+            await loadFarms();
+        } else if (button.dataset.action === 'decline') {
+            await api.declineInvitation(invitationId, state.token);
+        } else if (button.dataset.action === 'cancel') {
+            await api.cancelFarmInvitation(state.currentFarm.id, invitationId, state.token);
+        }
+    } catch (error) {
+        console.error('Error updating invitation:', error);
+        alert(`Error: ${error.message}`);
+    }
+    await loadFarmMembers();
+}
+
+/**
+ * Handles the submission of the invite form.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleInviteMember(event) {
+    event.preventDefault();
+    const email = ui.elements.inviteEmailInput.value.trim();
+    const role = ui.elements.inviteRoleSelect.value;
+    ui.showMessage(ui.elements.inviteMessage, '');
+    ui.setButtonLoading(ui.elements.inviteMemberBtn, true, 'Sending...');
+    try {
+        await api.inviteFarmMember(state.currentFarm.id, email, role, state.token);
+        ui.elements.inviteMemberForm.reset();
+        await loadFarmMembers();
+    } catch (error) {
+        console.error('Error inviting member:', error);
+        ui.showMessage(ui.elements.inviteMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.inviteMemberBtn, false);
+    }
+}
+
+/**
+ * Handles the submission of the create farm form, switching to the new farm once created.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleCreateFarm(event) {
+    event.preventDefault();
+    const name = ui.elements.newFarmNameInput.value.trim();
+    ui.showMessage(ui.elements.createFarmMessage, '');
+    ui.setButtonLoading(ui.elements.createFarmBtn, true, 'Creating...');
+    try {
+        const farm = await api.createFarm(name, state.token);
+        state.farms.push(farm);
+        setCurrentFarm(farm);
+        state.fields = [];
+        state.plants = [];
+        ui.elements.createFarmForm.reset();
+        await Promise.all([loadFarmMembers(), loadPlantSchemaEditor(), loadTagTemplateEditor()]);
+    } catch (error) {
+        console.error('Error creating farm:', error);
+        ui.showMessage(ui.elements.createFarmMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.createFarmBtn, false);
+    }
+}
+
+/**
+ * Reloads the plant attribute schemas and renders their editor in the Farm & Team view.
+ * @returns {Promise<void>}
+ */
+export async function loadPlantSchemaEditor() {
+    await loadPlantSchemas();
+    renderPlantSchemaEditor();
+}
+
+/** Fills the crop types of the attribute editor from the plant form, keeping the one chosen, and shows its attributes. */
+function renderPlantSchemaEditor() {
+    const select = ui.elements.schemaPlantTypeSelect;
+    const chosen = select.value;
+    select.innerHTML = '';
+    [...ui.elements.plantTypeSelect.options]
+        .filter(option => option.value)
+        .forEach(option => select.appendChild(new Option(option.text, option.value)));
+    if (chosen) select.value = chosen;
+    handleSchemaPlantTypeChange();
+}
+
+/** Shows the attributes of the crop type chosen in the editor, and whether they are the farm's own or the default ones. */
+export function handleSchemaPlantTypeChange() {
+    const schema = state.plantSchemas[ui.elements.schemaPlantTypeSelect.value];
+    ui.elements.plantSchemaTableBody.innerHTML = '';
+    (schema ? schema.attributes : []).forEach(addPlantSchemaRow);
+    ui.elements.plantSchemaSource.textContent = !schema ? 'No attributes are recorded for this crop type yet.'
+        : schema.is_default ? 'Using the default attributes of this crop type.'
+        : "Using this farm's own attributes.";
+    ui.elements.resetPlantSchemaBtn.disabled = !schema || schema.is_default;
+    ui.showMessage(ui.elements.plantSchemaMessage, '');
+}
+
+/**
+ * Appends a row of inputs for one attribute to the editor's table.
+ * @param {object} [attribute={}] - The attribute definition; a blank row when omitted.
+ */
+function addPlantSchemaRow(attribute = {}) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" data-prop="key" maxlength="50" placeholder="e.g. age_years"></td>
+        <td><input type="text" data-prop="label" maxlength="100"></td>
+        <td><select data-prop="type">${Object.entries(ATTRIBUTE_TYPES).map(([type, name]) => `<option value="${type}">${name}</option>`).join('')}</select></td>
+        <td><input type="text" data-prop="unit" maxlength="20"></td>
+        <td><input type="number" data-prop="min" step="any"></td>
+        <td><input type="number" data-prop="max" step="any"></td>
+        <td><input type="text" data-prop="options"></td>
+        <td><input type="checkbox" data-prop="required"></td>
+        <td><button type="button" class="btn-delete" data-action="remove" title="Remove attribute">&times;</button></td>`;
+    // Set as properties, so labels and options are never parsed as HTML.
+    const input = (prop) => row.querySelector(`[data-prop="${prop}"]`);
+    input('key').value = attribute.key || '';
+    input('label').value = attribute.label || '';
+    input('type').value = attribute.type || 'text';
+    input('unit').value = attribute.unit || '';
+    input('min').value = attribute.min ?? '';
+    input('max').value = attribute.max ?? '';
+    input('options').value = (attribute.options || []).join(', ');
+    input('required').checked = Boolean(attribute.required);
+    ui.elements.plantSchemaTableBody.appendChild(row);
+}
+
+/** Adds a blank attribute to the editor. */
+export function handleAddPlantAttribute() {
+    addPlantSchemaRow();
+}
+
+/**
+ * Handles the remove buttons of the attribute editor.
+ * @param {Event} event - The click event, delegated from the table body.
+ */
+export function handlePlantSchemaTableClick(event) {
+    const button = event.target.closest('button[data-action="remove"]');
+    if (button) button.closest('tr').remove();
+}
+
+/**
+ * Reads the attributes entered in the editor, in table order. Min and max are only kept for numbers
+ * and options only for lists, so switching an attribute's type doesn't leave stale settings behind.
+ * @returns {Array<object>} The attribute definitions, as PUT /api/plant-schemas expects.
+ */
+function readPlantSchemaRows() {
+    return [...ui.elements.plantSchemaTableBody.rows].map(row => {
+        const input = (prop) => row.querySelector(`[data-prop="${prop}"]`);
+        const type = input('type').value;
+        const attribute = { key: input('key').value.trim(), label: input('label').value.trim(), type, required: input('required').checked };
+        if (input('unit').value.trim()) attribute.unit = input('unit').value.trim();
+        if (type === 'number' || type === 'integer') {
+            if (input('min').value !== '') attribute.min = Number(input('min').value);
+            if (input('max').value !== '') attribute.max = Number(input('max').value);
+        }
+        if (type === 'select') attribute.options = input('options').value.split(',').map(option => option.trim()).filter(Boolean);
+        return attribute;
+    });
+}
+
+/**
+ * Saves the attributes entered in the editor as the farm's own schema for the crop type.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleSavePlantSchema(event) {
+    event.preventDefault();
+    const plantType = ui.elements.schemaPlantTypeSelect.value;
+    if (!plantType) return;
+    ui.showMessage(ui.elements.plantSchemaMessage, '');
+    ui.setButtonLoading(ui.elements.savePlantSchemaBtn, true, 'Saving...');
+    try {
+        const schema = await api.savePlantSchema(plantType, readPlantSchemaRows(), state.token);
+        state.plantSchemas[plantType] = { attributes: schema.attributes, is_default: false };
+        handleSchemaPlantTypeChange();
+        ui.showMessage(ui.elements.plantSchemaMessage, 'Attributes saved.');
+    } catch (error) {
+        console.error('Error saving plant attributes:', error);
+        ui.showMessage(ui.elements.plantSchemaMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.savePlantSchemaBtn, false);
+    }
+}
+
+/**
+ * Drops the farm's own attributes for the crop type chosen in the editor, going back to the default ones.
+ * @returns {Promise<void>}
+ */
+export async function handleResetPlantSchema() {
+    const plantType = ui.elements.schemaPlantTypeSelect.value;
+    if (!plantType || !confirm(`Use the default attributes for ${plantType}? Values already recorded on plants are kept.`)) return;
+    try {
+        await api.deletePlantSchema(plantType, state.token);
+        await loadPlantSchemaEditor();
+    } catch (error) {
+        console.error('Error resetting plant attributes:', error);
+        ui.showMessage(ui.elements.plantSchemaMessage, `Error: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the farm's tag template into its editor in the Farm & Team view.
+ * @returns {Promise<void>}
+ */
+export async function loadTagTemplateEditor() {
+    ui.showMessage(ui.elements.tagTemplateMessage, '');
+    try {
+        renderTagTemplateForm(await api.fetchTagTemplate(state.token));
+    } catch (error) {
+        console.error('Error loading the tag template:', error);
+        ui.showMessage(ui.elements.tagTemplateMessage, `Error loading the tag template: ${error.message}`);
+    }
+}
+
+// Fills the tag template editor, noting whether the template is the farm's own or the default one.
+function renderTagTemplateForm(template) {
+    ui.elements.tagPrefixInput.value = template.prefix;
+    ui.elements.tagSeparatorSelect.value = template.separator;
+    ui.elements.tagDigitsInput.value = template.digits;
+    ui.elements.tagLabelCodeSelect.value = template.label_code;
+    ui.elements.tagFieldCodeCheckbox.checked = template.field_code;
+    ui.elements.tagTemplateSource.textContent = template.is_default ? 'Using the default tag template.' : "Using this farm's tag template.";
+    renderTagTemplatePreview();
+}
+
+// The template entered in the tag template editor.
+function readTagTemplateForm() {
+    return {
+        prefix: ui.elements.tagPrefixInput.value.trim(),
+        field_code: ui.elements.tagFieldCodeCheckbox.checked,
+        digits: Number(ui.elements.tagDigitsInput.value),
+        separator: ui.elements.tagSeparatorSelect.value,
+        label_code: ui.elements.tagLabelCodeSelect.value
+    };
+}
+
+/** Shows example tags of the template being edited, for a plant in a field coded C1 and for one outside the fields. */
+export function renderTagTemplatePreview() {
+    const template = readTagTemplateForm();
+    const digits = Number.isInteger(template.digits) && template.digits > 0 ? template.digits : DEFAULT_TAG_TEMPLATE.digits;
+    const inField = formatTag(tagStem(template, { id: 1, code: 'C1' }), 42, digits);
+    const outside = formatTag(tagStem(template, null), 42, digits);
+    ui.elements.tagTemplatePreview.textContent = template.field_code
+        ? `Tags will look like ${inField} in a field coded C1, and ${outside} outside the fields.`
+        : `Tags will look like ${inField}.`;
+}
+
+/**
+ * Saves the tag template entered in the editor.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleSaveTagTemplate(event) {
+    event.preventDefault();
+    ui.showMessage(ui.elements.tagTemplateMessage, '');
+    ui.setButtonLoading(ui.elements.saveTagTemplateBtn, true, 'Saving...');
+    try {
+        renderTagTemplateForm(await api.saveTagTemplate(readTagTemplateForm(), state.token));
+        ui.showMessage(ui.elements.tagTemplateMessage, 'Tag template saved.');
+    } catch (error) {
+        console.error('Error saving the tag template:', error);
+        ui.showMessage(ui.elements.tagTemplateMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.saveTagTemplateBtn, false);
+    }
 }
 
 /**
- * Calculates the recommended number of seeds to purchase based on area, variety, and conditions.
+ * Names the browser and operating system in a User-Agent string, for the session list.
+ * @param {string|null} userAgent - The User-Agent recorded when the session was opened.
+ * @returns {string} A short description such as "Chrome on Android".
  */
-export function handleSowingCalculation() {
-    ui.elements.sowingResultsContainer.classList.add('hidden');
-    const area = parseFloat(document.getElementById('sowing-area').value);
-    const varietyKey = ui.elements.sowingVarietySelect.value;
-    const germinationRate = parseFloat(document.getElementById('germination-rate').value);
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Browser';
+    const os = /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Windows/.test(userAgent) ? 'Windows'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : null;
+    return os ? `${browser} on ${os}` : browser;
+}
 
-    if (!area || !varietyKey || !germinationRate) {
-        alert("Please fill in all fields correctly.");
-        return;
+/**
+ * Fetches the user's active sessions and renders them in the Account view, each with a revoke button.
+ * @returns {Promise<void>}
+ */
+export async function loadSessions() {
+    ui.elements.accountEmail.textContent = state.currentUser ? state.currentUser.email : '';
+    ui.elements.emailVerification.classList.toggle('hidden', !state.currentUser || state.currentUser.email_verified);
+    try {
+        const sessions = await api.fetchSessions(state.token);
+        ui.elements.sessionsTableBody.innerHTML = '';
+        sessions.forEach(session => {
+            // Built from the user agent a logging-in client sent, so it is set as text.
+            const row = createTextRow([
+                `${describeUserAgent(session.user_agent)}${session.current ? ' (this device)' : ''}`,
+                new Date(session.last_used_at).toLocaleString('pt-BR')
+            ]);
+            row.insertAdjacentHTML('beforeend', `<td><button class="btn-delete" data-session-id="${session.id}" data-current="${session.current}" title="Revoke session">&times;</button></td>`);
+            ui.elements.sessionsTableBody.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        ui.elements.sessionsTableBody.innerHTML = '<tr><td colspan="3"></td></tr>';
+        ui.elements.sessionsTableBody.querySelector('td').textContent = `Error loading sessions: ${error.message}`;
     }
-    
-    const cultivar = state.varieties[varietyKey];
-    const conditions = document.getElementById('field-conditions').value;
-    
-    // Adjust for field conditions
-    let conditionFactor = 1.0;
-    if (conditions === 'average') conditionFactor = 1.05;
-    else if (conditions === 'poor') conditionFactor = 1.10;
-    
-    // Adjust for germination rate
-    const germinationFactor = 100 / germinationRate;
-    
-    const seedsToBuy = (area * cultivar.target_population) * germinationFactor * conditionFactor;
-    const resultHtml = `You will need approximately <strong>${Math.ceil(seedsToBuy).toLocaleString('pt-BR')} seeds</strong> to achieve the target population.`;
-    
-    ui.showMessage(ui.elements.sowingResultText, resultHtml, true);
-    ui.elements.sowingResultsContainer.classList.remove('hidden');
 }
 
 /**
- * Analyzes user-provided soil data against the ideal conditions for a selected variety.
+ * Handles the revoke buttons of the session list. Revoking this device's session logs out.
+ * @param {Event} event - The click event, delegated from the table body.
+ * @returns {Promise<void>}
  */
-export function handleSoilAnalysis() {
-    ui.elements.soilResultsContainer.classList.add('hidden');
-    const varietyKey = ui.elements.soilVarietySelect.value;
-    if (!varietyKey) {
-        alert("Please select a reference variety.");
+export async function handleSessionTableClick(event) {
+    const button = event.target.closest('[data-session-id]');
+    if (!button) return;
+    if (button.dataset.current === 'true') {
+        await handleLogout();
         return;
     }
-    // Gather all soil input values
-    const inputs = {
-        ph: parseFloat(document.getElementById('soil-ph').value), v: parseFloat(document.getElementById('soil-v').value),
-        al: parseFloat(document.getElementById('soil-al').value), p: parseFloat(document.getElementById('soil-p').value),
-        k: parseFloat(document.getElementById('soil-k').value), ca: parseFloat(document.getElementById('soil-ca').value),
-        mg: parseFloat(document.getElementById('soil-mg').value), s: parseFloat(document.getElementById('soil-s').value),
-        b: parseFloat(document.getElementById('soil-b').value), zn: parseFloat(document.getElementById('soil-zn').value),
-        n: parseFloat(document.getElementById('soil-n').value)
-    };
+    if (!confirm('Log out that device? It will have to log in again.')) return;
+    try {
+        await api.revokeSession(Number(button.dataset.sessionId), state.token);
+        await loadSessions();
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        alert(`Error revoking session: ${error.message}`);
+    }
+}
 
-    if (Object.values(inputs).some(v => isNaN(v))) {
-        ui.showMessage(ui.elements.soilResultList, `<li class="high">Please fill all fields with valid numbers.</li>`, true);
-        ui.elements.soilResultsContainer.classList.remove('hidden');
-        return;
+/**
+ * Handles the resend button shown while the user's email address is unverified.
+ * @returns {Promise<void>}
+ */
+export async function handleResendVerification() {
+    ui.showMessage(ui.elements.verificationMessage, '');
+    ui.setButtonLoading(ui.elements.resendVerificationBtn, true, 'Sending...');
+    try {
+        const data = await api.resendVerificationEmail(state.token);
+        ui.showMessage(ui.elements.verificationMessage, data.message);
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        ui.showMessage(ui.elements.verificationMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(ui.elements.resendVerificationBtn, false);
     }
-    
-    const ideal = state.varieties[varietyKey].ideal_soil_conditions;
-    let reportHTML = '';
-
-    /**
-     * Helper to generate a report line item comparing a value against an ideal range.
-     * @param {string} label - The nutrient/property name.
-     * @param {string} unit - The unit of measurement.
-     * @param {number} value - The user's input value.
-     * @param {number} idealMin - The minimum ideal value.
-     * @param {number} [idealMax] - The maximum ideal value (optional).
-     * @param {boolean} [isReversed=false] - If true, a high value is good (e.g., for Aluminum).
-     * @returns {string} HTML list item string.
-     */
-    const createReportLine = (label, unit, value, idealMin, idealMax, isReversed = false) => {
-        let status = 'ok'; let idealText = `> ${idealMin}`;
-        if (idealMax !== undefined) {
-            idealText = `${idealMin} - ${idealMax}`;
-            if (value < idealMin) status = 'low'; if (value > idealMax) status = 'high';
-        } else {
-            if (isReversed) { // For values that should be BELOW a threshold (e.g., Aluminum)
-                if (value > idealMin) status = 'high'; idealText = `< ${idealMin}`;
-            } else { // For values that should be ABOVE a threshold
-                if (value < idealMin) status = 'low';
-            }
-        }
-        return `<li class="${status}"><span>${label}: <strong>${value} ${unit}</strong></span> <span>(Ideal: ${idealText})</span></li>`;
-    };
-    
-    // Generate report for each nutrient
-    reportHTML += createReportLine('pH (CaCl₂)', '', inputs.ph, ideal.ph.min, ideal.ph.max);
-    reportHTML += createReportLine('Base Saturation (V%)', '%', inputs.v, ideal.v_percent.min);
-    reportHTML += createReportLine('Aluminum (Al³⁺)', 'cmolc', inputs.al, ideal.al_cmolc.max, undefined, true);
-    reportHTML += createReportLine('Phosphorus (P)', 'ppm', inputs.p, ideal.p_ppm.min);
-    reportHTML += createReportLine('Potassium (K)', 'ppm', inputs.k, ideal.k_ppm.min);
-    reportHTML += createReportLine('Calcium (Ca)', 'cmolc', inputs.ca, ideal.ca_cmolc.min);
-    reportHTML += createReportLine('Magnesium (Mg)', 'cmolc', inputs.mg, ideal.mg_cmolc.min);
-    reportHTML += createReportLine('Sulfur (S)', 'ppm', inputs.s, ideal.s_ppm.min);
-    reportHTML += createReportLine('Boron (B)', 'ppm', inputs.b, ideal.b_ppm.min);
-    reportHTML += createReportLine('Zinc (Zn)', 'ppm', inputs.zn, ideal.zn_ppm.min);
-    reportHTML += createReportLine('Nitrogen (N)', 'ppm', inputs.n, ideal.n_ppm.min);
-    
-    ui.showMessage(ui.elements.soilResultList, reportHTML, true);
-    ui.elements.soilResultsContainer.classList.remove('hidden');
 }
 
 /**
- * Handles saving a new field drawn on the map.
+ * Ends this device's session and returns to the login screen, dropping everything loaded for the user.
+ * @returns {Promise<void>}
+ */
+export async function handleLogout() {
+    // The offline copy and queue belong to this user, so they are cleared; unsynced changes would be lost.
+    const pending = await offline.countPending().catch(() => 0);
+    if (pending > 0 && !confirm(`${pending} change(s) made offline haven't synced yet and will be lost. Log out anyway?`)) return;
+    if (state.currentMapMode !== 'view') exitCreationMode();
+    await auth.logout();
+    await offline.clearOfflineData().catch(error => console.error("Error clearing offline data:", error));
+    state.token = null;
+    state.currentUser = null;
+    state.farms = [];
+    state.currentFarm = null;
+    state.fields = [];
+    state.plants = [];
+    loadedExtent = null;
+    densityAttributeKeys = new Set();
+    plantStyleKeys = new Set();
+    fieldStatuses = null;
+    api.setCurrentFarm(null);
+    if (state.mapInstance) map.clearAllDataLayers();
+    ui.showScreen('auth');
+}
+
+/**
+ * Handles saving a field drawn on the map, either creating a new one or updating the field being edited.
  * @returns {Promise<void>}
  */
 export async function handleSaveField() {
@@ -439,11 +3132,23 @@ export async function handleSaveField() {
     ui.showMessage(ui.elements.mapMessage, '');
     ui.setButtonLoading(ui.elements.saveFieldBtn, true, 'Saving...');
     
-    const fieldData = { name: fieldName, geometry: geometry, area_hectares: state.currentMapArea.hectares };
-    
     try {
-        await api.saveField(fieldData, state.token);
+        let result;
+        if (state.currentMapMode === 'edit-field') {
+            const field = state.fields.find(f => f.id === state.editingId);
+            // A refresh while editing may have brought a shape with several parts or holes, which one ring would overwrite.
+            if (field && !map.hasSingleRing(field.geometry)) throw new Error('the field now has several parts or holes and can no longer be reshaped here.');
+            // The backend recomputes the area from the edited geometry; offline, the local copy does the same.
+            result = await submitFieldShape(
+                { action: 'updateField', args: [state.editingId, { name: fieldName, geometry: geometry }], ifMatch: field?.updated_at, label: `Edit field "${fieldName}"` },
+                () => { if (field) Object.assign(field, { name: fieldName, geometry, area_hectares: (turf.area(geometry) / 10000).toFixed(4), pending: true }); }
+            );
+        } else {
+            const fieldData = { name: fieldName, geometry: geometry, area_hectares: state.currentMapArea.hectares };
+            result = await submitFieldShape({ action: 'saveField', args: [fieldData], tempId: offline.newTempId(), label: `New field "${fieldName}"` });
+        }
         exitCreationMode();
+        reportOverlaps(result.data);
     } catch (error) {
         console.error('Error creating field:', error);
         ui.showMessage(ui.elements.mapMessage, `Error saving: ${error.message}`);
@@ -452,7 +3157,7 @@ export async function handleSaveField() {
 }
 
 /**
- * Handles saving a new plant from the form data.
+ * Handles saving a plant from the form data, either creating a new one or updating the plant being edited.
  * @param {Event} event - The form submission event.
  * @returns {Promise<void>}
  */
@@ -460,11 +3165,12 @@ export async function handleSavePlant(event) {
     event.preventDefault(); // Prevent default form submission
     
     const formButton = ui.elements.savePlantBtn;
+    const isEditing = state.currentMapMode === 'edit-plant';
+    const plant = isEditing ? state.plants.find(p => p.id === state.editingId) : null;
     const plantData = {
         location: state.currentPlantLocation,
         plant_type: ui.elements.plantTypeSelect.value,
-        unique_tag: ui.elements.plantTagInput.value.trim(),
-        custom_data: {}
+        unique_tag: ui.elements.plantTagInput.value.trim()
     };
 
     if (!plantData.location) {
@@ -475,11 +3181,33 @@ export async function handleSavePlant(event) {
         ui.showMessage(ui.elements.plantFormMessage, 'Culture Type and Unique Tag are required.');
         return;
     }
+    const { customData, error: attributeError } = readPlantAttributes(ui.elements.plantCustomFieldsContainer, plantData.plant_type, plant?.custom_data || {});
+    if (attributeError) {
+        ui.showMessage(ui.elements.plantFormMessage, attributeError);
+        return;
+    }
+    plantData.custom_data = customData;
+    // Read before leaving the mode, which resets the form.
+    const photoFiles = [...ui.elements.plantPhotoCaptureInput.files];
     
     ui.setButtonLoading(formButton, true, 'Saving...');
     
     try {
-        await api.savePlant(plantData, state.token);
+        let result;
+        if (isEditing) {
+            result = await submitFieldChange(
+                { action: 'updatePlant', args: [state.editingId, plantData], ifMatch: plant?.updated_at, label: `Edit plant "${plantData.unique_tag}"` },
+                () => { if (plant) Object.assign(plant, plantData, { pending: true }); }
+            );
+        } else {
+            // Plants added without a signal are kept on the device and sent once back online.
+            const tempId = offline.newTempId();
+            result = await submitFieldChange(
+                { action: 'savePlant', args: [plantData], tempId, label: `New plant "${plantData.unique_tag}"` },
+                () => { state.plants.unshift({ ...plantData, id: tempId, field_id: null, pending: true }); }
+            );
+        }
+        if (photoFiles.length > 0) await uploadPlantFormPhotos(photoFiles, isEditing ? state.editingId : result.data?.id, result.queued);
         exitCreationMode();
     } catch (error) {
         console.error('Error creating plant:', error);
@@ -489,12 +3217,33 @@ export async function handleSavePlant(event) {
 }
 
 /**
- * Sets the location for a new plant being created.
+ * Uploads the photos taken in the plant form once the plant is saved. Photos need a connection,
+ * so none are sent for plants saved offline; they can be added from the plant's details later.
+ * @param {Array<File>} files - The photos.
+ * @param {number|string} plantId - The plant's ID, temporary when it was created offline.
+ * @param {boolean} queued - Whether the plant was saved on the device only.
+ * @returns {Promise<void>}
+ */
+async function uploadPlantFormPhotos(files, plantId, queued) {
+    if (queued || offline.isTempId(plantId)) {
+        alert("The plant was saved on this device, but photos need a connection. Add them from the plant's details once it syncs.");
+        return;
+    }
+    try {
+        await api.uploadPhotos('plants', plantId, files, '', state.token);
+    } catch (error) {
+        console.error('Error uploading plant photo:', error);
+        alert(`The plant was saved, but its photo could not be uploaded: ${error.message}`);
+    }
+}
+
+/**
+ * Sets the location for a plant being created or edited.
  * Updates the state and UI to reflect the selected location.
  * @param {L.LatLng} latlng - The geographic coordinates.
  */
 function setPlantLocation(latlng) {
-    if (state.currentMapMode !== 'create-plant') return;
+    if (state.currentMapMode !== 'create-plant' && state.currentMapMode !== 'edit-plant') return;
     
     state.currentPlantLocation = { lat: latlng.lat, lng: latlng.lng };
     map.showTempPlantMarker(latlng);
@@ -507,9 +3256,52 @@ function setPlantLocation(latlng) {
     ui.elements.plantTypeSelect.disabled = false;
     ui.elements.plantTagInput.disabled = false;
     ui.elements.generateTagBtn.disabled = false;
+    ui.elements.plantPhotoCaptureInput.disabled = false;
     ui.elements.savePlantBtn.disabled = false;
 }
 
+/**
+ * Fills the plant form's tag with the next one of the farm's template, for the field the plant is placed in.
+ * Tags are numbered by the server so no two plants get the same one, which needs a connection.
+ * @returns {Promise<void>}
+ */
+export async function handleGenerateTag() {
+    const location = state.currentPlantLocation;
+    if (!location) return;
+    // Fields created offline aren't on the server yet, so their plants are numbered as outside any field.
+    const field = state.fields.find(f => f.geometry && !offline.isTempId(f.id) && turf.booleanPointInPolygon([location.lng, location.lat], f.geometry));
+    const button = ui.elements.generateTagBtn;
+    button.disabled = true;
+    ui.showMessage(ui.elements.plantFormMessage, '');
+    try {
+        const { tags } = await api.reserveTags(field ? field.id : null, 1, state.token);
+        ui.elements.plantTagInput.value = tags[0];
+    } catch (error) {
+        console.error('Error generating a plant tag:', error);
+        ui.showMessage(ui.elements.plantFormMessage, offline.isNetworkError(error)
+            ? 'You are offline. Tags are numbered by the server, so type this one instead.'
+            : `Error generating the tag: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/** Shows the attribute inputs of the crop type chosen in the plant form, filled with the plant's values when editing. */
+export function handlePlantTypeChange() {
+    const plant = state.currentMapMode === 'edit-plant' ? state.plants.find(p => p.id === state.editingId) : null;
+    renderAttributeInputs(ui.elements.plantCustomFieldsContainer, plantTypeAttributes(ui.elements.plantTypeSelect.value),
+        plant?.custom_data || {}, 'plant-attribute');
+}
+
+/**
+ * Updates the pending plant location after the temporary marker is dragged to a new position.
+ * @param {CustomEvent} event - The event containing the new position in `event.detail.latlng`.
+ */
+export function handlePlantMarkerMoved(event) {
+    const { lat, lng } = event.detail.latlng;
+    state.currentPlantLocation = { lat, lng };
+}
+
 /**
  * Uses the browser's Geolocation API to get the user's current position.
  * @returns {Promise<void>}
@@ -565,7 +3357,7 @@ export async function handleUseGps() {
 export function handleMapClick(e) {
     if (state.currentMapMode === 'create-field') {
         map.addPolygonMarker(e.latlng);
-    } else if (state.currentMapMode === 'create-plant') {
+    } else if (state.currentMapMode === 'create-plant' || state.currentMapMode === 'edit-plant') {
         setPlantLocation(e.latlng);
     }
 }
@@ -603,7 +3395,437 @@ export function enterAddPlantMode() {
 }
 
 /**
- * Exits any creation mode and returns to the default 'view' mode.
+ * Enters the 'Edit Field' mode for an existing field.
+ * Loads the field's vertices as draggable markers and reuses the field creation controls.
+ * Fields with several parts or holes are refused, since saving a single ring would drop them.
+ * @param {CustomEvent} event - The event containing the field ID in `event.detail.id`.
+ */
+export function enterEditFieldMode(event) {
+    const field = state.fields.find(f => f.id === event.detail.id);
+    if (!field || !canReshapeField(field)) return;
+
+    state.currentMapMode = 'edit-field';
+    state.editingId = field.id;
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.plantCreationControls.classList.add('hidden');
+    ui.elements.fieldCreationControls.classList.remove('hidden');
+    ui.elements.mapViewDescription.textContent = `Editing "${field.name}". Drag the vertices to reshape the field.`;
+    ui.elements.fieldNameInput.value = field.name;
+    ui.elements.saveFieldBtn.textContent = 'Save Changes';
+    map.setMapDataOpacity(0.5);
+    map.loadPolygonForEditing(field.geometry);
+}
+
+/**
+ * Enters the 'Edit Plant' mode for an existing plant.
+ * Pre-fills the plant form and places a draggable marker at the plant's current location.
+ * @param {CustomEvent} event - The event containing the plant ID in `event.detail.id`.
+ */
+export function enterEditPlantMode(event) {
+    const plant = state.plants.find(p => p.id === event.detail.id);
+    if (!plant) return;
+
+    state.currentMapMode = 'edit-plant';
+    state.editingId = plant.id;
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.fieldCreationControls.classList.add('hidden');
+    ui.elements.plantCreationControls.classList.remove('hidden');
+    ui.elements.mapViewDescription.textContent = `Editing plant "${plant.unique_tag}".`;
+    map.setMapDataOpacity(0.5);
+
+    setPlantLocation(L.latLng(plant.location.lat, plant.location.lng));
+    ui.elements.plantTypeSelect.value = plant.plant_type;
+    handlePlantTypeChange();
+    ui.elements.plantTagInput.value = plant.unique_tag || '';
+    ui.elements.savePlantBtn.textContent = 'Save Changes';
+    ui.elements.plantCreationStatus.textContent = 'Drag the marker or click on the map to move the plant.';
+}
+
+/**
+ * Enters the 'Import' mode, showing the import/export panel below the map.
+ */
+export function enterImportMode() {
+    state.currentMapMode = 'import';
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.importControls.classList.remove('hidden');
+    ui.elements.mapViewDescription.textContent = 'Export your data or import fields and plants from a file.';
+    map.setMapDataOpacity(0.5);
+}
+
+/**
+ * Downloads all fields and plants in the format chosen in the export select.
+ * @returns {Promise<void>}
+ */
+export async function handleExportData() {
+    const format = ui.elements.exportFormatSelect.value;
+    const button = ui.elements.exportDataBtn;
+    ui.setButtonLoading(button, true, 'Exporting...');
+    try {
+        const blob = await api.exportData(format, state.token);
+        const extensions = { 'geojson': 'geojson', 'kml': 'kml', 'shp-zip': 'zip' };
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `agriplanum-export.${extensions[format]}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        ui.showMessage(ui.elements.importMessage, `Error exporting: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Enters the "populate field" mode, which lays out plants in rows inside a field.
+ * @returns {void}
+ */
+export function enterPopulateMode() {
+    const fields = state.fields.filter(field => field.geometry && !offline.isTempId(field.id));
+    if (fields.length === 0) {
+        alert('Add a field first; plants are laid out inside a field.');
+        return;
+    }
+    state.currentMapMode = 'populate';
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.populateControls.classList.remove('hidden');
+    ui.elements.mapViewDescription.textContent = 'Lay out plants in rows inside a field. The preview updates as you change the layout.';
+    map.setMapDataOpacity(0.5);
+
+    const select = ui.elements.populateFieldSelect;
+    select.innerHTML = '';
+    fields.forEach(field => select.appendChild(new Option(field.name, field.id)));
+    handlePopulateFieldChange();
+}
+
+/**
+ * Suggests a tag prefix for the picked field (its code, or else the last word of its name, e.g. "C1" for
+ * "Field C1") and previews its grid.
+ * @returns {void}
+ */
+export function handlePopulateFieldChange() {
+    const field = state.fields.find(f => f.id === Number(ui.elements.populateFieldSelect.value));
+    if (field) ui.elements.populateTagPrefixInput.value = field.code || field.name.trim().split(/\s+/).pop().toUpperCase();
+    handlePopulateLayoutChange(true);
+}
+
+/**
+ * Regenerates the grid for the current layout and previews it on the map.
+ * @param {boolean} [fit=false] - Whether to zoom to the preview.
+ * @returns {void}
+ */
+export function handlePopulateLayoutChange(fit = false) {
+    pendingGrid = null;
+    ui.elements.savePopulateBtn.disabled = true;
+    ui.elements.savePopulateBtn.textContent = 'Create Plants';
+    ui.showMessage(ui.elements.populateMessage, '');
+    const field = state.fields.find(f => f.id === Number(ui.elements.populateFieldSelect.value));
+    const prefix = ui.elements.populateTagPrefixInput.value.trim();
+    if (!field) return;
+    try {
+        const grid = generatePlantingGrid(field.geometry, {
+            rowSpacing: Number(ui.elements.populateRowSpacingInput.value),
+            plantSpacing: Number(ui.elements.populatePlantSpacingInput.value),
+            azimuth: Number(ui.elements.populateAzimuthInput.value) || 0
+        });
+        pendingGrid = tagPlantingGrid(grid, prefix || 'P');
+        map.showGridPreview(pendingGrid, fit === true);
+        const rows = pendingGrid.length > 0 ? pendingGrid[pendingGrid.length - 1].row : 0;
+        ui.showMessage(ui.elements.populateSummary, pendingGrid.length > 0
+            ? `${pendingGrid.length} plants in ${rows} rows, tagged ${pendingGrid[0].unique_tag} to ${pendingGrid[pendingGrid.length - 1].unique_tag}.`
+            : 'No plant fits in this field with this spacing.');
+        ui.elements.savePopulateBtn.disabled = pendingGrid.length === 0 || !prefix;
+        if (pendingGrid.length > 0) ui.elements.savePopulateBtn.textContent = `Create ${pendingGrid.length} Plants`;
+    } catch (error) {
+        map.showGridPreview([]);
+        ui.showMessage(ui.elements.populateSummary, '');
+        ui.showMessage(ui.elements.populateMessage, error.message);
+    }
+}
+
+/**
+ * Creates the previewed plants in one request; either all of them are created or none.
+ * @returns {Promise<void>}
+ */
+export async function handleSavePopulate() {
+    const plantType = ui.elements.populatePlantTypeSelect.value;
+    if (!pendingGrid || pendingGrid.length === 0) return;
+    if (!plantType) {
+        ui.showMessage(ui.elements.populateMessage, 'Choose the crop type.');
+        return;
+    }
+    if (!navigator.onLine) {
+        ui.showMessage(ui.elements.populateMessage, 'You are offline. Populating a field needs a connection.');
+        return;
+    }
+    const button = ui.elements.savePopulateBtn;
+    ui.setButtonLoading(button, true, 'Creating...');
+    try {
+        const result = await api.savePlantsBulk({
+            field_id: Number(ui.elements.populateFieldSelect.value),
+            plants: pendingGrid.map(plant => ({ unique_tag: plant.unique_tag, location: plant.location, plant_type: plantType }))
+        }, state.token, { idempotencyKey: crypto.randomUUID() });
+        alert(result.message);
+        exitCreationMode();
+    } catch (error) {
+        console.error('Error populating field:', error);
+        const hint = error.status === 409 ? ' Choose another tag prefix.' : '';
+        ui.showMessage(ui.elements.populateMessage, `Error: ${error.message}${hint}`);
+        ui.setButtonLoading(button, false, `Create ${pendingGrid.length} Plants`);
+    }
+}
+
+/**
+ * Enters the offline map mode: lists the farm's fields to pick the area from and
+ * shows the storage used by the areas already downloaded.
+ * @returns {void}
+ */
+export function enterTileDownloadMode() {
+    state.currentMapMode = 'tile-download';
+    ui.elements.viewControls.classList.add('hidden');
+    ui.elements.tileDownloadControls.classList.remove('hidden');
+    ui.elements.mapViewDescription.textContent = 'Save the map around your fields to use it without a signal.';
+    map.setMapDataOpacity(0.5);
+
+    const fields = state.fields.filter(field => field.geometry && !offline.isTempId(field.id));
+    ui.elements.tileFieldList.innerHTML = fields.length === 0
+        ? '<p>Add a field first; the download covers the fields you pick.</p>'
+        : fields.map(field => `<label><input type="checkbox" value="${field.id}"> ${field.name}</label>`).join('');
+    const zoomOptions = (selected) => Array.from({ length: tiles.MAX_NATIVE_ZOOM - 9 }, (_, i) => i + 10)
+        .map(zoom => `<option value="${zoom}"${zoom === selected ? ' selected' : ''}>${zoom}</option>`).join('');
+    ui.elements.tileMinZoomSelect.innerHTML = zoomOptions(13);
+    ui.elements.tileMaxZoomSelect.innerHTML = zoomOptions(17);
+    handleTileSelectionChange();
+    renderTileStorage();
+}
+
+/**
+ * Returns the area picked in the download form: the bounding box of the checked fields and the zoom range.
+ * @returns {{name: string, bbox: Array<number>, minZoom: number, maxZoom: number}|null} The area, or null when no field is checked.
+ */
+function getTileDownloadSelection() {
+    const ids = [...ui.elements.tileFieldList.querySelectorAll('input:checked')].map(input => Number(input.value));
+    const fields = state.fields.filter(field => ids.includes(field.id));
+    if (fields.length === 0) return null;
+    const minZoom = Number(ui.elements.tileMinZoomSelect.value);
+    const maxZoom = Number(ui.elements.tileMaxZoomSelect.value);
+    return {
+        name: fields.map(field => field.name).join(', '),
+        bbox: turf.bbox(turf.featureCollection(fields.map(field => turf.feature(field.geometry)))),
+        minZoom: Math.min(minZoom, maxZoom),
+        maxZoom: Math.max(minZoom, maxZoom)
+    };
+}
+
+/**
+ * Outlines the picked area on the map and estimates the size of its download.
+ * @returns {void}
+ */
+export function handleTileSelectionChange() {
+    const selection = getTileDownloadSelection();
+    map.showDownloadArea(selection && selection.bbox);
+    if (!selection) {
+        ui.showMessage(ui.elements.tileEstimate, 'Pick at least one field.');
+        ui.elements.downloadTilesBtn.disabled = true;
+        return;
+    }
+    const estimate = tiles.estimateDownload(selection.bbox, selection.minZoom, selection.maxZoom);
+    const tooLarge = estimate.tiles > tiles.MAX_TILES_PER_AREA;
+    ui.showMessage(ui.elements.tileEstimate, tooLarge
+        ? `${estimate.tiles} tiles: over the limit of ${tiles.MAX_TILES_PER_AREA}. Pick fewer fields or a lower zoom.`
+        : `${estimate.tiles} tiles, about ${formatBytes(estimate.bytes)}.`);
+    ui.elements.downloadTilesBtn.disabled = tooLarge || tileDownloadController !== null;
+}
+
+/**
+ * Shows the storage used on this device and lists the downloaded areas with a button to remove each.
+ * @returns {Promise<void>}
+ */
+async function renderTileStorage() {
+    try {
+        const { usage, quota, persisted, tiles: tileCount } = await tiles.getStorageStatus();
+        const quotaText = quota ? ` of ${formatBytes(quota)} available` : '';
+        ui.showMessage(ui.elements.tileStorageStatus,
+            `${tileCount} map tiles saved. This app uses ${formatBytes(usage)}${quotaText}.${persisted ? '' : ' The browser may clear saved maps when the device runs low on space.'}`);
+        ui.elements.tileStorageBar.value = quota ? usage / quota : 0;
+    } catch (error) {
+        console.error('Error reading storage status:', error);
+        ui.showMessage(ui.elements.tileStorageStatus, 'Storage details are not available in this browser.');
+    }
+    const areas = tiles.getAreas();
+    ui.elements.tileAreasList.innerHTML = areas.length === 0
+        ? '<li>No areas saved yet.</li>'
+        : areas.map(area => `
+            <li>
+                <span>${area.name} (zoom ${area.minZoom}-${area.maxZoom}, ${area.tiles} tiles, ${new Date(area.savedAt).toLocaleDateString('pt-BR')})</span>
+                <button class="btn-delete" data-area-id="${area.id}" title="Remove this area">&times;</button>
+            </li>`).join('');
+}
+
+/**
+ * Downloads the tiles of the picked area, showing progress. Clicking again while it runs cancels it.
+ * @returns {Promise<void>}
+ */
+export async function handleDownloadTiles() {
+    if (tileDownloadController) {
+        tileDownloadController.abort();
+        return;
+    }
+    const selection = getTileDownloadSelection();
+    if (!selection) return;
+    if (!navigator.onLine) {
+        ui.showMessage(ui.elements.tileDownloadMessage, 'You are offline. Connect to download the map.');
+        return;
+    }
+
+    const button = ui.elements.downloadTilesBtn;
+    const progress = ui.elements.tileDownloadProgress;
+    tileDownloadController = new AbortController();
+    button.textContent = 'Cancel Download';
+    progress.value = 0;
+    progress.classList.remove('hidden');
+    ui.showMessage(ui.elements.tileDownloadMessage, '');
+    try {
+        const result = await tiles.downloadArea(selection, {
+            signal: tileDownloadController.signal,
+            onProgress: (done, total) => { progress.value = done / total; }
+        });
+        const notes = [];
+        if (result.failed > 0) notes.push(`${result.failed} tiles couldn't be downloaded.`);
+        if (result.evicted.length > 0) notes.push(`Removed older areas to make room: ${result.evicted.join('; ')}.`);
+        ui.showMessage(ui.elements.tileDownloadMessage, `Saved ${result.tiles} tiles for offline use. ${notes.join(' ')}`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            ui.showMessage(ui.elements.tileDownloadMessage, 'Download cancelled.');
+        } else {
+            console.error('Error downloading map tiles:', error);
+            ui.showMessage(ui.elements.tileDownloadMessage, `Error: ${error.message}`);
+        }
+    } finally {
+        tileDownloadController = null;
+        button.textContent = 'Download';
+        progress.classList.add('hidden');
+        handleTileSelectionChange();
+        renderTileStorage();
+    }
+}
+
+/**
+ * Removes a downloaded area after confirmation.
+ * @param {Event} event - The click event, delegated from the saved areas list.
+ * @returns {Promise<void>}
+ */
+export async function handleTileAreaListClick(event) {
+    const button = event.target.closest('[data-area-id]');
+    if (!button || !confirm('Remove this area from the maps saved on this device?')) return;
+    try {
+        await tiles.deleteArea(Number(button.dataset.areaId));
+    } catch (error) {
+        console.error('Error removing map area:', error);
+        alert(`Error: ${error.message}`);
+    }
+    renderTileStorage();
+}
+
+/**
+ * Reads an import file in the shape expected by the API: text for GeoJSON/KML, base64 for zipped Shapefiles.
+ * @param {File} file - The file chosen by the user.
+ * @returns {Promise<{format: string, data: string}>} The detected format and file contents.
+ */
+function readImportFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const formats = { geojson: 'geojson', json: 'geojson', kml: 'kml', zip: 'shp-zip' };
+    const format = formats[extension];
+    if (!format) return Promise.reject(new Error(`Unsupported file type ".${extension}".`));
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onerror = () => reject(reader.error);
+        if (format === 'shp-zip') {
+            // Strip the "data:...;base64," prefix from the data URL.
+            reader.onload = () => resolve({ format, data: reader.result.split(',')[1] });
+            reader.readAsDataURL(file);
+        } else {
+            reader.onload = () => resolve({ format, data: reader.result });
+            reader.readAsText(file);
+        }
+    });
+}
+
+/**
+ * Renders the per-feature import results as a list.
+ * @param {Array<object>} features - Feature entries returned by the import API.
+ */
+function renderImportReport(features) {
+    ui.elements.importReportList.innerHTML = features.map(feature => `
+        <li class="${feature.status}">
+            <span>${feature.name || `Feature ${feature.index + 1}`} (${feature.kind || 'unsupported'})</span>
+            <span>${feature.status}</span>
+            ${feature.errors.length > 0 ? `<small>${feature.errors.join(' ')}</small>` : ''}
+            ${feature.warnings && feature.warnings.length > 0 ? `<small>${feature.warnings.join(' ')}</small>` : ''}
+        </li>
+    `).join('');
+}
+
+/**
+ * Sends the chosen file to the API as a dry run and previews the resulting features on the map.
+ * @param {Event} event - The form submission event.
+ * @returns {Promise<void>}
+ */
+export async function handleImportPreview(event) {
+    event.preventDefault();
+    const file = ui.elements.importFileInput.files[0];
+    if (!file) return;
+
+    const button = ui.elements.previewImportBtn;
+    ui.setButtonLoading(button, true, 'Reading...');
+    ui.showMessage(ui.elements.importMessage, '');
+    ui.elements.saveImportBtn.disabled = true;
+    try {
+        const { format, data } = await readImportFile(file);
+        pendingImport = { format, data, default_plant_type: ui.elements.importDefaultPlantTypeSelect.value || undefined };
+        const preview = await api.importData({ ...pendingImport, dry_run: true }, state.token);
+        map.showImportPreview(preview.features);
+        renderImportReport(preview.features);
+
+        const validCount = preview.features.filter(f => f.status === 'valid').length;
+        ui.showMessage(ui.elements.importMessage, `${validCount} of ${preview.features.length} features are valid.`);
+        ui.elements.saveImportBtn.disabled = validCount === 0;
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        pendingImport = null;
+        ui.showMessage(ui.elements.importMessage, `Error: ${error.message}`);
+    } finally {
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Imports the valid features of the previewed file and reports the outcome of each one.
+ * @returns {Promise<void>}
+ */
+export async function handleImportSave() {
+    if (!pendingImport) return;
+    const button = ui.elements.saveImportBtn;
+    ui.setButtonLoading(button, true, 'Importing...');
+    try {
+        const result = await api.importData(pendingImport, state.token);
+        pendingImport = null;
+        map.clearImportPreview();
+        renderImportReport(result.features);
+        ui.showMessage(ui.elements.importMessage, result.message);
+        loadMapData();
+        ui.setButtonLoading(button, false);
+        button.disabled = true;
+    } catch (error) {
+        console.error('Error importing data:', error);
+        ui.showMessage(ui.elements.importMessage, `Error importing: ${error.message}`);
+        ui.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Exits any creation or edit mode and returns to the default 'view' mode.
  * Cleans up UI, temporary map layers, and resets forms.
  */
 export function exitCreationMode() {
@@ -612,13 +3834,28 @@ export function exitCreationMode() {
     // Hide creation controls and show view controls
     ui.elements.fieldCreationControls.classList.add('hidden');
     ui.elements.plantCreationControls.classList.add('hidden');
+    ui.elements.importControls.classList.add('hidden');
+    ui.elements.tileDownloadControls.classList.add('hidden');
+    ui.elements.populateControls.classList.add('hidden');
     ui.elements.viewControls.classList.remove('hidden');
     ui.elements.mapViewDescription.textContent = 'Viewing your fields and plants. Use the buttons to add new items.';
     
     // Clean up temporary map elements and forms
     map.clearDrawing();
     map.clearTempPlantMarker();
+    map.clearImportPreview();
     ui.elements.plantForm.reset();
+    ui.elements.plantCustomFieldsContainer.innerHTML = '';
+    ui.elements.importForm.reset();
+    ui.elements.importReportList.innerHTML = '';
+    ui.elements.saveImportBtn.disabled = true;
+    ui.showMessage(ui.elements.importMessage, '');
+    pendingImport = null;
+    pendingGrid = null;
+    ui.showMessage(ui.elements.populateSummary, '');
+    ui.showMessage(ui.elements.populateMessage, '');
+    if (tileDownloadController) tileDownloadController.abort();
+    ui.showMessage(ui.elements.tileDownloadMessage, '');
     ui.elements.fieldNameInput.value = '';
     ui.showMessage(ui.elements.mapMessage, '');
     ui.showMessage(ui.elements.plantFormMessage, '');
@@ -629,15 +3866,19 @@ export function exitCreationMode() {
     // Reset buttons to their default state
     ui.setButtonLoading(ui.elements.saveFieldBtn, false, 'Save Field');
     ui.setButtonLoading(ui.elements.savePlantBtn, false, 'Save Plant');
+    ui.elements.saveFieldBtn.textContent = 'Save Field';
+    ui.elements.savePlantBtn.textContent = 'Save Plant';
     
     // Disable plant form until a location is selected again
     ui.elements.plantTypeSelect.disabled = true;
     ui.elements.plantTagInput.disabled = true;
     ui.elements.generateTagBtn.disabled = true;
+    ui.elements.plantPhotoCaptureInput.disabled = true;
     ui.elements.savePlantBtn.disabled = true;
     
     // Reset state variables and reload data
     state.currentPlantLocation = null;
+    state.editingId = null;
     loadMapData();
     
     // Restore full opacity to map data
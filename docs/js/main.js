@@ -7,6 +7,7 @@
 
 import * as ui from './ui.js';
 import * as auth from './auth.js';
+import * as api from './api.js';
 import * as map from './map.js';
 import { state } from './state.js';
 import { 
@@ -14,6 +15,11 @@ import {
     handleCycleCalculation, 
     handleSowingCalculation, 
     handleSoilAnalysis, 
+    populateSoilFieldSelect,
+    handleSoilFieldChange,
+    handleSoilGps,
+    handleSaveSoilSample,
+    renderFieldSoilSamples,
     handleSaveField, 
     handleSavePlant,
     handleDeleteField,
@@ -23,13 +29,91 @@ import {
     handleMapClick, 
     enterAddFieldMode, 
     enterAddPlantMode,
+    enterEditFieldMode,
+    enterImportMode,
+    handleExportData,
+    handleImportPreview,
+    handleImportSave,
+    enterEditPlantMode,
+    handlePlantMarkerMoved,
+    toggleFieldEditForm,
+    togglePlantEditForm,
+    handleUpdateFieldDetails,
+    handleUpdatePlantDetails,
+    handlePlantTypeChange,
+    handleEditPlantTypeChange,
+    handleUploadPlantPhotos,
+    handleUploadFieldPhotos,
+    handlePhotoGalleryClick,
+    handlePhotoViewerClose,
+    handleEditFieldShape,
+    handleEditPlantLocation,
+    handleSaveObservation,
+    toggleSeasonForm,
+    toggleHarvestForm,
+    handleSaveSeason,
+    handleRecordHarvest,
+    handleDeleteSeason,
+    toggleVarietyForm,
+    handleVarietyTableClick,
+    handleSaveVariety,
+    renderObservationChart,
     handleSelectionDrawn, 
+    handleMapMoveEnd,
+    handlePlantDisplayChange,
+    handleMapStyleChange,
+    handleSelectionDrawing,
+    handleSelectFieldPlants,
     clearSelectionState,
     handleCreateFieldFromSelection,
+    handleOutlineOptionsChange,
+    handleSaveOutlineField,
+    closeOutlineControls,
+    handleBatchActionChange,
+    handleApplyBatch,
     handleUseGps, 
     exitCreationMode, 
     loadMapData, 
-    updateAreaDisplay 
+    syncPendingChanges,
+    handleConnectivityChange,
+    renderSyncStatus,
+    renderSyncView,
+    handleConflictClick,
+    enterPopulateMode,
+    handlePopulateFieldChange,
+    handlePopulateLayoutChange,
+    handleSavePopulate,
+    enterTileDownloadMode,
+    handleTileSelectionChange,
+    handleDownloadTiles,
+    handleTileAreaListClick,
+    updateAreaDisplay,
+    handleFarmSwitch,
+    loadFarmMembers,
+    handleMemberRoleChange,
+    handleMemberTableClick,
+    handleInvitationListClick,
+    handleInviteMember,
+    handleCreateFarm,
+    loadPlantSchemaEditor,
+    handleSchemaPlantTypeChange,
+    handleAddPlantAttribute,
+    handlePlantSchemaTableClick,
+    handleSavePlantSchema,
+    handleResetPlantSchema,
+    loadTagTemplateEditor,
+    renderTagTemplatePreview,
+    handleSaveTagTemplate,
+    handleGenerateTag,
+    handlePrintFieldLabels,
+    handlePrintSelectionLabels,
+    startTagScan,
+    handleScanTagSubmit,
+    handleViewChange,
+    loadSessions,
+    handleSessionTableClick,
+    handleLogout,
+    handleResendVerification
 } from './handlers.js';
 
 /**
@@ -43,8 +127,13 @@ function setupEventListeners() {
     // Handles toggling between login and registration forms.
     ui.elements.showRegisterLink.addEventListener('click', (e) => { e.preventDefault(); ui.toggleAuthForms('register'); });
     ui.elements.showLoginLink.addEventListener('click', (e) => { e.preventDefault(); ui.toggleAuthForms('login'); });
+    ui.elements.showForgotPasswordLink.addEventListener('click', (e) => { e.preventDefault(); ui.toggleAuthForms('forgot'); });
+    ui.elements.showLoginLinks.forEach(link => link.addEventListener('click', (e) => { e.preventDefault(); ui.toggleAuthForms('login'); }));
     // Handles form submissions for registration and login.
     ui.elements.registerForm.addEventListener('submit', auth.handleRegisterSubmit);
+    // Password recovery: requesting the reset email and choosing the new password from its link.
+    ui.elements.forgotPasswordForm.addEventListener('submit', auth.handleForgotPasswordSubmit);
+    ui.elements.resetPasswordForm.addEventListener('submit', auth.handleResetPasswordSubmit);
     ui.elements.loginForm.addEventListener('submit', (e) => auth.handleLoginSubmit(e, onLoginSuccess));
     
     // --- Main Navigation & Dashboard ---
@@ -59,7 +148,7 @@ function setupEventListeners() {
         const currentView = document.querySelector('.view.active');
         if (currentView && currentView.id === 'field-details-view') {
             ui.showView('map-view'); // From field details -> map
-        } else if (currentView && (currentView.id === 'map-view' || currentView.id === 'cycle-planner-view' || currentView.id === 'sowing-calculator-view' || currentView.id === 'soil-analysis-view')) {
+        } else if (currentView && (currentView.id === 'map-view' || currentView.id === 'cycle-planner-view' || currentView.id === 'sowing-calculator-view' || currentView.id === 'soil-analysis-view' || currentView.id === 'variety-catalogue-view' || currentView.id === 'farm-view' || currentView.id === 'account-view' || currentView.id === 'sync-view' || currentView.id === 'scan-view')) {
             ui.showView('dashboard-view'); // From a main tool -> dashboard
         } else if (currentView && currentView.id === 'dashboard-view') {
             ui.showScreen('setup'); // From dashboard -> setup screen
@@ -74,12 +163,22 @@ function setupEventListeners() {
             const viewId = button.dataset.view;
             if (viewId) {
                 ui.showView(viewId);
+                // The soil module lists the fields a sample can be saved to.
+                if (viewId === 'soil-analysis-view') populateSoilFieldSelect();
+                if (viewId === 'farm-view') {
+                    loadFarmMembers();
+                    loadPlantSchemaEditor();
+                    loadTagTemplateEditor();
+                }
+                if (viewId === 'account-view') loadSessions();
+                if (viewId === 'scan-view') startTagScan();
                 // Special handling for the map view: initialize it if it doesn't exist.
                 if (viewId === 'map-view') {
                     setTimeout(() => {
                        if (!state.mapInstance) {
                             state.mapInstance = map.initializeMap('map-container');
                             state.mapInstance.on('click', handleMapClick); // Attach global map click handler
+                            state.mapInstance.on('moveend', handleMapMoveEnd); // Plants are loaded for the visible extent
                        }
                        state.mapInstance.invalidateSize(); // Ensures map renders correctly in a revealed container.
                        exitCreationMode(); // Start in a clean view state.
@@ -89,6 +188,49 @@ function setupEventListeners() {
         });
     });
 
+    // --- Farm & Team ---
+    // Switching farms from the header, and managing members and invitations of the current farm.
+    ui.elements.farmSwitcher.addEventListener('change', handleFarmSwitch);
+    ui.elements.farmMembersTableBody.addEventListener('change', handleMemberRoleChange);
+    ui.elements.farmMembersTableBody.addEventListener('click', handleMemberTableClick);
+    ui.elements.farmInvitationsList.addEventListener('click', handleInvitationListClick);
+    ui.elements.myInvitationsList.addEventListener('click', handleInvitationListClick);
+    ui.elements.inviteMemberForm.addEventListener('submit', handleInviteMember);
+    ui.elements.createFarmForm.addEventListener('submit', handleCreateFarm);
+    // The custom attributes recorded for each crop type.
+    ui.elements.schemaPlantTypeSelect.addEventListener('change', handleSchemaPlantTypeChange);
+    ui.elements.addPlantAttributeBtn.addEventListener('click', handleAddPlantAttribute);
+    ui.elements.plantSchemaTableBody.addEventListener('click', handlePlantSchemaTableClick);
+    ui.elements.plantSchemaForm.addEventListener('submit', handleSavePlantSchema);
+    ui.elements.resetPlantSchemaBtn.addEventListener('click', handleResetPlantSchema);
+    // The farm's tag template, previewed as it is edited.
+    ui.elements.tagTemplateForm.addEventListener('input', renderTagTemplatePreview);
+    ui.elements.tagTemplateForm.addEventListener('change', renderTagTemplatePreview);
+    ui.elements.tagTemplateForm.addEventListener('submit', handleSaveTagTemplate);
+
+    // --- Tag Scanner ---
+    // Opens the plant of a scanned or typed tag; the camera is released when the scan view is left.
+    ui.elements.scanTagForm.addEventListener('submit', handleScanTagSubmit);
+    ui.elements.restartScannerBtn.addEventListener('click', startTagScan);
+    window.addEventListener('viewchange', handleViewChange);
+
+    // --- Account & Sessions ---
+    ui.elements.sessionsTableBody.addEventListener('click', handleSessionTableClick);
+    ui.elements.resendVerificationBtn.addEventListener('click', handleResendVerification);
+    ui.elements.logoutBtn.addEventListener('click', handleLogout);
+
+    // --- Offline Sync ---
+    // The header button opens the list of changes waiting to sync and of conflicts to resolve.
+    ui.elements.syncStatusBtn.addEventListener('click', () => {
+        ui.showView('sync-view');
+        renderSyncView();
+    });
+    ui.elements.syncNowBtn.addEventListener('click', syncPendingChanges);
+    ui.elements.syncConflictsList.addEventListener('click', handleConflictClick);
+    window.addEventListener('sync-change', renderSyncStatus);
+    window.addEventListener('online', handleConnectivityChange);
+    window.addEventListener('offline', handleConnectivityChange);
+
     // --- Calculation Modules ---
     // When a variety is selected, display its information.
     ui.elements.varietySelect.addEventListener('change', () => {
@@ -105,11 +247,53 @@ function setupEventListeners() {
     ui.elements.calculateCycleBtn.addEventListener('click', handleCycleCalculation);
     ui.elements.calculateSowingBtn.addEventListener('click', handleSowingCalculation);
     ui.elements.analyzeSoilBtn.addEventListener('click', handleSoilAnalysis);
+    // Saving soil samples against a field, optionally with a GPS point.
+    ui.elements.soilFieldSelect.addEventListener('change', handleSoilFieldChange);
+    ui.elements.soilGpsBtn.addEventListener('click', handleSoilGps);
+    ui.elements.saveSoilSampleBtn.addEventListener('click', handleSaveSoilSample);
+
+    // --- Variety Catalogue ---
+    ui.elements.newVarietyBtn.addEventListener('click', () => toggleVarietyForm(true));
+    ui.elements.cancelVarietyBtn.addEventListener('click', () => toggleVarietyForm(false));
+    ui.elements.varietyForm.addEventListener('submit', handleSaveVariety);
+    ui.elements.varietyTableBody.addEventListener('click', handleVarietyTableClick);
 
     // --- Map View Controls ---
     ui.elements.refreshMapBtn.addEventListener('click', loadMapData);
     ui.elements.enterAddFieldModeBtn.addEventListener('click', enterAddFieldMode);
     ui.elements.enterAddPlantModeBtn.addEventListener('click', enterAddPlantMode);
+    ui.elements.enterImportModeBtn.addEventListener('click', enterImportMode);
+    ui.elements.enterPopulateModeBtn.addEventListener('click', enterPopulateMode);
+    ui.elements.enterTileDownloadModeBtn.addEventListener('click', enterTileDownloadMode);
+    ui.elements.plantDisplayModeSelect.addEventListener('change', handlePlantDisplayChange);
+    ui.elements.densityColorBySelect.addEventListener('change', handlePlantDisplayChange);
+    ui.elements.fieldStyleSelect.addEventListener('change', handleMapStyleChange);
+    ui.elements.plantStyleSelect.addEventListener('change', handleMapStyleChange);
+    ui.elements.plantStyleClassificationSelect.addEventListener('change', handleMapStyleChange);
+
+    // --- Import & Export Controls ---
+    ui.elements.exportDataBtn.addEventListener('click', handleExportData);
+    ui.elements.importForm.addEventListener('submit', handleImportPreview);
+    ui.elements.saveImportBtn.addEventListener('click', handleImportSave);
+    ui.elements.cancelImportBtn.addEventListener('click', exitCreationMode);
+
+    // --- Populate Field Controls ---
+    // Any change to the layout regenerates the preview; picking another field also suggests its tag prefix.
+    ui.elements.populateFieldSelect.addEventListener('change', handlePopulateFieldChange);
+    ui.elements.populateForm.addEventListener('change', (event) => {
+        if (event.target !== ui.elements.populateFieldSelect && event.target !== ui.elements.populatePlantTypeSelect) handlePopulateLayoutChange();
+    });
+    ui.elements.populateForm.addEventListener('submit', (event) => event.preventDefault());
+    ui.elements.savePopulateBtn.addEventListener('click', handleSavePopulate);
+    ui.elements.cancelPopulateBtn.addEventListener('click', exitCreationMode);
+
+    // --- Offline Map Download ---
+    ui.elements.tileFieldList.addEventListener('change', handleTileSelectionChange);
+    ui.elements.tileMinZoomSelect.addEventListener('change', handleTileSelectionChange);
+    ui.elements.tileMaxZoomSelect.addEventListener('change', handleTileSelectionChange);
+    ui.elements.downloadTilesBtn.addEventListener('click', handleDownloadTiles);
+    ui.elements.cancelTileDownloadBtn.addEventListener('click', exitCreationMode);
+    ui.elements.tileAreasList.addEventListener('click', handleTileAreaListClick);
     
     // --- Field Creation Controls ---
     ui.elements.saveFieldBtn.addEventListener('click', handleSaveField);
@@ -123,11 +307,11 @@ function setupEventListeners() {
 
     // --- Plant Creation Controls ---
     ui.elements.plantForm.addEventListener('submit', handleSavePlant);
+    // The attribute inputs follow the crop type chosen.
+    ui.elements.plantTypeSelect.addEventListener('change', handlePlantTypeChange);
     ui.elements.cancelPlantCreationBtn.addEventListener('click', exitCreationMode);
-    // Generates a simple unique tag for a new plant.
-    ui.elements.generateTagBtn.addEventListener('click', () => {
-        ui.elements.plantTagInput.value = `plant-${Date.now()}`;
-    });
+    // Fills in the next tag of the farm's template for the field the plant is placed in.
+    ui.elements.generateTagBtn.addEventListener('click', handleGenerateTag);
     ui.elements.useGpsBtn.addEventListener('click', handleUseGps);
     
     // --- Custom Global Event Listeners ---
@@ -139,10 +323,16 @@ function setupEventListeners() {
     // Listens for events to open the field/plant details view.
     window.addEventListener('view-field-details', handleViewFieldDetails);
     window.addEventListener('view-plant-details', handleViewPlantDetails);
+    // Listens for edit requests from map popups and for the edited plant marker being dragged.
+    window.addEventListener('edit-field', enterEditFieldMode);
+    window.addEventListener('edit-plant', enterEditPlantMode);
+    window.addEventListener('plant-marker-moved', handlePlantMarkerMoved);
     // Listens for selection events from the map module.
     window.addEventListener('selection-drawn', handleSelectionDrawn);
+    window.addEventListener('selection-drawing', handleSelectionDrawing);
+    window.addEventListener('select-field-plants', handleSelectFieldPlants);
     window.addEventListener('selection-cleared', clearSelectionState);
-    // Listens for authentication errors (e.g., expired token) to log the user out.
+    // Listens for authentication errors the session couldn't be refreshed from (e.g., revoked session) to log the user out.
      window.addEventListener('auth-error', () => {
         console.warn("Authentication error detected. Logging out.");
         auth.logout();
@@ -179,25 +369,86 @@ function setupEventListeners() {
     // Back buttons for the field and plant detail views.
     ui.elements.backToMapViewBtn.addEventListener('click', () => ui.showView('map-view'));
     ui.elements.backToMapFromPlantBtn.addEventListener('click', () => ui.showView('map-view'));
+    // Inline editing of names, tags and types, plus shortcuts to reshape or move the item on the map.
+    ui.elements.editFieldDetailsBtn.addEventListener('click', () => toggleFieldEditForm(true));
+    ui.elements.cancelFieldEditBtn.addEventListener('click', () => toggleFieldEditForm(false));
+    ui.elements.fieldEditForm.addEventListener('submit', handleUpdateFieldDetails);
+    ui.elements.editFieldShapeBtn.addEventListener('click', handleEditFieldShape);
+    ui.elements.printFieldLabelsBtn.addEventListener('click', handlePrintFieldLabels);
+    ui.elements.editPlantDetailsBtn.addEventListener('click', () => togglePlantEditForm(true));
+    ui.elements.cancelPlantEditBtn.addEventListener('click', () => togglePlantEditForm(false));
+    ui.elements.plantEditForm.addEventListener('submit', handleUpdatePlantDetails);
+    ui.elements.editPlantTypeSelect.addEventListener('change', handleEditPlantTypeChange);
+
+    ui.elements.editPlantLocationBtn.addEventListener('click', handleEditPlantLocation);
+    // Crop seasons: starting a season, recording its harvest and removing past ones.
+    ui.elements.newSeasonBtn.addEventListener('click', () => toggleSeasonForm(true));
+    ui.elements.cancelSeasonBtn.addEventListener('click', () => toggleSeasonForm(false));
+    ui.elements.seasonForm.addEventListener('submit', handleSaveSeason);
+    ui.elements.recordHarvestBtn.addEventListener('click', () => toggleHarvestForm(true));
+    ui.elements.cancelHarvestBtn.addEventListener('click', () => toggleHarvestForm(false));
+    ui.elements.harvestForm.addEventListener('submit', handleRecordHarvest);
+    ui.elements.pastSeasonsTableBody.addEventListener('click', handleDeleteSeason);
+    // Soil samples: switching the reference variety or the charted nutrient.
+    ui.elements.soilReferenceVarietySelect.addEventListener('change', renderFieldSoilSamples);
+    ui.elements.soilTrendNutrientSelect.addEventListener('change', renderFieldSoilSamples);
+    // Plant observation log: saving new entries and switching the charted measurement.
+    ui.elements.observationForm.addEventListener('submit', handleSaveObservation);
+    ui.elements.observationMetricSelect.addEventListener('change', renderObservationChart);
+    
+    // --- Photos ---
+    // Galleries of the plant and field details, and the viewer their thumbnails open.
+    ui.elements.plantPhotoForm.addEventListener('submit', handleUploadPlantPhotos);
+    ui.elements.fieldPhotoForm.addEventListener('submit', handleUploadFieldPhotos);
+    ui.elements.plantPhotoGallery.addEventListener('click', handlePhotoGalleryClick);
+    ui.elements.fieldPhotoGallery.addEventListener('click', handlePhotoGalleryClick);
+    ui.elements.closePhotoViewerBtn.addEventListener('click', () => ui.elements.photoViewer.close());
+    ui.elements.photoViewer.addEventListener('close', handlePhotoViewerClose);
     
     // --- Selection Flow Controls ---
     // Binds buttons in the selection UI to their handlers.
     ui.elements.cancelSelectionBtn.addEventListener('click', clearSelectionState);
     ui.elements.createFieldFromSelectionBtn.addEventListener('click', handleCreateFieldFromSelection);
+    ui.elements.printSelectionLabelsBtn.addEventListener('click', handlePrintSelectionLabels);
+    // The outline preview follows every option change; the field name doesn't affect it.
+    ui.elements.outlineForm.addEventListener('change', (event) => {
+        if (event.target !== ui.elements.outlineFieldNameInput) handleOutlineOptionsChange();
+    });
+    ui.elements.outlineForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        handleSaveOutlineField();
+    });
+    ui.elements.saveOutlineBtn.addEventListener('click', handleSaveOutlineField);
+    ui.elements.cancelOutlineBtn.addEventListener('click', closeOutlineControls);
+    // Batch actions on the selected plants.
+    ui.elements.batchActionSelect.addEventListener('change', handleBatchActionChange);
+    ui.elements.applyBatchBtn.addEventListener('click', handleApplyBatch);
 }
 
 /**
  * Initializes the application.
- * Checks for a stored authentication token to determine the initial screen
- * and then sets up all event listeners to make the app interactive.
- * @returns {void}
+ * Handles links opened from verification and reset emails, checks for a stored authentication
+ * token to determine the initial screen, and sets up all event listeners to make the app interactive.
+ * @returns {Promise<void>}
  */
-function initializeApp() {
+async function initializeApp() {
+    // The service worker caches the app shell and map tiles so the app opens without a signal.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+    // Expired access tokens are renewed with the stored refresh token and the failed request retried.
+    api.setRefreshHandler(async () => {
+        const token = await auth.refreshSession();
+        if (token) state.token = token;
+        return token;
+    });
+    setupEventListeners();
+    // A password reset link keeps the user on the auth screen to choose the new password.
+    if (await auth.handleEmailLinks()) return;
     const token = auth.getToken();
     // If a token exists, treat the user as logged in; otherwise, show the auth screen.
     token ? onLoginSuccess(token) : ui.showScreen('auth');
-    setupEventListeners();
 }
 
 // Start the application.
-initializeApp();
\ No newline at end of file
+initializeApp();
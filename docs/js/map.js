@@ -6,15 +6,48 @@
 // ==========================================================================
 
 import { state } from './state.js';
+import { TILE_URL, MAX_NATIVE_ZOOM } from './tiles.js';
 
 // Module-level variables to hold the map instance and its layers.
-let fieldsLayer, plantsLayer, highlightLayer, drawnItems;
+let fieldsLayer, plantsLayer, highlightLayer, drawnItems, previewLayer;
 let polygonPoints = [];
 let polygonLayer;
 let tempPlantMarker;
+// Selection drawing: the shape being drawn with Leaflet.Draw, the lasso, and the keys held.
+let activeDraw = null;
+let lasso = null;
+let lassoButton;
+let pendingDrawingFrame = null;
+const heldKeys = { shift: false, alt: false };
+// Canvas renderer of the fields and of the plants drawn as points, so thousands of plants stay one element.
+// Fields share it because a canvas over them would block their clicks.
+let dataRenderer;
+
+// Basemaps offered by the layer switcher. Only the OpenStreetMap tiles are cached for offline use (see tiles.js).
+const BASEMAPS = {
+    'OpenStreetMap': {
+        url: TILE_URL,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        maxNativeZoom: MAX_NATIVE_ZOOM,
+        // Requested with CORS so the service worker can cache them.
+        crossOrigin: ''
+    },
+    'Satellite': {
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+        maxNativeZoom: 19
+    },
+    'Topographic': {
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+        maxNativeZoom: 17
+    }
+};
+// The basemap last chosen in the layer switcher, restored when the map is created.
+const BASEMAP_KEY = 'agriplanum_basemap';
 
 /**
- * Initializes the Leaflet map, sets up tile layer with extended zoom,
+ * Initializes the Leaflet map, sets up the basemaps with extended zoom and the layer switcher,
  * and configures Leaflet.Draw controls for selection.
  * @param {string} containerId - The ID of the HTML element where the map will be rendered.
  * @returns {L.Map} The initialized Leaflet map instance.
@@ -26,37 +59,47 @@ export function initializeMap(containerId) {
 
     state.mapInstance = L.map(containerId, { maxZoom: 24 }).setView([-14.235, -51.925], 5);
 
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-        maxZoom: 24,
-        maxNativeZoom: 19
-    }).addTo(state.mapInstance);
+    const basemaps = {};
+    Object.entries(BASEMAPS).forEach(([name, { url, ...options }]) => {
+        basemaps[name] = L.tileLayer(url, { ...options, maxZoom: 24 });
+    });
+    (basemaps[localStorage.getItem(BASEMAP_KEY)] || basemaps['OpenStreetMap']).addTo(state.mapInstance);
+    state.mapInstance.on('baselayerchange', (event) => localStorage.setItem(BASEMAP_KEY, event.name));
 
     // Initialize layers for displaying and creating data.
     fieldsLayer = L.featureGroup().addTo(state.mapInstance);
-    plantsLayer = L.featureGroup().addTo(state.mapInstance);
+    plantsLayer = L.layerGroup().addTo(state.mapInstance); // Holds the layer drawPlants and co. build for the display mode
+    state.mapInstance.createPane('dataPane').style.zIndex = 450; // Above the SVG previews, below the markers
+    dataRenderer = L.canvas({ padding: 0.5, pane: 'dataPane' });
     highlightLayer = L.featureGroup().addTo(state.mapInstance);
     drawnItems = new L.FeatureGroup().addTo(state.mapInstance); // For Leaflet.Draw selection tool
     polygonLayer = L.featureGroup().addTo(state.mapInstance); // For manual field drawing
+    previewLayer = L.featureGroup().addTo(state.mapInstance); // For previewing imported features
 
-    // Configure the Leaflet.Draw control for rectangle selection.
+    // Configure the Leaflet.Draw control for rectangle and polygon selection, plus a freehand lasso.
     const drawControl = new L.Control.Draw({
         edit: { featureGroup: drawnItems, remove: true },
         draw: {
-            polygon: false, polyline: false, marker: false, circle: false, circlemarker: false,
-            rectangle: { shapeOptions: { color: '#0288D1' } }
+            polyline: false, marker: false, circle: false, circlemarker: false,
+            rectangle: { shapeOptions: { color: '#0288D1' } },
+            polygon: { shapeOptions: { color: '#0288D1' }, allowIntersection: false }
         }
     });
     state.mapInstance.addControl(drawControl);
+    state.mapInstance.addControl(createLassoControl());
+    // Fields and plants can be hidden apart from each other and from the basemap.
+    L.control.layers(basemaps, { 'Fields': fieldsLayer, 'Plants': plantsLayer }, { position: 'topright' }).addTo(state.mapInstance);
+    [['map-style-controls', 'topright'], ['plant-display-controls', 'bottomleft']].forEach(([panelId, position]) => {
+        const panel = document.getElementById(panelId);
+        if (panel) state.mapInstance.addControl(createPanelControl(panel, position));
+    });
+    trackModifierKeys();
 
-    // Event listener for when a rectangle selection is created.
+    // Event listener for when a selection shape is created. Shift adds to the selection, Alt removes from it.
     state.mapInstance.on(L.Draw.Event.CREATED, (event) => {
-        const layer = event.layer;
-        drawnItems.clearLayers();
-        drawnItems.addLayer(layer);
-        const bounds = layer.getBounds();
-        window.dispatchEvent(new CustomEvent('selection-drawn', { detail: { bounds: bounds } }));
+        finishSelectionShape(event.layer, selectionModifier(heldKeys));
     });
+    trackSelectionDrawing();
     
     // Event listener for when the selection is cleared via the draw control.
     state.mapInstance.on('draw:deleted', () => {
@@ -66,18 +109,199 @@ export function initializeMap(containerId) {
     return state.mapInstance;
 }
 
+// ==========================================================================
+// Selection Drawing
+// ==========================================================================
+
+// Listens for Shift and Alt, which Leaflet.Draw's events don't report.
+function trackModifierKeys() {
+    const update = (event) => {
+        heldKeys.shift = event.shiftKey;
+        heldKeys.alt = event.altKey;
+    };
+    window.addEventListener('keydown', update);
+    window.addEventListener('keyup', update);
+    window.addEventListener('blur', () => { heldKeys.shift = false; heldKeys.alt = false; });
+}
+
+/**
+ * Reads how a new selection shape combines with the current selection from the keys held.
+ * @param {{shiftKey: boolean, altKey: boolean}|{shift: boolean, alt: boolean}} keys - An event or `heldKeys`.
+ * @returns {string|null} 'add', 'subtract', or null to use the mode chosen in the selection controls.
+ */
+export function selectionModifier(keys) {
+    if (keys.altKey || keys.alt) return 'subtract';
+    if (keys.shiftKey || keys.shift) return 'add';
+    return null;
+}
+
+// Keeps the finished shape on the map and announces it with its exact geometry.
+function finishSelectionShape(layer, modifier) {
+    drawnItems.clearLayers();
+    drawnItems.addLayer(layer);
+    window.dispatchEvent(new CustomEvent('selection-drawn', { detail: { geometry: layer.toGeoJSON().geometry, modifier } }));
+}
+
+// Announces the shape being drawn at most once per frame, so the selection count can follow the pointer.
+function announceDrawing(latlngs) {
+    if (pendingDrawingFrame) cancelAnimationFrame(pendingDrawingFrame);
+    pendingDrawingFrame = requestAnimationFrame(() => {
+        pendingDrawingFrame = null;
+        const detail = latlngs && latlngs.length >= 3
+            ? { geometry: L.polygon(latlngs).toGeoJSON().geometry, modifier: selectionModifier(heldKeys) }
+            : null;
+        window.dispatchEvent(new CustomEvent('selection-drawing', { detail }));
+    });
+}
+
+/**
+ * Follows rectangles and polygons while Leaflet.Draw draws them, which it doesn't report itself:
+ * the rectangle from its first corner to the pointer, the polygon from its vertices plus the pointer.
+ */
+function trackSelectionDrawing() {
+    const map = state.mapInstance;
+    map.on('draw:drawstart', (event) => {
+        activeDraw = { type: event.layerType, start: null, vertices: [] };
+        map.boxZoom.disable(); // Shift+drag would otherwise zoom instead of adding to the selection.
+    });
+    map.on('draw:drawstop', () => {
+        activeDraw = null;
+        map.boxZoom.enable();
+        announceDrawing(null);
+    });
+    map.on('mousedown', (event) => {
+        if (activeDraw && activeDraw.type === 'rectangle') activeDraw.start = event.latlng;
+    });
+    map.on('draw:drawvertex', (event) => {
+        if (activeDraw) activeDraw.vertices = event.layers.getLayers().map(marker => marker.getLatLng());
+    });
+    map.on('mousemove', (event) => {
+        if (!activeDraw) return;
+        if (activeDraw.type === 'rectangle' && activeDraw.start) {
+            const bounds = L.latLngBounds(activeDraw.start, event.latlng);
+            announceDrawing([bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()]);
+        } else if (activeDraw.type === 'polygon' && activeDraw.vertices.length >= 2) {
+            announceDrawing([...activeDraw.vertices, event.latlng]);
+        }
+    });
+}
+
+/**
+ * Creates the lasso control: a toolbar button that draws a freehand selection with the mouse or a finger.
+ * @returns {L.Control} The control.
+ */
+function createLassoControl() {
+    const LassoControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd: () => {
+            const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control');
+            L.DomEvent.disableClickPropagation(container);
+            lassoButton = L.DomUtil.create('a', 'lasso-button', container);
+            lassoButton.href = '#';
+            lassoButton.title = 'Lasso selection (hold Shift to add, Alt to remove)';
+            lassoButton.setAttribute('role', 'button');
+            lassoButton.innerHTML = '<i class="fa-solid fa-bezier-curve" aria-hidden="true"></i>';
+            L.DomEvent.on(lassoButton, 'click', (event) => {
+                L.DomEvent.stop(event);
+                lasso ? stopLasso() : startLasso();
+            });
+            return container;
+        }
+    });
+    return new LassoControl();
+}
+
+/**
+ * Wraps a panel of the page in a map control, so it floats over the map.
+ * @param {HTMLElement} panel - The panel, moved into the map's control corner.
+ * @param {string} position - The corner, e.g. 'bottomleft'.
+ * @returns {L.Control} The control.
+ */
+function createPanelControl(panel, position) {
+    const PanelControl = L.Control.extend({
+        options: { position },
+        onAdd: () => {
+            panel.classList.add('leaflet-control');
+            L.DomEvent.disableClickPropagation(panel);
+            L.DomEvent.disableScrollPropagation(panel);
+            return panel;
+        }
+    });
+    return new PanelControl();
+}
+
+// Enters lasso mode: the map stops panning and the next press-drag-release draws the selection.
+function startLasso() {
+    const map = state.mapInstance;
+    const container = map.getContainer();
+    lasso = { points: [], line: null, modifier: null };
+    map.dragging.disable();
+    container.classList.add('lasso-active');
+    lassoButton.classList.add('active');
+
+    lasso.onDown = (event) => {
+        // Presses on the toolbar (including the lasso button, to leave lasso mode) aren't drawing.
+        if (event.button !== 0 || event.target.closest('.leaflet-control')) return;
+        event.preventDefault();
+        container.setPointerCapture(event.pointerId);
+        lasso.points = [map.mouseEventToLatLng(event)];
+        lasso.modifier = selectionModifier(event);
+        lasso.line = L.polyline(lasso.points, { color: '#0288D1', weight: 2, dashArray: '4, 4' }).addTo(map);
+    };
+    lasso.onMove = (event) => {
+        if (!lasso.line) return;
+        lasso.points.push(map.mouseEventToLatLng(event));
+        lasso.line.setLatLngs(lasso.points);
+        announceDrawing(lasso.points);
+    };
+    lasso.onUp = () => {
+        if (!lasso.line) return;
+        const { points, modifier } = lasso;
+        stopLasso();
+        if (points.length >= 3) {
+            finishSelectionShape(L.polygon(points, { color: '#0288D1' }), modifier);
+        }
+    };
+    lasso.onKey = (event) => {
+        if (event.key === 'Escape') stopLasso();
+    };
+    container.addEventListener('pointerdown', lasso.onDown);
+    container.addEventListener('pointermove', lasso.onMove);
+    container.addEventListener('pointerup', lasso.onUp);
+    window.addEventListener('keydown', lasso.onKey);
+}
+
+// Leaves lasso mode and removes the line being drawn.
+function stopLasso() {
+    if (!lasso) return;
+    const map = state.mapInstance;
+    const container = map.getContainer();
+    container.removeEventListener('pointerdown', lasso.onDown);
+    container.removeEventListener('pointermove', lasso.onMove);
+    container.removeEventListener('pointerup', lasso.onUp);
+    window.removeEventListener('keydown', lasso.onKey);
+    if (lasso.line) lasso.line.remove();
+    lasso = null;
+    map.dragging.enable();
+    container.classList.remove('lasso-active');
+    lassoButton.classList.remove('active');
+    announceDrawing(null);
+}
+
 /**
  * Renders field polygons on the map and attaches event listeners to their popups.
  * @param {Array<object>} fields - Array of field objects.
  * @param {Function} onDelete - Callback function for the delete button.
+ * @param {Function} [colorOf] - Returns a field's colour, from the style panel's theme; green when not given.
  */
-export function drawFields(fields, onDelete) {
+export function drawFields(fields, onDelete, colorOf) {
     if (!fieldsLayer) return;
     fieldsLayer.clearLayers();
 
     fields.forEach(field => {
         const fieldPolygon = L.geoJSON(field.geometry, {
-            style: { color: '#2E7D32', weight: 2, opacity: 0.8 }
+            style: { color: colorOf ? colorOf(field) : '#2E7D32', weight: 2, opacity: 0.8 },
+            renderer: dataRenderer
         }).addTo(fieldsLayer);
         
         const popupContent = `
@@ -85,7 +309,9 @@ export function drawFields(fields, onDelete) {
             Área: ${parseFloat(field.area_hectares).toFixed(2)} ha
             <div class="popup-actions">
                 <button class="btn-details" data-field-id="${field.id}">Details</button>
-                <button class="btn-delete" data-field-id="${field.id}" data-field-name="${field.name}">Delete</button>
+                <button class="btn-select" data-field-id="${field.id}" title="Select the plants in this field (Shift adds, Alt removes)">Select Plants</button>
+                <button class="btn-edit requires-manager" data-field-id="${field.id}">Edit</button>
+                <button class="btn-delete requires-manager" data-field-id="${field.id}" data-field-name="${field.name}">Delete</button>
             </div>
         `;
         fieldPolygon.bindPopup(popupContent);
@@ -94,6 +320,14 @@ export function drawFields(fields, onDelete) {
             document.querySelector(`.btn-details[data-field-id="${field.id}"]`)?.addEventListener('click', () => {
                 window.dispatchEvent(new CustomEvent('view-field-details', { detail: { id: field.id } }));
             });
+            document.querySelector(`.btn-select[data-field-id="${field.id}"]`)?.addEventListener('click', (event) => {
+                state.mapInstance.closePopup();
+                window.dispatchEvent(new CustomEvent('select-field-plants', { detail: { id: field.id, modifier: selectionModifier(event) } }));
+            });
+            document.querySelector(`.btn-edit[data-field-id="${field.id}"]`)?.addEventListener('click', () => {
+                state.mapInstance.closePopup();
+                window.dispatchEvent(new CustomEvent('edit-field', { detail: { id: field.id } }));
+            });
             document.querySelector(`.btn-delete[data-field-id="${field.id}"]`)?.addEventListener('click', () => {
                 onDelete(field.id, field.name);
             });
@@ -101,14 +335,59 @@ export function drawFields(fields, onDelete) {
     });
 }
 
+// Swaps what the plants layer holds for a layer drawn in another display mode.
+function replacePlantsLayer(layer) {
+    plantsLayer.clearLayers();
+    plantsLayer.addLayer(layer);
+}
+
 /**
- * Renders plant markers on the map and attaches event listeners to their popups.
+ * Opens the popup of a plant and attaches event listeners to its buttons. Popups are built when
+ * a plant is clicked rather than for every plant drawn.
+ * @param {object} plant - The plant.
+ * @param {L.Layer} layer - The plant's marker or point.
+ * @param {Function} onDelete - Callback function for the delete button.
+ */
+function openPlantPopup(plant, layer, onDelete) {
+    // Markers open the popup above their icon, as a bound popup would.
+    const offset = layer instanceof L.Marker ? L.point(layer.options.icon.options.popupAnchor).add([0, 7]) : L.point(0, 0);
+    const popup = L.popup({ offset })
+        .setLatLng(layer.getLatLng())
+        .setContent(`
+            <b>Tag:</b> ${plant.unique_tag || 'N/A'}<br>
+            <b>Tipo:</b> ${plant.plant_type}
+            <div class="popup-actions">
+                <button class="btn-details" data-plant-id="${plant.id}">Details</button>
+                <button class="btn-edit requires-technician" data-plant-id="${plant.id}">Edit</button>
+                <button class="btn-delete requires-technician" data-plant-id="${plant.id}" data-plant-tag="${plant.unique_tag || ''}">Delete</button>
+            </div>
+        `)
+        .openOn(state.mapInstance);
+
+    const element = popup.getElement();
+    element.querySelector('.btn-details')?.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('view-plant-details', { detail: { id: plant.id } }));
+    });
+    element.querySelector('.btn-edit')?.addEventListener('click', () => {
+        state.mapInstance.closePopup();
+        window.dispatchEvent(new CustomEvent('edit-plant', { detail: { id: plant.id } }));
+    });
+    element.querySelector('.btn-delete')?.addEventListener('click', () => {
+        onDelete(plant.id, plant.unique_tag);
+    });
+}
+
+/**
+ * Renders the plants on the map, either as markers grouped into clusters that split up as the map
+ * is zoomed in, or as small points drawn on a canvas, which stays fast with thousands of plants.
  * @param {Array<object>} plants - Array of plant objects.
  * @param {Function} onDelete - Callback function for the delete button.
+ * @param {string} [mode='clusters'] - 'clusters' or 'points'.
+ * @param {Function} [colorOf] - Returns a plant's colour, from the style panel's theme; markers keep the
+ *        stock icon and points are green when not given.
  */
-export function drawPlants(plants, onDelete) {
+export function drawPlants(plants, onDelete, mode = 'clusters', colorOf) {
     if (!plantsLayer) return;
-    plantsLayer.clearLayers();
 
     const plantIcon = L.icon({
         iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
@@ -117,50 +396,132 @@ export function drawPlants(plants, onDelete) {
         popupAnchor: [0, -20]
     });
 
-    plants.forEach(plant => {
-        const plantMarker = L.marker([plant.location.lat, plant.location.lng], { icon: plantIcon }).addTo(plantsLayer);
-        
-        const popupContent = `
-            <b>Tag:</b> ${plant.unique_tag || 'N/A'}<br>
-            <b>Tipo:</b> ${plant.plant_type}
-            <div class="popup-actions">
-                <button class="btn-details" data-plant-id="${plant.id}">Details</button>
-                <button class="btn-delete" data-plant-id="${plant.id}" data-plant-tag="${plant.unique_tag || ''}">Delete</button>
-            </div>
-        `;
-        plantMarker.bindPopup(popupContent);
+    // One icon per colour, shared by the markers of that colour.
+    const dotIcons = new Map();
+    const dotIcon = (color) => {
+        if (!dotIcons.has(color)) {
+            dotIcons.set(color, L.divIcon({
+                className: 'plant-dot-icon',
+                html: `<span style="background-color: ${color}"></span>`,
+                iconSize: [12, 12],
+                popupAnchor: [0, -6]
+            }));
+        }
+        return dotIcons.get(color);
+    };
 
-        plantMarker.on('popupopen', () => {
-            document.querySelector(`.btn-details[data-plant-id="${plant.id}"]`)?.addEventListener('click', () => {
-                window.dispatchEvent(new CustomEvent('view-plant-details', { detail: { id: plant.id } }));
-            });
-            document.querySelector(`.btn-delete[data-plant-id="${plant.id}"]`)?.addEventListener('click', () => {
-                onDelete(plant.id, plant.unique_tag);
-            });
+    const layer = mode === 'points'
+        ? L.featureGroup()
+        : L.markerClusterGroup({ chunkedLoading: true, showCoverageOnHover: false });
+    const markers = plants.map(plant => {
+        const latlng = [plant.location.lat, plant.location.lng];
+        return mode === 'points'
+            ? L.circleMarker(latlng, { renderer: dataRenderer, radius: 4, weight: 1, color: '#1B5E20', fillColor: colorOf ? colorOf(plant) : '#43A047', fillOpacity: 0.9, plant })
+            : L.marker(latlng, { icon: colorOf ? dotIcon(colorOf(plant)) : plantIcon, plant });
+    });
+    mode === 'points' ? markers.forEach(marker => marker.addTo(layer)) : layer.addLayers(markers);
+    layer.on('click', (event) => openPlantPopup(event.layer.options.plant, event.layer, onDelete));
+    replacePlantsLayer(layer);
+}
+
+/**
+ * Renders plant counts per grid cell, for maps zoomed out too far to draw every plant.
+ * Clicking a cell zooms in on it.
+ * @param {Array<{lat: number, lng: number, count: number}>} cells - The cells, from GET /api/plants/density.
+ */
+export function drawPlantCells(cells) {
+    if (!plantsLayer) return;
+    const layer = L.featureGroup();
+    cells.forEach(cell => {
+        // Styled like the clusters of drawPlants, which they stand in for.
+        const size = cell.count < 10 ? 'small' : cell.count < 100 ? 'medium' : 'large';
+        const icon = L.divIcon({
+            html: `<div><span>${cell.count}</span></div>`,
+            className: `marker-cluster marker-cluster-${size}`,
+            iconSize: L.point(40, 40)
         });
+        L.marker([cell.lat, cell.lng], { icon, title: `${cell.count} plants` })
+            .on('click', () => state.mapInstance.setView([cell.lat, cell.lng], state.mapInstance.getZoom() + 2))
+            .addTo(layer);
+    });
+    replacePlantsLayer(layer);
+}
+
+/**
+ * Renders a heatmap of the plants, one heat layer per colour.
+ * @param {Array<{color: (string|null), points: Array<Array<number>>}>} layers - From buildHeatLayers in density.js;
+ *        a null colour uses the default blue-to-red gradient.
+ */
+export function drawPlantHeat(layers) {
+    if (!plantsLayer) return;
+    const group = L.layerGroup();
+    // leaflet.heat dims points below its maxZoom; the layers are rebuilt for each zoom level, so it is the current one.
+    const maxZoom = state.mapInstance.getZoom();
+    layers.forEach(({ color, points }) => {
+        L.heatLayer(points, { radius: 25, blur: 15, max: 1, maxZoom, ...(color ? { gradient: { 0.2: color, 1: color } } : {}) }).addTo(group);
     });
+    replacePlantsLayer(group);
 }
 
 /**
- * Adds a marker for manual polygon drawing and updates the polygon shape.
+ * Adds a draggable vertex marker for manual polygon drawing and updates the polygon shape.
+ * Dragging a vertex reshapes the polygon and recalculates its area.
  * @fires mapchange - Custom event with calculated area.
  * @param {L.LatLng} latlng - The coordinates where the marker should be added.
  */
 export function addPolygonMarker(latlng) {
-    const point = L.marker(latlng).addTo(polygonLayer);
+    const point = L.marker(latlng, { draggable: true }).addTo(polygonLayer);
+    point.on('drag', () => {
+        updatePolygon();
+        emitAreaChange();
+    });
     polygonPoints.push(point);
     updatePolygon();
+    emitAreaChange();
+}
 
-    if (polygonPoints.length >= 3) {
-        const turfPolygon = getPolygonGeometry();
-        const areaInSqMeters = turf.area(turfPolygon);
-        const areaInHectares = areaInSqMeters / 10000;
-        
-        const event = new CustomEvent('mapchange', {
-            detail: { area: { squareMeters: areaInSqMeters, hectares: areaInHectares } }
-        });
-        window.dispatchEvent(event);
+/**
+ * Tells whether a field's shape is a single ring, the only kind the vertex editor can reshape.
+ * Shapes with several parts or with holes (from imports, repairs or concave outlines) would lose them,
+ * since the editor saves one ring back.
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon geometry.
+ * @returns {boolean} True for a Polygon without holes, or a MultiPolygon with one such part.
+ */
+export function hasSingleRing(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.length === 1 && polygons[0].length === 1;
+}
+
+/**
+ * Loads an existing polygon geometry into the manual drawing layer so its vertices can be dragged.
+ * The closing coordinate is dropped since it duplicates the first vertex.
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon geometry with a single ring (see `hasSingleRing`).
+ * @returns {boolean} False, with nothing loaded, when the shape has several parts or holes.
+ */
+export function loadPolygonForEditing(geometry) {
+    if (!hasSingleRing(geometry)) return false;
+    clearDrawing();
+    const outerRing = geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0] : geometry.coordinates[0];
+    outerRing.slice(0, -1).forEach(([lng, lat]) => addPolygonMarker(L.latLng(lat, lng)));
+    if (polygonPoints.length > 0) {
+        state.mapInstance.fitBounds(L.latLngBounds(polygonPoints.map(p => p.getLatLng())), { maxZoom: 19 });
     }
+    return true;
+}
+
+/**
+ * Helper function to broadcast the area of the manually drawn polygon.
+ * @fires mapchange - Custom event with calculated area.
+ */
+function emitAreaChange() {
+    if (polygonPoints.length < 3) return;
+    const areaInSqMeters = turf.area(getPolygonGeometry());
+    const areaInHectares = areaInSqMeters / 10000;
+
+    const event = new CustomEvent('mapchange', {
+        detail: { area: { squareMeters: areaInSqMeters, hectares: areaInHectares } }
+    });
+    window.dispatchEvent(event);
 }
 
 /**
@@ -211,12 +572,16 @@ export function clearDrawing() {
 }
 
 /**
- * Displays a temporary marker on the map for plant creation.
+ * Displays a draggable temporary marker on the map for plant creation or editing.
+ * @fires plant-marker-moved - Custom event with the new location once the marker is dropped.
  * @param {L.LatLng} latlng - The location for the temporary marker.
  */
 export function showTempPlantMarker(latlng) {
     clearTempPlantMarker();
-    tempPlantMarker = L.marker(latlng).addTo(state.mapInstance);
+    tempPlantMarker = L.marker(latlng, { draggable: true }).addTo(state.mapInstance);
+    tempPlantMarker.on('dragend', () => {
+        window.dispatchEvent(new CustomEvent('plant-marker-moved', { detail: { latlng: tempPlantMarker.getLatLng() } }));
+    });
 }
 
 /**
@@ -229,6 +594,95 @@ export function clearTempPlantMarker() {
     }
 }
 
+/**
+ * Draws the features of an import preview, valid ones in green and invalid ones in red,
+ * with a popup listing the problems found in each feature.
+ * @param {Array<object>} features - Entries from the import dry run ({ name, kind, geometry, status, errors }).
+ */
+export function showImportPreview(features) {
+    if (!previewLayer) return;
+    previewLayer.clearLayers();
+
+    features.filter(feature => feature.geometry).forEach(feature => {
+        const color = feature.status === 'valid' ? '#2E7D32' : '#D32F2F';
+        const layer = L.geoJSON(feature.geometry, {
+            style: { color: color, weight: 2, dashArray: '5, 5' },
+            pointToLayer: (geoJsonPoint, latlng) => L.circleMarker(latlng, { radius: 6, color: color, fillOpacity: 0.8 })
+        }).addTo(previewLayer);
+        const problems = feature.errors.length > 0 ? `<br>${feature.errors.join('<br>')}` : '';
+        layer.bindPopup(`<b>${feature.name || 'Unnamed feature'}</b> (${feature.kind || 'unsupported'})${problems}`);
+    });
+
+    if (previewLayer.getLayers().length > 0) {
+        state.mapInstance.fitBounds(previewLayer.getBounds(), { maxZoom: 19 });
+    }
+}
+
+/**
+ * Previews the plants generated by the "populate field" tool as small dots, with each
+ * plant's tag in its tooltip. Drawn on a canvas since a grid can hold thousands of points.
+ * @param {Array<{unique_tag: string, location: {lat: number, lng: number}}>} plants - The generated plants.
+ * @param {boolean} [fit=false] - Whether to zoom to the preview, e.g. when another field was picked.
+ */
+export function showGridPreview(plants, fit = false) {
+    if (!previewLayer) return;
+    previewLayer.clearLayers();
+    const renderer = L.canvas();
+    plants.forEach(plant => {
+        L.circleMarker([plant.location.lat, plant.location.lng], { renderer, radius: 3, color: '#2E7D32', weight: 1, fillOpacity: 0.8 })
+            .bindTooltip(plant.unique_tag)
+            .addTo(previewLayer);
+    });
+    if (fit && plants.length > 0) {
+        state.mapInstance.fitBounds(previewLayer.getBounds(), { maxZoom: 19 });
+    }
+}
+
+/**
+ * Previews the outline of a field about to be created from selected plants, with its area in the tooltip.
+ * @param {object} geometry - The outline's Polygon or MultiPolygon.
+ * @param {string} label - The tooltip text, e.g. the area.
+ */
+export function showOutlinePreview(geometry, label) {
+    if (!previewLayer) return;
+    previewLayer.clearLayers();
+    L.geoJSON(geometry, { style: { color: '#2E7D32', weight: 2, dashArray: '5, 5', fillOpacity: 0.15 } })
+        .bindTooltip(label, { sticky: true })
+        .addTo(previewLayer);
+}
+
+/**
+ * Highlights where a field overlaps others, as reported by the API when it was saved.
+ * @param {Array<{name: string, percent: number, area_hectares: number, geometry: object}>} overlaps - The overlaps.
+ */
+export function showOverlaps(overlaps) {
+    if (!previewLayer) return;
+    previewLayer.clearLayers();
+    overlaps.forEach(overlap => {
+        L.geoJSON(overlap.geometry, { style: { color: '#D32F2F', weight: 2, fillColor: '#D32F2F', fillOpacity: 0.4 } })
+            .bindTooltip(`Overlaps "${overlap.name}": ${overlap.area_hectares} ha (${overlap.percent}%)`, { sticky: true })
+            .addTo(previewLayer);
+    });
+}
+
+/**
+ * Outlines the area a map download will cover and zooms to it.
+ * @param {Array<number>|null} bbox - [west, south, east, north], or null to clear the outline.
+ */
+export function showDownloadArea(bbox) {
+    if (!previewLayer) return;
+    previewLayer.clearLayers();
+    if (!bbox) return;
+    const [west, south, east, north] = bbox;
+    const rectangle = L.rectangle([[south, west], [north, east]], { color: '#0288D1', weight: 2, dashArray: '5, 5', fillOpacity: 0.05 }).addTo(previewLayer);
+    state.mapInstance.fitBounds(rectangle.getBounds(), { maxZoom: 17 });
+}
+
+/** Removes the import preview from the map. */
+export function clearImportPreview() {
+    if (previewLayer) previewLayer.clearLayers();
+}
+
 // --- Funções de Limpeza e Visualização ---
 
 /** Removes all main data layers from the map. */
@@ -237,17 +691,40 @@ export function clearAllDataLayers() {
     if (plantsLayer) plantsLayer.clearLayers();
 }
 
+/** Zooms to the fields drawn on the map, if there are any. */
+export function fitToFields() {
+    if (fieldsLayer && fieldsLayer.getLayers().length > 0) {
+        state.mapInstance.fitBounds(fieldsLayer.getBounds(), { maxZoom: 18, animate: false });
+    }
+}
+
+/**
+ * Reads the visible extent, padded so that short pans don't show the edges without plants.
+ * @returns {{bbox: Array<number>, zoom: number}} The bbox as [west, south, east, north] in degrees, and the zoom level.
+ */
+export function getViewExtent() {
+    const bounds = state.mapInstance.getBounds().pad(0.2);
+    const clamp = (value, limit) => Number(Math.max(-limit, Math.min(limit, value)).toFixed(6));
+    return {
+        bbox: [clamp(bounds.getWest(), 180), clamp(bounds.getSouth(), 90), clamp(bounds.getEast(), 180), clamp(bounds.getNorth(), 90)],
+        zoom: state.mapInstance.getZoom()
+    };
+}
+
 /**
  * Sets the opacity of data layers for contextual creation modes.
  * @param {number} opacity - The opacity value (0.0 to 1.0).
  */
 export function setMapDataOpacity(opacity) {
     if (fieldsLayer) fieldsLayer.setStyle({ opacity: opacity, fillOpacity: opacity * 0.2 });
-    if (plantsLayer) {
-        plantsLayer.eachLayer(layer => {
-            if (layer.setOpacity) layer.setOpacity(opacity);
-        });
-    }
+    if (plantsLayer) setLayerOpacity(plantsLayer, opacity);
+}
+
+// Fades markers, canvas points and the layers grouping them; heat layers are left as they are.
+function setLayerOpacity(layer, opacity) {
+    if (layer.setOpacity) layer.setOpacity(opacity);
+    else if (layer.eachLayer) layer.eachLayer(child => setLayerOpacity(child, opacity));
+    else if (layer.setStyle) layer.setStyle({ opacity, fillOpacity: opacity * 0.9 });
 }
 
 /**
@@ -0,0 +1,327 @@
+// ==========================================================================
+// AgriPlanum - Offline Store & Sync Queue
+// Description: Keeps the last fields, plants and varieties loaded in IndexedDB
+//              so the app keeps working without a signal, and queues field and
+//              plant changes made offline to replay them in order once back
+//              online. Changes the server refuses are kept as conflicts.
+// File: offline.js
+// ==========================================================================
+
+import * as api from './api.js';
+
+const DB_NAME = 'agriplanum';
+const DB_VERSION = 1;
+
+// The API calls that can be queued, each called as `fn(...args, token, requestOptions)`.
+const ACTIONS = {
+    saveField: api.saveField,
+    updateField: api.updateField,
+    deleteField: api.deleteField,
+    savePlant: api.savePlant,
+    updatePlant: api.updatePlant,
+    deletePlant: api.deletePlant
+};
+
+let dbPromise = null;
+let syncPromise = null;
+let lastTempId = 0;
+
+// ==========================================================================
+// IndexedDB
+// ==========================================================================
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('snapshots'); // Cached API data, keyed by name (e.g. 'plants:3').
+                db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+                db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs one request against an object store and resolves with its result once the transaction commits.
+ * @param {string} storeName - 'snapshots', 'queue' or 'conflicts'.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} callback - Receives the store and returns an IDBRequest.
+ * @returns {Promise<*>} The request's result.
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Lets the UI refresh its pending and conflict counts.
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent('sync-change'));
+}
+
+/**
+ * Removes everything stored offline: snapshots, queued changes and conflicts. Used on logout.
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+    await Promise.all(['snapshots', 'queue', 'conflicts'].map(name => withStore(name, 'readwrite', store => store.clear())));
+    notifyChange();
+}
+
+// ==========================================================================
+// Snapshots
+// ==========================================================================
+
+/**
+ * Stores a copy of API data for use offline.
+ * @param {string} key - The snapshot name, e.g. `fields:<farmId>`.
+ * @param {*} value - Any structured-cloneable value.
+ * @returns {Promise<void>}
+ */
+export async function saveSnapshot(key, value) {
+    await withStore('snapshots', 'readwrite', store => store.put({ value, savedAt: new Date().toISOString() }, key));
+}
+
+/**
+ * Reads a stored copy of API data.
+ * @param {string} key - The snapshot name.
+ * @returns {Promise<{value: *, savedAt: string}|undefined>} The snapshot, or undefined when none was saved.
+ */
+export function loadSnapshot(key) {
+    return withStore('snapshots', 'readonly', store => store.get(key));
+}
+
+// ==========================================================================
+// Queue
+// ==========================================================================
+
+/**
+ * Returns a new local ID for a record created offline. Local IDs are negative so they never
+ * collide with server IDs; queued changes that use one are rewritten once the create is synced.
+ * @returns {number} The local ID.
+ */
+export function newTempId() {
+    lastTempId = Math.min(lastTempId - 1, -Date.now());
+    return lastTempId;
+}
+
+export const isTempId = (id) => Number(id) < 0;
+
+/**
+ * Tells a failed request that never reached the server apart from one the server answered.
+ * @param {Error} error - The error thrown by an api.js call.
+ * @returns {boolean} True for network failures.
+ */
+export function isNetworkError(error) {
+    return !error.status && (error instanceof TypeError || !navigator.onLine);
+}
+
+// Failures worth retrying later rather than reporting as conflicts.
+function isRetryable(error) {
+    if (isNetworkError(error) || error.status >= 500 || error.status === 401) return true;
+    if (error.status === 403 && !(error.data && error.data.required_role)) return true;
+    return error.status === 409 && !!(error.data && error.data.in_progress);
+}
+
+export function getQueue() {
+    return withStore('queue', 'readonly', store => store.getAll());
+}
+
+export function countPending() {
+    return withStore('queue', 'readonly', store => store.count());
+}
+
+function run(operation, token) {
+    const requestOptions = { idempotencyKey: operation.idempotencyKey, ifMatch: operation.ifMatch, farmId: operation.farmId };
+    return ACTIONS[operation.action](...operation.args, token, requestOptions);
+}
+
+/**
+ * Sends a field or plant change right away, or queues it when offline. While earlier changes are
+ * still queued, new ones are queued behind them so they reach the server in order.
+ * @param {object} operation
+ * @param {string} operation.action - One of the queueable api.js calls, e.g. 'savePlant'.
+ * @param {Array} operation.args - The call's arguments before the token, e.g. `[plantId, plantData]`.
+ * @param {number} operation.farmId - The farm the change was made in.
+ * @param {string} operation.label - Describes the change in the sync view.
+ * @param {string} [operation.ifMatch] - The record's `updated_at` the change is based on.
+ * @param {number} [operation.tempId] - For creates, the local ID given to the new record.
+ * @param {string} token - The JWT.
+ * @returns {Promise<{queued: boolean, data: (object|null)}>} The API response, or `queued: true`.
+ */
+export async function submit(operation, token) {
+    const change = { ...operation, idempotencyKey: crypto.randomUUID(), queuedAt: new Date().toISOString() };
+    const dependsOnQueued = change.args.some(arg => typeof arg === 'number' && isTempId(arg));
+    if (navigator.onLine && !dependsOnQueued && (await countPending()) === 0) {
+        try {
+            return { queued: false, data: await run(change, token) };
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+        }
+    }
+    await withStore('queue', 'readwrite', store => store.add(change));
+    notifyChange();
+    return { queued: true, data: null };
+}
+
+/**
+ * Drops the queued changes to a record that was created offline and never synced,
+ * e.g. when it is deleted before the device is back online.
+ * @param {number} tempId - The record's local ID.
+ * @returns {Promise<void>}
+ */
+export async function discardOperationsFor(tempId) {
+    const operations = (await getQueue()).filter(op => op.tempId === tempId || op.args[0] === tempId);
+    await Promise.all(operations.map(op => withStore('queue', 'readwrite', store => store.delete(op.seq))));
+    notifyChange();
+}
+
+// Swaps local IDs for the server IDs their synced creates received.
+function resolveTempIds(operation, tempIds) {
+    return { ...operation, args: operation.args.map(arg => (typeof arg === 'number' && tempIds[arg] ? tempIds[arg] : arg)) };
+}
+
+// The record a queued update or delete is about, e.g. 'field:12'; null for creates.
+function recordKey(operation) {
+    const id = operation.args[0];
+    return typeof id === 'number' ? `${operation.action.endsWith('Field') ? 'field' : 'plant'}:${id}` : null;
+}
+
+/**
+ * Bases the queued changes to a record on the version an earlier change to it just produced. They were
+ * made on top of that change, but their `ifMatch` still holds the version from before it, which the server
+ * would refuse as a conflict. Changes sent without `ifMatch`, to overwrite the server's version, stay so.
+ * @param {Array<object>} operations - The changes still queued behind the synced one.
+ * @param {string} key - The record's key, as from `recordKey`.
+ * @param {string} updatedAt - The record's `updated_at` returned by the server.
+ * @param {object} tempIds - Local IDs mapped to server IDs.
+ * @returns {Promise<void>}
+ */
+async function advanceVersion(operations, key, updatedAt, tempIds) {
+    for (const operation of operations) {
+        if (!operation.ifMatch || recordKey(resolveTempIds(operation, tempIds)) !== key) continue;
+        operation.ifMatch = updatedAt;
+        await withStore('queue', 'readwrite', store => store.put(operation));
+    }
+}
+
+// Keeps a change the server refused, with the reason and the server's version, for the user to resolve.
+function addConflict(operation, error, dependents = []) {
+    return withStore('conflicts', 'readwrite', store => store.add({
+        operation,
+        dependents,
+        message: error.message,
+        current: (error.data && error.data.current) || null,
+        detectedAt: new Date().toISOString()
+    }));
+}
+
+async function replayQueue(token) {
+    const tempIds = ((await loadSnapshot('tempIds')) || {}).value || {};
+    let synced = 0;
+    const queue = await getQueue();
+    // Changes leave the queue as they are sent, or together with the refused create they depend on.
+    const settled = new Set();
+    for (const [index, operation] of queue.entries()) {
+        if (settled.has(operation.seq)) continue;
+        const resolved = resolveTempIds(operation, tempIds);
+        try {
+            const data = await run(resolved, token);
+            if (operation.tempId && data && data.id) {
+                tempIds[operation.tempId] = data.id;
+                await saveSnapshot('tempIds', tempIds);
+            }
+            if (data && data.id && data.updated_at) {
+                await advanceVersion(queue.slice(index + 1).filter(op => !settled.has(op.seq)), recordKey({ ...resolved, args: [data.id] }), data.updated_at, tempIds);
+            }
+            synced++;
+        } catch (error) {
+            if (isRetryable(error)) break;
+            // The later changes made on the record a refused create would have added can't be sent either:
+            // they go with it, to be sent again if the create is.
+            const dependents = operation.tempId
+                ? queue.slice(index + 1).filter(op => !settled.has(op.seq) && op.args.includes(operation.tempId))
+                : [];
+            await addConflict(resolved, error, dependents);
+            for (const dependent of dependents) {
+                settled.add(dependent.seq);
+                await withStore('queue', 'readwrite', store => store.delete(dependent.seq));
+            }
+        }
+        await withStore('queue', 'readwrite', store => store.delete(operation.seq));
+    }
+    const pending = await countPending();
+    if (pending === 0) await saveSnapshot('tempIds', {});
+    return { synced, pending };
+}
+
+/**
+ * Replays the queued changes in order. Stops at the first one that can't reach the server,
+ * leaving it and the rest queued. Concurrent calls share the same run.
+ * @param {string} token - The JWT.
+ * @returns {Promise<{synced: number, pending: number}>} How many changes were sent and how many are left.
+ */
+export function syncQueue(token) {
+    if (!syncPromise) {
+        syncPromise = replayQueue(token).finally(() => {
+            syncPromise = null;
+            notifyChange();
+        });
+    }
+    return syncPromise;
+}
+
+// ==========================================================================
+// Conflicts
+// ==========================================================================
+
+export function getConflicts() {
+    return withStore('conflicts', 'readonly', store => store.getAll());
+}
+
+/**
+ * Resolves a conflict by dropping the local change and keeping the server's version.
+ * @param {number} conflictId - The conflict's ID.
+ * @returns {Promise<void>}
+ */
+export async function discardConflict(conflictId) {
+    await withStore('conflicts', 'readwrite', store => store.delete(conflictId));
+    notifyChange();
+}
+
+/**
+ * Resolves a conflict by sending the local change again, this time overwriting the server's version,
+ * followed by the changes that depended on it. The conflict is kept if the server refuses the change again;
+ * a dependent change the server refuses becomes a conflict of its own.
+ * @param {object} conflict - One of `getConflicts()`.
+ * @param {string} token - The JWT.
+ * @returns {Promise<{queued: boolean, data: (object|null)}>} As from `submit`, for the change itself.
+ */
+export async function retryConflict(conflict, token) {
+    const { seq, idempotencyKey, ifMatch, ...operation } = conflict.operation;
+    const result = await submit(operation, token);
+    await discardConflict(conflict.id);
+    // Sent at once, the create gave its record a server ID; queued, its dependents are resolved when it syncs.
+    const tempIds = result.data && result.data.id ? { [operation.tempId]: result.data.id } : {};
+    for (const dependent of conflict.dependents || []) {
+        const { seq: dependentSeq, idempotencyKey: dependentKey, ...change } = resolveTempIds(dependent, tempIds);
+        try {
+            await submit(change, token);
+        } catch (error) {
+            await addConflict(change, error);
+        }
+    }
+    notifyChange();
+    return result;
+}
@@ -0,0 +1,77 @@
+// ==========================================================================
+// AgriPlanum - Field Outlines
+// Description: Draws the boundary of a new field around a set of plants, as a
+//              convex hull, a concave hull or an alpha shape, optionally
+//              widened by a margin so border plants aren't on the edge.
+//              Relies on the global `turf` loaded in index.html.
+// File: outline.js
+// ==========================================================================
+
+export const OUTLINE_METHODS = ['convex', 'concave', 'alpha'];
+
+/**
+ * Radius of the circle through a triangle's corners, in meters: small for triangles between
+ * close plants, large for the long thin ones that bridge gaps in a planting.
+ * @param {object} triangle - A Polygon feature from turf.tin.
+ * @returns {number} The circumradius, or Infinity for a flat triangle.
+ */
+function circumradius(triangle) {
+    const [a, b, c] = triangle.geometry.coordinates[0];
+    const ab = turf.distance(a, b, { units: 'meters' });
+    const bc = turf.distance(b, c, { units: 'meters' });
+    const ca = turf.distance(c, a, { units: 'meters' });
+    const s = (ab + bc + ca) / 2;
+    const area = Math.sqrt(Math.max(0, s * (s - ab) * (s - bc) * (s - ca)));
+    return area > 0 ? (ab * bc * ca) / (4 * area) : Infinity;
+}
+
+/**
+ * Builds the alpha shape of a set of points: the union of the Delaunay triangles whose
+ * circumradius is at most the given radius. Smaller radii follow the planting more closely.
+ * @param {object} points - A FeatureCollection of points.
+ * @param {number} radius - The largest circumradius kept, in meters.
+ * @returns {object|null} A Polygon or MultiPolygon feature, or null when no triangle is small enough.
+ */
+function alphaShape(points, radius) {
+    const triangles = turf.tin(points).features.filter(triangle => circumradius(triangle) <= radius);
+    if (triangles.length === 0) return null;
+    if (triangles.length === 1) return triangles[0];
+    return turf.union(turf.featureCollection(triangles));
+}
+
+/**
+ * Outlines a field around plants.
+ * @param {Array<{location: {lat: number, lng: number}}>} plants - At least 3 plants.
+ * @param {object} options
+ * @param {string} options.method - 'convex', 'concave' or 'alpha'.
+ * @param {number} [options.maxEdge] - For 'concave', the longest edge of the outline, in meters.
+ * @param {number} [options.alpha] - For 'alpha', the largest triangle circumradius kept, in meters.
+ * @param {number} [options.buffer=0] - Margin added around the outline, in meters.
+ * @returns {{geometry: object, areaHectares: number, outside: number}} The outline, its area and how many plants it leaves out.
+ * @throws {Error} When the options are invalid or no outline can be drawn with them.
+ */
+export function outlinePlants(plants, { method, maxEdge, alpha, buffer = 0 }) {
+    if (!OUTLINE_METHODS.includes(method)) throw new Error('Choose an outline method.');
+    if (!(buffer >= 0)) throw new Error('The margin can\'t be negative.');
+    const points = turf.featureCollection(plants.map(plant => turf.point([plant.location.lng, plant.location.lat])));
+
+    let outline;
+    if (method === 'concave') {
+        if (!(maxEdge > 0)) throw new Error('The maximum edge length must be greater than zero.');
+        outline = turf.concave(points, { maxEdge, units: 'meters' });
+    } else if (method === 'alpha') {
+        if (!(alpha > 0)) throw new Error('The alpha radius must be greater than zero.');
+        outline = alphaShape(points, alpha);
+    } else {
+        outline = turf.convex(points);
+    }
+    if (!outline) {
+        throw new Error(method === 'convex'
+            ? 'Could not create a field. The selected plants may be in a straight line.'
+            : 'No outline fits these plants with this setting. Increase it or use the convex hull.');
+    }
+    if (buffer > 0) outline = turf.buffer(outline, buffer, { units: 'meters' });
+
+    const outside = points.features.filter(point => !turf.booleanPointInPolygon(point, outline)).length;
+    return { geometry: outline.geometry, areaHectares: turf.area(outline) / 10000, outside };
+}
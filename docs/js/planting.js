@@ -0,0 +1,91 @@
+// ==========================================================================
+// AgriPlanum - Planting Grid
+// Description: Lays out plants in regular rows inside a field polygon for the
+//              "populate field" tool, and names them with sequential tags.
+//              Relies on the global `turf` loaded in index.html.
+// File: planting.js
+// ==========================================================================
+
+// Largest grid the tool generates; matches the limit of POST /api/plants/bulk.
+export const MAX_GRID_PLANTS = 5000;
+
+/**
+ * Estimates how many plants a grid would hold, to refuse oversized grids before generating them.
+ * @param {object} geometry - The field's Polygon or MultiPolygon.
+ * @param {number} rowSpacing - Distance between rows, in meters.
+ * @param {number} plantSpacing - Distance between plants along a row, in meters.
+ * @returns {number} The approximate plant count.
+ */
+export function estimateGridSize(geometry, rowSpacing, plantSpacing) {
+    return Math.round(turf.area(geometry) / (rowSpacing * plantSpacing));
+}
+
+/**
+ * Generates the plant positions of a row layout clipped to a field.
+ * Rows run along the azimuth and are numbered from the left when facing it; plants are
+ * numbered from the start of their row. The first row and plant sit half a spacing from
+ * the field's edge so none fall on the boundary.
+ * @param {object} geometry - The field's Polygon or MultiPolygon.
+ * @param {object} layout
+ * @param {number} layout.rowSpacing - Distance between rows, in meters.
+ * @param {number} layout.plantSpacing - Distance between plants along a row, in meters.
+ * @param {number} layout.azimuth - Direction the rows run, in degrees clockwise from north.
+ * @returns {Array<{row: number, position: number, location: {lat: number, lng: number}}>} The plants, row by row.
+ * @throws {Error} When the spacing is invalid or the grid would exceed MAX_GRID_PLANTS.
+ */
+export function generatePlantingGrid(geometry, { rowSpacing, plantSpacing, azimuth }) {
+    if (!(rowSpacing > 0) || !(plantSpacing > 0)) throw new Error('Row and plant spacing must be greater than zero.');
+    const estimate = estimateGridSize(geometry, rowSpacing, plantSpacing);
+    if (estimate > MAX_GRID_PLANTS) {
+        throw new Error(`This layout would create about ${estimate} plants; the limit is ${MAX_GRID_PLANTS}. Increase the spacing.`);
+    }
+
+    // Rotating the field so the rows run north lets them be laid out along the bounding box.
+    const pivot = turf.centroid(geometry);
+    const field = turf.feature(geometry);
+    const rotated = turf.transformRotate(field, -azimuth, { pivot });
+    const [west, south, east, north] = turf.bbox(rotated);
+    const width = turf.distance([west, south], [east, south], { units: 'meters' });
+    const height = turf.distance([west, south], [west, north], { units: 'meters' });
+    const origin = turf.point([west, south]);
+
+    const plants = [];
+    let row = 0;
+    for (let x = rowSpacing / 2; x < width; x += rowSpacing) {
+        const rowStart = turf.destination(origin, x, 90, { units: 'meters' });
+        let position = 0;
+        for (let y = plantSpacing / 2; y < height; y += plantSpacing) {
+            const point = turf.destination(rowStart, y, 0, { units: 'meters' });
+            if (!turf.booleanPointInPolygon(point, rotated)) continue;
+            if (position === 0) row++;
+            position++;
+            const [lng, lat] = turf.transformRotate(point, azimuth, { pivot }).geometry.coordinates;
+            plants.push({ row, position, location: { lat, lng } });
+        }
+    }
+    return plants;
+}
+
+/**
+ * Builds the tag of a generated plant, e.g. `C1-R03-P017`, padding the numbers so tags sort in order.
+ * @param {string} prefix - Usually the field's short name.
+ * @param {number} row - The row number.
+ * @param {number} position - The plant number within its row.
+ * @param {object} [digits] - Minimum digits for the row and plant numbers.
+ * @returns {string} The tag.
+ */
+export function formatPlantTag(prefix, row, position, { rowDigits = 2, plantDigits = 3 } = {}) {
+    return `${prefix}-R${String(row).padStart(rowDigits, '0')}-P${String(position).padStart(plantDigits, '0')}`;
+}
+
+/**
+ * Tags a generated grid, widening the padding when there are more rows or plants than it fits.
+ * @param {Array<{row: number, position: number}>} plants - From `generatePlantingGrid`.
+ * @param {string} prefix - The tag prefix.
+ * @returns {Array<object>} The plants, each with its `unique_tag`.
+ */
+export function tagPlantingGrid(plants, prefix) {
+    const rowDigits = Math.max(2, String(Math.max(0, ...plants.map(p => p.row))).length);
+    const plantDigits = Math.max(3, String(Math.max(0, ...plants.map(p => p.position))).length);
+    return plants.map(plant => ({ ...plant, unique_tag: formatPlantTag(prefix, plant.row, plant.position, { rowDigits, plantDigits }) }));
+}
@@ -0,0 +1,109 @@
+// ==========================================================================
+// AgriPlanum - Tag Scanner
+// Description: Reads plant labels through the device camera. Uses the
+//              browser's BarcodeDetector (QR codes and Code 128 barcodes)
+//              where it exists, and otherwise the global `jsQR` loaded in
+//              index.html, which reads QR codes only.
+// File: scanner.js
+// ==========================================================================
+
+// How often a video frame is checked for a code, in milliseconds.
+const SCAN_INTERVAL_MS = 200;
+
+// The scan in progress: its video element, camera stream and pending timer. Each start gets a new
+// object, so a camera granted after the scan was stopped is released at once.
+let currentScan = null;
+
+/**
+ * Creates a BarcodeDetector for the formats printed on labels, when the browser supports any of them.
+ * @returns {Promise<object|null>} The detector, or null to decode with jsQR.
+ */
+async function createDetector() {
+    if (!('BarcodeDetector' in window)) return null;
+    const supported = await window.BarcodeDetector.getSupportedFormats().catch(() => []);
+    const formats = ['qr_code', 'code_128'].filter(format => supported.includes(format));
+    return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+}
+
+/**
+ * Looks for a code in the current video frame.
+ * @param {object} scan - The scan in progress.
+ * @returns {Promise<string|null>} The text of the code found, or null.
+ */
+async function readFrame(scan) {
+    const { video, detector, canvas } = scan;
+    if (video.readyState < video.HAVE_CURRENT_DATA || video.videoWidth === 0) return null;
+    if (detector) {
+        const [code] = await detector.detect(video);
+        return code ? code.rawValue : null;
+    }
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+    return code ? code.data : null;
+}
+
+/**
+ * Tells whether this browser can open the camera at all.
+ * @returns {boolean} False on browsers without camera access, or pages not served over HTTPS.
+ */
+export function canScan() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Shows the back camera in a video element and reads codes from it until one is found, then stops.
+ * @param {HTMLVideoElement} video - Where the camera is shown.
+ * @param {Function} onCode - Called with the text of the first code read.
+ * @returns {Promise<void>} Resolves once the camera is showing.
+ * @throws {Error} When the camera can't be opened, e.g. a `NotAllowedError` when access is denied.
+ */
+export async function startScanner(video, onCode) {
+    stopScanner();
+    const scan = { video, stream: null, timer: null, canvas: document.createElement('canvas') };
+    currentScan = scan;
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    if (currentScan !== scan) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+    }
+    scan.stream = stream;
+    try {
+        scan.detector = await createDetector();
+        if (!scan.detector && typeof jsQR !== 'function') throw new Error('This browser cannot read codes from the camera.');
+        video.srcObject = stream;
+        await video.play();
+    } catch (error) {
+        if (currentScan === scan) stopScanner();
+        throw error;
+    }
+
+    const tick = async () => {
+        if (currentScan !== scan) return;
+        try {
+            const text = await readFrame(scan);
+            if (text && text.trim() && currentScan === scan) {
+                stopScanner();
+                onCode(text.trim());
+                return;
+            }
+        } catch (error) {
+            console.error('Error reading the camera frame:', error);
+        }
+        if (currentScan === scan) scan.timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+    tick();
+}
+
+/** Stops the scan in progress, if any, and releases the camera. */
+export function stopScanner() {
+    if (!currentScan) return;
+    const { video, stream, timer } = currentScan;
+    currentScan = null;
+    clearTimeout(timer);
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+}
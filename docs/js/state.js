@@ -6,25 +6,21 @@
 
 export const state = {
     token: null,
-    varieties: {},
+    currentUser: null, // { id, email, is_admin } from /api/me
+    farms: [], // Farms the user belongs to, each with the user's role
+    currentFarm: null, // The farm whose fields and plants are loaded
+    varieties: {}, // Keyed by the server-issued variety slug
+    plantSchemas: {}, // Custom attributes of each plant type: { attributes, is_default }, keyed by plant type
     fields: [],
     plants: [],
     mapInstance: null,
-    currentMapMode: 'view', // view, create-field, create-plant
+    currentMapMode: 'view', // view, create-field, create-plant, edit-field, edit-plant, import, populate, tile-download
+    editingId: null, // ID of the field or plant being edited in an edit-* mode
     currentPlantLocation: null,
     currentRegion: null,
     currentMapArea: { hectares: 0, squareMeters: 0 },
     displayUnit: 'ha',
-    zoningData: {
-        'mt-south': { preferential_start: '01-01', preferential_end: '01-31', tolerated_start: '12-15', tolerated_end: '02-15' },
-        'mt-mid-north': { preferential_start: '01-01', preferential_end: '01-31', tolerated_start: '12-15', tolerated_end: '02-15' },
-        'mt-west': { preferential_start: '01-01', preferential_end: '01-31', tolerated_start: '12-15', tolerated_end: '01-31' },
-        'mt-araguaia-valley': { preferential_start: '01-01', preferential_end: '01-20', tolerated_start: '12-15', tolerated_end: '01-31' },
-        'ba-rainfed': { preferential_start: '12-15', preferential_end: '12-31', tolerated_start: '12-01', tolerated_end: '01-15' },
-        'ba-irrigated': { preferential_start: '01-01', preferential_end: '02-15', tolerated_start: '12-15', tolerated_end: '02-28' },
-        'go-ms': { preferential_start: '12-15', preferential_end: '01-15', tolerated_start: '12-01', tolerated_end: '01-31' },
-        'mg-sp': { preferential_start: '12-15', preferential_end: '01-15', tolerated_start: '12-01', tolerated_end: '01-31' },
-        'ma-pi-1st': { preferential_start: '12-15', preferential_end: '01-15', tolerated_start: '12-01', tolerated_end: '01-31' },
-        'ma-pi-2nd': { preferential_start: '01-15', preferential_end: '02-10', tolerated_start: '01-01', tolerated_end: '02-20' }
-    }
+    plantDisplay: { mode: 'clusters', colorBy: '' }, // mode: clusters, points or density; colorBy: see density.js
+    mapStyle: { fields: '', plants: '', classification: 'categories' }, // Themes of the style panel; '' for uniform colours
+    zoning: { regions: [], windows: [] } // Zoning regions and planting windows from /api/zoning
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+// ==========================================================================
+// AgriPlanum - Thematic Styling
+// Description: Colours the map's fields by crop variety, season stage or
+//              soil status and its plants by crop type or a custom_data
+//              value, in categories or graduated classes, and builds the
+//              legend that explains the colours.
+// File: styling.js
+// ==========================================================================
+
+import { CATEGORY_PALETTE, numericValue, parseColorBy } from './density.js';
+import { getSeasonProgress, getSoilStatus, parseISODate, SOIL_PARAMETERS } from './utils.js';
+
+export const FIELD_THEMES = { variety: 'Crop variety', stage: 'Season stage', soil: 'Soil status' };
+
+// Given to fields and plants the chosen theme has no value for, and to the categories past the palette.
+const NO_DATA_COLOR = '#9E9E9E';
+const OTHER_COLOR = '#616161';
+const NO_DATA_LABELS = { variety: 'No season in progress', stage: 'No season in progress', soil: 'No soil sample' };
+
+// Light to dark, for graduated classes.
+const GRADUATED_PALETTE = ['#FFFFB2', '#FECC5C', '#FD8D3C', '#F03B20', '#BD0026'];
+
+// Soil status classes in the order of the legend, by how many properties are outside the variety's ideal.
+const SOIL_CLASSES = [
+    { label: 'Within the ideal', color: '#43A047' },
+    { label: '1-2 outside the ideal', color: '#FDD835' },
+    { label: '3 or more outside the ideal', color: '#E53935' },
+    { label: 'No crop to compare with', color: '#BDBDBD' }
+];
+
+/**
+ * Works out the category of a field under a theme.
+ * @param {string} theme - A key of `FIELD_THEMES`.
+ * @param {object|undefined} status - The field's entry from GET /api/fields/status.
+ * @param {Array<object>} varieties - The varieties, for their stages and ideal soil conditions.
+ * @param {Date} today - The reference date, at UTC midnight.
+ * @returns {string|null} The category, or null when the field has no data for the theme.
+ */
+function fieldCategory(theme, status, varieties, today) {
+    const season = status?.current_season;
+    const variety = season && varieties.find(v => v.id === season.variety_id);
+    if (theme === 'variety') return season ? season.variety_name : null;
+    if (theme === 'stage') {
+        if (!season) return null;
+        if (!variety) return 'Unknown stage';
+        const progress = getSeasonProgress(variety.stages, parseISODate(season.planting_date), today);
+        if (progress.elapsedDays < 0) return 'Not planted yet';
+        return progress.currentStage ? progress.currentStage.name : 'Ready for harvest';
+    }
+    const sample = status?.latest_soil_sample;
+    if (!sample) return null;
+    if (!variety) return SOIL_CLASSES[3].label;
+    const ideal = variety.ideal_soil_conditions || {};
+    const outside = SOIL_PARAMETERS
+        .filter(parameter => ideal[parameter.key])
+        .filter(parameter => getSoilStatus(parameter, Number(sample[parameter.key]), ideal[parameter.key]).status !== 'ok')
+        .length;
+    return SOIL_CLASSES[outside === 0 ? 0 : outside <= 2 ? 1 : 2].label;
+}
+
+/**
+ * Gives each category a colour, most common first; categories past the palette share the "Other" colour.
+ * @param {Array<string|null>} values - One category per item; null for items without one.
+ * @returns {{colorOf: Function, items: Array<{label: string, color: string}>}} The colours, and the legend items.
+ */
+function categorize(values) {
+    const counts = new Map();
+    values.filter(value => value !== null).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || String(a).localeCompare(String(b)));
+    // With more categories than colours, the last colour is kept for "Other".
+    const shown = ranked.length > CATEGORY_PALETTE.length ? ranked.slice(0, CATEGORY_PALETTE.length - 1) : ranked;
+    const colors = new Map(shown.map((value, index) => [value, CATEGORY_PALETTE[index]]));
+    const items = shown.map(value => ({ label: String(value), color: colors.get(value) }));
+    if (shown.length < ranked.length) items.push({ label: 'Other', color: OTHER_COLOR });
+    return { colorOf: (value) => (value === null ? NO_DATA_COLOR : colors.get(value) || OTHER_COLOR), items };
+}
+
+/**
+ * Splits numbers into equal-width classes from the smallest to the largest.
+ * @param {Array<number|null>} values - One number per item; null for items without one.
+ * @returns {{colorOf: Function, items: Array<{label: string, color: string}>}} The colours, and the legend items.
+ */
+function graduate(values) {
+    const numbers = values.filter(value => value !== null);
+    if (numbers.length === 0) return { colorOf: () => NO_DATA_COLOR, items: [] };
+    const min = Math.min(...numbers);
+    const max = Math.max(...numbers);
+    const classes = max > min ? GRADUATED_PALETTE.length : 1;
+    const width = (max - min) / classes;
+    const classOf = (value) => (width > 0 ? Math.min(classes - 1, Math.floor((value - min) / width)) : 0);
+    const format = (value) => value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    const palette = classes === 1 ? [GRADUATED_PALETTE[GRADUATED_PALETTE.length - 1]] : GRADUATED_PALETTE;
+    const items = palette.map((color, index) => ({
+        label: classes === 1 ? format(min) : `${format(min + index * width)} – ${format(min + (index + 1) * width)}`,
+        color
+    }));
+    return { colorOf: (value) => (value === null ? NO_DATA_COLOR : palette[classOf(value)]), items };
+}
+
+/**
+ * Builds the colours of the fields under a theme.
+ * @param {string} theme - A key of `FIELD_THEMES`.
+ * @param {Array<object>} fields - The fields.
+ * @param {Map<number, object>} statuses - The entries of GET /api/fields/status, by field ID.
+ * @param {Array<object>} varieties - The varieties.
+ * @param {Date} today - The reference date, at UTC midnight.
+ * @returns {{colorOf: Function, legend: {title: string, items: Array<{label: string, color: string}>}}} `colorOf`
+ *          takes a field and returns its colour.
+ */
+export function buildFieldTheme(theme, fields, statuses, varieties, today) {
+    const categories = new Map(fields.map(field => [field.id, fieldCategory(theme, statuses.get(field.id), varieties, today)]));
+    let scheme;
+    if (theme === 'soil') {
+        const present = new Set(categories.values());
+        const items = SOIL_CLASSES.filter(soilClass => present.has(soilClass.label));
+        scheme = { colorOf: (value) => SOIL_CLASSES.find(soilClass => soilClass.label === value)?.color || NO_DATA_COLOR, items };
+    } else {
+        scheme = categorize([...categories.values()]);
+    }
+    const items = [...scheme.items];
+    if ([...categories.values()].includes(null)) items.push({ label: NO_DATA_LABELS[theme], color: NO_DATA_COLOR });
+    return {
+        colorOf: (field) => scheme.colorOf(categories.get(field.id) ?? null),
+        legend: { title: `Fields: ${FIELD_THEMES[theme].toLowerCase()}`, items }
+    };
+}
+
+/**
+ * Lists the custom_data keys used by at least one plant, to offer as plant themes.
+ * @param {Array<object>} plants - The plants.
+ * @returns {Array<string>} The keys, sorted.
+ */
+export function customDataKeys(plants) {
+    const keys = new Set();
+    plants.forEach(plant => Object.keys(plant.custom_data || {}).forEach(key => keys.add(key)));
+    return [...keys].sort();
+}
+
+/**
+ * Builds the colours of the plants by crop type or by a custom_data value.
+ * @param {string} colorBy - 'plant_type' or 'attribute:<custom_data key>', as for parseColorBy in density.js.
+ * @param {string} classification - 'categories' for one colour per value, or 'graduated' for classes of numbers.
+ * @param {Array<object>} plants - The plants.
+ * @returns {{colorOf: Function, legend: {title: string, items: Array<{label: string, color: string}>}}} `colorOf`
+ *          takes a plant and returns its colour.
+ */
+export function buildPlantTheme(colorBy, classification, plants) {
+    const { attribute } = parseColorBy(colorBy);
+    const graduated = Boolean(attribute) && classification === 'graduated';
+    const valueOf = (plant) => {
+        if (!attribute) return plant.plant_type ?? null;
+        const value = (plant.custom_data || {})[attribute];
+        if (graduated) return numericValue(value);
+        return value === null || value === undefined || value === '' ? null : String(value);
+    };
+    const values = new Map(plants.map(plant => [plant.id, valueOf(plant)]));
+    const scheme = graduated ? graduate([...values.values()]) : categorize([...values.values()]);
+    const items = [...scheme.items];
+    if ([...values.values()].includes(null)) items.push({ label: attribute ? `No ${attribute}` : 'No type', color: NO_DATA_COLOR });
+    return {
+        colorOf: (plant) => scheme.colorOf(values.has(plant.id) ? values.get(plant.id) : valueOf(plant)),
+        legend: { title: `Plants: ${attribute || 'plant type'}`, items }
+    };
+}
@@ -0,0 +1,41 @@
+// ==========================================================================
+// AgriPlanum - Plant Tags
+// Description: Builds plant tags from a farm's tag template (prefix, field
+//              code, zero-padded sequence number), to preview them while the
+//              template is edited. Tags themselves are numbered by the server
+//              (POST /api/tags/reserve). Mirrors backend/tags.js.
+// File: tags.js
+// ==========================================================================
+
+export const DEFAULT_TAG_TEMPLATE = { prefix: 'P', field_code: true, digits: 4, separator: '-', label_code: 'qr' };
+
+/**
+ * The code of a field in tags: its own, or F<id> when it has none.
+ * @param {{id: number, code: (string|null)}} field - The field.
+ * @returns {string} The code.
+ */
+export function fieldCodeOf(field) {
+    return field.code || `F${field.id}`;
+}
+
+/**
+ * Builds the part of a tag before its sequence number.
+ * @param {object} template - The tag template.
+ * @param {object|null} field - The plant's field, or null for plants outside any field.
+ * @returns {string} The stem, e.g. "P-C1-".
+ */
+export function tagStem(template, field) {
+    const parts = [template.prefix, template.field_code && field ? fieldCodeOf(field) : ''].filter(Boolean);
+    return parts.length > 0 ? `${parts.join(template.separator)}${template.separator}` : '';
+}
+
+/**
+ * Builds a tag from its stem and sequence number, padded to the template's digits.
+ * @param {string} stem - From `tagStem`.
+ * @param {number} sequence - The sequence number.
+ * @param {number} digits - The template's digits.
+ * @returns {string} The tag, e.g. "P-C1-0042".
+ */
+export function formatTag(stem, sequence, digits) {
+    return `${stem}${String(sequence).padStart(digits, '0')}`;
+}
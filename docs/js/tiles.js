@@ -0,0 +1,205 @@
+// ==========================================================================
+// AgriPlanum - Offline Map Tiles
+// Description: Downloads the OpenStreetMap tiles covering an area into the
+//              Cache API so the service worker can serve them without a
+//              signal, keeps a list of downloaded areas and evicts the oldest
+//              ones when the browser's storage quota runs short.
+// File: tiles.js
+// ==========================================================================
+
+export const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const MAX_NATIVE_ZOOM = 19;
+
+// Cache names shared with sw.js: tiles seen while browsing are trimmed by the
+// service worker, downloaded areas are only removed from here.
+const DOWNLOADED_TILES_CACHE = 'agriplanum-tiles-downloaded';
+// The areas are kept apart from the offline data cleared on logout: the tiles aren't tied to a user.
+const AREAS_KEY = 'agriplanum_tile_areas';
+
+// The OSM tile servers forbid bulk downloads, so one area is capped well below
+// what would count as scraping.
+export const MAX_TILES_PER_AREA = 3000;
+// Rough size of an OSM tile, to estimate a download before it starts.
+export const AVERAGE_TILE_BYTES = 20 * 1024;
+// Share of the quota downloaded tiles may bring the origin's usage up to.
+const QUOTA_BUDGET = 0.8;
+const CONCURRENT_DOWNLOADS = 4;
+
+// ==========================================================================
+// Tile Math
+// ==========================================================================
+
+export function tileUrl({ z, x, y }) {
+    return TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+// Web Mercator tile column and row of a point at a zoom level.
+function tileX(lng, z) {
+    return Math.floor(((lng + 180) / 360) * 2 ** z);
+}
+function tileY(lat, z) {
+    const rad = (lat * Math.PI) / 180;
+    return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
+
+/**
+ * Lists the tiles covering a bounding box between two zoom levels.
+ * @param {Array<number>} bbox - [west, south, east, north] in degrees, as from turf.bbox.
+ * @param {number} minZoom - The lowest zoom level.
+ * @param {number} maxZoom - The highest zoom level.
+ * @returns {Array<{z: number, x: number, y: number}>} The tiles.
+ */
+export function tilesForBbox([west, south, east, north], minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        for (let x = tileX(west, z); x <= tileX(east, z); x++) {
+            for (let y = tileY(north, z); y <= tileY(south, z); y++) tiles.push({ z, x, y });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Counts the tiles of an area without listing them, so large selections are cheap to estimate.
+ * @param {Array<number>} bbox - [west, south, east, north].
+ * @param {number} minZoom - The lowest zoom level.
+ * @param {number} maxZoom - The highest zoom level.
+ * @returns {{tiles: number, bytes: number}} The tile count and the estimated download size.
+ */
+export function estimateDownload([west, south, east, north], minZoom, maxZoom) {
+    let tiles = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        tiles += (tileX(east, z) - tileX(west, z) + 1) * (tileY(south, z) - tileY(north, z) + 1);
+    }
+    return { tiles, bytes: tiles * AVERAGE_TILE_BYTES };
+}
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+/**
+ * Reports how much storage the app uses and may use, and how many tiles are downloaded.
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean, tiles: number}>} Sizes in bytes.
+ */
+export async function getStorageStatus() {
+    const { usage = 0, quota = 0 } = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+    const persisted = navigator.storage?.persisted ? await navigator.storage.persisted() : false;
+    const cache = await caches.open(DOWNLOADED_TILES_CACHE);
+    return { usage, quota, persisted, tiles: (await cache.keys()).length };
+}
+
+/**
+ * Lists the downloaded areas, oldest first.
+ * @returns {Array<{id: number, name: string, bbox: Array<number>, minZoom: number, maxZoom: number, tiles: number, savedAt: string}>} The areas.
+ */
+export function getAreas() {
+    return JSON.parse(localStorage.getItem(AREAS_KEY) || '[]');
+}
+
+function saveAreas(areas) {
+    localStorage.setItem(AREAS_KEY, JSON.stringify(areas));
+}
+
+/**
+ * Removes a downloaded area and the tiles no other area uses.
+ * @param {number} areaId - The area's ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteArea(areaId) {
+    const areas = getAreas();
+    const area = areas.find(a => a.id === areaId);
+    if (!area) return;
+    const remaining = areas.filter(a => a.id !== areaId);
+    await removeTiles(area, remaining);
+    saveAreas(remaining);
+}
+
+// Deletes an area's tiles from the cache, except those the other areas also cover.
+async function removeTiles(area, otherAreas) {
+    const kept = new Set(otherAreas.flatMap(a => tilesForBbox(a.bbox, a.minZoom, a.maxZoom).map(tileUrl)));
+    const cache = await caches.open(DOWNLOADED_TILES_CACHE);
+    await Promise.all(tilesForBbox(area.bbox, area.minZoom, area.maxZoom)
+        .map(tileUrl)
+        .filter(url => !kept.has(url))
+        .map(url => cache.delete(url)));
+}
+
+/**
+ * Frees room for a download by deleting the oldest areas until the estimated size fits the budget.
+ * @param {number} bytesNeeded - The size of the download.
+ * @returns {Promise<Array<string>>} The names of the areas removed.
+ * @throws {Error} When the download wouldn't fit even with no areas left.
+ */
+async function makeRoomFor(bytesNeeded) {
+    const evicted = [];
+    let { usage, quota } = await getStorageStatus();
+    if (!quota) return evicted; // The browser doesn't report a quota; let the cache writes decide.
+    for (const area of getAreas()) {
+        if (usage + bytesNeeded <= quota * QUOTA_BUDGET) break;
+        await deleteArea(area.id);
+        evicted.push(area.name);
+        ({ usage } = await getStorageStatus());
+    }
+    if (usage + bytesNeeded > quota * QUOTA_BUDGET) {
+        throw new Error('Not enough storage on this device for this area. Choose fewer fields or zoom levels.');
+    }
+    return evicted;
+}
+
+// ==========================================================================
+// Download
+// ==========================================================================
+
+/**
+ * Downloads the tiles of an area that aren't stored yet and records the area.
+ * Older areas are evicted first when the storage budget would be exceeded.
+ * @param {object} area
+ * @param {string} area.name - Describes the area in the list, e.g. the field names.
+ * @param {Array<number>} area.bbox - [west, south, east, north].
+ * @param {number} area.minZoom - The lowest zoom level.
+ * @param {number} area.maxZoom - The highest zoom level, at most MAX_NATIVE_ZOOM.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total) as tiles arrive.
+ * @param {AbortSignal} [options.signal] - Cancels the download and removes the tiles it stored.
+ * @returns {Promise<{tiles: number, failed: number, evicted: Array<string>}>} The outcome.
+ */
+export async function downloadArea(area, { onProgress = () => {}, signal } = {}) {
+    const { tiles: count, bytes } = estimateDownload(area.bbox, area.minZoom, area.maxZoom);
+    if (count > MAX_TILES_PER_AREA) {
+        throw new Error(`This area needs ${count} tiles; the limit is ${MAX_TILES_PER_AREA}. Choose fewer fields or a lower maximum zoom.`);
+    }
+    const evicted = await makeRoomFor(bytes);
+
+    const cache = await caches.open(DOWNLOADED_TILES_CACHE);
+    const queue = tilesForBbox(area.bbox, area.minZoom, area.maxZoom).map(tileUrl);
+    const total = queue.length;
+    let done = 0;
+    let failed = 0;
+    const worker = async () => {
+        while (queue.length > 0 && !signal?.aborted) {
+            const url = queue.shift();
+            try {
+                if (!(await cache.match(url))) {
+                    const response = await fetch(url, { signal });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                if (signal?.aborted) break;
+                failed++;
+            }
+            onProgress(++done, total);
+        }
+    };
+    await Promise.all(Array.from({ length: CONCURRENT_DOWNLOADS }, worker));
+    if (signal?.aborted) {
+        await removeTiles(area, getAreas());
+        throw new DOMException('The download was cancelled.', 'AbortError');
+    }
+
+    saveAreas([...getAreas(), { ...area, id: Date.now(), tiles: total, savedAt: new Date().toISOString() }]);
+    // Ask the browser not to clear the tiles under storage pressure; it may still refuse.
+    if (navigator.storage?.persist) await navigator.storage.persist();
+    return { tiles: total, failed, evicted };
+}
@@ -21,6 +21,15 @@ export const elements = {
     showLoginLink: document.getElementById('show-login'),
     loginErrorMessage: document.getElementById('login-error-message'),
     registerErrorMessage: document.getElementById('register-error-message'),
+    showForgotPasswordLink: document.getElementById('show-forgot-password'),
+    showLoginLinks: document.querySelectorAll('.show-login-link'),
+    forgotPasswordForm: document.getElementById('forgot-password-form'),
+    forgotEmailInput: document.getElementById('forgot-email'),
+    forgotMessage: document.getElementById('forgot-message'),
+    resetPasswordForm: document.getElementById('reset-password-form'),
+    resetPasswordInput: document.getElementById('reset-password'),
+    resetPasswordConfirmInput: document.getElementById('reset-password-confirm'),
+    resetMessage: document.getElementById('reset-message'),
     
     // Main Navigation & Dashboard
     startAppBtn: document.getElementById('start-app-btn'),
@@ -32,6 +41,7 @@ export const elements = {
     // Calculation Modules
     varietySelect: document.getElementById('variety-name'),
     plantingDateInput: document.getElementById('planting-date'),
+    regionSelect: document.getElementById('region-select'),
     calculateCycleBtn: document.getElementById('calculate-btn'),
     cultivarInfoElement: document.getElementById('cultivar-info'),
     cultivarInfoWindow: document.getElementById('cultivar-window'),
@@ -46,6 +56,87 @@ export const elements = {
     analyzeSoilBtn: document.getElementById('analyze-soil-btn'),
     soilResultsContainer: document.getElementById('soil-results-container'),
     soilResultList: document.getElementById('soil-result-list'),
+    soilRecommendationList: document.getElementById('soil-recommendation-list'),
+    soilCecInput: document.getElementById('soil-cec'),
+    soilPrntInput: document.getElementById('soil-prnt'),
+    soilClayInput: document.getElementById('soil-clay'),
+    soilFieldSelect: document.getElementById('soil-field'),
+    soilSampleDateInput: document.getElementById('soil-sample-date'),
+    soilLabNameInput: document.getElementById('soil-lab-name'),
+    soilGpsBtn: document.getElementById('soil-gps-btn'),
+    soilLocationStatus: document.getElementById('soil-location-status'),
+    saveSoilSampleBtn: document.getElementById('save-soil-sample-btn'),
+    soilSaveMessage: document.getElementById('soil-save-message'),
+
+    // Variety Catalogue
+    varietyTableBody: document.getElementById('variety-table-body'),
+    newVarietyBtn: document.getElementById('new-variety-btn'),
+    varietyForm: document.getElementById('variety-form'),
+    varietyFormName: document.getElementById('variety-form-name'),
+    varietyFormCrop: document.getElementById('variety-form-crop'),
+    zoningCropList: document.getElementById('zoning-crop-list'),
+    varietyFormDescription: document.getElementById('variety-form-description'),
+    varietyFormPopulation: document.getElementById('variety-form-population'),
+    varietyFormStages: document.getElementById('variety-form-stages'),
+    varietyFormDetails: document.getElementById('variety-form-details'),
+    varietyFormSoil: document.getElementById('variety-form-soil'),
+    varietyFormSharedLabel: document.getElementById('variety-form-shared-label'),
+    varietyFormShared: document.getElementById('variety-form-shared'),
+    cancelVarietyBtn: document.getElementById('cancel-variety-btn'),
+    saveVarietyBtn: document.getElementById('save-variety-btn'),
+    varietyMessage: document.getElementById('variety-message'),
+
+    // Farm & Team
+    farmSwitcher: document.getElementById('farm-switcher'),
+    farmRoleBadge: document.getElementById('farm-role-badge'),
+    farmViewName: document.getElementById('farm-view-name'),
+    farmVerifyHint: document.getElementById('farm-verify-hint'),
+    myInvitations: document.getElementById('my-invitations'),
+    myInvitationsList: document.getElementById('my-invitations-list'),
+    farmMembersTableBody: document.getElementById('farm-members-table-body'),
+    inviteMemberForm: document.getElementById('invite-member-form'),
+    inviteEmailInput: document.getElementById('invite-email'),
+    inviteRoleSelect: document.getElementById('invite-role'),
+    inviteMemberBtn: document.getElementById('invite-member-btn'),
+    inviteMessage: document.getElementById('invite-message'),
+    farmInvitationsList: document.getElementById('farm-invitations-list'),
+    plantSchemaForm: document.getElementById('plant-schema-form'),
+    schemaPlantTypeSelect: document.getElementById('schema-plant-type'),
+    plantSchemaSource: document.getElementById('plant-schema-source'),
+    plantSchemaTableBody: document.getElementById('plant-schema-table-body'),
+    addPlantAttributeBtn: document.getElementById('add-plant-attribute-btn'),
+    resetPlantSchemaBtn: document.getElementById('reset-plant-schema-btn'),
+    savePlantSchemaBtn: document.getElementById('save-plant-schema-btn'),
+    plantSchemaMessage: document.getElementById('plant-schema-message'),
+    tagTemplateForm: document.getElementById('tag-template-form'),
+    tagTemplateSource: document.getElementById('tag-template-source'),
+    tagPrefixInput: document.getElementById('tag-prefix'),
+    tagSeparatorSelect: document.getElementById('tag-separator'),
+    tagDigitsInput: document.getElementById('tag-digits'),
+    tagLabelCodeSelect: document.getElementById('tag-label-code'),
+    tagFieldCodeCheckbox: document.getElementById('tag-field-code'),
+    tagTemplatePreview: document.getElementById('tag-template-preview'),
+    saveTagTemplateBtn: document.getElementById('save-tag-template-btn'),
+    tagTemplateMessage: document.getElementById('tag-template-message'),
+    createFarmForm: document.getElementById('create-farm-form'),
+    newFarmNameInput: document.getElementById('new-farm-name'),
+    createFarmBtn: document.getElementById('create-farm-btn'),
+    createFarmMessage: document.getElementById('create-farm-message'),
+
+    // Account & Sessions
+    accountEmail: document.getElementById('account-email'),
+    emailVerification: document.getElementById('email-verification'),
+    resendVerificationBtn: document.getElementById('resend-verification-btn'),
+    verificationMessage: document.getElementById('verification-message'),
+    sessionsTableBody: document.getElementById('sessions-table-body'),
+    logoutBtn: document.getElementById('logout-btn'),
+
+    // Offline Sync
+    syncStatusBtn: document.getElementById('sync-status-btn'),
+    syncQueueList: document.getElementById('sync-queue-list'),
+    syncConflictsContainer: document.getElementById('sync-conflicts-container'),
+    syncConflictsList: document.getElementById('sync-conflicts-list'),
+    syncNowBtn: document.getElementById('sync-now-btn'),
 
     // Details Modal
     detailsModal: document.getElementById('details-modal'),
@@ -59,9 +150,17 @@ export const elements = {
     // View Mode Controls
     viewControls: document.getElementById('view-controls'),
     mapViewStatus: document.getElementById('map-view-status'),
+    plantDisplayModeSelect: document.getElementById('plant-display-mode'),
+    densityColorBySelect: document.getElementById('density-color-by'),
+    densityLegend: document.getElementById('density-legend'),
+    fieldStyleSelect: document.getElementById('field-style-select'),
+    plantStyleSelect: document.getElementById('plant-style-select'),
+    plantStyleClassificationSelect: document.getElementById('plant-style-classification'),
+    mapLegend: document.getElementById('map-legend'),
     refreshMapBtn: document.getElementById('refresh-map-btn'),
     enterAddFieldModeBtn: document.getElementById('enter-add-field-mode-btn'),
     enterAddPlantModeBtn: document.getElementById('enter-add-plant-mode-btn'),
+    enterImportModeBtn: document.getElementById('enter-import-mode-btn'),
     
     // Field Creation Controls
     fieldCreationControls: document.getElementById('field-creation-controls'),
@@ -73,6 +172,49 @@ export const elements = {
     cancelFieldCreationBtn: document.getElementById('cancel-field-creation-btn'),
     mapMessage: document.getElementById('map-message'),
     
+    // Import & Export Controls
+    importControls: document.getElementById('import-controls'),
+    exportFormatSelect: document.getElementById('export-format'),
+    exportDataBtn: document.getElementById('export-data-btn'),
+    importForm: document.getElementById('import-form'),
+    importFileInput: document.getElementById('import-file'),
+    importDefaultPlantTypeSelect: document.getElementById('import-default-plant-type'),
+    previewImportBtn: document.getElementById('preview-import-btn'),
+    importReportList: document.getElementById('import-report'),
+    cancelImportBtn: document.getElementById('cancel-import-btn'),
+    saveImportBtn: document.getElementById('save-import-btn'),
+    importMessage: document.getElementById('import-message'),
+
+    // Populate Field Controls
+    enterPopulateModeBtn: document.getElementById('enter-populate-mode-btn'),
+    populateControls: document.getElementById('populate-controls'),
+    populateForm: document.getElementById('populate-form'),
+    populateFieldSelect: document.getElementById('populate-field'),
+    populateRowSpacingInput: document.getElementById('populate-row-spacing'),
+    populatePlantSpacingInput: document.getElementById('populate-plant-spacing'),
+    populateAzimuthInput: document.getElementById('populate-azimuth'),
+    populatePlantTypeSelect: document.getElementById('populate-plant-type'),
+    populateTagPrefixInput: document.getElementById('populate-tag-prefix'),
+    populateSummary: document.getElementById('populate-summary'),
+    cancelPopulateBtn: document.getElementById('cancel-populate-btn'),
+    savePopulateBtn: document.getElementById('save-populate-btn'),
+    populateMessage: document.getElementById('populate-message'),
+
+    // Offline Map Download
+    enterTileDownloadModeBtn: document.getElementById('enter-tile-download-mode-btn'),
+    tileDownloadControls: document.getElementById('tile-download-controls'),
+    tileFieldList: document.getElementById('tile-field-list'),
+    tileMinZoomSelect: document.getElementById('tile-min-zoom'),
+    tileMaxZoomSelect: document.getElementById('tile-max-zoom'),
+    tileEstimate: document.getElementById('tile-estimate'),
+    tileDownloadProgress: document.getElementById('tile-download-progress'),
+    downloadTilesBtn: document.getElementById('download-tiles-btn'),
+    cancelTileDownloadBtn: document.getElementById('cancel-tile-download-btn'),
+    tileDownloadMessage: document.getElementById('tile-download-message'),
+    tileStorageStatus: document.getElementById('tile-storage-status'),
+    tileStorageBar: document.getElementById('tile-storage-bar'),
+    tileAreasList: document.getElementById('tile-areas-list'),
+
     // Plant Creation Controls
     plantCreationControls: document.getElementById('plant-creation-controls'),
     plantCreationStatus: document.getElementById('plant-creation-status'),
@@ -81,6 +223,7 @@ export const elements = {
     plantTagInput: document.getElementById('plant-tag'),
     generateTagBtn: document.getElementById('generate-tag-btn'),
     plantCustomFieldsContainer: document.getElementById('plant-custom-fields'),
+    plantPhotoCaptureInput: document.getElementById('plant-photo-capture'),
     savePlantBtn: document.getElementById('save-plant-btn'),
     cancelPlantCreationBtn: document.getElementById('cancel-plant-creation-btn'),
     plantFormMessage: document.getElementById('plant-form-message'),
@@ -94,16 +237,131 @@ export const elements = {
     detailsPlantCount: document.getElementById('details-plant-count'),
     detailsPlantTableBody: document.getElementById('details-plant-table-body'),
     addPlantToFieldBtn: document.getElementById('add-plant-to-field-btn'),
+    printFieldLabelsBtn: document.getElementById('print-field-labels-btn'),
+    editFieldDetailsBtn: document.getElementById('edit-field-details-btn'),
+    editFieldShapeBtn: document.getElementById('edit-field-shape-btn'),
+    fieldEditForm: document.getElementById('field-edit-form'),
+    editFieldNameInput: document.getElementById('edit-field-name'),
+    editFieldCodeInput: document.getElementById('edit-field-code'),
+    cancelFieldEditBtn: document.getElementById('cancel-field-edit-btn'),
+    saveFieldEditBtn: document.getElementById('save-field-edit-btn'),
+    fieldEditMessage: document.getElementById('field-edit-message'),
+    currentSeasonContainer: document.getElementById('current-season'),
+    seasonForm: document.getElementById('season-form'),
+    seasonVarietySelect: document.getElementById('season-variety'),
+    seasonRegionSelect: document.getElementById('season-region'),
+    seasonPlantingDateInput: document.getElementById('season-planting-date'),
+    cancelSeasonBtn: document.getElementById('cancel-season-btn'),
+    saveSeasonBtn: document.getElementById('save-season-btn'),
+    seasonMessage: document.getElementById('season-message'),
+    harvestForm: document.getElementById('harvest-form'),
+    harvestDateInput: document.getElementById('harvest-date'),
+    harvestYieldInput: document.getElementById('harvest-yield'),
+    harvestYieldUnitSelect: document.getElementById('harvest-yield-unit'),
+    cancelHarvestBtn: document.getElementById('cancel-harvest-btn'),
+    saveHarvestBtn: document.getElementById('save-harvest-btn'),
+    harvestMessage: document.getElementById('harvest-message'),
+    newSeasonBtn: document.getElementById('new-season-btn'),
+    recordHarvestBtn: document.getElementById('record-harvest-btn'),
+    pastSeasonsTableBody: document.getElementById('past-seasons-table-body'),
+    detailsSoilCount: document.getElementById('details-soil-count'),
+    soilReferenceVarietySelect: document.getElementById('soil-reference-variety'),
+    latestSoilSampleInfo: document.getElementById('latest-soil-sample-info'),
+    latestSoilReport: document.getElementById('latest-soil-report'),
+    soilTrendNutrientSelect: document.getElementById('soil-trend-nutrient'),
+    soilTrendChart: document.getElementById('soil-trend-chart'),
+    fieldPhotoCount: document.getElementById('field-photo-count'),
+    fieldPhotoGallery: document.getElementById('field-photo-gallery'),
+    fieldPhotoStatus: document.getElementById('field-photo-status'),
+    fieldPhotoForm: document.getElementById('field-photo-form'),
+    fieldPhotoFilesInput: document.getElementById('field-photo-files'),
+    fieldPhotoCaptionInput: document.getElementById('field-photo-caption'),
+    uploadFieldPhotosBtn: document.getElementById('upload-field-photos-btn'),
+    fieldPhotoMessage: document.getElementById('field-photo-message'),
     //Plant Details View Elements
     plantDetailsView: document.getElementById('plant-details-view'),
     detailsPlantTag: document.getElementById('details-plant-tag'),
     detailsPlantInfoList: document.getElementById('details-plant-info-list'),
     detailsPlantCustomDataList: document.getElementById('details-plant-custom-data-list'),
+    plantPhotoCount: document.getElementById('plant-photo-count'),
+    plantPhotoGallery: document.getElementById('plant-photo-gallery'),
+    plantPhotoStatus: document.getElementById('plant-photo-status'),
+    plantPhotoForm: document.getElementById('plant-photo-form'),
+    plantPhotoFilesInput: document.getElementById('plant-photo-files'),
+    plantPhotoCaptionInput: document.getElementById('plant-photo-caption'),
+    uploadPlantPhotosBtn: document.getElementById('upload-plant-photos-btn'),
+    plantPhotoMessage: document.getElementById('plant-photo-message'),
     backToMapFromPlantBtn: document.getElementById('back-to-map-from-plant-btn'),
+    editPlantDetailsBtn: document.getElementById('edit-plant-details-btn'),
+    editPlantLocationBtn: document.getElementById('edit-plant-location-btn'),
+    plantEditForm: document.getElementById('plant-edit-form'),
+    editPlantTypeSelect: document.getElementById('edit-plant-type'),
+    editPlantTagInput: document.getElementById('edit-plant-tag'),
+    editPlantCustomFieldsContainer: document.getElementById('edit-plant-custom-fields'),
+    cancelPlantEditBtn: document.getElementById('cancel-plant-edit-btn'),
+    savePlantEditBtn: document.getElementById('save-plant-edit-btn'),
+    plantEditMessage: document.getElementById('plant-edit-message'),
+    observationMetricSelect: document.getElementById('observation-metric'),
+    observationChart: document.getElementById('observation-chart'),
+    observationTimeline: document.getElementById('observation-timeline'),
+    observationForm: document.getElementById('observation-form'),
+    observationDateInput: document.getElementById('observation-date'),
+    observationHeightInput: document.getElementById('observation-height'),
+    observationStageInput: document.getElementById('observation-stage'),
+    observationPestsInput: document.getElementById('observation-pests'),
+    observationMeasureNameInput: document.getElementById('observation-measure-name'),
+    observationMeasureValueInput: document.getElementById('observation-measure-value'),
+    observationNotesInput: document.getElementById('observation-notes'),
+    observationPhotosInput: document.getElementById('observation-photos'),
+    saveObservationBtn: document.getElementById('save-observation-btn'),
+    observationMessage: document.getElementById('observation-message'),
     selectionControls: document.getElementById('selection-controls'),
     selectionStatus: document.getElementById('selection-status'),
+    selectionModeSelect: document.getElementById('selection-mode'),
     cancelSelectionBtn: document.getElementById('cancel-selection-btn'),
     createFieldFromSelectionBtn: document.getElementById('create-field-from-selection-btn'),
+    printSelectionLabelsBtn: document.getElementById('print-selection-labels-btn'),
+    outlineControls: document.getElementById('outline-controls'),
+    outlineForm: document.getElementById('outline-form'),
+    outlineFieldNameInput: document.getElementById('outline-field-name'),
+    outlineMethodSelect: document.getElementById('outline-method'),
+    outlineMethodInputs: document.querySelectorAll('[data-outline-method]'),
+    outlineMaxEdgeInput: document.getElementById('outline-max-edge'),
+    outlineAlphaInput: document.getElementById('outline-alpha'),
+    outlineBufferInput: document.getElementById('outline-buffer'),
+    outlineSummary: document.getElementById('outline-summary'),
+    cancelOutlineBtn: document.getElementById('cancel-outline-btn'),
+    saveOutlineBtn: document.getElementById('save-outline-btn'),
+    outlineMessage: document.getElementById('outline-message'),
+    batchControls: document.getElementById('batch-controls'),
+    batchActionSelect: document.getElementById('batch-action'),
+    batchActionInputs: document.querySelectorAll('.batch-action-inputs'),
+    batchFieldSelect: document.getElementById('batch-field'),
+    batchPlantTypeSelect: document.getElementById('batch-plant-type'),
+    batchCustomKeyInput: document.getElementById('batch-custom-key'),
+    batchCustomValueInput: document.getElementById('batch-custom-value'),
+    batchObservationDateInput: document.getElementById('batch-observation-date'),
+    batchObservationStageInput: document.getElementById('batch-observation-stage'),
+    batchObservationPestsInput: document.getElementById('batch-observation-pests'),
+    batchObservationNotesInput: document.getElementById('batch-observation-notes'),
+    applyBatchBtn: document.getElementById('apply-batch-btn'),
+    batchReportList: document.getElementById('batch-report'),
+    batchMessage: document.getElementById('batch-message'),
+
+    // Photo Viewer
+    photoViewer: document.getElementById('photo-viewer'),
+    photoViewerImage: document.getElementById('photo-viewer-image'),
+    photoViewerCaption: document.getElementById('photo-viewer-caption'),
+    closePhotoViewerBtn: document.getElementById('close-photo-viewer-btn'),
+
+    // Tag Scanner View
+    scannerVideo: document.getElementById('scanner-video'),
+    scannerStatus: document.getElementById('scanner-status'),
+    scanTagForm: document.getElementById('scan-tag-form'),
+    scanTagInput: document.getElementById('scan-tag-input'),
+    restartScannerBtn: document.getElementById('restart-scanner-btn'),
+    openTagBtn: document.getElementById('open-tag-btn'),
+    scanTagMessage: document.getElementById('scan-tag-message'),
 
 };
 
@@ -121,14 +379,20 @@ export function showView(viewId) {
     if (viewToShow) {
         viewToShow.classList.add('active');
     }
-    const titles = { 'dashboard-view': 'Field Center', 'cycle-planner-view': 'Cycle Planner', 'sowing-calculator-view': 'Sowing Calculator', 'soil-analysis-view': 'Soil Analysis', 'map-view': 'Field Mapper' };
+    const titles = { 'dashboard-view': 'Field Center', 'cycle-planner-view': 'Cycle Planner', 'sowing-calculator-view': 'Sowing Calculator', 'soil-analysis-view': 'Soil Analysis', 'map-view': 'Field Mapper', 'scan-view': 'Scan Tag' };
     elements.cardTitle.innerText = titles[viewId] || 'Field Center';
+    // Lets views release what they hold while shown, such as the scanner's camera.
+    window.dispatchEvent(new CustomEvent('viewchange', { detail: { viewId } }));
 }
 export function toggleAuthForms(formToShow) {
     elements.loginForm.classList.toggle('active', formToShow === 'login');
     elements.registerForm.classList.toggle('active', formToShow === 'register');
+    elements.forgotPasswordForm.classList.toggle('active', formToShow === 'forgot');
+    elements.resetPasswordForm.classList.toggle('active', formToShow === 'reset');
     elements.loginErrorMessage.textContent = '';
     elements.registerErrorMessage.textContent = '';
+    elements.forgotMessage.textContent = '';
+    elements.resetMessage.textContent = '';
 }
 export function showMessage(element, message, isHtml = false) {
     if (isHtml) {
@@ -149,8 +413,38 @@ export function setButtonLoading(button, isLoading, loadingText = 'Loading...')
         }
     }
 }
+/**
+ * Fills the cultivation zone selects with the zoning regions, and the crop suggestions of the variety form.
+ * @param {object} zoning - Regions and windows as returned by `GET /api/zoning`.
+ */
+export function populateZoningRegions(zoning) {
+    [elements.regionSelect, elements.seasonRegionSelect].forEach(select => {
+        select.innerHTML = '<option value="">-- Select a Zone --</option>';
+        zoning.regions.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.code;
+            option.innerText = region.name;
+            select.appendChild(option);
+        });
+    });
+    const crops = [...new Set(zoning.windows.map(w => w.crop))];
+    elements.zoningCropList.innerHTML = crops.map(crop => `<option value="${crop}"></option>`).join('');
+}
+export function populateFarmSwitcher(farms, currentFarm) {
+    elements.farmSwitcher.innerHTML = '';
+    farms.forEach(farm => {
+        const option = document.createElement('option');
+        option.value = farm.id;
+        option.innerText = farm.name;
+        elements.farmSwitcher.appendChild(option);
+    });
+    if (currentFarm) elements.farmSwitcher.value = currentFarm.id;
+    // The role decides which editing controls are shown (see the .requires-* rules in styles.css).
+    document.body.dataset.farmRole = currentFarm ? currentFarm.role : '';
+    elements.farmRoleBadge.innerText = currentFarm ? currentFarm.role : '';
+}
 export function populateVarieties(varieties) {
-    const selects = [elements.varietySelect, elements.sowingVarietySelect, elements.soilVarietySelect];
+    const selects = [elements.varietySelect, elements.sowingVarietySelect, elements.soilVarietySelect, elements.seasonVarietySelect, elements.soilReferenceVarietySelect];
     selects.forEach(select => {
         if (!select) return;
         select.innerHTML = '<option value="">-- Select a Variety --</option>';
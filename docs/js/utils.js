@@ -15,6 +15,121 @@ export function formatDate(date) {
     return date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
 }
 
+/**
+ * Formats a size in bytes for display, e.g. 1536 -> "1.5 KB".
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The size with the largest unit that keeps it at 1 or more.
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toLocaleString('pt-BR', { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+}
+
+/**
+ * The soil properties read by the Soil Analysis module, in report order.
+ * `key` matches both the soil sample columns and the keys of a variety's `ideal_soil_conditions`;
+ * `range` says how the ideal is applied: 'between' (min-max), 'min' (at least) or 'max' (at most).
+ */
+export const SOIL_PARAMETERS = [
+    { key: 'ph', inputId: 'soil-ph', label: 'pH (CaCl₂)', unit: '', range: 'between' },
+    { key: 'v_percent', inputId: 'soil-v', label: 'Base Saturation (V%)', unit: '%', range: 'min' },
+    { key: 'al_cmolc', inputId: 'soil-al', label: 'Aluminum (Al³⁺)', unit: 'cmolc', range: 'max' },
+    { key: 'p_ppm', inputId: 'soil-p', label: 'Phosphorus (P)', unit: 'ppm', range: 'min' },
+    { key: 'k_ppm', inputId: 'soil-k', label: 'Potassium (K)', unit: 'ppm', range: 'min' },
+    { key: 'ca_cmolc', inputId: 'soil-ca', label: 'Calcium (Ca)', unit: 'cmolc', range: 'min' },
+    { key: 'mg_cmolc', inputId: 'soil-mg', label: 'Magnesium (Mg)', unit: 'cmolc', range: 'min' },
+    { key: 's_ppm', inputId: 'soil-s', label: 'Sulfur (S)', unit: 'ppm', range: 'min' },
+    { key: 'b_ppm', inputId: 'soil-b', label: 'Boron (B)', unit: 'ppm', range: 'min' },
+    { key: 'zn_ppm', inputId: 'soil-zn', label: 'Zinc (Zn)', unit: 'ppm', range: 'min' },
+    { key: 'n_ppm', inputId: 'soil-n', label: 'Nitrogen (N)', unit: 'ppm', range: 'min' }
+];
+
+/**
+ * Compares a soil value against a variety's ideal range for that property.
+ * @param {object} parameter - An entry of `SOIL_PARAMETERS`.
+ * @param {number} value - The measured value.
+ * @param {object} ideal - The variety's ideal range for the property, e.g. { min: 5.5, max: 6.5 }.
+ * @returns {{status: string, idealText: string}} 'low', 'ok' or 'high', and the ideal range as text.
+ */
+export function getSoilStatus(parameter, value, ideal) {
+    if (parameter.range === 'between') {
+        const status = value < ideal.min ? 'low' : value > ideal.max ? 'high' : 'ok';
+        return { status, idealText: `${ideal.min} - ${ideal.max}` };
+    }
+    if (parameter.range === 'max') {
+        // For values that should be BELOW a threshold (e.g., Aluminum)
+        return { status: value > ideal.max ? 'high' : 'ok', idealText: `< ${ideal.max}` };
+    }
+    // For values that should be ABOVE a threshold
+    return { status: value < ideal.min ? 'low' : 'ok', idealText: `> ${ideal.min}` };
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' date string (as returned by the API for date columns) into a Date at UTC midnight,
+ * so it formats back to the same calendar day with `formatDate`.
+ * @param {string} dateStr - The date string, e.g. "2025-09-30".
+ * @returns {Date} The parsed date.
+ */
+export function parseISODate(dateStr) {
+    return new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Returns today's date as a 'YYYY-MM-DD' string in the user's local time zone, suitable for date inputs.
+ * @returns {string} Today's date, e.g. "2025-09-30".
+ */
+export function todayISODate() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Lays a variety's development stages out end to end from a start date.
+ * @param {object} stages - The variety's stages, mapping stage name to duration in days (in order).
+ * @param {Date} startDate - The planting date.
+ * @returns {Array<{name: string, days: number, start: Date, end: Date}>} One entry per stage.
+ */
+export function getStageTimeline(stages, startDate) {
+    const timeline = [];
+    let stageStart = new Date(startDate);
+    for (const stageName in stages) {
+        const days = Number(stages[stageName]);
+        const stageEnd = new Date(stageStart.getTime() + days * 86400000);
+        timeline.push({ name: stageName, days: days, start: stageStart, end: stageEnd });
+        stageStart = stageEnd;
+    }
+    return timeline;
+}
+
+/**
+ * Works out where a crop is in its cycle on a given day, using the variety's stage durations.
+ * @param {object} stages - The variety's stages, mapping stage name to duration in days (in order).
+ * @param {Date} plantingDate - The planting date.
+ * @param {Date} today - The reference date, normally today at UTC midnight.
+ * @returns {{timeline: Array<object>, totalDays: number, elapsedDays: number, percent: number, currentStage: (object|null), daysIntoStage: number}}
+ *          `currentStage` is null before planting and after the last stage has ended.
+ */
+export function getSeasonProgress(stages, plantingDate, today) {
+    const timeline = getStageTimeline(stages, plantingDate);
+    const totalDays = timeline.reduce((acc, stage) => acc + stage.days, 0);
+    const elapsedDays = Math.floor((today - plantingDate) / 86400000);
+    const currentStage = elapsedDays < 0 ? null : timeline.find(stage => today < stage.end) || null;
+    return {
+        timeline,
+        totalDays,
+        elapsedDays,
+        percent: totalDays > 0 ? Math.min(100, Math.max(0, (elapsedDays / totalDays) * 100)) : 0,
+        currentStage,
+        daysIntoStage: currentStage ? Math.floor((today - currentStage.start) / 86400000) : 0
+    };
+}
+
 /**
  * Determines the planting season category based on a given date and region's planting windows.
  * It returns an HTML string with a styled badge indicating the result.
@@ -46,6 +161,31 @@ export function getPlantingSeason(month, day, region) {
     return `<span class="badge not-recommended">Not Recommended</span>`;
 }
 
+/**
+ * Gives the crop year a date belongs to. Crop years run from July 1st to June 30th and are named
+ * after the year they start in, so January 2027 belongs to the 2026/27 season (2026).
+ * @param {Date} date - The date, read in UTC.
+ * @returns {number} The season year.
+ */
+export function getSeasonYear(date) {
+    return date.getUTCMonth() >= 6 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+}
+
+/**
+ * Picks the zoning window of a crop and region that applies to a season: the one published for that
+ * season year or, when none was published yet, the most recent earlier one.
+ * @param {Array<object>} windows - Zoning windows as returned by `GET /api/zoning`.
+ * @param {string} crop - The crop, e.g. 'cotton'.
+ * @param {string} regionCode - The zoning region code, e.g. 'mt-south'.
+ * @param {number} seasonYear - The season year from `getSeasonYear`.
+ * @returns {object|null} The window to pass to `getPlantingSeason`, or null when the crop has no zoning there.
+ */
+export function findZoningWindow(windows, crop, regionCode, seasonYear) {
+    return windows
+        .filter(w => w.crop === crop && w.region_code === regionCode && w.season_year <= seasonYear)
+        .reduce((latest, w) => (!latest || w.season_year > latest.season_year ? w : latest), null);
+}
+
 /**
  * A helper function to check if a given date (month, day) falls within a start and end date range.
  * This function correctly handles date ranges that span across the end of the year (e.g., December to February).
@@ -0,0 +1,172 @@
+// ==========================================================================
+// AgriPlanum - Service Worker
+// Description: Precaches the app shell (HTML, CSS, JS modules and the CDN
+//              libraries) so the app opens without a signal, and serves map
+//              tiles from the cache: those downloaded for offline use and the
+//              most recent ones seen while browsing. API calls always go to
+//              the network; offline.js handles them being unreachable.
+// File: sw.js
+// ==========================================================================
+
+// Bump the version whenever APP_SHELL changes so old copies are dropped.
+const SHELL_CACHE = 'agriplanum-shell-v8';
+// Tile caches, shared with js/tiles.js which fills the downloaded one.
+const BROWSED_TILES_CACHE = 'agriplanum-tiles-browsed';
+const DOWNLOADED_TILES_CACHE = 'agriplanum-tiles-downloaded';
+const MAX_BROWSED_TILES = 2000;
+
+const TILE_HOST = 'tile.openstreetmap.org';
+const API_HOST = 'agriplanum.onrender.com';
+
+// Served from this site; the install fails if any of them can't be fetched.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'logo.png',
+    'icon.svg',
+    'manifest.webmanifest',
+    'js/api.js',
+    'js/attributes.js',
+    'js/auth.js',
+    'js/charts.js',
+    'js/density.js',
+    'js/fertility.js',
+    'js/gallery.js',
+    'js/handlers.js',
+    'js/main.js',
+    'js/map.js',
+    'js/offline.js',
+    'js/outline.js',
+    'js/planting.js',
+    'js/scanner.js',
+    'js/state.js',
+    'js/styling.js',
+    'js/tags.js',
+    'js/tiles.js',
+    'js/ui.js',
+    'js/utils.js'
+];
+
+// Third-party libraries and assets; one failing doesn't block the install.
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet.draw/1.0.4/leaflet.draw.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet.draw/1.0.4/leaflet.draw.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js',
+    'https://cdn.jsdelivr.net/npm/@turf/turf@7.2.0/turf.min.js',
+    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.2/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Roboto:wght@400;700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+    'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png'
+];
+
+// Hosts whose GET responses (the assets above and what they load, e.g. fonts) are cached as they are used.
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com', 'raw.githubusercontent.com'];
+
+// ==========================================================================
+// Lifecycle
+// ==========================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(error => console.warn(`Not precached: ${url}`, error))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('agriplanum-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// ==========================================================================
+// Fetch Strategies
+// ==========================================================================
+
+/**
+ * Answers from the cache right away when possible and refreshes the cached copy in the
+ * background, so the next visit gets the latest version.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    // Links with a query (e.g. ?verify=... from emails) open the same cached page.
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+let browsedTilesSinceTrim = 0;
+
+// Keeps the browsed tiles cache to the most recent MAX_BROWSED_TILES entries (keys come back oldest first).
+async function trimBrowsedTiles() {
+    const cache = await caches.open(BROWSED_TILES_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_BROWSED_TILES)).map(key => cache.delete(key)));
+}
+
+/**
+ * Serves a map tile from the downloaded or browsed tiles, fetching and keeping it otherwise.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The tile, or an empty 504 when offline and not cached.
+ */
+async function cachedTile(event) {
+    const { request } = event;
+    const downloaded = await (await caches.open(DOWNLOADED_TILES_CACHE)).match(request.url, { ignoreVary: true });
+    if (downloaded) return downloaded;
+    const browsedCache = await caches.open(BROWSED_TILES_CACHE);
+    const browsed = await browsedCache.match(request.url, { ignoreVary: true });
+    if (browsed) return browsed;
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Cloned now: the page starts reading the original as soon as it is returned.
+            const copy = response.clone();
+            event.waitUntil((async () => {
+                await browsedCache.put(request.url, copy);
+                if (++browsedTilesSinceTrim >= 100) {
+                    browsedTilesSinceTrim = 0;
+                    await trimBrowsedTiles();
+                }
+            })());
+        }
+        return response;
+    } catch (error) {
+        return new Response('', { status: 504, statusText: 'Offline' });
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.hostname === API_HOST) return;
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(cachedTile(event));
+    } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
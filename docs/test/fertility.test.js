@@ -0,0 +1,207 @@
+// ==========================================================================
+// AgriPlanum - Soil Correction Calculation Tests
+// Description: Unit tests for the pure functions of fertility.js. Run with
+//              `npm test` from the docs directory.
+// File: fertility.test.js
+// ==========================================================================
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FERTILITY_DEFAULTS,
+    estimateCEC,
+    limingRequirement,
+    gypsumRequirement,
+    nutrientBuildUp,
+    recommendCorrections,
+    scaleToArea
+} from '../js/fertility.js';
+
+// Doses are floating point results, so they are compared to a few decimal places.
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, message ?? `expected ${actual} to be close to ${expected}`);
+}
+
+// K at 78.2 ppm is 0.2 cmolc, so the sum of bases is 3.2 cmolc and T = 3.2 × 100 / 40 = 8 cmolc.
+const SOIL = { ca_cmolc: 2, mg_cmolc: 1, k_ppm: 78.2, v_percent: 40, p_ppm: 10, al_cmolc: 0.8 };
+const IDEAL = { v_percent: { min: 70 }, ca_cmolc: { min: 2.5 }, p_ppm: { min: 20 }, k_ppm: { min: 100 } };
+
+describe('limingRequirement', () => {
+    test('applies NC = (V2 − V1) × T / PRNT', () => {
+        assertClose(limingRequirement({ currentV: 40, targetV: 70, cec: 8, prnt: 80 }), 3);
+        assertClose(limingRequirement({ currentV: 50, targetV: 70, cec: 10, prnt: 100 }), 2);
+    });
+
+    test('scales the dose to the incorporation depth', () => {
+        assertClose(limingRequirement({ currentV: 40, targetV: 70, cec: 8, prnt: 80, depthCm: 40 }), 6);
+    });
+
+    test('needs no limestone when V1 is already at or above V2', () => {
+        assert.equal(limingRequirement({ currentV: 70, targetV: 70, cec: 8, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 85, targetV: 70, cec: 8, prnt: 80 }), 0);
+    });
+
+    test('gives no dose for a zero or negative T or PRNT', () => {
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: 0, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: -8, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: 8, prnt: 0 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: 8, prnt: -80 }), 0);
+    });
+
+    test('gives no dose when an input is missing', () => {
+        assert.equal(limingRequirement({ targetV: 70, cec: 8, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, cec: 8, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: null, prnt: 80 }), 0);
+        assert.equal(limingRequirement({ currentV: 40, targetV: 70, cec: 8, prnt: NaN }), 0);
+    });
+});
+
+describe('gypsumRequirement', () => {
+    test('doses 50 kg/ha per percentage point of clay when calcium is low', () => {
+        assert.deepEqual(gypsumRequirement({ caCmolc: 0.3, minCa: 0.5, alSaturation: 10, clayPercent: 40 }), {
+            needed: true,
+            kgPerHa: 2000,
+            reasons: ['Ca below 0.5 cmolc']
+        });
+    });
+
+    test('is needed when the aluminum saturation is above the limit', () => {
+        const result = gypsumRequirement({ caCmolc: 3, minCa: 0.5, alSaturation: 25, clayPercent: 20 });
+        assert.equal(result.needed, true);
+        assert.equal(result.kgPerHa, 1000);
+        assert.deepEqual(result.reasons, [`Al saturation above ${FERTILITY_DEFAULTS.maxAluminumSaturation}%`]);
+    });
+
+    test('lists every reason that applies', () => {
+        const result = gypsumRequirement({ caCmolc: 0.3, minCa: 0.5, alSaturation: 40, clayPercent: 30 });
+        assert.equal(result.reasons.length, 2);
+        assert.equal(result.kgPerHa, 1500);
+    });
+
+    test('is not needed when calcium and aluminum saturation are fine', () => {
+        assert.deepEqual(gypsumRequirement({ caCmolc: 3, minCa: 0.5, alSaturation: 20, clayPercent: 40 }), {
+            needed: false,
+            kgPerHa: 0,
+            reasons: []
+        });
+    });
+
+    test('reports the need without a dose when the clay content is missing, zero or negative', () => {
+        for (const clayPercent of [undefined, 0, -10, NaN]) {
+            const result = gypsumRequirement({ caCmolc: 0.3, minCa: 0.5, alSaturation: 10, clayPercent });
+            assert.equal(result.needed, true);
+            assert.equal(result.kgPerHa, null);
+        }
+    });
+});
+
+describe('nutrientBuildUp', () => {
+    test('converts the missing ppm to kg/ha of the oxide, divided by the efficiency', () => {
+        // (20 − 10) ppm × 2 kg/ha × 2.291 / 0.3
+        assertClose(nutrientBuildUp(10, 20, 2.291, 0.3), 152.733333);
+        assertClose(nutrientBuildUp(0, 1, 1, 1), 2);
+    });
+
+    test('needs nothing when the level already meets the ideal', () => {
+        assert.equal(nutrientBuildUp(20, 20, 2.291, 0.3), 0);
+        assert.equal(nutrientBuildUp(35, 20, 2.291, 0.3), 0);
+    });
+
+    test('gives no dose for a zero, negative or missing efficiency', () => {
+        assert.equal(nutrientBuildUp(10, 20, 2.291, 0), 0);
+        assert.equal(nutrientBuildUp(10, 20, 2.291, -0.3), 0);
+        assert.equal(nutrientBuildUp(10, 20, 2.291), 0);
+    });
+
+    test('gives no dose when a level is missing', () => {
+        assert.equal(nutrientBuildUp(undefined, 20, 2.291, 0.3), 0);
+        assert.equal(nutrientBuildUp(10, undefined, 2.291, 0.3), 0);
+    });
+
+    test('uses the given conversion factors', () => {
+        assertClose(nutrientBuildUp(10, 20, 1, 1, { ...FERTILITY_DEFAULTS, kgPerHaPerPpm: 4 }), 40);
+    });
+});
+
+describe('estimateCEC', () => {
+    test('derives T from the sum of bases and V%', () => {
+        assertClose(estimateCEC(SOIL), 8);
+    });
+
+    test('returns null when V% is zero, negative or missing', () => {
+        assert.equal(estimateCEC({ ...SOIL, v_percent: 0 }), null);
+        assert.equal(estimateCEC({ ...SOIL, v_percent: -40 }), null);
+        assert.equal(estimateCEC({ ...SOIL, v_percent: undefined }), null);
+    });
+
+    test('returns null when a base is missing', () => {
+        assert.equal(estimateCEC({ ...SOIL, ca_cmolc: undefined }), null);
+        assert.equal(estimateCEC({ ...SOIL, k_ppm: undefined }), null);
+    });
+});
+
+describe('recommendCorrections', () => {
+    test('estimates T and uses the default PRNT when they are not given', () => {
+        const result = recommendCorrections(SOIL, IDEAL, { clayPercent: 30 });
+        assert.equal(result.cecEstimated, true);
+        assertClose(result.cec, 8);
+        assert.equal(result.targetV, 70);
+        assertClose(result.alSaturation, 20);
+        // (70 − 40) × 8 / 80
+        assertClose(result.limestoneTPerHa, 3);
+        assert.equal(result.gypsum.needed, true);
+        assert.equal(result.gypsum.kgPerHa, 1500);
+        assertClose(result.p2o5KgPerHa, (10 * 2 * FERTILITY_DEFAULTS.p2o5PerP) / FERTILITY_DEFAULTS.phosphorusEfficiency);
+        assertClose(result.k2oKgPerHa, (21.8 * 2 * FERTILITY_DEFAULTS.k2oPerK) / FERTILITY_DEFAULTS.potassiumEfficiency);
+    });
+
+    test('uses the T and PRNT of the lab report when given', () => {
+        const result = recommendCorrections(SOIL, IDEAL, { cec: 10, prnt: 100 });
+        assert.equal(result.cecEstimated, false);
+        assert.equal(result.cec, 10);
+        assertClose(result.limestoneTPerHa, 3);
+    });
+
+    test('falls back to the estimate and the default PRNT for zero, negative or missing values', () => {
+        for (const value of [0, -5, NaN, undefined]) {
+            const result = recommendCorrections(SOIL, IDEAL, { cec: value, prnt: value });
+            assert.equal(result.cecEstimated, true);
+            assertClose(result.limestoneTPerHa, 3);
+        }
+    });
+
+    test('recommends nothing for a soil that meets every ideal', () => {
+        const soil = { ca_cmolc: 4, mg_cmolc: 1, k_ppm: 195.5, v_percent: 75, p_ppm: 30, al_cmolc: 0 };
+        const result = recommendCorrections(soil, IDEAL);
+        assert.equal(result.limestoneTPerHa, 0);
+        assert.deepEqual(result.gypsum, { needed: false, kgPerHa: 0, reasons: [] });
+        assert.equal(result.p2o5KgPerHa, 0);
+        assert.equal(result.k2oKgPerHa, 0);
+    });
+
+    test('gives no limestone when T cannot be estimated', () => {
+        const result = recommendCorrections({ ...SOIL, v_percent: 0 }, IDEAL);
+        assert.equal(result.cec, null);
+        assert.equal(result.limestoneTPerHa, 0);
+    });
+});
+
+describe('scaleToArea', () => {
+    const recommendation = { limestoneTPerHa: 3, gypsum: { needed: true, kgPerHa: 1500, reasons: [] }, p2o5KgPerHa: 100, k2oKgPerHa: 50 };
+
+    test('multiplies each dose by the area, with gypsum in tonnes', () => {
+        assert.deepEqual(scaleToArea(recommendation, 2.5), { limestoneT: 7.5, gypsumT: 3.75, p2o5Kg: 250, k2oKg: 125 });
+    });
+
+    test('keeps a gypsum need without a dose as null', () => {
+        const result = scaleToArea({ ...recommendation, gypsum: { needed: true, kgPerHa: null, reasons: [] } }, 2);
+        assert.equal(result.gypsumT, null);
+        assert.equal(result.limestoneT, 6);
+    });
+
+    test('gives zero totals for a zero, negative or missing area', () => {
+        for (const area of [0, -2, undefined, NaN]) {
+            assert.deepEqual(scaleToArea(recommendation, area), { limestoneT: 0, gypsumT: 0, p2o5Kg: 0, k2oKg: 0 });
+        }
+    });
+});